@@ -15,18 +15,40 @@
  * 
  * KEY FEATURES:
  * - Interactive Leaflet map with OpenStreetMap tiles
- * - Three heritage layers: Inscriptions, Herostones, Ancient Temples
+ * - Registry-driven heritage layers: Inscriptions, Herostones, Ancient Temples
  * - Smart marker clustering with zoom-dependent radius
  * - Search functionality: coordinates, place names, heritage sites
+ * - Coordinates as decimal, DMS, UTM 43N, Plus Codes or Survey of India sheets
  * - GPS location support with pulsing marker
+ * - "Near me" radius search around your location, a search result or any point
  * - Mobile-responsive with dedicated search bar
- * - Layer control with visibility toggles
- * - OSM Nominatim geocoding fallback
+ * - Layer control with visibility toggles and attribute facet filters
+ * - Chronology parsing of periods and centuries with a time slider
+ * - Pluggable geocoders (offline village gazetteer, Nominatim, Photon) with caching and throttling
+ * - Offline-first data cache in IndexedDB with background refresh
+ * - Installable PWA with offline map tile downloads
+ * - Export of visible or searched sites as GeoJSON, KML, GPX and CSV
+ * - Heritage trail planner with optimised stop order, routing and GPX export
+ * - Story-map tours with narrated steps, autoplay and a kiosk mode (data/tours.json)
+ * - Density display mode: canvas kernel-density heatmap or hexagon bins per layer
+ * - Basemap catalogue (street, light, satellite, hillshade) with credits per map
+ * - Historical map overlays (tiles or georeferenced images) with opacity, swipe and spy-glass comparison
+ * - Import of local GeoJSON, KML, GPX and CSV files as temporary layers
+ * - Shareable permalinks with view, layers, filters, search and selected site
+ * - Stable site IDs and a slide-out site detail panel with nearby sites
+ * - Photo, video and document attachments with thumbnails and a lightbox
+ * - In-page 3D model viewer (glTF/GLB, PLY, OBJ) with raking light and measurement
+ * - Kannada / English interface with Kannada sheet columns when present
+ * - Search across Kannada script, diacritics and romanisation variants
+ * - Ranked, typo-tolerant search with highlighted matches
+ * - Search-as-you-type suggestions with keyboard navigation and recent searches
+ * - Streaming RFC 4180 CSV parsing with malformed row reporting
  * 
  * DATA SOURCES:
- * - Google Sheets CSV exports for heritage site data
- * - OSM Nominatim for geocoding
- * - OpenStreetMap for base map tiles
+ * - Google Sheets CSV exports for heritage site data (cached in IndexedDB)
+ * - OSM Nominatim for geocoding, with a bundled gazetteer of hoblis (data/gazetteer.json)
+ * - Basemap tiles from OpenStreetMap, CARTO and Esri, and any georeferenced
+ *   historical sheets configured in CONSTANTS.BASEMAPS or added by users
  */
 
 // ============================================================================
@@ -40,6 +62,7 @@ const CONSTANTS = {
   // Map Configuration
   MAP: {
     CENTER: [12.9716, 77.5946], // Bengaluru coordinates
+    REGION_BOUNDS: [[12.45, 77.05], [13.6, 78.05]], // Bengaluru Urban and Rural districts
     DEFAULT_ZOOM: 9,
     SEARCH_ZOOM: 16,
     LOCATION_ZOOM: 15,
@@ -47,11 +70,68 @@ const CONSTANTS = {
     MIN_SEARCH_LENGTH: 2
   },
   
-  // Layer Colors
+  // Basemap catalogue for the layer control. 'base' maps replace each other;
+  // 'historical' maps are overlays drawn over the base map within their bounds.
+  // Each entry's attribution is listed in the credits popup while it is shown.
+  //
+  // Entry format: { key, label, type: 'base'|'historical', options } plus either
+  // - url: XYZ tile template, e.g. survey sheets tiled with gdal2tiles.py --xyz;
+  //   options are L.tileLayer options (attribution, bounds, minZoom, maxNativeZoom)
+  // - image and bounds [[south, west], [north, east]]: a single georeferenced
+  //   scan drawn between its corners; options are L.imageOverlay options
+  // Historical maps default to CONSTANTS.HISTORICAL.OPACITY. None ship with the
+  // app; users can add their own from the historical maps panel.
+  BASEMAPS: {
+    DEFAULT: 'osm',
+    CATALOGUE: [
+      {
+        key: 'osm',
+        label: 'OpenStreetMap',
+        type: 'base',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: {
+          attribution: '© <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> contributors',
+          maxZoom: 19,
+          opacity: 0.7
+        }
+      },
+      {
+        key: 'light',
+        label: 'Light grey',
+        type: 'base',
+        url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        options: {
+          attribution: '© <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> contributors © <a href="https://carto.com/attributions" target="_blank">CARTO</a>',
+          subdomains: 'abcd',
+          maxZoom: 20
+        }
+      },
+      {
+        key: 'satellite',
+        label: 'Satellite',
+        type: 'base',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        options: {
+          attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics and the GIS User Community',
+          maxZoom: 19
+        }
+      },
+      {
+        key: 'hillshade',
+        label: 'Hillshade',
+        type: 'base',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Elevation/World_Hillshade/MapServer/tile/{z}/{y}/{x}',
+        options: {
+          attribution: 'Tiles © Esri — Source: Esri, USGS, NGA, NASA, CGIAR and the GIS User Community',
+          maxNativeZoom: 16,
+          maxZoom: 19
+        }
+      }
+    ]
+  },
+  
+  // UI Colors (layer colours live in LAYER_REGISTRY)
   COLORS: {
-    INSCRIPTIONS: '#d32f2f',  // Dark red
-    HEROSTONES: '#388e3c',    // Dark green
-    TEMPLES: '#303f9f',       // Dark blue
     BRAND: '#72383D',         // Heritage burgundy
     HIGHLIGHT: '#8B0000',     // Dark red for search highlights
     WHITE: '#ffffff'
@@ -72,13 +152,6 @@ const CONSTANTS = {
     MARKER_INNER_RADIUS: 12
   },
   
-  // Data URLs
-  DATA_URLS: {
-    INSCRIPTIONS: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRmsBKzbk4bkTTFvv3CUEmTnQd6mqQfdkixHmMkdH4jYpQTMj7w-3SXPeryptu9aXEjtw3EQxJpHK3d/pub?gid=881294641&single=true&output=csv',
-    HEROSTONES: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRHCFT5jA5VPInkSC9eqeDSJ43pEbAh0zFoz31CFn876VzFuUFobc9nTc1J068ilw/pub?gid=115817771&single=true&output=csv',
-    TEMPLES: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vSXXg4VXox3vI4MDq72UImHgMdTADZVFDX0kSHIZqqw0ZAq2FTaj2JHXkvvBdksKDh_2ysT9AseQqUl/pub?gid=0&single=true&output=csv'
-  },
-  
   // DOM Selectors
   DOM: {
     MAP: 'map',
@@ -96,14 +169,64 @@ const CONSTANTS = {
     CLOSE_ATTRIBUTION: 'close-attribution',
     SEARCH_RESULTS_DROPDOWN: 'search-results-dropdown',
     SEARCH_RESULTS_CONTENT: 'search-results-content',
-    CLOSE_SEARCH_RESULTS: 'close-search-results'
+    CLOSE_SEARCH_RESULTS: 'close-search-results',
+    DATA_STATUS: 'data-status',
+    INSTALL_APP_BTN: 'install-app-btn',
+    OFFLINE_MIN_ZOOM: 'offline-min-zoom',
+    OFFLINE_MAX_ZOOM: 'offline-max-zoom',
+    OFFLINE_ESTIMATE: 'offline-estimate',
+    OFFLINE_PROGRESS: 'offline-progress',
+    OFFLINE_DOWNLOAD_BTN: 'offline-download-btn',
+    OFFLINE_CLEAR_BTN: 'offline-clear-btn',
+    OFFLINE_STORAGE: 'offline-storage',
+    IMPORT_FILE_INPUT: 'import-file-input',
+    IMPORT_FILE_BTN: 'import-file-btn',
+    IMPORT_LIST: 'import-list',
+    NEARBY_PANEL: 'nearby-panel',
+    CLOSE_NEARBY_PANEL: 'close-nearby-panel',
+    NEARBY_RADIUS: 'nearby-radius',
+    NEARBY_SORT: 'nearby-sort',
+    NEARBY_SUMMARY: 'nearby-summary',
+    NEARBY_LIST: 'nearby-list',
+    TRAIL_BTN: 'trail-btn',
+    TRAIL_PANEL: 'trail-panel',
+    CLOSE_TRAIL_PANEL: 'close-trail-panel',
+    TRAIL_MODE: 'trail-mode',
+    TRAIL_CONTENT: 'trail-content',
+    SITE_PANEL: 'site-panel',
+    SITE_PANEL_CONTENT: 'site-panel-content',
+    CLOSE_SITE_PANEL: 'close-site-panel',
+    LIGHTBOX: 'lightbox',
+    MODEL_VIEWER: 'model-viewer'
   },
   
   // API Configuration
   API: {
-    NOMINATIM_URL: 'https://nominatim.openstreetmap.org/search',
-    USER_AGENT: 'HeritageWebGIS/1.0',
-    GEOCODE_LIMIT: 5
+    USER_AGENT: 'HeritageWebGIS/1.0'
+  },
+  
+  // Coordinate notations accepted in the search box
+  COORDINATES: {
+    UTM_ZONE: 43,             // zone assumed for a bare easting and northing
+    // Survey of India 1:1,000,000 sheets around the peninsula: number -> [south, west]
+    SOI_SHEETS: { 47: [16, 72], 48: [12, 72], 56: [16, 76], 57: [12, 76], 58: [8, 76], 65: [16, 80], 66: [12, 80] }
+  },
+  
+  // Place-name geocoding. Providers are queried together and their results
+  // listed in this order; point `url` at a self-hosted instance to move off
+  // the public services.
+  GEOCODER: {
+    PROVIDERS: [
+      { type: 'gazetteer', url: 'data/gazetteer.json' },
+      // Public Nominatim policy: at most one request a second, results cached,
+      // no searches while typing; `email` identifies heavy users to the operators
+      { type: 'nominatim', url: 'https://nominatim.openstreetmap.org/search', minInterval: 1000, email: '' }
+      // { type: 'photon', url: 'https://photon.komoot.io/api/', minInterval: 1000 }
+    ],
+    LIMIT: 5,                 // results per provider
+    CACHE_SIZE: 100,          // queries kept per session
+    CACHE_TTL: 3600000,       // 1 h
+    DEDUPE_DISTANCE: 1000     // metres within which same-named places are one
   },
   
   // UI Configuration
@@ -112,1595 +235,10147 @@ const CONSTANTS = {
     POPUP_DELAY: 500,
     BLUR_DELAY: 200,
     GEOLOCATION_TIMEOUT: 10000
+  },
+  
+  // Time slider configuration (years CE)
+  CHRONOLOGY: {
+    MIN_YEAR: 300,
+    MAX_YEAR: 1900,
+    STEP: 10,
+    DEFAULT_WINDOW: 100,
+    PLAY_STEP: 20,
+    PLAY_INTERVAL: 600,
+    CIRCA_MARGIN: 25
+  },
+  
+  // Offline data cache (IndexedDB)
+  CACHE: {
+    DB_NAME: 'heritage-webgis',
+    DB_VERSION: 1,
+    LAYER_STORE: 'layers',
+    STATUS_REFRESH_INTERVAL: 60000,
+    FETCH_TIMEOUT: 30000      // a sheet download (headers and body) is abandoned after this
+  },
+  
+  // Progressive Web App and offline tile downloads
+  OFFLINE: {
+    SERVICE_WORKER: 'sw.js',
+    TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    TILE_CACHE: 'heritage-tiles-offline-v1',  // must match OFFLINE_TILE_CACHE in sw.js
+    MIN_ZOOM: 8,
+    MAX_ZOOM: 17,
+    DEFAULT_ZOOM_SPAN: 3,
+    MAX_TILES: 1000,          // per download, over all zoom levels
+    // The OSM tile usage policy allows at most 250 tiles at zoom 13 and above
+    // to be downloaded for offline use
+    HIGH_ZOOM: 13,
+    MAX_HIGH_ZOOM_TILES: 250,
+    CONCURRENCY: 2
+  },
+  
+  // Local file imports
+  IMPORT: {
+    STORAGE_KEY: 'heritage-webgis-imports',
+    ACCEPT: ['.geojson', '.json', '.kml', '.gpx', '.csv'],
+    COLORS: ['#e65100', '#6a1b9a', '#00838f', '#ad1457', '#558b2f', '#4e342e']
+  },
+  
+  // Site identifiers and the detail panel
+  SITES: {
+    ID_COLUMNS: ['site id', 'site_id', 'id', 'uid'],  // sheet columns holding a stable ID
+    SLUG_LENGTH: 40,
+    NEARBY_COUNT: 5,
+    NEARBY_RADIUS: 5000,      // metres
+    COPY_FEEDBACK: 1500       // ms the "Copied" state stays on the button
+  },
+  
+  // "Near me" and radius search around a point
+  PROXIMITY: {
+    RADII: [500, 1000, 2000, 5000, 10000, 25000],   // metres offered
+    DEFAULT_RADIUS: 2000,
+    MAX_RESULTS: 200,         // longer lists are cut to the nearest
+    COLOR: '#1565c0'
+  },
+  
+  // Heritage trail planner
+  TRAIL: {
+    // Routing backend: 'straight', or 'osrm' with an OSRM-compatible server,
+    // e.g. { type: 'osrm', url: 'http://localhost:5000/route/v1', profiles: { walk: 'foot', drive: 'driving' } }
+    // or { type: 'osrm', url: 'https://routing.openstreetmap.de/routed-{profile}/route/v1/driving', profiles: { walk: 'foot', drive: 'car' } }
+    ROUTER: { type: 'straight' },
+    // Paths are rarely straight; straight-line distances are scaled by this
+    DETOUR_FACTOR: 1.3,
+    // Average speeds (km/h) for straight-line estimates
+    MODES: {
+      walk: { speed: 4.5, icon: 'bi-person-walking' },
+      drive: { speed: 25, icon: 'bi-car-front' }
+    },
+    MAX_STOPS: 25,
+    STORAGE_KEY: 'heritage-webgis-trail',
+    COLOR: '#6a1b9a'
+  },
+  
+  // Story-map tours
+  TOURS: {
+    URL: 'data/tours.json',
+    AUTOPLAY_INTERVAL: 12000, // ms per step unless the step sets a duration
+    FLY_DURATION: 1.5,        // seconds
+    // Kiosk mode pauses when a visitor touches the screen and resumes after this long
+    KIOSK_IDLE: 60000,
+    // A step's siteName is matched against sites within this many metres of its centre
+    SITE_RADIUS: 1000
+  },
+  
+  // Density display mode (third state of the clustering toggle)
+  DENSITY: {
+    // Kernel bandwidth (Gaussian standard deviation) in metres
+    BANDWIDTH: { MIN: 100, MAX: 5000, STEP: 100, DEFAULT: 750 },
+    // Hexagon centre-to-corner distance in metres
+    HEX_SIZE: { MIN: 250, MAX: 10000, STEP: 250, DEFAULT: 1500 },
+    CELL_SIZE: 4,          // pixels per density cell, at most
+    MAX_KERNEL_CELLS: 40,  // kernel radius in cells; cells grow for wide kernels
+    OPACITY: 0.75,
+    // Colour stops from low to high; 'layer' fades to the chosen layer's colour
+    RAMPS: {
+      heat: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+      viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+      magma: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'],
+      blues: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+      layer: null
+    },
+    DEFAULT_RAMP: 'heat'
+  },
+  
+  // Historical map overlays and comparison with the base map
+  HISTORICAL: {
+    OPACITY: 0.8,
+    // Spy-glass lens radius in pixels
+    SPYGLASS_RADIUS: { MIN: 60, MAX: 300, DEFAULT: 140 },
+    // Maps added by the user, kept in localStorage
+    STORAGE_KEY: 'heritage-webgis-historical-maps'
+  },
+  
+  // Photo, video and document attachments from sheet columns
+  MEDIA: {
+    // Header keywords; caption/credit columns are matched first so that
+    // "Image caption" is not mistaken for an image URL column
+    CAPTION_HEADERS: ['caption'],
+    CREDIT_HEADERS: ['credit', 'photographer', 'copyright', 'courtesy'],
+    IMAGE_HEADERS: ['image', 'photo', 'picture', 'thumbnail'],
+    VIDEO_HEADERS: ['video'],
+    DOCUMENT_HEADERS: ['document', 'pdf', 'report'],
+    POPUP_THUMBNAILS: 4,      // more are reachable through the lightbox
+    THUMB_WIDTH: 400
+  },
+  
+  // 3D model viewer (three.js is loaded on demand via the import map)
+  MODEL: {
+    HEADERS: ['3d', 'model', 'glb', 'gltf'],
+    FORMATS: ['glb', 'gltf', 'ply', 'obj'],
+    MAX_PIXEL_RATIO: 1.5,     // caps GPU/CPU cost on high-DPI phones
+    RAKING_ELEVATION: 8,      // degrees above the horizon
+    MEASURE_COLOR: 0xffc107,
+    LIGHTING: {
+      studio: { label: 'Studio', ambient: 0.3, hemisphere: 0.6, key: 1.6, fill: 0.5, color: 0xffffff },
+      daylight: { label: 'Daylight', ambient: 0.2, hemisphere: 0.9, key: 2.2, fill: 0.2, color: 0xfff1d6 },
+      museum: { label: 'Museum', ambient: 0.1, hemisphere: 0.2, key: 1.8, fill: 0.3, color: 0xffe0b3 }
+    }
+  },
+  
+  // Site search ranking
+  SEARCH: {
+    // Weight of the best field a word appears in; registry fields use their role
+    FIELD_WEIGHTS: { name: 10, village: 6, deity: 4, description: 2, other: 1 },
+    PREFIX_FACTOR: 0.8,
+    // Score multiplier per edit for typo matches
+    FUZZY_FACTOR: 0.5,
+    // Shortest query words allowed one and two typos
+    ONE_EDIT_LENGTH: 4,
+    TWO_EDIT_LENGTH: 8,
+    MAX_RESULTS: 100,
+    // Longest stretch of indexing between yields to the page (ms)
+    BUILD_SLICE_MS: 30,
+    // Search-as-you-type
+    SUGGEST_DELAY: 200,
+    MAX_SITE_SUGGESTIONS: 6,
+    MAX_VILLAGE_SUGGESTIONS: 3,
+    MAX_RECENT: 6,
+    RECENT_STORAGE_KEY: 'heritage-webgis-recent-searches'
+  },
+  
+  // Interface language
+  I18N: {
+    STORAGE_KEY: 'heritage-webgis-language',
+    DEFAULT: 'en',
+    // Headers recognised as the Kannada copy of a column ({column} is its header)
+    COLUMN_PATTERNS: ['{column} (kannada)', '{column} kannada', '{column} in kannada', 'kannada {column}', '{column} (kn)', '{column}_kn']
+  },
+  
+  // URL hash permalinks
+  PERMALINK: {
+    UPDATE_DELAY: 400,        // ms to wait for the map to settle before writing
+    PRECISION: 5,             // decimal places for the centre (~1 m)
+    RESTORE_SETTLE: 1500      // ms a restore may keep moving the map (fly + popup)
   }
 };
 
 /**
- * Layer type definitions
+ * Heritage layer registry
+ *
+ * Every heritage category shown on the map is declared here. Each entry drives
+ * the overlay and layer control label, the marker and cluster colours, the
+ * search result category, the data source and how sheet columns are mapped
+ * into `additionalData`. Adding a new category is a matter of adding an entry.
+ *
+ * Entry properties:
+ * - key: Stable identifier, also used in CSS class names (marker-<key>)
+ * - label: Display name in the layer control and search results
+ * - color: Marker, label and cluster segment colour
+ * - icon: Bootstrap icon class for search result categories
+ * - dataUrl: Published Google Sheets CSV URL
+ * - nameColumns: Header names to use as the site name, in order of preference
+ * - nameRole: Optional field role the site name also stands for (for example
+ *   sites named after their village)
+ * - fields: Column mappings; `popup: false` keeps a field out of the popup,
+ *   `detailIcon` shows it in search result details and `role` marks what the
+ *   field means across layers (period, language, conservation, deity, village);
+ *   `facet: true` offers the field as a filter in the layer control
+ */
+const LAYER_REGISTRY = [
+  {
+    key: 'inscriptions',
+    label: 'Inscriptions',
+    color: '#d32f2f',         // Dark red
+    icon: 'bi-file-text',
+    dataUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRmsBKzbk4bkTTFvv3CUEmTnQd6mqQfdkixHmMkdH4jYpQTMj7w-3SXPeryptu9aXEjtw3EQxJpHK3d/pub?gid=881294641&single=true&output=csv',
+    nameColumns: ['village', 'temple'],
+    nameRole: 'village',
+    fields: [
+      { key: 'currentStatus', label: 'Current Status', headerMatch: h => h.includes('current status'), role: 'conservation', facet: true },
+      { key: 'inscriptionLanguage', label: 'Inscription Language', headerMatch: h => h.includes('inscription language'), role: 'language', facet: true },
+      { key: 'fromPeriod', label: 'Period', headerMatch: h => h.includes('from period') && h.includes('century'), role: 'period' }
+    ]
+  },
+  {
+    key: 'herostones',
+    label: 'Herostones',
+    color: '#388e3c',         // Dark green
+    icon: 'bi-award',
+    dataUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRHCFT5jA5VPInkSC9eqeDSJ43pEbAh0zFoz31CFn876VzFuUFobc9nTc1J068ilw/pub?gid=115817771&single=true&output=csv',
+    nameColumns: ['village', 'temple'],
+    nameRole: 'village',
+    fields: [
+      { key: 'heroName', label: 'Hero Name', headerMatch: h => h.includes('name of the hero'), popup: false },
+      { key: 'typeOfHerostone', label: 'Type', headerMatch: h => h.includes('type of herostone'), facet: true },
+      { key: 'period', label: 'Period', headerMatch: h => h === 'period', detailIcon: 'bi-clock-history', role: 'period' },
+      { key: 'script', label: 'Script', headerMatch: h => h.includes('script'), role: 'language', facet: true },
+      { key: 'conservationStatus', label: 'Conservation Status', headerMatch: h => h.includes('conservation status'), role: 'conservation', facet: true },
+      { key: 'withInscription', label: 'With Inscription', headerMatch: h => h.includes('with inscription'), facet: true }
+    ]
+  },
+  {
+    key: 'temples',
+    label: 'Ancient Temples',
+    color: '#303f9f',         // Dark blue
+    icon: 'bi-building',
+    dataUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vSXXg4VXox3vI4MDq72UImHgMdTADZVFDX0kSHIZqqw0ZAq2FTaj2JHXkvvBdksKDh_2ysT9AseQqUl/pub?gid=0&single=true&output=csv',
+    nameColumns: ['temple', 'village'],
+    fields: [
+      { key: 'village', label: 'Village', headerMatch: h => h === 'village', detailIcon: 'bi-house', role: 'village' },
+      { key: 'century', label: 'Century', headerMatch: h => h === 'century', detailIcon: 'bi-calendar', role: 'period' },
+      { key: 'mainDeity', label: 'Main Deity', headerMatch: h => h.includes('main deity'), role: 'deity' },
+      { key: 'architecturalStyle', label: 'Style', headerMatch: h => h.includes('temple architectural style'), facet: true },
+      { key: 'templeStatus', label: 'Temple Current Status', headerMatch: h => h.includes('temple current status'), role: 'conservation', facet: true }
+    ]
+  }
+];
+
+/**
+ * Look up a layer registry entry by key
+ * @param {string} key - Layer key
+ * @returns {Object|null} Registry entry or null
+ */
+const getLayerConfig = key => LAYER_REGISTRY.find(entry => entry.key === key) || null;
+
+/**
+ * Collect the values of a site's fields that carry a given role
+ * @param {Object} data - Marker data from allMarkersData
+ * @param {string} role - Field role (period, language, conservation, deity, village)
+ * @returns {Array<string>} Non-empty field values
  */
-const LAYER_TYPES = {
-  INSCRIPTIONS: 'inscriptions',
-  HEROSTONES: 'herostones',
-  TEMPLES: 'temples'
+const getFieldValuesByRole = (data, role) => {
+  const layerConfig = getLayerConfig(data.layerKey);
+  if (!layerConfig) return [];
+  const values = layerConfig.fields
+    .filter(field => field.role === role)
+    .map(field => (data.additionalData || {})[field.key])
+    .filter(Boolean);
+  if (layerConfig.nameRole === role && data.name) values.push(data.name);
+  return values;
 };
 
 /**
- * Field mappings for each layer type
+ * Turn text into a lowercase, hyphenated URL-safe slug (Kannada letters kept)
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug, possibly empty
+ */
+const slugify = text => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, CONSTANTS.SITES.SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+/**
+ * Build a site ID from a sheet ID, or derive one from the layer, coordinates
+ * and name so it survives row reordering in the sheet
+ * @param {string} layerKey - Layer key
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} name - Site name
+ * @param {string} [sheetId] - Value of the sheet's ID column
+ * @returns {string} Site ID, unique across layers
  */
-const FIELD_MAPPINGS = {
-  [LAYER_TYPES.INSCRIPTIONS]: [
-    { key: 'currentStatus', label: 'Current Status', headerMatch: h => h.includes('current status') },
-    { key: 'inscriptionLanguage', label: 'Inscription Language', headerMatch: h => h.includes('inscription language') },
-    { key: 'fromPeriod', label: 'Period', headerMatch: h => h.includes('from period') && h.includes('century') }
-  ],
-  [LAYER_TYPES.HEROSTONES]: [
-    { key: 'heroName', label: 'Hero Name', headerMatch: h => h.includes('name of the hero') },
-    { key: 'typeOfHerostone', label: 'Type', headerMatch: h => h.includes('type of herostone') },
-    { key: 'period', label: 'Period', headerMatch: h => h === 'period' },
-    { key: 'script', label: 'Script', headerMatch: h => h.includes('script') },
-    { key: 'conservationStatus', label: 'Conservation Status', headerMatch: h => h.includes('conservation status') },
-    { key: 'withInscription', label: 'With Inscription', headerMatch: h => h.includes('with inscription') }
-  ],
-  [LAYER_TYPES.TEMPLES]: [
-    { key: 'village', label: 'Village', headerMatch: h => h === 'village' },
-    { key: 'century', label: 'Century', headerMatch: h => h === 'century' },
-    { key: 'mainDeity', label: 'Main Deity', headerMatch: h => h.includes('main deity') },
-    { key: 'architecturalStyle', label: 'Style', headerMatch: h => h.includes('temple architectural style') },
-    { key: 'templeStatus', label: 'Temple Current Status', headerMatch: h => h.includes('temple current status') }
-  ]
+const createSiteId = (layerKey, lat, lng, name, sheetId) => {
+  if (sheetId && slugify(sheetId)) return `${layerKey}-${slugify(sheetId)}`;
+  // FNV-1a of the rounded coordinates keeps derived IDs short
+  const text = `${lat.toFixed(5)},${lng.toFixed(5)}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${layerKey}-${slugify(name) || 'site'}-${(hash >>> 0).toString(36)}`;
 };
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHTML = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // ============================================================================
-// MAIN APPLICATION
+// I18N
 // ============================================================================
 
 /**
- * Main Heritage Application
+ * Kannada and English string catalogues
+ *
+ * Static markup is translated through data-i18n attributes (data-i18n for
+ * text, data-i18n-placeholder, data-i18n-aria-label and data-i18n-title for
+ * attributes); code looks strings up with I18n.t(). Layer and field labels
+ * fall back to the English labels in LAYER_REGISTRY, so the English catalogue
+ * does not repeat them.
  */
-const HeritageApp = {
-  // Configuration
-  config: {
-    map: {
-      center: CONSTANTS.MAP.CENTER,
-      zoom: CONSTANTS.MAP.DEFAULT_ZOOM,
-      zoomControl: false
-    },
-    urls: CONSTANTS.DATA_URLS
-  },
+const I18n = {
+  lang: 'en',
   
-  // Map elements
-  map: null,
-  baseLayers: {},
-  overlays: {
-    inscriptions: L.layerGroup(),
-    herostones: L.layerGroup(),
-    temples: L.layerGroup()
-  },
-  // Store markers by layer for clustering/unclustering
-  markersByLayer: {
-    inscriptions: [],
-    herostones: [],
-    temples: []
+  STRINGS: {
+    en: {
+      'app.title': 'The Mythic Society',
+      'app.subtitle': 'Bengaluru Inscriptions 3D Digital',
+      'app.subtitleBreak': 'Conservation Project',
+      'search.placeholder': 'Search...',
+      'search.button': 'Search',
+      'search.results': 'Search Results',
+      'search.close': 'Close search results',
+      'search.searching': 'Searching...',
+      'search.places': 'Places',
+      'search.coordinates': 'Coordinates',
+      'search.noResults': 'No results found for "{query}"',
+      'search.found': 'Found Location',
+      'search.sites': 'Heritage Sites',
+      'search.villages': 'Villages',
+      'search.recent': 'Recent searches',
+      'coords.decimal': 'Decimal degrees',
+      'coords.dms': 'Degrees, minutes, seconds',
+      'coords.utm': 'UTM',
+      'coords.pluscode': 'Plus Code',
+      'coords.toposheet': 'Survey of India sheet',
+      'coords.swapped': 'Read as longitude, latitude (swapped)',
+      'place.village': 'Village',
+      'place.hobli': 'Hobli',
+      'place.taluk': 'Taluk',
+      'search.searched': 'Searched Location',
+      'search.theseCriteria': 'these criteria',
+      'search.emptyAdvanced': 'an empty search - enter at least one criterion',
+      'common.unknown': 'Unknown',
+      'common.clear': 'Clear',
+      'common.close': 'Close',
+      'menu.open': 'Menu',
+      'menu.title': 'Menu',
+      'menu.about': 'About Us',
+      'menu.project': 'Our Project',
+      'menu.contact': 'Contact Us',
+      'language.title': 'Language',
+      'adv.title': 'Advanced Search',
+      'adv.siteName': 'Site Name',
+      'adv.siteNamePlaceholder': 'e.g. Begur',
+      'adv.layer': 'Layer',
+      'adv.allLayers': 'All layers',
+      'adv.century': 'Century',
+      'adv.from': 'From',
+      'adv.to': 'to',
+      'adv.language': 'Language / Script',
+      'adv.languagePlaceholder': 'e.g. Kannada',
+      'adv.conservation': 'Conservation Status',
+      'adv.conservationPlaceholder': 'e.g. Good',
+      'adv.deity': 'Deity',
+      'adv.deityPlaceholder': 'e.g. Shiva',
+      'adv.village': 'Village',
+      'adv.villagePlaceholder': 'e.g. Hebbal',
+      'adv.match': 'Match',
+      'adv.and': 'All criteria (AND)',
+      'adv.or': 'Any criterion (OR)',
+      'import.title': 'Import Data',
+      'import.note': 'Add GeoJSON, KML, GPX or CSV files as temporary layers, or drop them on the map. Files stay on this device.',
+      'import.choose': 'Choose files',
+      'import.group': 'Imported Layers',
+      'import.remove': 'Remove {name}',
+      'import.failed': 'Could not import {file}: {error}',
+      'import.tooLarge': 'Imported layers are too large to keep after a reload. They will be available until you close this page.',
+      'import.from': 'Imported from {file}',
+      'import.unnamed': 'Unnamed feature',
+      'offline.title': 'Offline Use',
+      'offline.install': 'Install app',
+      'offline.note': 'Save map tiles for the area currently shown on the map so it works without a signal.',
+      'offline.zoom': 'Zoom levels',
+      'offline.download': 'Download this area',
+      'offline.cancel': 'Cancel download',
+      'offline.estimate': '{count} tiles for the current view.',
+      'offline.tooMany': '{count} tiles - too many. Zoom in or lower the maximum zoom (limit {limit}).',
+      'offline.tooManyHighZoom': '{count} tiles at zoom {zoom} and above - the map tile provider allows {limit}. Zoom in or lower the maximum zoom.',
+      'offline.progress': 'Saving tiles: {done} of {total}',
+      'offline.saved': '{saved} tiles saved.',
+      'offline.savedFailed': '{saved} tiles saved, {failed} failed.',
+      'offline.cancelled': 'Download cancelled.',
+      'offline.failed': 'Could not save map tiles: {error}',
+      'offline.storage': 'Storage used: {used} MB of {quota} MB ({percent}%)',
+      'links.title': 'Useful Links',
+      'social.title': 'Follow Us',
+      'attribution.show': 'Show attributions',
+      'attribution.close': 'Close attribution',
+      'attribution.title': 'Credits & Attributions',
+      'attribution.data': 'Data',
+      'attribution.project': 'Bengaluru Inscriptions 3D Digital Conservation Project.',
+      'attribution.library': 'Map library',
+      'map.label': 'Heritage sites map',
+      'control.cluster': 'Switch between clusters, individual sites and density',
+      'control.locate': 'Find My Location',
+      'control.time': 'Time Slider',
+      'control.export': 'Export Sites',
+      'control.trail': 'Heritage Trail',
+      'control.tour': 'Story Tours',
+      'control.historical': 'Historical Maps',
+      'layers.heritage': 'Heritage Layers',
+      'layers.historical': 'Historical Maps',
+      'basemap.osm': 'OpenStreetMap',
+      'basemap.light': 'Light grey',
+      'basemap.satellite': 'Satellite',
+      'basemap.hillshade': 'Hillshade',
+      'facets.title': 'Filters',
+      'time.from': 'From',
+      'time.to': 'To',
+      'time.play': 'Play',
+      'time.pause': 'Pause',
+      'time.undated': 'Show undated sites',
+      'sites.one': '{count} site',
+      'sites.other': '{count} sites',
+      'status.updated': 'Data updated {time}',
+      'status.offline': 'Offline',
+      'status.lastUpdated': 'Data last updated {date}',
+      'time.justNow': 'just now',
+      'time.minutesAgo': '{count} min ago',
+      'time.hourAgo': '{count} hour ago',
+      'time.hoursAgo': '{count} hours ago',
+      'time.dayAgo': '{count} day ago',
+      'time.daysAgo': '{count} days ago',
+      'export.title': 'Export sites',
+      'export.visible': 'Visible on map ({count})',
+      'export.search': 'Search results ({count})',
+      'export.empty': 'There are no sites to export. Switch on a layer or clear the filters.',
+      'geo.unsupported': 'Geolocation is not supported by your browser',
+      'geo.failed': 'Unable to get your location',
+      'geo.denied': 'Location permission denied. Please enable location access.',
+      'geo.unavailable': 'Location information unavailable.',
+      'geo.timeout': 'Location request timed out.',
+      'geo.title': 'Your Location',
+      'geo.latitude': 'Latitude',
+      'geo.longitude': 'Longitude',
+      'geo.accuracy': 'Accuracy',
+      'error.app': 'Failed to load the application. Please refresh the page.',
+      'error.ui': 'Failed to initialize user interface.',
+      'error.data': 'Failed to load heritage site data.',
+      'error.layer': 'Failed to load {layer} data. Check your connection and try again.',
+      'error.process': 'Failed to process heritage site data.',
+      'error.navigate': 'Failed to navigate to selected location',
+      'error.export': 'Failed to export sites.',
+      'error.copy': 'Could not copy to the clipboard.',
+      'popup.details': 'More details',
+      'popup.model': 'View 3D model',
+      'panel.close': 'Close site details',
+      'panel.coordinates': 'Coordinates',
+      'panel.copyCoordinates': 'Copy coordinates',
+      'panel.links': 'Links',
+      'panel.show': 'Show on map',
+      'panel.copyLink': 'Copy link to this site',
+      'panel.osm': 'OpenStreetMap',
+      'panel.directions': 'Directions',
+      'panel.nearby': 'Nearby Sites',
+      'panel.siteId': 'Site ID',
+      'nearby.title': 'Sites Nearby',
+      'nearby.close': 'Close nearby sites',
+      'nearby.here': 'Sites near here',
+      'nearby.point': 'Selected point',
+      'nearby.radius': 'Radius',
+      'nearby.sort': 'Sort by',
+      'nearby.byDistance': 'Distance',
+      'nearby.byBearing': 'Direction',
+      'nearby.summary': '{sites} within {radius} of {origin}',
+      'nearby.more': 'showing the nearest {count}',
+      'nearby.none': 'No visible sites within {radius}. Try a larger radius or switch on more layers.',
+      'nearby.note': 'Right-click or long-press the map to search around any point.',
+      'trail.title': 'Heritage Trail',
+      'trail.close': 'Close trail planner',
+      'trail.add': 'Add to trail',
+      'trail.remove': 'Remove from trail',
+      'trail.empty': 'No stops yet. Add sites to the trail from search results or a site\'s details.',
+      'trail.mode': 'Travel by',
+      'trail.walk': 'Walking',
+      'trail.drive': 'Driving',
+      'trail.optimise': 'Optimise order',
+      'trail.export': 'Export GPX',
+      'trail.summary': '{stops} · {distance} · about {duration}',
+      'trail.estimate': 'Distances and times are estimated from straight lines between stops.',
+      'trail.routeFailed': 'The route could not be calculated; showing straight lines instead.',
+      'trail.routing': 'calculating route…',
+      'trail.moveUp': 'Move earlier',
+      'trail.moveDown': 'Move later',
+      'trail.full': 'A trail can have at most {count} stops.',
+      'trail.minutes': '{m} min',
+      'trail.hours': '{h} h {m} min',
+      'trail.name': 'Heritage trail',
+      'tour.title': 'Story Tours',
+      'tour.loading': 'Loading tours…',
+      'tour.none': 'No tours are available.',
+      'tour.steps': '{count} steps',
+      'tour.kiosk': 'Kiosk mode',
+      'tour.startKiosk': 'Play {title} in kiosk mode',
+      'tour.notFound': 'That tour could not be found.',
+      'tour.player': 'Story tour',
+      'tour.step': 'Step {n} of {total}',
+      'tour.previous': 'Previous step',
+      'tour.next': 'Next step',
+      'tour.play': 'Play automatically',
+      'tour.pause': 'Pause',
+      'tour.exit': 'Leave tour',
+      'display.cluster': 'Showing clusters',
+      'display.scatter': 'Showing individual sites',
+      'display.density': 'Showing density',
+      'density.style': 'Density style',
+      'density.kde': 'Heatmap',
+      'density.hexbin': 'Hexagons',
+      'density.layer': 'Layer',
+      'density.allLayers': 'All visible layers',
+      'density.bandwidth': 'Bandwidth',
+      'density.hexSize': 'Hexagon size',
+      'density.ramp': 'Colours',
+      'density.ramp.heat': 'Heat',
+      'density.ramp.viridis': 'Viridis',
+      'density.ramp.magma': 'Magma',
+      'density.ramp.blues': 'Blues',
+      'density.ramp.layer': 'Layer colour',
+      'density.perKm2': '{value} sites/km²',
+      'historical.title': 'Historical maps',
+      'historical.map': 'Map',
+      'historical.hidden': 'None shown',
+      'historical.none': 'No historical maps yet. Add one below.',
+      'historical.opacity': 'Opacity',
+      'historical.compare': 'Compare with base map',
+      'historical.off': 'Overlay',
+      'historical.swipe': 'Swipe',
+      'historical.spyglass': 'Spy-glass',
+      'historical.radius': 'Lens size',
+      'historical.divider': 'Swipe divider',
+      'historical.remove': 'Remove this map',
+      'historical.add': 'Add a map',
+      'historical.type': 'Type',
+      'historical.tiles': 'Tile URL ({z}/{x}/{y})',
+      'historical.image': 'Georeferenced image',
+      'historical.name': 'Name',
+      'historical.url': 'URL',
+      'historical.southWest': 'South-west corner (lat, lng)',
+      'historical.northEast': 'North-east corner (lat, lng)',
+      'historical.attribution': 'Credit',
+      'historical.addButton': 'Add map',
+      'historical.invalidUrl': 'Enter the web address of the map image.',
+      'historical.invalidTiles': 'Enter a tile address containing {z}, {x} and {y}.',
+      'historical.invalidCorners': 'Enter the south-west and north-east corners as coordinates, e.g. 12.93, 77.55.',
+      'compass.N': 'N',
+      'compass.NE': 'NE',
+      'compass.E': 'E',
+      'compass.SE': 'SE',
+      'compass.S': 'S',
+      'compass.SW': 'SW',
+      'compass.W': 'W',
+      'compass.NW': 'NW',
+      'lightbox.label': 'Media viewer',
+      'lightbox.close': 'Close viewer',
+      'lightbox.previous': 'Previous',
+      'lightbox.next': 'Next',
+      'lightbox.open': 'Open original',
+      'lightbox.credit': 'Credit: {credit}',
+      'lightbox.missing': 'This image is not available.',
+      'lightbox.videoExternal': 'This video opens in a new tab.',
+      'lightbox.documentExternal': 'This document opens in a new tab.',
+      'model.close': 'Close 3D viewer',
+      'model.lighting': 'Lighting',
+      'model.raking': 'Raking light',
+      'model.rakingDirection': 'Raking light direction',
+      'model.measure': 'Measure',
+      'model.reset': 'Reset view',
+      'model.file': 'Model file',
+      'model.loading': 'Loading 3D model…',
+      'model.loadingProgress': 'Loading 3D model… {percent}%',
+      'model.tapTwo': 'Tap two points on the model',
+      'model.tapSecond': 'Tap a second point',
+      'model.failed': '{error} You can still download the model file.'
+    },
+    kn: {
+      'app.title': 'ದಿ ಮಿಥಿಕ್ ಸೊಸೈಟಿ',
+      'app.subtitle': 'ಬೆಂಗಳೂರು ಶಾಸನಗಳ 3D ಡಿಜಿಟಲ್',
+      'app.subtitleBreak': 'ಸಂರಕ್ಷಣಾ ಯೋಜನೆ',
+      'search.placeholder': 'ಹುಡುಕಿ...',
+      'search.button': 'ಹುಡುಕಿ',
+      'search.results': 'ಹುಡುಕಾಟದ ಫಲಿತಾಂಶಗಳು',
+      'search.close': 'ಹುಡುಕಾಟದ ಫಲಿತಾಂಶಗಳನ್ನು ಮುಚ್ಚಿ',
+      'search.searching': 'ಹುಡುಕಲಾಗುತ್ತಿದೆ...',
+      'search.places': 'ಸ್ಥಳಗಳು',
+      'search.coordinates': 'ನಿರ್ದೇಶಾಂಕಗಳು',
+      'search.noResults': '"{query}" ಗೆ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳು ಸಿಗಲಿಲ್ಲ',
+      'search.found': 'ಕಂಡುಬಂದ ಸ್ಥಳ',
+      'search.sites': 'ಪರಂಪರೆ ತಾಣಗಳು',
+      'search.villages': 'ಗ್ರಾಮಗಳು',
+      'search.recent': 'ಇತ್ತೀಚಿನ ಹುಡುಕಾಟಗಳು',
+      'coords.decimal': 'ದಶಮಾಂಶ ಡಿಗ್ರಿಗಳು',
+      'coords.dms': 'ಡಿಗ್ರಿ, ನಿಮಿಷ, ಸೆಕೆಂಡು',
+      'coords.utm': 'UTM',
+      'coords.pluscode': 'ಪ್ಲಸ್ ಕೋಡ್',
+      'coords.toposheet': 'ಸರ್ವೆ ಆಫ್ ಇಂಡಿಯಾ ನಕ್ಷೆ ಹಾಳೆ',
+      'coords.swapped': 'ರೇಖಾಂಶ, ಅಕ್ಷಾಂಶ ಎಂದು ಓದಲಾಗಿದೆ (ಅದಲುಬದಲು)',
+      'place.village': 'ಗ್ರಾಮ',
+      'place.hobli': 'ಹೋಬಳಿ',
+      'place.taluk': 'ತಾಲ್ಲೂಕು',
+      'search.searched': 'ಹುಡುಕಿದ ಸ್ಥಳ',
+      'search.theseCriteria': 'ಈ ಮಾನದಂಡಗಳು',
+      'search.emptyAdvanced': 'ಖಾಲಿ ಹುಡುಕಾಟ - ಕನಿಷ್ಠ ಒಂದು ಮಾನದಂಡವನ್ನು ನಮೂದಿಸಿ',
+      'common.unknown': 'ಅಜ್ಞಾತ',
+      'common.clear': 'ತೆರವುಗೊಳಿಸಿ',
+      'common.close': 'ಮುಚ್ಚಿ',
+      'menu.open': 'ಮೆನು',
+      'menu.title': 'ಮೆನು',
+      'menu.about': 'ನಮ್ಮ ಬಗ್ಗೆ',
+      'menu.project': 'ನಮ್ಮ ಯೋಜನೆ',
+      'menu.contact': 'ಸಂಪರ್ಕಿಸಿ',
+      'language.title': 'ಭಾಷೆ',
+      'adv.title': 'ಸುಧಾರಿತ ಹುಡುಕಾಟ',
+      'adv.siteName': 'ಸ್ಥಳದ ಹೆಸರು',
+      'adv.siteNamePlaceholder': 'ಉದಾ. ಬೇಗೂರು',
+      'adv.layer': 'ಪದರ',
+      'adv.allLayers': 'ಎಲ್ಲಾ ಪದರಗಳು',
+      'adv.century': 'ಶತಮಾನ',
+      'adv.from': 'ಇಂದ',
+      'adv.to': 'ವರೆಗೆ',
+      'adv.language': 'ಭಾಷೆ / ಲಿಪಿ',
+      'adv.languagePlaceholder': 'ಉದಾ. ಕನ್ನಡ',
+      'adv.conservation': 'ಸಂರಕ್ಷಣಾ ಸ್ಥಿತಿ',
+      'adv.conservationPlaceholder': 'ಉದಾ. ಉತ್ತಮ',
+      'adv.deity': 'ದೇವತೆ',
+      'adv.deityPlaceholder': 'ಉದಾ. ಶಿವ',
+      'adv.village': 'ಗ್ರಾಮ',
+      'adv.villagePlaceholder': 'ಉದಾ. ಹೆಬ್ಬಾಳ',
+      'adv.match': 'ಹೊಂದಾಣಿಕೆ',
+      'adv.and': 'ಎಲ್ಲಾ ಮಾನದಂಡಗಳು (AND)',
+      'adv.or': 'ಯಾವುದಾದರೂ ಒಂದು ಮಾನದಂಡ (OR)',
+      'import.title': 'ದತ್ತಾಂಶ ಆಮದು',
+      'import.note': 'GeoJSON, KML, GPX ಅಥವಾ CSV ಫೈಲ್‌ಗಳನ್ನು ತಾತ್ಕಾಲಿಕ ಪದರಗಳಾಗಿ ಸೇರಿಸಿ, ಅಥವಾ ನಕ್ಷೆಯ ಮೇಲೆ ಎಳೆದು ಬಿಡಿ. ಫೈಲ್‌ಗಳು ಈ ಸಾಧನದಲ್ಲೇ ಉಳಿಯುತ್ತವೆ.',
+      'import.choose': 'ಫೈಲ್‌ಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+      'import.group': 'ಆಮದು ಮಾಡಿದ ಪದರಗಳು',
+      'import.remove': '{name} ತೆಗೆದುಹಾಕಿ',
+      'import.failed': '{file} ಆಮದು ಮಾಡಲಾಗಲಿಲ್ಲ: {error}',
+      'import.tooLarge': 'ಆಮದು ಮಾಡಿದ ಪದರಗಳು ಉಳಿಸಲು ತುಂಬಾ ದೊಡ್ಡದಾಗಿವೆ. ಈ ಪುಟವನ್ನು ಮುಚ್ಚುವವರೆಗೆ ಮಾತ್ರ ಅವು ಲಭ್ಯವಿರುತ್ತವೆ.',
+      'import.from': '{file} ನಿಂದ ಆಮದು ಮಾಡಲಾಗಿದೆ',
+      'import.unnamed': 'ಹೆಸರಿಲ್ಲದ ವೈಶಿಷ್ಟ್ಯ',
+      'offline.title': 'ಆಫ್‌ಲೈನ್ ಬಳಕೆ',
+      'offline.install': 'ಆ್ಯಪ್ ಸ್ಥಾಪಿಸಿ',
+      'offline.note': 'ಸಿಗ್ನಲ್ ಇಲ್ಲದಿದ್ದರೂ ನಕ್ಷೆ ಕೆಲಸ ಮಾಡಲು, ಈಗ ತೋರಿಸುತ್ತಿರುವ ಪ್ರದೇಶದ ನಕ್ಷೆ ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಿ.',
+      'offline.zoom': 'ಜೂಮ್ ಮಟ್ಟಗಳು',
+      'offline.download': 'ಈ ಪ್ರದೇಶವನ್ನು ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+      'offline.cancel': 'ಡೌನ್‌ಲೋಡ್ ರದ್ದುಮಾಡಿ',
+      'offline.estimate': 'ಪ್ರಸ್ತುತ ನೋಟಕ್ಕೆ {count} ಟೈಲ್‌ಗಳು.',
+      'offline.tooMany': '{count} ಟೈಲ್‌ಗಳು - ತುಂಬಾ ಹೆಚ್ಚು. ಜೂಮ್ ಇನ್ ಮಾಡಿ ಅಥವಾ ಗರಿಷ್ಠ ಜೂಮ್ ಕಡಿಮೆ ಮಾಡಿ (ಮಿತಿ {limit}).',
+      'offline.tooManyHighZoom': 'ಜೂಮ್ {zoom} ಮತ್ತು ಮೇಲೆ {count} ಟೈಲ್‌ಗಳು - ನಕ್ಷೆ ಟೈಲ್ ಒದಗಿಸುವವರು {limit} ಮಾತ್ರ ಅನುಮತಿಸುತ್ತಾರೆ. ಜೂಮ್ ಇನ್ ಮಾಡಿ ಅಥವಾ ಗರಿಷ್ಠ ಜೂಮ್ ಕಡಿಮೆ ಮಾಡಿ.',
+      'offline.progress': 'ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗುತ್ತಿದೆ: {total} ರಲ್ಲಿ {done}',
+      'offline.saved': '{saved} ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+      'offline.savedFailed': '{saved} ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ, {failed} ವಿಫಲವಾಗಿವೆ.',
+      'offline.cancelled': 'ಡೌನ್‌ಲೋಡ್ ರದ್ದಾಗಿದೆ.',
+      'offline.failed': 'ನಕ್ಷೆ ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ: {error}',
+      'offline.storage': 'ಬಳಸಿದ ಸಂಗ್ರಹ: {quota} MB ರಲ್ಲಿ {used} MB ({percent}%)',
+      'links.title': 'ಉಪಯುಕ್ತ ಕೊಂಡಿಗಳು',
+      'social.title': 'ನಮ್ಮನ್ನು ಅನುಸರಿಸಿ',
+      'attribution.show': 'ಕೃತಜ್ಞತೆಗಳನ್ನು ತೋರಿಸಿ',
+      'attribution.close': 'ಕೃತಜ್ಞತೆಗಳನ್ನು ಮುಚ್ಚಿ',
+      'attribution.title': 'ಕೃತಜ್ಞತೆಗಳು ಮತ್ತು ಮೂಲಗಳು',
+      'attribution.data': 'ದತ್ತಾಂಶ',
+      'attribution.project': 'ಬೆಂಗಳೂರು ಶಾಸನಗಳ 3D ಡಿಜಿಟಲ್ ಸಂರಕ್ಷಣಾ ಯೋಜನೆ.',
+      'attribution.library': 'ನಕ್ಷೆ ಲೈಬ್ರರಿ',
+      'map.label': 'ಪರಂಪರೆ ತಾಣಗಳ ನಕ್ಷೆ',
+      'control.cluster': 'ಗುಂಪುಗಳು, ಪ್ರತ್ಯೇಕ ತಾಣಗಳು ಮತ್ತು ಸಾಂದ್ರತೆಯ ನಡುವೆ ಬದಲಿಸಿ',
+      'control.locate': 'ನನ್ನ ಸ್ಥಳ ಹುಡುಕಿ',
+      'control.time': 'ಕಾಲ ಸ್ಲೈಡರ್',
+      'control.export': 'ತಾಣಗಳನ್ನು ರಫ್ತು ಮಾಡಿ',
+      'control.trail': 'ಪರಂಪರೆ ಮಾರ್ಗ',
+      'control.tour': 'ಕಥಾ ಪ್ರವಾಸಗಳು',
+      'control.historical': 'ಐತಿಹಾಸಿಕ ನಕ್ಷೆಗಳು',
+      'layers.heritage': 'ಪರಂಪರೆ ಪದರಗಳು',
+      'layers.historical': 'ಐತಿಹಾಸಿಕ ನಕ್ಷೆಗಳು',
+      'basemap.osm': 'ಓಪನ್‌ಸ್ಟ್ರೀಟ್‌ಮ್ಯಾಪ್',
+      'basemap.light': 'ತಿಳಿ ಬೂದು',
+      'basemap.satellite': 'ಉಪಗ್ರಹ ಚಿತ್ರ',
+      'basemap.hillshade': 'ಭೂಮೇಲ್ಮೈ ನೆರಳು',
+      'layer.inscriptions': 'ಶಾಸನಗಳು',
+      'layer.herostones': 'ವೀರಗಲ್ಲುಗಳು',
+      'layer.temples': 'ಪ್ರಾಚೀನ ದೇವಾಲಯಗಳು',
+      'field.currentStatus': 'ಪ್ರಸ್ತುತ ಸ್ಥಿತಿ',
+      'field.inscriptionLanguage': 'ಶಾಸನದ ಭಾಷೆ',
+      'field.fromPeriod': 'ಕಾಲ',
+      'field.heroName': 'ವೀರನ ಹೆಸರು',
+      'field.typeOfHerostone': 'ಪ್ರಕಾರ',
+      'field.period': 'ಕಾಲ',
+      'field.script': 'ಲಿಪಿ',
+      'field.conservationStatus': 'ಸಂರಕ್ಷಣಾ ಸ್ಥಿತಿ',
+      'field.withInscription': 'ಶಾಸನ ಸಹಿತ',
+      'field.village': 'ಗ್ರಾಮ',
+      'field.century': 'ಶತಮಾನ',
+      'field.mainDeity': 'ಪ್ರಧಾನ ದೇವತೆ',
+      'field.architecturalStyle': 'ಶೈಲಿ',
+      'field.templeStatus': 'ದೇವಾಲಯದ ಪ್ರಸ್ತುತ ಸ್ಥಿತಿ',
+      'facets.title': 'ಶೋಧಕಗಳು',
+      'time.from': 'ಇಂದ',
+      'time.to': 'ವರೆಗೆ',
+      'time.play': 'ಪ್ರಾರಂಭಿಸಿ',
+      'time.pause': 'ವಿರಾಮ',
+      'time.undated': 'ದಿನಾಂಕವಿಲ್ಲದ ತಾಣಗಳನ್ನು ತೋರಿಸಿ',
+      'sites.one': '{count} ತಾಣ',
+      'sites.other': '{count} ತಾಣಗಳು',
+      'status.updated': 'ದತ್ತಾಂಶ ನವೀಕರಣ: {time}',
+      'status.offline': 'ಆಫ್‌ಲೈನ್',
+      'status.lastUpdated': 'ದತ್ತಾಂಶ ಕೊನೆಯ ನವೀಕರಣ: {date}',
+      'time.justNow': 'ಈಗಷ್ಟೇ',
+      'time.minutesAgo': '{count} ನಿಮಿಷಗಳ ಹಿಂದೆ',
+      'time.hourAgo': '{count} ಗಂಟೆಯ ಹಿಂದೆ',
+      'time.hoursAgo': '{count} ಗಂಟೆಗಳ ಹಿಂದೆ',
+      'time.dayAgo': '{count} ದಿನದ ಹಿಂದೆ',
+      'time.daysAgo': '{count} ದಿನಗಳ ಹಿಂದೆ',
+      'export.title': 'ತಾಣಗಳನ್ನು ರಫ್ತು ಮಾಡಿ',
+      'export.visible': 'ನಕ್ಷೆಯಲ್ಲಿ ಕಾಣುವವು ({count})',
+      'export.search': 'ಹುಡುಕಾಟದ ಫಲಿತಾಂಶಗಳು ({count})',
+      'export.empty': 'ರಫ್ತು ಮಾಡಲು ಯಾವುದೇ ತಾಣಗಳಿಲ್ಲ. ಒಂದು ಪದರವನ್ನು ಆನ್ ಮಾಡಿ ಅಥವಾ ಶೋಧಕಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ.',
+      'geo.unsupported': 'ನಿಮ್ಮ ಬ್ರೌಸರ್ ಸ್ಥಳ ಪತ್ತೆಯನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ',
+      'geo.failed': 'ನಿಮ್ಮ ಸ್ಥಳವನ್ನು ಪಡೆಯಲಾಗಲಿಲ್ಲ',
+      'geo.denied': 'ಸ್ಥಳದ ಅನುಮತಿ ನಿರಾಕರಿಸಲಾಗಿದೆ. ದಯವಿಟ್ಟು ಸ್ಥಳ ಪ್ರವೇಶವನ್ನು ಸಕ್ರಿಯಗೊಳಿಸಿ.',
+      'geo.unavailable': 'ಸ್ಥಳದ ಮಾಹಿತಿ ಲಭ್ಯವಿಲ್ಲ.',
+      'geo.timeout': 'ಸ್ಥಳದ ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ.',
+      'geo.title': 'ನಿಮ್ಮ ಸ್ಥಳ',
+      'geo.latitude': 'ಅಕ್ಷಾಂಶ',
+      'geo.longitude': 'ರೇಖಾಂಶ',
+      'geo.accuracy': 'ನಿಖರತೆ',
+      'error.app': 'ಅಪ್ಲಿಕೇಶನ್ ಲೋಡ್ ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಪುಟವನ್ನು ಮರುಲೋಡ್ ಮಾಡಿ.',
+      'error.ui': 'ಬಳಕೆದಾರ ಇಂಟರ್ಫೇಸ್ ಪ್ರಾರಂಭಿಸಲಾಗಲಿಲ್ಲ.',
+      'error.data': 'ಪರಂಪರೆ ತಾಣಗಳ ದತ್ತಾಂಶ ಲೋಡ್ ಆಗಲಿಲ್ಲ.',
+      'error.layer': '{layer} ದತ್ತಾಂಶ ಲೋಡ್ ಆಗಲಿಲ್ಲ. ನಿಮ್ಮ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'error.process': 'ಪರಂಪರೆ ತಾಣಗಳ ದತ್ತಾಂಶವನ್ನು ಸಂಸ್ಕರಿಸಲಾಗಲಿಲ್ಲ.',
+      'error.navigate': 'ಆಯ್ಕೆ ಮಾಡಿದ ಸ್ಥಳಕ್ಕೆ ಹೋಗಲಾಗಲಿಲ್ಲ',
+      'error.export': 'ತಾಣಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಲಿಲ್ಲ.',
+      'error.copy': 'ಕ್ಲಿಪ್‌ಬೋರ್ಡ್‌ಗೆ ನಕಲಿಸಲಾಗಲಿಲ್ಲ.',
+      'popup.details': 'ಹೆಚ್ಚಿನ ವಿವರಗಳು',
+      'popup.model': '3D ಮಾದರಿ ನೋಡಿ',
+      'panel.close': 'ತಾಣದ ವಿವರಗಳನ್ನು ಮುಚ್ಚಿ',
+      'panel.coordinates': 'ನಿರ್ದೇಶಾಂಕಗಳು',
+      'panel.copyCoordinates': 'ನಿರ್ದೇಶಾಂಕಗಳನ್ನು ನಕಲಿಸಿ',
+      'panel.links': 'ಕೊಂಡಿಗಳು',
+      'panel.show': 'ನಕ್ಷೆಯಲ್ಲಿ ತೋರಿಸಿ',
+      'panel.copyLink': 'ಈ ತಾಣದ ಕೊಂಡಿಯನ್ನು ನಕಲಿಸಿ',
+      'panel.osm': 'ಓಪನ್‌ಸ್ಟ್ರೀಟ್‌ಮ್ಯಾಪ್',
+      'panel.directions': 'ದಾರಿ',
+      'panel.nearby': 'ಹತ್ತಿರದ ತಾಣಗಳು',
+      'panel.siteId': 'ತಾಣದ ID',
+      'nearby.title': 'ಹತ್ತಿರದ ತಾಣಗಳು',
+      'nearby.close': 'ಹತ್ತಿರದ ತಾಣಗಳನ್ನು ಮುಚ್ಚಿ',
+      'nearby.here': 'ಇಲ್ಲಿಗೆ ಹತ್ತಿರದ ತಾಣಗಳು',
+      'nearby.point': 'ಆಯ್ದ ಸ್ಥಳ',
+      'nearby.radius': 'ತ್ರಿಜ್ಯ',
+      'nearby.sort': 'ವಿಂಗಡಿಸಿ',
+      'nearby.byDistance': 'ದೂರ',
+      'nearby.byBearing': 'ದಿಕ್ಕು',
+      'nearby.summary': '{origin} ಇಂದ {radius} ಒಳಗೆ {sites}',
+      'nearby.more': 'ಹತ್ತಿರದ {count} ತೋರಿಸಲಾಗಿದೆ',
+      'nearby.none': '{radius} ಒಳಗೆ ಯಾವುದೇ ಗೋಚರ ತಾಣಗಳಿಲ್ಲ. ದೊಡ್ಡ ತ್ರಿಜ್ಯವನ್ನು ಆರಿಸಿ ಅಥವಾ ಹೆಚ್ಚಿನ ಪದರಗಳನ್ನು ತೋರಿಸಿ.',
+      'nearby.note': 'ಯಾವುದೇ ಸ್ಥಳದ ಸುತ್ತ ಹುಡುಕಲು ನಕ್ಷೆಯ ಮೇಲೆ ಬಲ-ಕ್ಲಿಕ್ ಮಾಡಿ ಅಥವಾ ದೀರ್ಘವಾಗಿ ಒತ್ತಿರಿ.',
+      'trail.title': 'ಪರಂಪರೆ ಮಾರ್ಗ',
+      'trail.close': 'ಮಾರ್ಗ ಯೋಜಕವನ್ನು ಮುಚ್ಚಿ',
+      'trail.add': 'ಮಾರ್ಗಕ್ಕೆ ಸೇರಿಸಿ',
+      'trail.remove': 'ಮಾರ್ಗದಿಂದ ತೆಗೆಯಿರಿ',
+      'trail.empty': 'ಇನ್ನೂ ನಿಲುಗಡೆಗಳಿಲ್ಲ. ಹುಡುಕಾಟ ಫಲಿತಾಂಶಗಳಿಂದ ಅಥವಾ ತಾಣದ ವಿವರಗಳಿಂದ ತಾಣಗಳನ್ನು ಸೇರಿಸಿ.',
+      'trail.mode': 'ಪ್ರಯಾಣ',
+      'trail.walk': 'ನಡಿಗೆ',
+      'trail.drive': 'ವಾಹನ',
+      'trail.optimise': 'ಕ್ರಮವನ್ನು ಸುಧಾರಿಸಿ',
+      'trail.export': 'GPX ರಫ್ತು',
+      'trail.summary': '{stops} · {distance} · ಸುಮಾರು {duration}',
+      'trail.estimate': 'ದೂರ ಮತ್ತು ಸಮಯವನ್ನು ನಿಲುಗಡೆಗಳ ನಡುವಿನ ನೇರ ರೇಖೆಗಳಿಂದ ಅಂದಾಜಿಸಲಾಗಿದೆ.',
+      'trail.routeFailed': 'ಮಾರ್ಗವನ್ನು ಲೆಕ್ಕಹಾಕಲಾಗಲಿಲ್ಲ; ನೇರ ರೇಖೆಗಳನ್ನು ತೋರಿಸಲಾಗಿದೆ.',
+      'trail.routing': 'ಮಾರ್ಗ ಲೆಕ್ಕಹಾಕಲಾಗುತ್ತಿದೆ…',
+      'trail.moveUp': 'ಮುಂಚಿತವಾಗಿ ಸರಿಸಿ',
+      'trail.moveDown': 'ನಂತರಕ್ಕೆ ಸರಿಸಿ',
+      'trail.full': 'ಒಂದು ಮಾರ್ಗದಲ್ಲಿ ಗರಿಷ್ಠ {count} ನಿಲುಗಡೆಗಳಿರಬಹುದು.',
+      'trail.minutes': '{m} ನಿಮಿಷ',
+      'trail.hours': '{h} ಗಂ {m} ನಿಮಿಷ',
+      'trail.name': 'ಪರಂಪರೆ ಮಾರ್ಗ',
+      'tour.title': 'ಕಥಾ ಪ್ರವಾಸಗಳು',
+      'tour.loading': 'ಪ್ರವಾಸಗಳನ್ನು ತರಲಾಗುತ್ತಿದೆ…',
+      'tour.none': 'ಯಾವುದೇ ಪ್ರವಾಸಗಳು ಲಭ್ಯವಿಲ್ಲ.',
+      'tour.steps': '{count} ಹಂತಗಳು',
+      'tour.kiosk': 'ಕಿಯೋಸ್ಕ್ ಮೋಡ್',
+      'tour.startKiosk': '{title} ಅನ್ನು ಕಿಯೋಸ್ಕ್ ಮೋಡ್‌ನಲ್ಲಿ ಪ್ರದರ್ಶಿಸಿ',
+      'tour.notFound': 'ಆ ಪ್ರವಾಸ ಕಂಡುಬಂದಿಲ್ಲ.',
+      'tour.player': 'ಕಥಾ ಪ್ರವಾಸ',
+      'tour.step': '{total} ರಲ್ಲಿ {n} ನೇ ಹಂತ',
+      'tour.previous': 'ಹಿಂದಿನ ಹಂತ',
+      'tour.next': 'ಮುಂದಿನ ಹಂತ',
+      'tour.play': 'ತಾನಾಗಿ ಪ್ರದರ್ಶಿಸಿ',
+      'tour.pause': 'ನಿಲ್ಲಿಸಿ',
+      'tour.exit': 'ಪ್ರವಾಸದಿಂದ ಹೊರಬನ್ನಿ',
+      'display.cluster': 'ಗುಂಪುಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+      'display.scatter': 'ಪ್ರತ್ಯೇಕ ತಾಣಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+      'display.density': 'ಸಾಂದ್ರತೆಯನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+      'density.style': 'ಸಾಂದ್ರತೆಯ ಶೈಲಿ',
+      'density.kde': 'ಉಷ್ಣ ನಕ್ಷೆ',
+      'density.hexbin': 'ಷಡ್ಭುಜಗಳು',
+      'density.layer': 'ಪದರ',
+      'density.allLayers': 'ಎಲ್ಲಾ ಗೋಚರ ಪದರಗಳು',
+      'density.bandwidth': 'ಪಟ್ಟಿ ಅಗಲ',
+      'density.hexSize': 'ಷಡ್ಭುಜದ ಗಾತ್ರ',
+      'density.ramp': 'ಬಣ್ಣಗಳು',
+      'density.ramp.heat': 'ಉಷ್ಣ',
+      'density.ramp.viridis': 'ವಿರಿಡಿಸ್',
+      'density.ramp.magma': 'ಮ್ಯಾಗ್ಮಾ',
+      'density.ramp.blues': 'ನೀಲಿ',
+      'density.ramp.layer': 'ಪದರದ ಬಣ್ಣ',
+      'density.perKm2': '{value} ತಾಣಗಳು/ಚ.ಕಿ.ಮೀ',
+      'historical.title': 'ಐತಿಹಾಸಿಕ ನಕ್ಷೆಗಳು',
+      'historical.map': 'ನಕ್ಷೆ',
+      'historical.hidden': 'ಯಾವುದೂ ತೋರಿಸಿಲ್ಲ',
+      'historical.none': 'ಇನ್ನೂ ಐತಿಹಾಸಿಕ ನಕ್ಷೆಗಳಿಲ್ಲ. ಕೆಳಗೆ ಸೇರಿಸಿ.',
+      'historical.opacity': 'ಅಪಾರದರ್ಶಕತೆ',
+      'historical.compare': 'ಮೂಲ ನಕ್ಷೆಯೊಂದಿಗೆ ಹೋಲಿಸಿ',
+      'historical.off': 'ಮೇಲ್ಪದರ',
+      'historical.swipe': 'ಸರಿಸುವಿಕೆ',
+      'historical.spyglass': 'ಭೂತಗನ್ನಡಿ',
+      'historical.radius': 'ಮಸೂರದ ಗಾತ್ರ',
+      'historical.divider': 'ಸರಿಸುವ ವಿಭಾಜಕ',
+      'historical.remove': 'ಈ ನಕ್ಷೆಯನ್ನು ತೆಗೆದುಹಾಕಿ',
+      'historical.add': 'ನಕ್ಷೆ ಸೇರಿಸಿ',
+      'historical.type': 'ಬಗೆ',
+      'historical.tiles': 'ಟೈಲ್ URL ({z}/{x}/{y})',
+      'historical.image': 'ಭೂನಿರ್ದೇಶಿತ ಚಿತ್ರ',
+      'historical.name': 'ಹೆಸರು',
+      'historical.url': 'URL',
+      'historical.southWest': 'ನೈಋತ್ಯ ಮೂಲೆ (ಅಕ್ಷಾಂಶ, ರೇಖಾಂಶ)',
+      'historical.northEast': 'ಈಶಾನ್ಯ ಮೂಲೆ (ಅಕ್ಷಾಂಶ, ರೇಖಾಂಶ)',
+      'historical.attribution': 'ಕೃಪೆ',
+      'historical.addButton': 'ನಕ್ಷೆ ಸೇರಿಸಿ',
+      'historical.invalidUrl': 'ನಕ್ಷೆಯ ಚಿತ್ರದ ವೆಬ್ ವಿಳಾಸವನ್ನು ನಮೂದಿಸಿ.',
+      'historical.invalidTiles': '{z}, {x} ಮತ್ತು {y} ಇರುವ ಟೈಲ್ ವಿಳಾಸವನ್ನು ನಮೂದಿಸಿ.',
+      'historical.invalidCorners': 'ನೈಋತ್ಯ ಮತ್ತು ಈಶಾನ್ಯ ಮೂಲೆಗಳನ್ನು ನಿರ್ದೇಶಾಂಕಗಳಾಗಿ ನಮೂದಿಸಿ, ಉದಾ. 12.93, 77.55.',
+      'compass.N': 'ಉತ್ತರ',
+      'compass.NE': 'ಈಶಾನ್ಯ',
+      'compass.E': 'ಪೂರ್ವ',
+      'compass.SE': 'ಆಗ್ನೇಯ',
+      'compass.S': 'ದಕ್ಷಿಣ',
+      'compass.SW': 'ನೈಋತ್ಯ',
+      'compass.W': 'ಪಶ್ಚಿಮ',
+      'compass.NW': 'ವಾಯವ್ಯ',
+      'lightbox.label': 'ಮಾಧ್ಯಮ ವೀಕ್ಷಕ',
+      'lightbox.close': 'ವೀಕ್ಷಕವನ್ನು ಮುಚ್ಚಿ',
+      'lightbox.previous': 'ಹಿಂದಿನದು',
+      'lightbox.next': 'ಮುಂದಿನದು',
+      'lightbox.open': 'ಮೂಲವನ್ನು ತೆರೆಯಿರಿ',
+      'lightbox.credit': 'ಕೃಪೆ: {credit}',
+      'lightbox.missing': 'ಈ ಚಿತ್ರ ಲಭ್ಯವಿಲ್ಲ.',
+      'lightbox.videoExternal': 'ಈ ವೀಡಿಯೊ ಹೊಸ ಟ್ಯಾಬ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ.',
+      'lightbox.documentExternal': 'ಈ ದಾಖಲೆ ಹೊಸ ಟ್ಯಾಬ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ.',
+      'model.close': '3D ವೀಕ್ಷಕವನ್ನು ಮುಚ್ಚಿ',
+      'model.lighting': 'ಬೆಳಕು',
+      'model.preset.studio': 'ಸ್ಟುಡಿಯೋ',
+      'model.preset.daylight': 'ಹಗಲು ಬೆಳಕು',
+      'model.preset.museum': 'ವಸ್ತುಸಂಗ್ರಹಾಲಯ',
+      'model.raking': 'ಓರೆ ಬೆಳಕು',
+      'model.rakingDirection': 'ಓರೆ ಬೆಳಕಿನ ದಿಕ್ಕು',
+      'model.measure': 'ಅಳತೆ',
+      'model.reset': 'ನೋಟವನ್ನು ಮರುಹೊಂದಿಸಿ',
+      'model.file': 'ಮಾದರಿ ಫೈಲ್',
+      'model.loading': '3D ಮಾದರಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ…',
+      'model.loadingProgress': '3D ಮಾದರಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ… {percent}%',
+      'model.tapTwo': 'ಮಾದರಿಯ ಮೇಲೆ ಎರಡು ಬಿಂದುಗಳನ್ನು ಒತ್ತಿ',
+      'model.tapSecond': 'ಎರಡನೇ ಬಿಂದುವನ್ನು ಒತ್ತಿ',
+      'model.failed': '{error} ನೀವು ಮಾದರಿ ಫೈಲ್ ಅನ್ನು ಡೌನ್‌ಲೋಡ್ ಮಾಡಬಹುದು.'
+    }
   },
-  // Store all markers with searchable data
-  allMarkersData: [],
-  // Track highlighted markers
-  highlightedMarkers: [],
-  // Store current search results for click handling
-  currentSearchResults: [],
-  markerCluster: null,
-  layerControl: null,
   
   /**
-   * Initialize the application
+   * Pick the saved language, else the browser's if it is Kannada
    * @public
    */
   init: function() {
+    let saved = null;
     try {
-      this.initMap();
-      this.initUI();
-      this.loadData();
-      console.log('Heritage WebGIS Application initialized successfully');
+      saved = localStorage.getItem(CONSTANTS.I18N.STORAGE_KEY);
     } catch (error) {
-      console.error('Failed to initialize application:', error);
-      this.showError('Failed to load the application. Please refresh the page.');
+      // Storage can be blocked (private mode); fall through to the browser language
     }
+    const browser = (navigator.language || '').toLowerCase().startsWith('kn') ? 'kn' : null;
+    this.lang = [saved, browser].find(lang => lang && this.STRINGS[lang]) || CONSTANTS.I18N.DEFAULT;
   },
   
   /**
-   * Initialize the map and its components
+   * Change and remember the language, then translate the page
+   * @param {string} lang - Language code (en or kn)
+   * @returns {boolean} True if the language changed
    * @public
    */
-  initMap: function() {
+  setLanguage: function(lang) {
+    if (!this.STRINGS[lang] || lang === this.lang) return false;
+    this.lang = lang;
     try {
-      // Create the map
-      this.map = L.map(CONSTANTS.DOM.MAP, { 
-        zoomControl: this.config.map.zoomControl 
-      }).setView(this.config.map.center, this.config.map.zoom);
-    
-    // Create base layers (OSM only)
-    this.baseLayers = {
-      "OSM": L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OSM',
-        opacity: 0.7
-      })
-    };
-    
-    // Add OSM basemap by default
-    this.baseLayers["OSM"].addTo(this.map);
-    // Add scale control to bottom left
-    L.control.scale({ position: 'bottomleft' }).addTo(this.map);
-    // Hide default attribution control
-    this.map.attributionControl.setPrefix("");
-    this.map.attributionControl.setPosition('bottomright');
-    document.querySelector('.leaflet-control-attribution').style.display = 'none';
-    // Enable clustering and heritage layers by default with zoom-dependent radius
-    this.markerCluster = L.markerClusterGroup({
-      maxClusterRadius: function(zoom) {
-        // Hybrid approach: larger radius at lower zoom, smaller at higher zoom
-        // Zoom 1-8: Very zoomed out (country/region level) - large clusters
-        // Zoom 9-12: City level - medium clusters
-        // Zoom 13-15: Neighborhood level - smaller clusters
-        // Zoom 16+: Street level - very small clusters
-        if (zoom <= 8) return 120;      // Large clusters for overview
-        if (zoom <= 11) return 80;      // Medium clusters for city view
-        if (zoom <= 14) return 50;      // Smaller clusters for neighborhood
-        if (zoom <= 17) return 30;      // Small clusters for street level
-        return 20;                       // Very small clusters when zoomed in
-      },
-      spiderfyOnMaxZoom: true,          // Show spider layout at max zoom
-      showCoverageOnHover: false,       // Don't show cluster bounds on hover
-      zoomToBoundsOnClick: true,        // Zoom to show all markers on click
-      disableClusteringAtZoom: 19,      // Disable clustering at zoom 19+ (very close)
-      spiderLegPolylineOptions: {       // Style for spider legs
-        weight: 1.5,
-        color: '#72383D',
-        opacity: 0.6
-      },
-      iconCreateFunction: function(cluster) {
-        // Count markers by heritage type
-        const markers = cluster.getAllChildMarkers();
-        const counts = { inscriptions: 0, herostones: 0, temples: 0 };
-        
-        markers.forEach(marker => {
-          const icon = marker.options.icon;
-          if (icon && icon.options && icon.options.className) {
-            const className = icon.options.className;
-            if (className.includes('marker-inscriptions')) counts.inscriptions++;
-            else if (className.includes('marker-herostones')) counts.herostones++;
-            else if (className.includes('marker-temples')) counts.temples++;
-          }
-        });
-        
-        const total = counts.inscriptions + counts.herostones + counts.temples;
-        
-        // Create donut chart SVG
-        const size = 50;
-        const center = size / 2;
-        const radius = 18;
-        const innerRadius = 12;
-        
-        // Calculate percentages and create pie slices
-        let currentAngle = -90; // Start from top
-        const colors = {
-          inscriptions: '#d32f2f',  // dark red - matches marker color
-          herostones: '#388e3c',    // dark green - matches marker color
-          temples: '#303f9f'        // dark blue - matches marker color
-        };
-        
-        let paths = '';
-        Object.keys(counts).forEach(type => {
-          if (counts[type] > 0) {
-            const percentage = counts[type] / total;
-            const angle = percentage * 360;
-            const endAngle = currentAngle + angle;
-            
-            // Create donut segment path
-            const startRad = (currentAngle * Math.PI) / 180;
-            const endRad = (endAngle * Math.PI) / 180;
-            
-            const x1 = center + radius * Math.cos(startRad);
-            const y1 = center + radius * Math.sin(startRad);
-            const x2 = center + radius * Math.cos(endRad);
-            const y2 = center + radius * Math.sin(endRad);
-            const x3 = center + innerRadius * Math.cos(endRad);
-            const y3 = center + innerRadius * Math.sin(endRad);
-            const x4 = center + innerRadius * Math.cos(startRad);
-            const y4 = center + innerRadius * Math.sin(startRad);
-            
-            const largeArc = angle > 180 ? 1 : 0;
-            
-            paths += `<path d="M ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} L ${x3} ${y3} A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${x4} ${y4} Z" fill="${colors[type]}" stroke="#fff" stroke-width="1"/>`;
-            
-            currentAngle = endAngle;
-          }
-        });
-        
-        const svg = `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
-          ${paths}
-          <circle cx="${center}" cy="${center}" r="${innerRadius}" fill="white"/>
-          <text x="${center}" y="${center}" text-anchor="middle" dominant-baseline="central" font-size="14" font-weight="bold" fill="#333">${total}</text>
-        </svg>`;
-        
-        return L.divIcon({
-          html: svg,
-          className: 'marker-cluster-donut',
-          iconSize: L.point(size, size)
-        });
-      }
-    });
-    this.clusteringEnabled = true;
-    this.setupLayerControl();
-    // Add all overlays to map so checkboxes are checked by default
-    Object.values(this.overlays).forEach(layer => this.map.addLayer(layer));
-    // Note: markerCluster will be added after data loads (when we have markers)
-    
-    // Add custom toggle switch control below layer control
-    const self = this;
-    this.clusteringEnabled = true;
-    const ToggleControl = L.Control.extend({
-      options: { position: 'topright' },
-      onAdd: function(map) {
-        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-toggle');
-        container.innerHTML = `
-          <button id="icon-toggle-switch" class="icon-toggle-switch" aria-label="Toggle Clustering">
-            <span class="material-symbols-outlined toggle-icon toggle-cluster">graph_6</span>
-          </button>
-        `;
-        L.DomEvent.disableClickPropagation(container);
-        container.querySelector('#icon-toggle-switch').addEventListener('click', function() {
-          self.toggleClusteringControl(container);
-        });
-        return container;
-      }
-    });
-    this.toggleControl = new ToggleControl();
-    this.map.addControl(this.toggleControl);
-    
-    // Add GPS location control below clustering toggle
-    const LocationControl = L.Control.extend({
-      options: { position: 'topright' },
-      onAdd: function(map) {
-        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-location');
-        container.innerHTML = `
-          <button id="gps-locate-btn" class="gps-locate-btn" aria-label="Find My Location">
-            <i class="bi bi-crosshair"></i>
-          </button>
-        `;
-        L.DomEvent.disableClickPropagation(container);
-        container.querySelector('#gps-locate-btn').addEventListener('click', function() {
-          self.getCurrentLocation();
-        });
-        return container;
-      }
-    });
-    this.locationControl = new LocationControl();
-    this.map.addControl(this.locationControl);
-    
-    // Store current location marker
-    this.currentLocationMarker = null;
+      localStorage.setItem(CONSTANTS.I18N.STORAGE_KEY, lang);
     } catch (error) {
-      console.error('Failed to initialize map:', error);
-      throw error;
+      console.warn('Could not save language preference:', error);
     }
+    this.translateDocument();
+    return true;
   },
-
+  
   /**
-   * Show error message to user
-   * @param {string} message - Error message to display
-   * @private
+   * Look up a string, falling back to English, then to the key itself
+   * @param {string} key - Catalogue key
+   * @param {Object} [params] - Values for {placeholders}
+   * @returns {string} Translated string
+   * @public
    */
-  showError: function(message) {
-    console.error(message);
-    alert(message);
+  t: function(key, params) {
+    const template = this.STRINGS[this.lang][key] !== undefined
+      ? this.STRINGS[this.lang][key]
+      : this.STRINGS.en[key] !== undefined ? this.STRINGS.en[key] : key;
+    if (!params) return template;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match);
   },
+  
+  /**
+   * Pluralised site count, e.g. "1 site" / "3 sites"
+   * @param {number} count - Number of sites
+   * @returns {string} Translated count
+   * @public
+   */
+  siteCount: function(count) {
+    return this.t(count === 1 ? 'sites.one' : 'sites.other', { count: count.toLocaleString() });
+  },
+  
+  /**
+   * Translated label for something whose English label lives in its config
+   * @param {string} key - Catalogue key
+   * @param {string} fallback - English label
+   * @returns {string} Label
+   * @public
+   */
+  label: function(key, fallback) {
+    return this.STRINGS[this.lang][key] || fallback;
+  },
+  
+  /**
+   * Translated label for a layer registry entry
+   * @param {Object} entry - Layer registry entry
+   * @returns {string} Label
+   * @public
+   */
+  layerLabel: function(entry) {
+    return this.label(`layer.${entry.key}`, entry.label);
+  },
+  
+  /**
+   * Translated label for a registry field
+   * @param {Object} field - Field definition
+   * @returns {string} Label
+   * @public
+   */
+  fieldLabel: function(field) {
+    return this.label(`field.${field.key}`, field.label);
+  },
+  
+  /**
+   * Check whether a sheet header names a translated copy of another column
+   * @param {string} header - Lowercased, trimmed header cell
+   * @returns {boolean} True for headers such as "village (kannada)"
+   * @public
+   */
+  isLocalizedHeader: function(header) {
+    return /\bkannada\b|\(kn\)|_kn$/.test(header);
+  },
+  
+  /**
+   * Find the Kannada copy of a column, e.g. "village (kannada)" for "village"
+   * @param {Array<string>} header - Lowercased, trimmed header cells
+   * @param {number} baseIndex - Index of the English column
+   * @returns {number} Column index or -1
+   * @public
+   */
+  findLocalizedColumn: function(header, baseIndex) {
+    if (baseIndex === -1) return -1;
+    const base = header[baseIndex];
+    const candidates = CONSTANTS.I18N.COLUMN_PATTERNS.map(pattern => pattern.replace('{column}', base));
+    return header.findIndex(h => candidates.includes(h));
+  },
+  
+  /**
+   * Translate elements carrying data-i18n attributes
+   * @param {Element|Document} [root=document] - Subtree to translate
+   * @public
+   */
+  translateDocument: function(root = document) {
+    if (root === document) document.documentElement.lang = this.lang;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    [['data-i18n-placeholder', 'placeholder'], ['data-i18n-aria-label', 'aria-label'], ['data-i18n-title', 'title']]
+      .forEach(([dataAttr, attr]) => {
+        root.querySelectorAll(`[${dataAttr}]`).forEach(el => {
+          el.setAttribute(attr, this.t(el.getAttribute(dataAttr)));
+        });
+      });
+  }
+};
+
+// ============================================================================
+// CSV PARSER
+// ============================================================================
 
+/**
+ * Streaming RFC 4180 CSV parser
+ *
+ * Handles quoted fields, escaped quotes (""), CRLF/LF/CR line endings,
+ * line breaks inside quoted cells and a leading byte order mark. Text may be
+ * pushed in arbitrary chunks; malformed records are reported with their
+ * record and line numbers rather than silently shifting columns.
+ */
+const CSVParser = {
   /**
-   * Get current GPS location using browser's Geolocation API
+   * Create an incremental parser
+   * @returns {{push: function(string): void, end: function(): {rows: Array<Array<string>>, errors: Array<Object>}}}
    * @public
    */
-  getCurrentLocation: function() {
-    if (!navigator.geolocation) {
-      this.showError('Geolocation is not supported by your browser');
-      return;
-    }
-    
-    // Show loading state
-    const btn = document.getElementById(CONSTANTS.DOM.GPS_LOCATE_BTN);
-    if (btn) {
-      btn.classList.add('loading');
-      btn.disabled = true;
-    }
-    
-    navigator.geolocation.getCurrentPosition(
-      (position) => {
-        const lat = position.coords.lat;
-        const lng = position.coords.lng;
-        const accuracy = position.coords.accuracy;
-        
-        console.log('Current location:', lat, lng, 'Accuracy:', accuracy, 'm');
-        
-        // Remove loading state
-        if (btn) {
-          btn.classList.remove('loading');
-          btn.disabled = false;
+  createParser: function() {
+    const rows = [];
+    const errors = [];
+    let state = 'fieldStart';   // fieldStart | unquoted | quoted | quoteInQuoted
+    let field = '';
+    let record = [];
+    let recordErrors = [];
+    let recordNumber = 1;        // 1-based, header is record 1
+    let line = 1;                // physical line currently being read
+    let recordLine = 1;          // physical line where the current record began
+    let expectedLength = null;
+    let pendingCR = false;
+    let quotedCR = false;
+    let started = false;
+
+    const reportError = (message) => {
+      recordErrors.push({ row: recordNumber, line: recordLine, message: message, fatal: true });
+    };
+
+    const endField = () => {
+      record.push(field);
+      field = '';
+      state = 'fieldStart';
+    };
+
+    const endRecord = () => {
+      endField();
+      // Skip blank lines entirely
+      if (record.length === 1 && record[0] === '' && recordErrors.length === 0) {
+        record = [];
+        recordLine = line;
+        return;
+      }
+      if (expectedLength === null) {
+        expectedLength = record.length;
+      } else if (record.length !== expectedLength && !recordErrors.some(e => e.fatal)) {
+        reportError(`Expected ${expectedLength} fields but found ${record.length}`);
+      }
+      const fatal = recordErrors.some(e => e.fatal);
+      errors.push(...recordErrors);
+      if (!fatal) rows.push(record);
+      record = [];
+      recordErrors = [];
+      recordNumber++;
+      recordLine = line;
+    };
+
+    const push = (chunk) => {
+      if (!chunk) return;
+      let i = 0;
+      if (!started) {
+        started = true;
+        if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+      }
+      for (; i < chunk.length; i++) {
+        const ch = chunk[i];
+
+        // A CR at the end of the previous chunk may be followed by LF here
+        if (pendingCR) {
+          pendingCR = false;
+          if (ch === '\n') continue;
         }
-        
-        // Show location on map
-        this.showCurrentLocation(lat, lng, accuracy);
-      },
-      (error) => {
-        // Remove loading state
-        if (btn) {
-          btn.classList.remove('loading');
-          btn.disabled = false;
+
+        if (state === 'quoted') {
+          if (ch === '"') {
+            state = 'quoteInQuoted';
+          } else {
+            // Count CRLF inside a quoted cell as a single line break
+            if (ch === '\r' || (ch === '\n' && !quotedCR)) line++;
+            quotedCR = ch === '\r';
+            field += ch;
+          }
+          continue;
         }
-        
-        let errorMsg = 'Unable to get your location';
-        switch(error.code) {
-          case error.PERMISSION_DENIED:
-            errorMsg = 'Location permission denied. Please enable location access.';
-            break;
-          case error.POSITION_UNAVAILABLE:
-            errorMsg = 'Location information unavailable.';
-            break;
-          case error.TIMEOUT:
-            errorMsg = 'Location request timed out.';
-            break;
+
+        if (state === 'quoteInQuoted') {
+          if (ch === '"') {
+            // Escaped quote
+            field += '"';
+            state = 'quoted';
+            continue;
+          }
+          if (ch !== ',' && ch !== '\n' && ch !== '\r') {
+            recordErrors.push({
+              row: recordNumber,
+              line: line,
+              message: `Unexpected character after closing quote in field ${record.length + 1}`,
+              fatal: false
+            });
+            field += ch;
+            state = 'unquoted';
+            continue;
+          }
+          // Fall through to delimiter handling
+        }
+
+        if (ch === ',') {
+          endField();
+        } else if (ch === '\n' || ch === '\r') {
+          line++;
+          if (ch === '\r') {
+            if (i + 1 < chunk.length) {
+              if (chunk[i + 1] === '\n') i++;
+            } else {
+              pendingCR = true;
+            }
+          }
+          endRecord();
+        } else if (ch === '"' && state === 'fieldStart') {
+          state = 'quoted';
+        } else {
+          if (ch === '"') {
+            recordErrors.push({
+              row: recordNumber,
+              line: line,
+              message: `Unexpected quote inside unquoted field ${record.length + 1}`,
+              fatal: false
+            });
+          }
+          field += ch;
+          state = 'unquoted';
         }
-        this.showError(errorMsg);
-        console.error('Geolocation error:', error);
-      },
-      {
-        enableHighAccuracy: true,
-        timeout: CONSTANTS.UI.GEOLOCATION_TIMEOUT,
-        maximumAge: 0
       }
-    );
+    };
+
+    const end = () => {
+      if (state === 'quoted') {
+        reportError('Unterminated quoted field at end of input');
+        endRecord();
+      } else if (state !== 'fieldStart' || record.length > 0 || field !== '') {
+        endRecord();
+      }
+      return { rows: rows, errors: errors };
+    };
+
+    return { push: push, end: end };
+  },
+
+  /**
+   * Parse a complete CSV string
+   * @param {string} text - CSV text
+   * @returns {{rows: Array<Array<string>>, errors: Array<Object>}} Parsed rows and malformed row reports
+   * @public
+   */
+  parse: function(text) {
+    const parser = this.createParser();
+    parser.push(text);
+    return parser.end();
+  }
+};
+
+// ============================================================================
+// CHRONOLOGY
+// ============================================================================
+
+/**
+ * Approximate reign of dynasties and periods named in the sheets, in years CE
+ * as they apply to the Bengaluru region. More specific names come first so
+ * "Western Ganga" matches before "Ganga".
+ */
+const DYNASTY_PERIODS = [
+  { names: ['satavahana'], start: -230, end: 220 },
+  { names: ['kadamba'], start: 345, end: 540 },
+  { names: ['nolamba'], start: 750, end: 1050 },
+  { names: ['pallava'], start: 275, end: 897 },
+  { names: ['western ganga', 'talakad ganga', 'ganga'], start: 350, end: 1000 },
+  { names: ['badami chalukya', 'early chalukya'], start: 543, end: 753 },
+  { names: ['rashtrakuta'], start: 753, end: 982 },
+  { names: ['kalyani chalukya', 'western chalukya', 'later chalukya', 'chalukya'], start: 973, end: 1189 },
+  { names: ['chola'], start: 1000, end: 1120 },
+  { names: ['hoysala'], start: 1026, end: 1343 },
+  { names: ['vijayanagara', 'vijayanagar'], start: 1336, end: 1646 },
+  { names: ['nadaprabhu', 'kempegowda', 'yelahanka'], start: 1513, end: 1728 },
+  { names: ['maratha'], start: 1638, end: 1687 },
+  { names: ['mughal'], start: 1687, end: 1759 },
+  { names: ['wodeyar', 'wadiyar', 'mysore kingdom'], start: 1399, end: 1947 },
+  { names: ['hyder ali', 'tipu sultan', 'tipu'], start: 1761, end: 1799 },
+  { names: ['british', 'colonial'], start: 1799, end: 1947 }
+];
+
+/**
+ * Calendar eras found in inscription dates, with the years to add to reach
+ * CE. Eras that a constant offset cannot convert (lunar reckonings) have a
+ * null offset; years in them are left undated rather than read as CE.
+ */
+const CALENDAR_ERAS = [
+  { names: ['saka', 'shaka', 'salivahana', 'shalivahana', 's.s.', 's. s.'], offset: 78 },
+  { names: ['vikrama', 'vikram', 'samvat'], offset: -57 },
+  { names: ['kollam'], offset: 825 },
+  { names: ['kali', 'kaliyuga'], offset: -3101 },
+  { names: ['hijri', 'hegira', 'fasli'], offset: null }
+].map(era => Object.assign(era, {
+  // Abbreviations such as "S.S." (Saka Samvat) carry literal dots
+  pattern: new RegExp(`(^|[^a-z])(?:${era.names.map(name => name.replace(/\./g, '\\.')).join('|')})(?![a-z])`, 'g')
+}));
+
+/**
+ * Chronology parser
+ *
+ * Turns free-text dates from the sheets ("10th century", "c. 1100 CE",
+ * "Ganga period", "12th-13th C", "Saka 1100") into a numeric year range so
+ * sites from different layers can be compared. BCE years are negative.
+ */
+const Chronology = {
+  ORDINAL_WORDS: {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7,
+    eighth: 8, ninth: 9, tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13,
+    fourteenth: 14, fifteenth: 15, sixteenth: 16, seventeenth: 17,
+    eighteenth: 18, nineteenth: 19, twentieth: 20
   },
   
   /**
-   * Show current location on map with pulsing marker
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @param {number} accuracy - Location accuracy in meters
+   * Parse a free-text date into a year range
+   * @param {string} text - Period, century or date text
+   * @returns {{start: number, end: number, source: string}|null} Year range or null
    * @public
    */
-  showCurrentLocation: function(lat, lng, accuracy) {
-    // Remove previous location marker if exists
-    if (this.currentLocationMarker) {
-      this.map.removeLayer(this.currentLocationMarker);
-    }
-    
-    // Create location marker with pulsing blue dot
-    this.currentLocationMarker = L.marker([lat, lng], {
-      icon: L.divIcon({
-        html: '<div class="current-location-marker"><div class="pulse"></div><div class="dot"></div></div>',
-        iconSize: [20, 20],
-        iconAnchor: [10, 10],
-        popupAnchor: [0, -10],
-        className: 'current-location-icon'
-      }),
-      zIndexOffset: 2000
-    });
-    
-    // Add popup with location info
-    this.currentLocationMarker.bindPopup(`
-      <b>Your Location</b><br>
-      Latitude: ${lat.toFixed(6)}<br>
-      Longitude: ${lng.toFixed(6)}<br>
-      <small>Accuracy: ±${Math.round(accuracy)}m</small>
-    `);
+  parse: function(text) {
+    if (!text) return null;
+    let value = text.toString().toLowerCase()
+      .replace(/[\u2012-\u2015]/g, '-')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!value) return null;
     
-    // Add to map
-    this.currentLocationMarker.addTo(this.map);
+    // "tenth century" -> "10th century"; "first half" is left alone
+    value = value.replace(/\b([a-z]+)(?=\s*(?:-|to|and|\/)?\s*(?:[a-z]+\s*)?(?:c\b|c\.|cent|century|centuries))/g,
+      (word) => this.ORDINAL_WORDS[word] ? `${this.ORDINAL_WORDS[word]}th` : word);
+    // "1st half of 12th c" -> "first half of 12th c", so the 1 is not read as the century
+    value = value.replace(/\b(1st|2nd)(?=\s*half\b)/g, (ordinal) => ordinal === '1st' ? 'first' : 'second');
     
-    // Zoom to location
-    this.map.setView([lat, lng], CONSTANTS.MAP.LOCATION_ZOOM, {
-      animate: true,
-      duration: 1
+    const bce = /\b(bce|b\.c\.e?\.?|bc)\b/.test(value);
+    const plain = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const era = CALENDAR_ERAS.find(candidate => {
+      candidate.pattern.lastIndex = 0;
+      return candidate.pattern.test(plain);
     });
     
-    // Open popup after zoom animation
-    setTimeout(() => {
-      this.currentLocationMarker.openPopup();
-    }, CONSTANTS.UI.POPUP_DELAY);
+    return this.parseCenturies(value, bce) ||
+      (era ? this.parseEraYears(plain, era) : this.parseYears(value, bce)) ||
+      this.parseDynasty(value);
   },
-
+  
   /**
-   * Enable clustering for all visible heritage layers
-   * @public
+   * Parse years given in another calendar era ("Saka 1100", "Vikrama samvat
+   * 1250") and convert them to CE. A CE year stated alongside
+   * ("Saka 1100 (1178 CE)") is used as it stands.
+   * @param {string} plain - Normalised text without diacritics
+   * @param {Object} era - CALENDAR_ERAS entry named in the text
+   * @returns {Object|null} Year range, or null if the era cannot be converted
+   * @private
    */
-  enableClusteringForVisibleHeritageLayers: function() {
-    // Move markers from overlays to markerCluster
-    Object.keys(this.overlays).forEach(key => {
-      const layer = this.overlays[key];
-      const markers = this.markersByLayer[key];
-      // Remove markers from overlay
-      markers.forEach(marker => layer.removeLayer(marker));
-      // Add markers to cluster
-      markers.forEach(marker => this.markerCluster.addLayer(marker));
-    });
-    // Add markerCluster to map
-    if (!this.map.hasLayer(this.markerCluster)) {
-      this.map.addLayer(this.markerCluster);
-    }
-    this.clusteringEnabled = true;
-    this.updateClusteringControlIcon();
+  parseEraYears: function(plain, era) {
+    const stated = plain.match(/\b\d{3,4}\s*(?:ce\b|c\.e\.?|ad\b|a\.d\.?)|\b(?:ad|a\.d\.?)\s*\d{3,4}\b/);
+    if (stated) return this.parseYears(stated[0], false);
+    if (era.offset === null) return null;
+    
+    const years = this.parseYears(plain.replace(era.pattern, '$1 '), false);
+    if (!years) return null;
+    return { start: years.start + era.offset, end: years.end + era.offset, source: 'year' };
   },
-
+  
   /**
-   * Disable clustering for all visible heritage layers
-   * @public
+   * Parse ordinal century expressions, including ranges and qualifiers
+   * @param {string} value - Normalised text
+   * @param {boolean} bce - Whether the text is BCE
+   * @returns {Object|null} Year range or null
+   * @private
    */
-  disableClusteringForVisibleHeritageLayers: function() {
-    // Move markers from markerCluster back to overlays
-    Object.keys(this.overlays).forEach(key => {
-      const layer = this.overlays[key];
-      const markers = this.markersByLayer[key];
-      // Remove markers from cluster
-      markers.forEach(marker => this.markerCluster.removeLayer(marker));
-      // Add markers back to overlay
-      markers.forEach(marker => layer.addLayer(marker));
-    });
-    // Remove markerCluster from map
-    if (this.map.hasLayer(this.markerCluster)) {
-      this.map.removeLayer(this.markerCluster);
+  parseCenturies: function(value, bce) {
+    const marker = '(?:\\s*(c\\b|c\\.|cent\\b|cent\\.|century|centuries))?';
+    const ordinal = '(\\d{1,2})\\s*(st|nd|rd|th)?';
+    // "mid 12th" or "mid-12th"
+    const qualifier = '(early|mid|middle|late|first half of(?: the)?|second half of(?: the)?)?[\\s-]*';
+    const range = new RegExp(`${qualifier}${ordinal}${marker}\\s*(?:-|to|and|/)\\s*${qualifier}${ordinal}${marker}`);
+    const single = new RegExp(`${qualifier}${ordinal}${marker}`);
+    
+    let match = value.match(range);
+    if (match && (match[3] || match[4] || match[7] || match[8])) {
+      const first = this.centuryToYears(parseInt(match[2], 10), match[1], bce);
+      const second = this.centuryToYears(parseInt(match[6], 10), match[5], bce);
+      if (first && second) {
+        return {
+          start: Math.min(first.start, second.start),
+          end: Math.max(first.end, second.end),
+          source: 'century'
+        };
+      }
     }
-    this.clusteringEnabled = false;
-    this.updateClusteringControlIcon();
+    
+    match = value.match(single);
+    if (match && (match[3] || match[4])) {
+      const years = this.centuryToYears(parseInt(match[2], 10), match[1], bce);
+      if (years) return Object.assign(years, { source: 'century' });
+    }
+    return null;
   },
-
+  
   /**
-   * Toggle clustering on/off
-   * @param {HTMLElement} container - Control container element
-   * @public
+   * Convert a century number to a year range
+   * @param {number} century - Century (1-21)
+   * @param {string} [qualifier] - early, mid, late, first half, second half
+   * @param {boolean} bce - Whether the century is BCE
+   * @returns {{start: number, end: number}|null} Year range
+   * @private
    */
-  toggleClusteringControl: function(container) {
-    if (this.clusteringEnabled) {
-      this.disableClusteringForVisibleHeritageLayers();
-    } else {
-      this.enableClusteringForVisibleHeritageLayers();
+  centuryToYears: function(century, qualifier, bce) {
+    if (!century || century < 1 || century > 21) return null;
+    let start = (century - 1) * 100 + 1;
+    let end = century * 100;
+    if (qualifier) {
+      if (qualifier === 'early') end = start + 32;
+      else if (qualifier === 'mid' || qualifier === 'middle') { start += 33; end = start + 33; }
+      else if (qualifier === 'late') start += 67;
+      else if (qualifier.startsWith('first half')) end = start + 49;
+      else if (qualifier.startsWith('second half')) start += 50;
     }
+    return bce ? { start: -end, end: -start } : { start: start, end: end };
   },
-
+  
   /**
-   * Update clustering control icon based on current state
+   * Parse explicit years and year ranges ("1100", "c. 1100 CE", "1100-1150")
+   * @param {string} value - Normalised text
+   * @param {boolean} bce - Whether the text is BCE
+   * @returns {Object|null} Year range or null
    * @private
    */
-  updateClusteringControlIcon: function() {
-    const control = document.querySelector('.icon-toggle-switch .toggle-icon');
-    if (!control) return;
-    if (this.clusteringEnabled) {
-      control.classList.remove('toggle-scatter');
-      control.classList.add('toggle-cluster');
-      control.textContent = 'graph_6';
-    } else {
-      control.classList.remove('toggle-cluster');
-      control.classList.add('toggle-scatter');
-      control.textContent = 'grain';
+  parseYears: function(value, bce) {
+    const sign = bce ? -1 : 1;
+    const range = value.match(/\b(\d{3,4})\s*(?:-|to)\s*(\d{2,4})\b/);
+    if (range) {
+      const from = parseInt(range[1], 10);
+      let to = parseInt(range[2], 10);
+      // "1100-50" -> 1150
+      if (range[2].length < range[1].length) {
+        const base = Math.pow(10, range[2].length);
+        to = Math.floor(from / base) * base + to;
+      }
+      const a = sign * from;
+      const b = sign * to;
+      return { start: Math.min(a, b), end: Math.max(a, b), source: 'year' };
     }
+    const single = value.match(/(?:\b(c\.?|ca\.?|circa|about)\s*)?\b(\d{3,4})\b/);
+    if (single) {
+      const year = sign * parseInt(single[2], 10);
+      const margin = single[1] ? CONSTANTS.CHRONOLOGY.CIRCA_MARGIN : 0;
+      return { start: year - margin, end: year + margin, source: 'year' };
+    }
+    return null;
   },
   
   /**
-   * Setup the grouped layer control with heritage layers
+   * Look up a dynasty or period name
+   * @param {string} value - Normalised text
+   * @returns {Object|null} Year range or null
    * @private
    */
-  setupLayerControl: function() {
-    // Grouped overlays structure with colored dots
-    const groupedOverlays = {
-      "Heritage Layers": {
-        '<span class="layer-label-inscriptions">Inscriptions</span>': this.overlays.inscriptions,
-        '<span class="layer-label-herostones">Herostones</span>': this.overlays.herostones,
-        '<span class="layer-label-temples">Ancient Temples</span>': this.overlays.temples
-      }
-    };
-    
-    // Add grouped layer control (empty baseLayers object since OSM is the only default)
-    this.layerControl = L.control.groupedLayers({}, groupedOverlays, {
-      groupCheckboxes: true,
-      collapsed: true
-    }).addTo(this.map);
-    
-    // Listen to layer add/remove events to update clustering
-    this.map.on('overlayadd', (e) => {
-      // Find which layer was added
-      const layerKey = this.getLayerKey(e.layer);
-      if (layerKey && this.clusteringEnabled) {
-        // Add markers back to cluster
-        const markers = this.markersByLayer[layerKey];
-        markers.forEach(marker => {
-          if (!this.markerCluster.hasLayer(marker)) {
-            this.markerCluster.addLayer(marker);
-          }
-        });
-      }
-    });
-    
-    this.map.on('overlayremove', (e) => {
-      // Find which layer was removed
-      const layerKey = this.getLayerKey(e.layer);
-      if (layerKey && this.clusteringEnabled) {
-        // Remove markers from cluster
-        const markers = this.markersByLayer[layerKey];
-        markers.forEach(marker => {
-          if (this.markerCluster.hasLayer(marker)) {
-            this.markerCluster.removeLayer(marker);
-          }
-        });
+  parseDynasty: function(value) {
+    for (const dynasty of DYNASTY_PERIODS) {
+      if (dynasty.names.some(name => new RegExp(`\\b${name}`).test(value))) {
+        return { start: dynasty.start, end: dynasty.end, source: 'dynasty' };
       }
-    });
+    }
+    return null;
   },
   
   /**
-   * Get the layer key for a given layer object
-   * @param {L.LayerGroup} layer - Leaflet layer group
-   * @returns {string|null} Layer key or null
-   * @private
+   * Check whether a range overlaps a window
+   * @param {{start: number, end: number}} range - Year range
+   * @param {number} from - Window start year
+   * @param {number} to - Window end year
+   * @returns {boolean} True if they overlap
+   * @public
    */
-  getLayerKey: function(layer) {
-    if (layer === this.overlays.inscriptions) return 'inscriptions';
-    if (layer === this.overlays.herostones) return 'herostones';
-    if (layer === this.overlays.temples) return 'temples';
-    return null;
+  overlaps: function(range, from, to) {
+    return !!range && range.start <= to && range.end >= from;
   },
   
   /**
-   * Initialize UI event handlers and interactions
+   * Format a year for display
+   * @param {number} year - Year (negative for BCE)
+   * @returns {string} Formatted year
    * @public
    */
-  initUI: function() {
-    try {
-      // Cache DOM elements once for better performance
-      this.domCache = {
-        menuBtn: document.getElementById(CONSTANTS.DOM.MENU_BTN),
-        sidebar: document.getElementById(CONSTANTS.DOM.SIDEBAR),
-        sidebarOverlay: document.getElementById(CONSTANTS.DOM.SIDEBAR_OVERLAY),
-        closeSidebar: document.getElementById(CONSTANTS.DOM.CLOSE_SIDEBAR),
-        searchBtn: document.getElementById(CONSTANTS.DOM.SEARCH_BTN),
-        searchInput: document.getElementById(CONSTANTS.DOM.SEARCH_INPUT),
-        mobileSearchBar: document.getElementById(CONSTANTS.DOM.MOBILE_SEARCH_BAR),
-        infoBtn: document.getElementById(CONSTANTS.DOM.INFO_BTN),
-        attributionPopup: document.getElementById(CONSTANTS.DOM.ATTRIBUTION_POPUP),
-        attributionContent: document.getElementById(CONSTANTS.DOM.ATTRIBUTION_CONTENT),
-        closeAttribution: document.getElementById(CONSTANTS.DOM.CLOSE_ATTRIBUTION),
-        searchResultsDropdown: document.getElementById(CONSTANTS.DOM.SEARCH_RESULTS_DROPDOWN),
-        searchResultsContent: document.getElementById(CONSTANTS.DOM.SEARCH_RESULTS_CONTENT),
-        closeSearchResults: document.getElementById(CONSTANTS.DOM.CLOSE_SEARCH_RESULTS)
+  formatYear: function(year) {
+    return year < 0 ? `${-year} BCE` : `${year} CE`;
+  }
+};
+
+// ============================================================================
+// DATA CACHE
+// ============================================================================
+
+/**
+ * IndexedDB cache of parsed layer data
+ *
+ * Each record holds a layer's parsed CSV rows with the source URL, a version
+ * (the response ETag, or a hash of the rows when no ETag is exposed) and the
+ * time it was fetched. Every method resolves rather than rejects when
+ * IndexedDB is unavailable (private browsing, old browsers), so callers can
+ * treat the cache as best-effort.
+ */
+const DataCache = {
+  db: null,
+  
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase|null>} Database or null if unavailable
+   * @private
+   */
+  open: function() {
+    if (this.db) return Promise.resolve(this.db);
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise(resolve => {
+      const request = indexedDB.open(CONSTANTS.CACHE.DB_NAME, CONSTANTS.CACHE.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONSTANTS.CACHE.LAYER_STORE)) {
+          db.createObjectStore(CONSTANTS.CACHE.LAYER_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, running without data cache:', request.error);
+        resolve(null);
+      };
+    });
+  },
+  
+  /**
+   * Read a cached layer record
+   * @param {string} key - Layer key
+   * @returns {Promise<Object|null>} Cached record or null
+   * @public
+   */
+  get: function(key) {
+    return this.open().then(db => new Promise(resolve => {
+      if (!db) return resolve(null);
+      let request;
+      try {
+        request = db.transaction(CONSTANTS.CACHE.LAYER_STORE, 'readonly')
+          .objectStore(CONSTANTS.CACHE.LAYER_STORE)
+          .get(key);
+      } catch (error) {
+        // e.g. InvalidStateError once the connection is closing; fall back to the network
+        this.dropConnection(error);
+        return resolve(null);
+      }
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => resolve(null);
+    }));
+  },
+  
+  /**
+   * Store a layer record
+   * @param {Object} record - Record with key, url, rows, version and updatedAt
+   * @returns {Promise<boolean>} True if stored
+   * @public
+   */
+  put: function(record) {
+    return this.open().then(db => new Promise(resolve => {
+      if (!db) return resolve(false);
+      let tx;
+      try {
+        tx = db.transaction(CONSTANTS.CACHE.LAYER_STORE, 'readwrite');
+        tx.objectStore(CONSTANTS.CACHE.LAYER_STORE).put(record);
+      } catch (error) {
+        this.dropConnection(error);
+        return resolve(false);
+      }
+      const fail = () => {
+        console.warn('Failed to cache layer data:', tx.error);
+        resolve(false);
       };
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = fail;
+      // QuotaExceededError and other aborts fire only abort, not error
+      tx.onabort = fail;
+    }));
+  },
+  
+  /**
+   * Forget a connection that can no longer start transactions, so the next
+   * call opens a fresh one
+   * @param {Error} error - Error thrown while starting a transaction
+   * @private
+   */
+  dropConnection: function(error) {
+    console.warn('Data cache connection unusable:', error);
+    this.db = null;
+  },
+  
+  /**
+   * Hash parsed rows (FNV-1a) to version data served without an ETag
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   * @returns {string} Hex hash
+   * @public
+   */
+  hashRows: function(rows) {
+    const text = JSON.stringify(rows);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+};
 
-      // Sidebar toggle
-      const { menuBtn, sidebar, sidebarOverlay, closeSidebar } = this.domCache;
-      
-      // Get layer checkboxes (may not exist in some views)
-      const layerCheckboxes = {
-        inscriptions: document.getElementById('layer-inscriptions'),
-        herostones: document.getElementById('layer-herostones'),
-        temples: document.getElementById('layer-temples')
+// ============================================================================
+// OFFLINE TILES
+// ============================================================================
+
+/**
+ * Map tile downloads for offline use
+ *
+ * Tiles are fetched with CORS and written to the Cache Storage bucket the
+ * service worker reads tiles from, so saved areas are served without a
+ * connection. Downloads are capped at CONSTANTS.OFFLINE.MAX_TILES overall and
+ * at MAX_HIGH_ZOOM_TILES from HIGH_ZOOM up, as the OpenStreetMap tile usage
+ * policy requires for offline use, and run with low concurrency. Requests are
+ * made with cache: 'no-store' so the service worker passes them straight to
+ * the network instead of also keeping them in its runtime tile cache.
+ */
+const OfflineTiles = {
+  /**
+   * Convert a longitude to a tile column
+   * @param {number} lng - Longitude
+   * @param {number} zoom - Zoom level
+   * @returns {number} Tile x
+   * @private
+   */
+  lngToTileX: function(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+  },
+  
+  /**
+   * Convert a latitude to a tile row
+   * @param {number} lat - Latitude
+   * @param {number} zoom - Zoom level
+   * @returns {number} Tile y
+   * @private
+   */
+  latToTileY: function(lat, zoom) {
+    const rad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+  },
+  
+  /**
+   * List the tile URLs covering a bounding box over a zoom range
+   * @param {L.LatLngBounds} bounds - Area to cover
+   * @param {number} minZoom - Lowest zoom level
+   * @param {number} maxZoom - Highest zoom level
+   * @returns {Array<string>} Tile URLs
+   * @public
+   */
+  listTiles: function(bounds, minZoom, maxZoom) {
+    const urls = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const xMin = this.lngToTileX(bounds.getWest(), z);
+      const xMax = this.lngToTileX(bounds.getEast(), z);
+      const yMin = this.latToTileY(bounds.getNorth(), z);
+      const yMax = this.latToTileY(bounds.getSouth(), z);
+      for (let x = xMin; x <= xMax; x++) {
+        for (let y = yMin; y <= yMax; y++) {
+          urls.push(CONSTANTS.OFFLINE.TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+        }
+      }
+    }
+    return urls;
+  },
+  
+  /**
+   * Count the tiles covering a bounding box without building the URL list
+   * @param {L.LatLngBounds} bounds - Area to cover
+   * @param {number} minZoom - Lowest zoom level
+   * @param {number} maxZoom - Highest zoom level
+   * @returns {number} Tile count
+   * @public
+   */
+  countTiles: function(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const columns = this.lngToTileX(bounds.getEast(), z) - this.lngToTileX(bounds.getWest(), z) + 1;
+      const rows = this.latToTileY(bounds.getSouth(), z) - this.latToTileY(bounds.getNorth(), z) + 1;
+      count += columns * rows;
+    }
+    return count;
+  },
+  
+  /**
+   * Download tiles into the offline tile cache, skipping ones already saved
+   * @param {Array<string>} urls - Tile URLs
+   * @param {function(number, number): void} onProgress - Called with (done, total)
+   * @param {{cancelled: boolean}} token - Set cancelled to stop early
+   * @returns {Promise<{saved: number, failed: number}>} Download summary
+   * @public
+   */
+  download: function(urls, onProgress, token) {
+    if (typeof caches === 'undefined') {
+      return Promise.reject(new Error('Cache Storage is not available in this browser'));
+    }
+    return caches.open(CONSTANTS.OFFLINE.TILE_CACHE).then(cache => {
+      let next = 0;
+      let done = 0;
+      let saved = 0;
+      let failed = 0;
+      const worker = () => {
+        if (token.cancelled || next >= urls.length) return Promise.resolve();
+        const url = urls[next++];
+        return cache.match(url)
+          .then(existing => existing || fetch(url, { mode: 'cors', cache: 'no-store' }).then(response => {
+            if (!response.ok) throw new Error(`Tile request failed: ${response.status}`);
+            return cache.put(url, response);
+          }))
+          .then(() => { saved++; })
+          .catch(() => { failed++; })
+          .then(() => {
+            done++;
+            onProgress(done, urls.length);
+            return worker();
+          });
       };
-      
-      const advSearchForm = document.getElementById('advanced-search-form');
+      const workers = [];
+      for (let i = 0; i < CONSTANTS.OFFLINE.CONCURRENCY; i++) workers.push(worker());
+      return Promise.all(workers).then(() => ({ saved: saved, failed: failed }));
+    });
+  },
+  
+  /**
+   * Delete every downloaded tile
+   * @returns {Promise<boolean>} True if the cache existed
+   * @public
+   */
+  clear: function() {
+    if (typeof caches === 'undefined') return Promise.resolve(false);
+    return caches.delete(CONSTANTS.OFFLINE.TILE_CACHE);
+  },
+  
+  /**
+   * Report storage usage and quota for this origin
+   * @returns {Promise<{usage: number, quota: number}|null>} Estimate or null if unsupported
+   * @public
+   */
+  estimateStorage: function() {
+    if (!navigator.storage || !navigator.storage.estimate) return Promise.resolve(null);
+    return navigator.storage.estimate().catch(() => null);
+  }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Serialisers for exporting heritage sites
+ *
+ * Each takes marker data entries from allMarkersData and returns a string in
+ * the target format with every additionalData field included.
+ */
+const SiteExporter = {
+  FORMATS: {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+    kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+    gpx: { label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' }
+  },
+  
+  /**
+   * Serialise sites to the given format
+   * @param {string} format - geojson, kml, gpx or csv
+   * @param {Array<Object>} sites - Marker data entries
+   * @returns {string} Serialised content
+   * @public
+   */
+  serialize: function(format, sites) {
+    switch (format) {
+      case 'geojson': return this.toGeoJSON(sites);
+      case 'kml': return this.toKML(sites);
+      case 'gpx': return this.toGPX(sites);
+      case 'csv': return this.toCSV(sites);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  },
+  
+  /**
+   * Flatten a site into an ordered property object
+   * @param {Object} site - Marker data entry
+   * @returns {Object} Properties
+   * @private
+   */
+  getProperties: function(site) {
+    const layerConfig = getLayerConfig(site.layerKey);
+    const properties = {
+      name: site.name || '',
+      layer: layerConfig ? layerConfig.label : (site.layerKey || ''),
+      layerKey: site.layerKey || '',
+      description: site.description || ''
+    };
+    Object.entries(site.additionalData || {}).forEach(([key, value]) => {
+      properties[key] = value || '';
+    });
+    if (site.chronology) {
+      properties.yearStart = site.chronology.start;
+      properties.yearEnd = site.chronology.end;
+    }
+    return properties;
+  },
+  
+  /**
+   * Readable "Label: value" lines for a site's additional fields
+   * @param {Object} site - Marker data entry
+   * @returns {Array<string>} Lines
+   * @private
+   */
+  getFieldLines: function(site) {
+    const layerConfig = getLayerConfig(site.layerKey);
+    const labels = {};
+    if (layerConfig) layerConfig.fields.forEach(field => { labels[field.key] = field.label; });
+    return Object.entries(site.additionalData || {})
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${labels[key] || key}: ${value}`);
+  },
+  
+  /**
+   * Escape text for XML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   * @private
+   */
+  escapeXML: function(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  },
+  
+  /**
+   * @param {Array<Object>} sites - Marker data entries
+   * @returns {string} GeoJSON FeatureCollection
+   * @public
+   */
+  toGeoJSON: function(sites) {
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: sites.map(site => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [site.lng, site.lat] },
+        properties: this.getProperties(site)
+      }))
+    }, null, 2);
+  },
+  
+  /**
+   * @param {Array<Object>} sites - Marker data entries
+   * @returns {string} KML document with one folder and style per layer
+   * @public
+   */
+  toKML: function(sites) {
+    // KML colours are aabbggrr
+    const kmlColor = hex => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+    const layerKeys = [...new Set(sites.map(site => site.layerKey))];
+    const styles = layerKeys.map(key => {
+      const layerConfig = getLayerConfig(key);
+      const color = layerConfig ? kmlColor(layerConfig.color) : 'ff3d3872';
+      return `    <Style id="layer-${this.escapeXML(key)}"><IconStyle><color>${color}</color><scale>0.8</scale></IconStyle></Style>`;
+    }).join('\n');
+    const folders = layerKeys.map(key => {
+      const layerConfig = getLayerConfig(key);
+      const placemarks = sites.filter(site => site.layerKey === key).map(site => {
+        const data = Object.entries(this.getProperties(site))
+          .map(([name, value]) => `          <Data name="${this.escapeXML(name)}"><value>${this.escapeXML(value)}</value></Data>`)
+          .join('\n');
+        const description = [site.description, ...this.getFieldLines(site)].filter(Boolean).join('\n');
+        return `      <Placemark>
+        <name>${this.escapeXML(site.name || 'Unknown')}</name>
+        <description>${this.escapeXML(description)}</description>
+        <styleUrl>#layer-${this.escapeXML(key)}</styleUrl>
+        <ExtendedData>
+${data}
+        </ExtendedData>
+        <Point><coordinates>${site.lng},${site.lat},0</coordinates></Point>
+      </Placemark>`;
+      }).join('\n');
+      return `    <Folder>
+      <name>${this.escapeXML(layerConfig ? layerConfig.label : key)}</name>
+${placemarks}
+    </Folder>`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Bengaluru Heritage Sites</name>
+${styles}
+${folders}
+  </Document>
+</kml>
+`;
+  },
+  
+  /**
+   * @param {Array<Object>} sites - Marker data entries
+   * @returns {string} GPX 1.1 document with one waypoint per site
+   * @public
+   */
+  toGPX: function(sites) {
+    const waypoints = sites.map(site => {
+      const layerConfig = getLayerConfig(site.layerKey);
+      const description = [site.description, ...this.getFieldLines(site)].filter(Boolean).join('\n');
+      return `  <wpt lat="${site.lat}" lon="${site.lng}">
+    <name>${this.escapeXML(site.name || 'Unknown')}</name>
+    <desc>${this.escapeXML(description)}</desc>
+    <type>${this.escapeXML(layerConfig ? layerConfig.label : site.layerKey)}</type>
+  </wpt>`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${this.escapeXML(CONSTANTS.API.USER_AGENT)}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Bengaluru Heritage Sites</name></metadata>
+${waypoints}
+</gpx>
+`;
+  },
+  
+  /**
+   * @param {Array<Object>} sites - Trail stops in visiting order
+   * @param {Array<Array<number>>} geometry - Route line as [lat, lng] pairs
+   * @param {string} name - Trail name
+   * @returns {string} GPX 1.1 document with numbered waypoints, a route
+   *   through the stops and a track along the routed path
+   * @public
+   */
+  toTrailGPX: function(sites, geometry, name) {
+    const stopName = (site, index) => this.escapeXML(`${index + 1}. ${site.name || 'Unknown'}`);
+    const waypoints = sites.map((site, index) => `  <wpt lat="${site.lat}" lon="${site.lng}">
+    <name>${stopName(site, index)}</name>
+    <desc>${this.escapeXML([site.description, ...this.getFieldLines(site)].filter(Boolean).join('\n'))}</desc>
+  </wpt>`).join('\n');
+    const routePoints = sites.map((site, index) =>
+      `    <rtept lat="${site.lat}" lon="${site.lng}"><name>${stopName(site, index)}</name></rtept>`).join('\n');
+    const trackPoints = geometry.map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${this.escapeXML(CONSTANTS.API.USER_AGENT)}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${this.escapeXML(name)}</name></metadata>
+${waypoints}
+  <rte>
+    <name>${this.escapeXML(name)}</name>
+${routePoints}
+  </rte>
+  <trk>
+    <name>${this.escapeXML(name)}</name>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+  },
+  
+  /**
+   * Build a spreadsheet-safe CSV: a UTF-8 byte order mark so Excel reads
+   * Kannada text, and text cells that a spreadsheet would run as a formula
+   * prefixed with an apostrophe
+   * @param {Array<Object>} sites - Marker data entries
+   * @returns {string} RFC 4180 CSV with a column per property across all layers
+   * @public
+   */
+  toCSV: function(sites) {
+    const rows = sites.map(site => {
+      const properties = this.getProperties(site);
+      return Object.assign({ name: properties.name, layer: properties.layer, latitude: site.lat, longitude: site.lng }, properties);
+    });
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+    const escape = value => {
+      let text = String(value === undefined || value === null ? '' : value);
+      // Sheet text only; coordinates are numbers and may be negative
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(escape).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  },
+  
+  /**
+   * Offer content as a file download
+   * @param {string} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} mime - MIME type
+   * @public
+   */
+  download: function(content, filename, mime) {
+    const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+// ============================================================================
+// MEDIA
+// ============================================================================
+
+/**
+ * Photo, video and document attachments read from sheet URL columns
+ *
+ * A cell may hold one URL or several separated by spaces, commas, semicolons,
+ * pipes or line breaks. Caption cells are split on pipes or line breaks and
+ * matched to the URLs by position; a single credit applies to every item.
+ */
+const SiteMedia = {
+  /**
+   * Find the media, caption and credit columns in a header row
+   * @param {Array<string>} header - Lowercased, trimmed header cells
+   * @returns {Object} { urls: [{ index, type }], caption, credit } column indices
+   * @public
+   */
+  findColumns: function(header) {
+    const { CAPTION_HEADERS, CREDIT_HEADERS, IMAGE_HEADERS, VIDEO_HEADERS, DOCUMENT_HEADERS } = CONSTANTS.MEDIA;
+    const matches = (h, keywords) => keywords.some(keyword => h.includes(keyword));
+    const columns = { urls: [], caption: -1, credit: -1 };
+    header.forEach((h, index) => {
+      if (matches(h, CAPTION_HEADERS)) {
+        if (columns.caption === -1) columns.caption = index;
+      } else if (matches(h, CREDIT_HEADERS)) {
+        if (columns.credit === -1) columns.credit = index;
+      } else if (matches(h, VIDEO_HEADERS)) {
+        columns.urls.push({ index: index, type: 'video' });
+      } else if (matches(h, DOCUMENT_HEADERS)) {
+        columns.urls.push({ index: index, type: 'document' });
+      } else if (matches(h, IMAGE_HEADERS)) {
+        columns.urls.push({ index: index, type: 'image' });
+      }
+    });
+    return columns;
+  },
+  
+  /**
+   * Read the media items of one data row
+   * @param {Array<string>} row - CSV row
+   * @param {Object} columns - Result of findColumns
+   * @returns {Array<Object>} Items { type, url, thumb, embed, caption, credit }
+   * @public
+   */
+  parseRow: function(row, columns) {
+    if (columns.urls.length === 0) return [];
+    const captions = columns.caption !== -1
+      ? (row[columns.caption] || '').split(/\s*(?:\||\r?\n)\s*/)
+      : [];
+    const credit = columns.credit !== -1 ? (row[columns.credit] || '').trim() : '';
+    
+    const items = [];
+    columns.urls.forEach(column => {
+      (row[column.index] || '').split(/[\s,;|]+/)
+        .filter(url => /^https?:\/\//i.test(url))
+        .forEach(url => {
+          const item = this.describe(url, column.type);
+          item.caption = (captions[items.length] || '').trim();
+          item.credit = credit;
+          items.push(item);
+        });
+    });
+    return items;
+  },
+  
+  /**
+   * Work out how to show a URL: thumbnail, embed address and final type
+   * @param {string} url - Media URL
+   * @param {string} columnType - Type implied by the column (image, video, document)
+   * @returns {Object} Item { type, url, thumb, embed }
+   * @public
+   */
+  describe: function(url, columnType) {
+    const youtube = url.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/i);
+    if (youtube) {
+      return {
+        type: 'video',
+        url: url,
+        thumb: `https://img.youtube.com/vi/${youtube[1]}/hqdefault.jpg`,
+        embed: `https://www.youtube-nocookie.com/embed/${youtube[1]}`
+      };
+    }
+    
+    // Google Drive share links do not serve the file itself
+    const drive = url.match(/drive\.google\.com\/(?:file\/d\/|open\?(?:.*&)?id=|uc\?(?:.*&)?id=)([\w-]+)/i);
+    if (drive && columnType === 'image') {
+      return {
+        type: 'image',
+        url: url,
+        thumb: `https://drive.google.com/thumbnail?id=${drive[1]}&sz=w${CONSTANTS.MEDIA.THUMB_WIDTH}`,
+        embed: `https://drive.google.com/thumbnail?id=${drive[1]}&sz=w2000`
+      };
+    }
+    
+    const path = url.split(/[?#]/)[0].toLowerCase();
+    if (/\.(mp4|webm|ogv|mov)$/.test(path)) {
+      return { type: 'video', url: url, thumb: '', embed: url };
+    }
+    if (/\.(pdf|docx?|odt|pptx?|xlsx?)$/.test(path) || columnType === 'document') {
+      return { type: 'document', url: url, thumb: '', embed: '' };
+    }
+    if (columnType === 'video') {
+      return { type: 'video', url: url, thumb: '', embed: '' };
+    }
+    return { type: 'image', url: url, thumb: url, embed: url };
+  }
+};
+
+// ============================================================================
+// 3D MODEL VIEWER
+// ============================================================================
+
+/**
+ * In-page viewer for 3D captures (glTF/GLB, PLY and OBJ)
+ *
+ * three.js is loaded on first use through the import map in index.html, so
+ * the map does not pay for it up front. The scene is rendered on demand
+ * (only after the camera, lights or size change) and the pixel ratio is
+ * capped, which keeps software-rendered WebGL and phones responsive.
+ */
+const ModelViewer = {
+  three: null,
+  container: null,
+  renderer: null,
+  scene: null,
+  camera: null,
+  controls: null,
+  model: null,
+  lights: null,
+  resizeObserver: null,
+  renderQueued: false,
+  measure: null,
+  // Bumped by every open and close; a load whose number is stale is dropped
+  loadToken: 0,
+  
+  /**
+   * Find the 3D model URL column in a header row
+   * @param {Array<string>} header - Lowercased, trimmed header cells
+   * @returns {number} Column index or -1
+   * @public
+   */
+  findColumn: function(header) {
+    return header.findIndex(h => CONSTANTS.MODEL.HEADERS.some(keyword => h.includes(keyword)));
+  },
+  
+  /**
+   * Read a model URL cell (the first URL wins)
+   * @param {string} cell - Cell text
+   * @returns {Object|null} { url, format } or null
+   * @public
+   */
+  parseCell: function(cell) {
+    const url = (cell || '').split(/[\s,;|]+/).find(part => /^https?:\/\//i.test(part));
+    if (!url) return null;
+    const extension = ((url.split(/[?#]/)[0].match(/\/[^/]*\.(\w+)$/) || [])[1] || '').toLowerCase();
+    if (!extension) return { url: url, format: 'glb' };  // e.g. a download endpoint
+    return CONSTANTS.MODEL.FORMATS.includes(extension) ? { url: url, format: extension } : null;
+  },
+  
+  /**
+   * Check that the browser can create a WebGL context at all
+   * @returns {boolean} True if WebGL (hardware or software) is available
+   * @public
+   */
+  isSupported: function() {
+    try {
+      const canvas = document.createElement('canvas');
+      return !!(window.WebGLRenderingContext &&
+        (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Load three.js, the orbit controls and the loader for a format
+   * @param {string} format - glb, gltf, ply or obj
+   * @returns {Promise<Object>} { THREE, OrbitControls, loader }
+   * @private
+   */
+  loadLibrary: function(format) {
+    const loaders = {
+      glb: () => import('three/addons/loaders/GLTFLoader.js').then(m => new m.GLTFLoader()),
+      gltf: () => import('three/addons/loaders/GLTFLoader.js').then(m => new m.GLTFLoader()),
+      ply: () => import('three/addons/loaders/PLYLoader.js').then(m => new m.PLYLoader()),
+      obj: () => import('three/addons/loaders/OBJLoader.js').then(m => new m.OBJLoader())
+    };
+    return Promise.all([
+      import('three'),
+      import('three/addons/controls/OrbitControls.js'),
+      loaders[format]()
+    ]).then(([THREE, controls, loader]) => ({ THREE: THREE, OrbitControls: controls.OrbitControls, loader: loader }));
+  },
+  
+  /**
+   * Open a model in a container element
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} model - { url, format }
+   * @param {function(number): void} [onProgress] - Called with 0-1 while downloading
+   * @returns {Promise<void>} Resolves once the model is shown
+   * @public
+   */
+  open: function(container, model, onProgress) {
+    this.close();
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('This browser cannot display 3D models (WebGL is unavailable).'));
+    }
+    this.container = container;
+    // The stage element is reused, so only the token tells loads apart
+    const token = this.loadToken;
+    const isStale = () => token !== this.loadToken;
+    
+    return this.loadLibrary(model.format).then(({ THREE, OrbitControls, loader }) => {
+      if (isStale()) return null; // closed or reopened while loading
+      this.three = THREE;
+      this.setupScene(OrbitControls);
+      return new Promise((resolve, reject) => {
+        loader.load(model.url, result => resolve(isStale() ? null : result), (event) => {
+          if (onProgress && event.lengthComputable && !isStale()) onProgress(event.loaded / event.total);
+        }, () => reject(new Error('The 3D model could not be downloaded.')));
+      });
+    }).then(result => {
+      if (!result || isStale()) return;
+      this.addModel(result, model.format);
+    });
+  },
+  
+  /**
+   * Create the renderer, camera, controls and lights
+   * @param {Function} OrbitControls - OrbitControls class
+   * @private
+   */
+  setupScene: function(OrbitControls) {
+    const THREE = this.three;
+    const { clientWidth, clientHeight } = this.container;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, CONSTANTS.MODEL.MAX_PIXEL_RATIO);
+    
+    try {
+      this.renderer = new THREE.WebGLRenderer({
+        // Antialiasing is costly on software renderers; high-DPI screens need it less
+        antialias: pixelRatio < 1.5,
+        powerPreference: 'default',
+        preserveDrawingBuffer: false
+      });
+    } catch (error) {
+      throw new Error('WebGL could not be started on this device.');
+    }
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(clientWidth, clientHeight);
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+    this.container.appendChild(this.renderer.domElement);
+    this.renderer.domElement.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      console.warn('3D viewer lost its WebGL context');
+    });
+    
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x202124);
+    this.camera = new THREE.PerspectiveCamera(45, clientWidth / Math.max(clientHeight, 1), 0.01, 1000);
+    
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    // No damping: damping needs a continuous render loop
+    this.controls.enableDamping = false;
+    this.controls.addEventListener('change', () => this.requestRender());
+    
+    this.lights = {
+      ambient: new THREE.AmbientLight(0xffffff, 0),
+      hemisphere: new THREE.HemisphereLight(0xffffff, 0x444444, 0),
+      key: new THREE.DirectionalLight(0xffffff, 0),
+      fill: new THREE.DirectionalLight(0xffffff, 0),
+      raking: new THREE.DirectionalLight(0xfff4e0, 0)
+    };
+    Object.values(this.lights).forEach(light => this.scene.add(light));
+    this.lightingPreset = 'studio';
+    this.raking = { enabled: false, azimuth: 45 };
+    this.applyLighting();
+    
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.container);
+  },
+  
+  /**
+   * Add a loaded model, centre it and frame the camera on it
+   * @param {Object} result - Loader result (glTF object, BufferGeometry or Group)
+   * @param {string} format - Model format
+   * @private
+   */
+  addModel: function(result, format) {
+    const THREE = this.three;
+    let object;
+    if (format === 'ply') {
+      // Scanned point clouds/meshes often lack normals, which lighting needs
+      if (!result.hasAttribute('normal')) result.computeVertexNormals();
+      object = new THREE.Mesh(result, new THREE.MeshStandardMaterial({
+        vertexColors: result.hasAttribute('color'),
+        roughness: 0.85,
+        metalness: 0
+      }));
+    } else if (format === 'obj') {
+      object = result;
+      object.traverse(child => {
+        if (child.isMesh && !child.material.isMeshStandardMaterial) {
+          child.material = new THREE.MeshStandardMaterial({ color: 0xcccccc, roughness: 0.85 });
+        }
+      });
+    } else {
+      object = result.scene;
+    }
+    
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    object.position.sub(center);
+    this.model = object;
+    this.modelRadius = Math.max(size.x, size.y, size.z) / 2 || 1;
+    this.scene.add(object);
+    
+    this.camera.near = this.modelRadius / 100;
+    this.camera.far = this.modelRadius * 100;
+    this.camera.updateProjectionMatrix();
+    this.resetView();
+    this.applyLighting();
+  },
+  
+  /**
+   * Point the camera at the whole model from the front
+   * @public
+   */
+  resetView: function() {
+    if (!this.camera || !this.model) return;
+    const distance = this.modelRadius / Math.sin(this.three.MathUtils.degToRad(this.camera.fov / 2));
+    this.camera.position.set(0, this.modelRadius * 0.3, distance);
+    this.controls.target.set(0, 0, 0);
+    this.controls.update();
+    this.requestRender();
+  },
+  
+  /**
+   * Switch to a lighting preset
+   * @param {string} preset - Key of CONSTANTS.MODEL.LIGHTING
+   * @public
+   */
+  setLighting: function(preset) {
+    if (!CONSTANTS.MODEL.LIGHTING[preset]) return;
+    this.lightingPreset = preset;
+    this.applyLighting();
+  },
+  
+  /**
+   * Turn raking light on or off and set its direction
+   * @param {boolean} enabled - Raking mode on
+   * @param {number} [azimuth] - Light direction in degrees around the model
+   * @public
+   */
+  setRaking: function(enabled, azimuth) {
+    if (!this.raking) return;
+    this.raking.enabled = enabled;
+    if (azimuth !== undefined) this.raking.azimuth = azimuth;
+    this.applyLighting();
+  },
+  
+  /**
+   * Set light intensities and positions from the preset and raking state
+   * @private
+   */
+  applyLighting: function() {
+    if (!this.lights) return;
+    const radius = this.modelRadius || 1;
+    const preset = CONSTANTS.MODEL.LIGHTING[this.lightingPreset];
+    const { ambient, hemisphere, key, fill, raking } = this.lights;
+    
+    if (this.raking.enabled) {
+      // A single low, grazing light throws shallow carving into relief
+      ambient.intensity = 0.05;
+      hemisphere.intensity = 0;
+      key.intensity = 0;
+      fill.intensity = 0;
+      raking.intensity = 3;
+      const azimuth = this.three.MathUtils.degToRad(this.raking.azimuth);
+      const elevation = this.three.MathUtils.degToRad(CONSTANTS.MODEL.RAKING_ELEVATION);
+      raking.position.set(
+        Math.cos(azimuth) * Math.cos(elevation) * radius * 4,
+        Math.sin(elevation) * radius * 4,
+        Math.sin(azimuth) * Math.cos(elevation) * radius * 4
+      );
+    } else {
+      ambient.intensity = preset.ambient;
+      hemisphere.intensity = preset.hemisphere;
+      key.intensity = preset.key;
+      fill.intensity = preset.fill;
+      raking.intensity = 0;
+      key.color.set(preset.color);
+      key.position.set(radius * 3, radius * 4, radius * 3);
+      fill.position.set(-radius * 3, radius, radius * 2);
+    }
+    this.requestRender();
+  },
+  
+  /**
+   * Start or stop measuring; two picks on the model give a distance
+   * @param {boolean} enabled - Measurement mode on
+   * @param {function(number|null): void} onMeasure - Called with the distance in model units (metres for glTF)
+   * @public
+   */
+  setMeasuring: function(enabled, onMeasure) {
+    if (!this.renderer) return;
+    this.clearMeasurement();
+    const canvas = this.renderer.domElement;
+    if (this.measure && this.measure.handlers) {
+      canvas.removeEventListener('pointerdown', this.measure.handlers.down);
+      canvas.removeEventListener('pointerup', this.measure.handlers.up);
+    }
+    this.measure = null;
+    if (!enabled) return;
+    
+    // Treat a press without dragging as a pick so orbiting still works
+    let downAt = null;
+    const handlers = {
+      down: (e) => { downAt = { x: e.clientX, y: e.clientY }; },
+      up: (e) => {
+        if (!downAt || Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 5) return;
+        const point = this.pickPoint(e);
+        if (point) this.addMeasurePoint(point, onMeasure);
+      }
+    };
+    canvas.addEventListener('pointerdown', handlers.down);
+    canvas.addEventListener('pointerup', handlers.up);
+    this.measure = { handlers: handlers, points: [], markers: [], line: null };
+  },
+  
+  /**
+   * Find the model surface point under the pointer
+   * @param {PointerEvent} e - Pointer event on the canvas
+   * @returns {Object|null} THREE.Vector3 or null
+   * @private
+   */
+  pickPoint: function(e) {
+    const THREE = this.three;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+    const hit = raycaster.intersectObject(this.model, true)[0];
+    return hit ? hit.point : null;
+  },
+  
+  /**
+   * Add a measurement point; the second point completes the measurement
+   * @param {Object} point - THREE.Vector3
+   * @param {function(number|null): void} onMeasure - Result callback
+   * @private
+   */
+  addMeasurePoint: function(point, onMeasure) {
+    const THREE = this.three;
+    if (this.measure.points.length === 2) this.clearMeasurement();
+    
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(this.modelRadius / 80, 12, 8),
+      new THREE.MeshBasicMaterial({ color: CONSTANTS.MODEL.MEASURE_COLOR, depthTest: false })
+    );
+    marker.position.copy(point);
+    marker.renderOrder = 1;
+    this.scene.add(marker);
+    this.measure.markers.push(marker);
+    this.measure.points.push(point.clone());
+    
+    if (this.measure.points.length === 2) {
+      const [a, b] = this.measure.points;
+      this.measure.line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([a, b]),
+        new THREE.LineBasicMaterial({ color: CONSTANTS.MODEL.MEASURE_COLOR, depthTest: false })
+      );
+      this.measure.line.renderOrder = 1;
+      this.scene.add(this.measure.line);
+      onMeasure(a.distanceTo(b));
+    } else {
+      onMeasure(null);
+    }
+    this.requestRender();
+  },
+  
+  /**
+   * Remove measurement points and the line
+   * @private
+   */
+  clearMeasurement: function() {
+    if (!this.measure) return;
+    [...this.measure.markers, this.measure.line].filter(Boolean).forEach(object => {
+      this.scene.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.measure.points = [];
+    this.measure.markers = [];
+    this.measure.line = null;
+    this.requestRender();
+  },
+  
+  /**
+   * Match the renderer and camera to the container size
+   * @private
+   */
+  resize: function() {
+    if (!this.renderer || !this.container) return;
+    const { clientWidth, clientHeight } = this.container;
+    if (clientWidth === 0 || clientHeight === 0) return;
+    this.renderer.setSize(clientWidth, clientHeight);
+    this.camera.aspect = clientWidth / clientHeight;
+    this.camera.updateProjectionMatrix();
+    this.requestRender();
+  },
+  
+  /**
+   * Render once on the next animation frame
+   * @private
+   */
+  requestRender: function() {
+    if (this.renderQueued || !this.renderer) return;
+    this.renderQueued = true;
+    requestAnimationFrame(() => {
+      this.renderQueued = false;
+      if (this.renderer) this.renderer.render(this.scene, this.camera);
+    });
+  },
+  
+  /**
+   * Dispose of the scene and release the WebGL context
+   * @public
+   */
+  close: function() {
+    this.loadToken++;
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.controls) this.controls.dispose();
+    if (this.scene) {
+      this.scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+            Object.values(material).forEach(value => {
+              if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+          });
+        }
+      });
+    }
+    if (this.renderer) {
+      this.renderer.dispose();
+      // Phones allow few live contexts, so hand this one back now
+      this.renderer.forceContextLoss();
+      this.renderer.domElement.remove();
+    }
+    this.container = null;
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.controls = null;
+    this.model = null;
+    this.lights = null;
+    this.resizeObserver = null;
+    this.measure = null;
+  }
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Local file parsers for temporary overlay layers
+ *
+ * GeoJSON, KML, GPX and CSV files are read in the browser and converted to a
+ * GeoJSON FeatureCollection; nothing is uploaded.
+ */
+const FileImporter = {
+  /**
+   * Parse file text into a FeatureCollection based on the file name
+   * @param {string} filename - File name (used to detect the format)
+   * @param {string} text - File contents
+   * @returns {Object} GeoJSON FeatureCollection
+   * @throws {Error} If the format is unsupported or the file has no features
+   * @public
+   */
+  parse: function(filename, text) {
+    const extension = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    let collection;
+    if (extension === '.geojson' || extension === '.json') {
+      collection = this.parseGeoJSON(text);
+    } else if (extension === '.kml') {
+      collection = this.parseKML(text);
+    } else if (extension === '.gpx') {
+      collection = this.parseGPX(text);
+    } else if (extension === '.csv') {
+      collection = this.parseCSV(text);
+    } else {
+      throw new Error(`Unsupported file type "${extension || filename}"`);
+    }
+    if (collection.features.length === 0) {
+      throw new Error('No features with coordinates were found');
+    }
+    return collection;
+  },
+  
+  /**
+   * @param {string} text - GeoJSON text
+   * @returns {Object} FeatureCollection
+   * @private
+   */
+  parseGeoJSON: function(text) {
+    const json = JSON.parse(text);
+    if (json.type === 'FeatureCollection') {
+      return { type: 'FeatureCollection', features: (json.features || []).filter(f => f && f.geometry) };
+    }
+    if (json.type === 'Feature') {
+      return { type: 'FeatureCollection', features: json.geometry ? [json] : [] };
+    }
+    if (json.type && json.coordinates) {
+      return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: json, properties: {} }] };
+    }
+    throw new Error('Not a GeoJSON object');
+  },
+  
+  /**
+   * Parse an XML document, throwing on parser errors
+   * @param {string} text - XML text
+   * @returns {Document} Parsed document
+   * @private
+   */
+  parseXML: function(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The file is not valid XML');
+    }
+    return doc;
+  },
+  
+  /**
+   * Get the trimmed text of the first direct or nested child with a tag name
+   * @param {Element} element - Parent element
+   * @param {string} tag - Tag name
+   * @returns {string} Text content or ''
+   * @private
+   */
+  childText: function(element, tag) {
+    const child = element.getElementsByTagName(tag)[0];
+    return child ? child.textContent.trim() : '';
+  },
+  
+  /**
+   * @param {string} text - KML text
+   * @returns {Object} FeatureCollection
+   * @private
+   */
+  parseKML: function(text) {
+    const doc = this.parseXML(text);
+    const toPositions = value => value.trim().split(/\s+/)
+      .map(tuple => tuple.split(',').map(parseFloat))
+      .filter(position => position.length >= 2 && !isNaN(position[0]) && !isNaN(position[1]))
+      .map(position => [position[0], position[1]]);
+    const readGeometry = element => {
+      switch (element.tagName) {
+        case 'Point': {
+          const positions = toPositions(this.childText(element, 'coordinates'));
+          return positions.length ? { type: 'Point', coordinates: positions[0] } : null;
+        }
+        case 'LineString':
+          return { type: 'LineString', coordinates: toPositions(this.childText(element, 'coordinates')) };
+        case 'Polygon': {
+          const rings = Array.from(element.getElementsByTagName('LinearRing'))
+            .map(ring => toPositions(this.childText(ring, 'coordinates')));
+          return rings.length ? { type: 'Polygon', coordinates: rings } : null;
+        }
+        default:
+          return null;
+      }
+    };
+    const features = [];
+    Array.from(doc.getElementsByTagName('Placemark')).forEach(placemark => {
+      const properties = {
+        name: this.childText(placemark, 'name'),
+        description: this.childText(placemark, 'description')
+      };
+      Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+        const name = data.getAttribute('name');
+        if (name && !(name in properties)) properties[name] = this.childText(data, 'value');
+      });
+      // Points, lines and polygons anywhere in the placemark, including MultiGeometry
+      const geometries = Array.from(placemark.querySelectorAll('Point, LineString, Polygon'))
+        .map(readGeometry)
+        .filter(Boolean);
+      const geometry = geometries.length === 1
+        ? geometries[0]
+        : geometries.length > 1 ? { type: 'GeometryCollection', geometries: geometries } : null;
+      if (geometry) features.push({ type: 'Feature', geometry: geometry, properties: properties });
+    });
+    return { type: 'FeatureCollection', features: features };
+  },
+  
+  /**
+   * @param {string} text - GPX text
+   * @returns {Object} FeatureCollection of waypoints, tracks and routes
+   * @private
+   */
+  parseGPX: function(text) {
+    const doc = this.parseXML(text);
+    const toPosition = point => [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))];
+    const valid = position => !isNaN(position[0]) && !isNaN(position[1]);
+    const features = [];
+    
+    Array.from(doc.getElementsByTagName('wpt')).forEach(wpt => {
+      const position = toPosition(wpt);
+      if (!valid(position)) return;
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: position },
+        properties: {
+          name: this.childText(wpt, 'name'),
+          description: this.childText(wpt, 'desc'),
+          type: this.childText(wpt, 'type'),
+          elevation: this.childText(wpt, 'ele')
+        }
+      });
+    });
+    
+    Array.from(doc.getElementsByTagName('trk')).forEach(trk => {
+      const segments = Array.from(trk.getElementsByTagName('trkseg'))
+        .map(seg => Array.from(seg.getElementsByTagName('trkpt')).map(toPosition).filter(valid))
+        .filter(segment => segment.length > 1);
+      if (segments.length === 0) return;
+      features.push({
+        type: 'Feature',
+        geometry: segments.length === 1
+          ? { type: 'LineString', coordinates: segments[0] }
+          : { type: 'MultiLineString', coordinates: segments },
+        properties: { name: this.childText(trk, 'name'), description: this.childText(trk, 'desc') }
+      });
+    });
+    
+    Array.from(doc.getElementsByTagName('rte')).forEach(rte => {
+      const points = Array.from(rte.getElementsByTagName('rtept')).map(toPosition).filter(valid);
+      if (points.length < 2) return;
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: points },
+        properties: { name: this.childText(rte, 'name'), description: this.childText(rte, 'desc') }
+      });
+    });
+    
+    return { type: 'FeatureCollection', features: features };
+  },
+  
+  /**
+   * @param {string} text - CSV text with latitude and longitude columns
+   * @returns {Object} FeatureCollection of points
+   * @private
+   */
+  parseCSV: function(text) {
+    const result = CSVParser.parse(text);
+    if (result.rows.length < 2) throw new Error('The CSV file has no data rows');
+    const header = result.rows[0].map(h => h.trim());
+    const lower = header.map(h => h.toLowerCase());
+    const find = names => lower.findIndex(h => names.includes(h));
+    const latIndex = find(['lat', 'latitude', 'y']);
+    const lngIndex = find(['lng', 'lon', 'long', 'longitude', 'x']);
+    if (latIndex === -1 || lngIndex === -1) {
+      throw new Error('The CSV file needs latitude and longitude columns');
+    }
+    const nameIndex = find(['name', 'title', 'site', 'site name', 'temple', 'village']);
+    const descIndex = lower.findIndex(h => h.includes('desc'));
+    
+    const features = [];
+    result.rows.slice(1).forEach(row => {
+      const lat = parseFloat(row[latIndex]);
+      const lng = parseFloat(row[lngIndex]);
+      if (isNaN(lat) || isNaN(lng)) return;
+      const properties = {
+        name: nameIndex !== -1 ? row[nameIndex] : '',
+        description: descIndex !== -1 ? row[descIndex] : ''
+      };
+      header.forEach((column, index) => {
+        if ([latIndex, lngIndex, nameIndex, descIndex].includes(index) || !column) return;
+        properties[column] = row[index] || '';
+      });
+      features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: properties });
+    });
+    return { type: 'FeatureCollection', features: features };
+  }
+};
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Script- and spelling-insensitive text keys for search
+ *
+ * Site names reach the sheets in several spellings: Kannada script, ISO 15919
+ * or IAST romanisation with diacritics, and everyday English spellings. Every
+ * form is reduced to the same plain Latin key so that "Bēgūru", "ಬೇಗೂರು" and
+ * "Begur" find each other.
+ */
+const TextFolding = {
+  // Kannada consonants (inherent "a" added separately), ISO 15919
+  KANNADA_CONSONANTS: {
+    'ಕ': 'k', 'ಖ': 'kh', 'ಗ': 'g', 'ಘ': 'gh', 'ಙ': 'ṅ',
+    'ಚ': 'c', 'ಛ': 'ch', 'ಜ': 'j', 'ಝ': 'jh', 'ಞ': 'ñ',
+    'ಟ': 'ṭ', 'ಠ': 'ṭh', 'ಡ': 'ḍ', 'ಢ': 'ḍh', 'ಣ': 'ṇ',
+    'ತ': 't', 'ಥ': 'th', 'ದ': 'd', 'ಧ': 'dh', 'ನ': 'n',
+    'ಪ': 'p', 'ಫ': 'ph', 'ಬ': 'b', 'ಭ': 'bh', 'ಮ': 'm',
+    'ಯ': 'y', 'ರ': 'r', 'ಱ': 'ṟ', 'ಲ': 'l', 'ವ': 'v',
+    'ಶ': 'ś', 'ಷ': 'ṣ', 'ಸ': 's', 'ಹ': 'h', 'ಳ': 'ḷ', 'ೞ': 'ḻ'
+  },
+  
+  // Independent vowels and other signs that stand alone
+  KANNADA_LETTERS: {
+    'ಅ': 'a', 'ಆ': 'ā', 'ಇ': 'i', 'ಈ': 'ī', 'ಉ': 'u', 'ಊ': 'ū',
+    'ಋ': 'r̥', 'ೠ': 'r̥̄', 'ಌ': 'l̥', 'ಎ': 'e', 'ಏ': 'ē', 'ಐ': 'ai',
+    'ಒ': 'o', 'ಓ': 'ō', 'ಔ': 'au', 'ಂ': 'ṁ', 'ಃ': 'ḥ', 'ಽ': '',
+    '೦': '0', '೧': '1', '೨': '2', '೩': '3', '೪': '4',
+    '೫': '5', '೬': '6', '೭': '7', '೮': '8', '೯': '9'
+  },
+  
+  // Dependent vowel signs, replacing a consonant's inherent "a"
+  KANNADA_VOWEL_SIGNS: {
+    'ಾ': 'ā', 'ಿ': 'i', 'ೀ': 'ī', 'ು': 'u', 'ೂ': 'ū', 'ೃ': 'r̥', 'ೄ': 'r̥̄',
+    'ೆ': 'e', 'ೇ': 'ē', 'ೈ': 'ai', 'ೊ': 'o', 'ೋ': 'ō', 'ೌ': 'au'
+  },
+  
+  KANNADA_VIRAMA: '್',
+  KANNADA_NUKTA: '಼',
+  
+  /**
+   * Transliterate Kannada script to ISO 15919; other characters pass through
+   * @param {string} text - Text possibly containing Kannada script
+   * @returns {string} Romanised text
+   * @public
+   */
+  toLatin: function(text) {
+    let out = '';
+    // True while the last output ends in a consonant's inherent "a"
+    let inherent = false;
+    for (const char of String(text || '')) {
+      if (this.KANNADA_CONSONANTS[char]) {
+        out += this.KANNADA_CONSONANTS[char] + 'a';
+        inherent = true;
+      } else if (inherent && this.KANNADA_VOWEL_SIGNS[char]) {
+        out = out.slice(0, -1) + this.KANNADA_VOWEL_SIGNS[char];
+        inherent = false;
+      } else if (inherent && char === this.KANNADA_VIRAMA) {
+        out = out.slice(0, -1);
+        inherent = false;
+      } else if (char === this.KANNADA_NUKTA || char === '\u200c' || char === '\u200d') {
+        // Nukta and zero-width joiners only affect shaping
+      } else {
+        out += this.KANNADA_LETTERS[char] !== undefined ? this.KANNADA_LETTERS[char] : char;
+        inherent = false;
+      }
+    }
+    return out;
+  },
+  
+  /**
+   * Fold text to lowercase unaccented Latin, transliterating Kannada first.
+   * Vocalic r (IAST ṛ, ISO r̥) and l (ISO l̥) become "ri"/"li" as in English
+   * spellings; every other diacritic is simply dropped.
+   * @param {string} text - Any text
+   * @returns {string} Folded text
+   * @public
+   */
+  fold: function(text) {
+    return this.toLatin(text)
+      .normalize('NFD')
+      .toLowerCase()
+      .replace(/r[\u0323\u0325]\u0304?/g, 'ri')
+      .replace(/l\u0325\u0304?/g, 'li')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+  
+  /**
+   * Reduce folded text to a loose phonetic key that ignores the usual
+   * variation between romanisations: aspiration (bh/b, sh/s), ee/ī and
+   * oo/ū, w/v, doubled letters, anusvara written as m or n, and a final
+   * a or u (Bēgūru / Begur)
+   * @param {string} folded - Output of fold()
+   * @returns {string} Phonetic key
+   * @public
+   */
+  phonetic: function(folded) {
+    return folded
+      .replace(/ch+/g, 'c')
+      .replace(/([kgcjtdpbs])h/g, '$1')
+      .replace(/ee/g, 'i')
+      .replace(/oo/g, 'u')
+      .replace(/w/g, 'v')
+      .replace(/([a-z])\1+/g, '$1')
+      .replace(/m(?=[^aeiouybpm\s\d])/g, 'n')
+      .replace(/\b([a-z]{3,})[au]\b/g, '$1');
+  },
+  
+  /**
+   * Both search keys for a piece of text
+   * @param {string} text - Any text
+   * @returns {{folded: string, phonetic: string}} Keys
+   * @public
+   */
+  keys: function(text) {
+    const folded = this.fold(text);
+    return { folded: folded, phonetic: this.phonetic(folded) };
+  }
+};
+
+/**
+ * Ranked, typo-tolerant inverted index over heritage sites and imported features
+ *
+ * Every searchable field (name, description, every additionalData value and
+ * any Kannada copies) is split into words and reduced to TextFolding's
+ * phonetic key once, when the index is built. Each key maps to the documents
+ * containing it with the weight of the best field it appears in, so a query
+ * only touches the postings of its own words. Query words match index words
+ * exactly, as a prefix (for words still being typed) or within a small edit
+ * distance of a word with the same first letter; every query word must match
+ * for a document to be returned.
+ */
+const SearchIndex = {
+  // Per document: { data, terms: Map<term, weight> }
+  documents: [],
+  // term -> { docs: Array<number>, weights: Array<number> }
+  postings: new Map(),
+  // Vocabulary by first letter and length, each sorted, for prefix and
+  // edit-distance lookups: 'k7' -> ['kalyani', ...]
+  termBuckets: new Map(),
+  // Letter masks (see letterMask) of the words in each bucket, in bucket order
+  termMasks: new Map(),
+  // Length of the longest index word
+  longestTerm: 0,
+  // Raw word -> phonetic key; sheet values repeat the same words many times
+  termCache: new Map(),
+  // Distinct village names for suggestions and the gazetteer: [{ name, count, terms, lat, lng }]
+  villages: [],
+  // Incremented per build so a newer build supersedes one still running
+  buildGeneration: 0,
+  // Two reusable rows for editDistance
+  distanceRows: null,
+  
+  /**
+   * Index a set of site entries, replacing the previous index once done.
+   * The work is split into short slices between macrotasks so a large data
+   * set does not freeze the page; until the new index is swapped in,
+   * searches keep using the previous one.
+   * @param {Array<Object>} entries - Marker data / imported feature entries
+   * @returns {Promise<boolean>} Resolves true once the new index is in use,
+   *   or false if a later build superseded this one
+   * @public
+   */
+  build: function(entries) {
+    const generation = ++this.buildGeneration;
+    this.termCache = new Map();
+    const index = { documents: [], postings: new Map(), termBuckets: new Map(), termMasks: new Map(), longestTerm: 0, villages: new Map() };
+    return this.runInSlices(generation, entries.length, docIndex => this.indexEntry(index, entries[docIndex], docIndex))
+      .then(done => {
+        if (!done) return false;
+        const keys = Array.from(index.termBuckets.keys());
+        return this.runInSlices(generation, keys.length, i => this.finishBucket(index, keys[i]));
+      })
+      .then(done => {
+        if (done) this.install(index);
+        return done;
+      });
+  },
+  
+  /**
+   * Call step(0) ... step(count - 1), yielding to the page whenever a slice
+   * of work has run for BUILD_SLICE_MS
+   * @param {number} generation - Build the work belongs to
+   * @param {number} count - Number of steps
+   * @param {Function} step - Called with each step number
+   * @returns {Promise<boolean>} Resolves true when every step has run, or
+   *   false once a later build has started
+   * @private
+   */
+  runInSlices: function(generation, count, step) {
+    return new Promise(resolve => {
+      let next = 0;
+      const runSlice = () => {
+        if (generation !== this.buildGeneration) {
+          resolve(false);
+          return;
+        }
+        const deadline = Date.now() + CONSTANTS.SEARCH.BUILD_SLICE_MS;
+        while (next < count && Date.now() < deadline) step(next++);
+        if (next < count) setTimeout(runSlice, 0); else resolve(true);
+      };
+      runSlice();
+    });
+  },
+  
+  /**
+   * Add one entry to an index under construction
+   * @param {Object} index - Index being built: { documents, postings,
+   *   termBuckets, termMasks, longestTerm, villages }
+   * @param {Object} data - Marker data or imported feature entry
+   * @param {number} docIndex - Position of the entry
+   * @private
+   */
+  indexEntry: function(index, data, docIndex) {
+    getFieldValuesByRole(data, 'village').forEach(value => {
+      const folded = TextFolding.fold(value);
+      if (!index.villages.has(folded)) index.villages.set(folded, { name: value.trim(), count: 0, terms: this.tokenize(value).map(word => word.term), lat: 0, lng: 0 });
+      const village = index.villages.get(folded);
+      village.count++;
+      // Running mean of the village's sites, for the offline gazetteer
+      village.lat += (data.lat - village.lat) / village.count;
+      village.lng += (data.lng - village.lng) / village.count;
+    });
+    const terms = new Map();
+    this.getFieldTexts(data).forEach(({ field, text }) => {
+      const weight = this.getFieldWeight(data, field);
+      this.tokenize(text).forEach(({ term }) => {
+        if (!terms.has(term) || terms.get(term) < weight) terms.set(term, weight);
+      });
+    });
+    terms.forEach((weight, term) => {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, { docs: [], weights: [] });
+        const key = term[0] + term.length;
+        if (!index.termBuckets.has(key)) index.termBuckets.set(key, []);
+        index.termBuckets.get(key).push(term);
+        index.longestTerm = Math.max(index.longestTerm, term.length);
+      }
+      const posting = index.postings.get(term);
+      posting.docs.push(docIndex);
+      posting.weights.push(weight);
+    });
+    index.documents.push({ data: data, terms: terms });
+  },
+  
+  /**
+   * Sort one bucket of an index under construction and record its letter
+   * masks; many small sorts are far cheaper than sorting the vocabulary
+   * @param {Object} index - Index being built
+   * @param {string} key - Bucket key
+   * @private
+   */
+  finishBucket: function(index, key) {
+    const terms = index.termBuckets.get(key).sort();
+    index.termMasks.set(key, Int32Array.from(terms, term => this.letterMask(term)));
+  },
+  
+  /**
+   * Start using a finished index
+   * @param {Object} index - Index just built
+   * @private
+   */
+  install: function(index) {
+    this.documents = index.documents;
+    this.postings = index.postings;
+    this.termBuckets = index.termBuckets;
+    this.termMasks = index.termMasks;
+    this.longestTerm = index.longestTerm;
+    this.villages = Array.from(index.villages.values()).sort((a, b) => b.count - a.count);
+  },
+  
+  /**
+   * List the searchable text of an entry by field
+   * @param {Object} data - Marker data or imported feature entry
+   * @returns {Array<{field: string, text: string}>} Non-empty field texts
+   * @private
+   */
+  getFieldTexts: function(data) {
+    const texts = [
+      { field: 'name', text: data.name },
+      { field: 'description', text: data.description }
+    ];
+    Object.entries(data.additionalData || {}).forEach(([field, value]) => {
+      if (value !== null && typeof value !== 'object') texts.push({ field: field, text: String(value) });
+    });
+    const kn = data.localized && data.localized.kn;
+    if (kn) {
+      texts.push({ field: 'name', text: kn.name }, { field: 'description', text: kn.description });
+      Object.entries(kn.fields).forEach(([field, value]) => texts.push({ field: field, text: value }));
+    }
+    return texts.filter(({ text }) => text);
+  },
+  
+  /**
+   * Weight of a field: name, then village, deity and description by role
+   * @param {Object} data - Marker data or imported feature entry
+   * @param {string} field - name, description or an additionalData key
+   * @returns {number} Field weight
+   * @private
+   */
+  getFieldWeight: function(data, field) {
+    const weights = CONSTANTS.SEARCH.FIELD_WEIGHTS;
+    if (weights[field] !== undefined) return weights[field];
+    const layerConfig = getLayerConfig(data.layerKey);
+    const definition = layerConfig && layerConfig.fields.find(entry => entry.key === field);
+    const role = definition && definition.role;
+    return weights[role] !== undefined ? weights[role] : weights.other;
+  },
+  
+  /**
+   * Split text into words with their phonetic keys and positions
+   * @param {string} text - Any text
+   * @returns {Array<{term: string, start: number, end: number}>} Words
+   * @public
+   */
+  tokenize: function(text) {
+    const words = [];
+    const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(String(text))) !== null) {
+      let term = this.termCache.get(match[0]);
+      if (term === undefined) {
+        term = TextFolding.phonetic(TextFolding.fold(match[0]));
+        this.termCache.set(match[0], term);
+      }
+      if (term) words.push({ term: term, start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+  },
+  
+  /**
+   * Find index words matching one query word, with a score factor each
+   * @param {string} queryTerm - Phonetic key of the query word
+   * @returns {Map<string, number>} Index word -> factor (1 for exact)
+   * @private
+   */
+  expandTerm: function(queryTerm) {
+    const { PREFIX_FACTOR, FUZZY_FACTOR, ONE_EDIT_LENGTH, TWO_EDIT_LENGTH } = CONSTANTS.SEARCH;
+    const matches = new Map();
+    const add = (term, factor) => {
+      if (!matches.has(term) || matches.get(term) < factor) matches.set(term, factor);
+    };
+    
+    if (this.postings.has(queryTerm)) add(queryTerm, 1);
+    
+    // Prefix matches sit together in each sorted bucket of longer words
+    for (let length = queryTerm.length + 1; length <= this.longestTerm; length++) {
+      const terms = this.termBuckets.get(queryTerm[0] + length) || [];
+      let low = 0;
+      let high = terms.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (terms[mid] < queryTerm) low = mid + 1; else high = mid;
+      }
+      for (let i = low; i < terms.length && terms[i].startsWith(queryTerm); i++) {
+        // Closer to a whole word scores higher
+        add(terms[i], PREFIX_FACTOR * queryTerm.length / terms[i].length);
+      }
+    }
+    
+    // Typo matches must keep the first letter, so only words sharing it are
+    // compared instead of the whole vocabulary; spelling variants of an
+    // initial (sh/s, v/w...) already share a phonetic key
+    const maxEdits = queryTerm.length >= TWO_EDIT_LENGTH ? 2 : queryTerm.length >= ONE_EDIT_LENGTH ? 1 : 0;
+    const numeric = /^\d/.test(queryTerm);
+    const queryMask = this.letterMask(queryTerm);
+    for (let length = queryTerm.length - maxEdits; maxEdits > 0 && length <= queryTerm.length + maxEdits; length++) {
+      const terms = this.termBuckets.get(queryTerm[0] + length) || [];
+      const masks = this.termMasks.get(queryTerm[0] + length);
+      for (let i = 0; i < terms.length; i++) {
+        // Each edit adds or removes at most one letter, so words differing in
+        // more letters than that are skipped before measuring the distance
+        if (this.bitCount(queryMask & ~masks[i]) > maxEdits || this.bitCount(masks[i] & ~queryMask) > maxEdits) continue;
+        // A typo in a number is a different number
+        if (numeric && /^\d+$/.test(terms[i])) continue;
+        const distance = this.editDistance(queryTerm, terms[i], maxEdits);
+        if (distance > 0 && distance <= maxEdits) add(terms[i], Math.pow(FUZZY_FACTOR, distance));
+      }
+    }
+    return matches;
+  },
+  
+  /**
+   * Set of the characters in a word as 32 bits, one per character code
+   * modulo 32 (letters get their own bit; rarer characters share)
+   * @param {string} term - Index or query word
+   * @returns {number} Bit mask
+   * @private
+   */
+  letterMask: function(term) {
+    let mask = 0;
+    for (let i = 0; i < term.length; i++) mask |= 1 << (term.charCodeAt(i) & 31);
+    return mask;
+  },
+  
+  /**
+   * Number of set bits in a 32-bit integer
+   * @param {number} bits - Integer
+   * @returns {number} Count
+   * @private
+   */
+  bitCount: function(bits) {
+    bits -= (bits >>> 1) & 0x55555555;
+    bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+    return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  },
+  
+  /**
+   * Levenshtein distance, giving up once it must exceed a limit
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} limit - Largest distance of interest
+   * @returns {number} Distance, or limit + 1 if larger
+   * @private
+   */
+  editDistance: function(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    // Called for thousands of words per query: reuse two rows and only fill
+    // cells within limit of the diagonal, treating the rest as over the limit
+    const over = limit + 1;
+    if (!this.distanceRows || this.distanceRows[0].length <= b.length) {
+      this.distanceRows = [new Uint8Array(b.length + 1), new Uint8Array(b.length + 1)];
+    }
+    let previous = this.distanceRows[0];
+    let current = this.distanceRows[1];
+    for (let j = 0; j <= b.length; j++) previous[j] = j < over ? j : over;
+    for (let i = 1; i <= a.length; i++) {
+      const from = Math.max(1, i - limit);
+      const to = Math.min(b.length, i + limit);
+      current[from - 1] = from === 1 && i < over ? i : over;
+      let rowMin = current[from - 1];
+      const charA = a.charCodeAt(i - 1);
+      for (let j = from; j <= to; j++) {
+        let cell = previous[j - 1] + (charA === b.charCodeAt(j - 1) ? 0 : 1);
+        if (previous[j] + 1 < cell) cell = previous[j] + 1;
+        if (current[j - 1] + 1 < cell) cell = current[j - 1] + 1;
+        current[j] = cell < over ? cell : over;
+        if (cell < rowMin) rowMin = cell;
+      }
+      if (to < b.length) current[to + 1] = over;
+      if (rowMin > limit) return over;
+      const row = previous;
+      previous = current;
+      current = row;
+    }
+    return previous[b.length];
+  },
+  
+  /**
+   * Rank entries against a query
+   * @param {string} query - Search text (Latin or Kannada script)
+   * @returns {Array<{data: Object, score: number, terms: Set<string>}>}
+   *   Best first, with the index words each entry matched
+   * @public
+   */
+  search: function(query) {
+    const queryTerms = Array.from(new Set(this.tokenize(query).map(word => word.term)));
+    if (queryTerms.length === 0) return [];
+    
+    // Flat per-document arrays keep this fast when most sites match
+    const count = this.documents.length;
+    const scores = new Float64Array(count);
+    const matched = new Uint8Array(count);
+    const matchedTerms = queryTerms.map(queryTerm => {
+      const expansions = Array.from(this.expandTerm(queryTerm));
+      const best = new Float64Array(count);
+      const bestTerm = new Int32Array(count);
+      expansions.forEach(([term, factor], termIndex) => {
+        const posting = this.postings.get(term);
+        for (let i = 0; i < posting.docs.length; i++) {
+          const score = posting.weights[i] * factor;
+          if (score > best[posting.docs[i]]) {
+            best[posting.docs[i]] = score;
+            bestTerm[posting.docs[i]] = termIndex;
+          }
+        }
+      });
+      for (let docIndex = 0; docIndex < count; docIndex++) {
+        if (best[docIndex] > 0) {
+          scores[docIndex] += best[docIndex];
+          matched[docIndex]++;
+        }
+      }
+      return { expansions: expansions, bestTerm: bestTerm };
+    });
+    
+    // Every query word must match
+    const results = [];
+    for (let docIndex = 0; docIndex < count; docIndex++) {
+      if (matched[docIndex] === queryTerms.length) results.push(docIndex);
+    }
+    // Rank by score alone, then order the shortlist's ties by name
+    const name = docIndex => this.documents[docIndex].data.name;
+    return results
+      .sort((a, b) => scores[b] - scores[a])
+      .slice(0, CONSTANTS.SEARCH.MAX_RESULTS)
+      .sort((a, b) => scores[b] - scores[a] || (name(a) < name(b) ? -1 : name(a) > name(b) ? 1 : 0))
+      .map(docIndex => ({
+        data: this.documents[docIndex].data,
+        score: scores[docIndex],
+        terms: new Set(matchedTerms.map(({ expansions, bestTerm }) => expansions[bestTerm[docIndex]][0]))
+      }));
+  },
+  
+  /**
+   * Villages whose name has a word starting with each word of the query
+   * @param {string} query - Partly typed text
+   * @param {number} limit - Maximum number of villages
+   * @returns {Array<{name: string, count: number, terms: Set<string>}>}
+   *   Villages with the most sites first, with their matched words
+   * @public
+   */
+  suggestVillages: function(query, limit) {
+    const queryTerms = this.tokenize(query).map(word => word.term);
+    if (queryTerms.length === 0) return [];
+    const results = [];
+    for (const village of this.villages) {
+      const terms = new Set();
+      const matchesAll = queryTerms.every(queryTerm => {
+        const term = village.terms.find(candidate => candidate.startsWith(queryTerm));
+        if (term) terms.add(term);
+        return !!term;
+      });
+      if (matchesAll) results.push({ name: village.name, count: village.count, terms: terms });
+      if (results.length >= limit) break;
+    }
+    return results;
+  },
+  
+  /**
+   * Escape text for HTML, wrapping words that matched the search in <mark>
+   * @param {string} text - Text to display
+   * @param {Set<string>} [terms] - Matched index words
+   * @returns {string} HTML
+   * @public
+   */
+  highlight: function(text, terms) {
+    text = String(text === undefined || text === null ? '' : text);
+    if (!terms || terms.size === 0) return escapeHTML(text);
+    let html = '';
+    let last = 0;
+    this.tokenize(text).forEach(({ term, start, end }) => {
+      if (!terms.has(term)) return;
+      html += `${escapeHTML(text.slice(last, start))}<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+      last = end;
+    });
+    return html + escapeHTML(text.slice(last));
+  }
+};
+
+// ============================================================================
+// COORDINATES
+// ============================================================================
+
+/**
+ * Coordinates typed into the search box
+ *
+ * Besides decimal degrees, field notes and old gazetteers give positions as
+ * degrees-minutes-seconds, UTM grid references, Plus Codes and Survey of
+ * India toposheet numbers. Every parser returns the same shape:
+ * { lat, lng, format, label, swapped, bounds? } where `label` restates the
+ * input in its own notation and `bounds` is the area a sheet or code covers.
+ */
+const CoordinateParser = {
+  // Open Location Code digits and the degrees spanned by each pair of them
+  OLC_ALPHABET: '23456789CFGHJMPQRVWX',
+  OLC_PAIR_RESOLUTIONS: [20, 1, 0.05, 0.0025, 0.000125],
+  
+  /**
+   * Recognise a coordinate in any supported notation
+   * @param {string} query - Search text
+   * @param {Array<number>} [reference] - [lat, lng] near which short Plus
+   *   Codes are resolved (defaults to the map's home centre)
+   * @returns {Object|null} Parsed coordinate or null if the text is not one
+   * @public
+   */
+  parse: function(query, reference = CONSTANTS.MAP.CENTER) {
+    const text = String(query || '').trim().toUpperCase().replace(/\s+/g, ' ');
+    if (!text) return null;
+    return this.parsePlusCode(text, reference) ||
+      this.parseToposheet(text) ||
+      this.parseUTM(text) ||
+      this.parseDegrees(text);
+  },
+  
+  /**
+   * Check whether a point lies in the Bengaluru region
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {boolean} True if inside CONSTANTS.MAP.REGION_BOUNDS
+   * @private
+   */
+  inRegion: function(lat, lng) {
+    const [[south, west], [north, east]] = CONSTANTS.MAP.REGION_BOUNDS;
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+  },
+  
+  /**
+   * Decimal degrees or degrees-minutes-seconds, with optional N/S/E/W before
+   * or after each value: "12.9716, 77.5946", "12°58'17.8\"N 77°35'40.6\"E",
+   * "N 12 58 17.8 E 77 35 40.6". Unlabelled values are read latitude first;
+   * a pair that only falls in the Bengaluru region (or on the globe) the
+   * other way round is swapped.
+   * @param {string} text - Upper-cased search text
+   * @returns {Object|null} Parsed coordinate
+   * @private
+   */
+  parseDegrees: function(text) {
+    if (!/^[-+\d\s.,;:°º'’′"”″NSEW]+$/.test(text) || !/\d/.test(text)) return null;
+    
+    // Group numbers into values, splitting at commas and hemisphere letters
+    const prefixed = /^[NSEW]/.test(text);
+    const groups = [];
+    let current = { numbers: [], hemisphere: null };
+    const close = () => {
+      if (current.numbers.length > 0) groups.push(current);
+      current = { numbers: [], hemisphere: null };
+    };
+    (text.match(/[NSEW,;]|[-+]?\d+(?:\.\d+)?/g) || []).forEach(token => {
+      if (token === ',' || token === ';') {
+        close();
+      } else if (/[NSEW]/.test(token)) {
+        if (prefixed) {
+          close();
+          current.hemisphere = token;
+        } else {
+          current.hemisphere = token;
+          close();
+        }
+      } else {
+        current.numbers.push(parseFloat(token));
+      }
+    });
+    close();
+    // "12 58 17.8 77 35 40.6": split evenly
+    if (groups.length === 1 && !groups[0].hemisphere && [2, 4, 6].includes(groups[0].numbers.length)) {
+      const numbers = groups[0].numbers;
+      groups.splice(0, 1,
+        { numbers: numbers.slice(0, numbers.length / 2), hemisphere: null },
+        { numbers: numbers.slice(numbers.length / 2), hemisphere: null });
+    }
+    if (groups.length !== 2) return null;
+    
+    const values = groups.map(group => this.toDegrees(group.numbers, group.hemisphere));
+    if (values.includes(null)) return null;
+    let [lat, lng] = values;
+    const axes = groups.map(group => group.hemisphere === 'E' || group.hemisphere === 'W' ? 'lng' : group.hemisphere ? 'lat' : null);
+    if (axes[0] && axes[0] === axes[1]) return null;
+    if (axes[0] === 'lng' || axes[1] === 'lat') [lat, lng] = [lng, lat];
+    
+    let swapped = false;
+    const valid = (a, b) => Math.abs(a) <= 90 && Math.abs(b) <= 180;
+    if (!valid(lat, lng) || (!this.inRegion(lat, lng) && this.inRegion(lng, lat))) {
+      if (!valid(lng, lat)) return null;
+      [lat, lng] = [lng, lat];
+      swapped = true;
+    }
+    
+    const dms = groups.some(group => group.numbers.length > 1);
+    return {
+      lat: lat,
+      lng: lng,
+      format: dms ? 'dms' : 'decimal',
+      label: dms ? `${this.formatDMS(lat, 'N', 'S')} ${this.formatDMS(lng, 'E', 'W')}` : `${lat}, ${lng}`,
+      swapped: swapped
+    };
+  },
+  
+  /**
+   * Combine degrees, minutes and seconds into signed decimal degrees
+   * @param {Array<number>} numbers - One to three numbers
+   * @param {string|null} hemisphere - N, S, E, W or null
+   * @returns {number|null} Degrees, or null if the parts are out of range
+   * @private
+   */
+  toDegrees: function(numbers, hemisphere) {
+    if (numbers.length > 3) return null;
+    const [degrees, minutes = 0, seconds = 0] = numbers;
+    if (numbers.length > 1 && (!Number.isInteger(degrees) || minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60)) return null;
+    if (numbers.length > 2 && !Number.isInteger(minutes)) return null;
+    const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    return degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+  },
+  
+  /**
+   * Format decimal degrees as degrees, minutes and seconds
+   * @param {number} value - Signed degrees
+   * @param {string} positive - Hemisphere letter for positive values
+   * @param {string} negative - Hemisphere letter for negative values
+   * @returns {string} e.g. 12°58′17.8″N
+   * @public
+   */
+  formatDMS: function(value, positive, negative) {
+    const tenths = Math.round(Math.abs(value) * 36000);
+    const degrees = Math.floor(tenths / 36000);
+    const minutes = Math.floor(tenths % 36000 / 600);
+    const seconds = (tenths % 600) / 10;
+    return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(1).padStart(4, '0')}″${value < 0 ? negative : positive}`;
+  },
+  
+  /**
+   * UTM grid reference: "43N 777400 1434900", "43P 777400mE 1434900mN", or
+   * a bare 6-digit easting and 7-digit northing, read in the local zone
+   * @param {string} text - Upper-cased search text
+   * @returns {Object|null} Parsed coordinate
+   * @private
+   */
+  parseUTM: function(text) {
+    const match = text.match(/^(?:UTM\s*)?(?:(\d{1,2})\s*([C-HJ-NP-X])?[\s,]+)?(\d{6}(?:\.\d+)?)\s*(?:M?E)?[\s,]+(\d{7}(?:\.\d+)?)\s*(?:M?N)?$/);
+    if (!match) return null;
+    const zone = match[1] ? parseInt(match[1], 10) : CONSTANTS.COORDINATES.UTM_ZONE;
+    // Latitude bands C-M are south of the equator; N means north either way
+    const north = !match[2] || match[2] >= 'N';
+    const easting = parseFloat(match[3]);
+    const northing = parseFloat(match[4]);
+    if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000) return null;
+    
+    const { lat, lng } = this.utmToLatLng(zone, north, easting, northing);
+    if (Math.abs(lat) > 84) return null;
+    return {
+      lat: lat,
+      lng: lng,
+      format: 'utm',
+      label: `${zone}${north ? 'N' : 'S'} ${Math.round(easting)} E ${Math.round(northing)} N`,
+      swapped: false
+    };
+  },
+  
+  /**
+   * Inverse transverse Mercator on WGS84 (Snyder's series)
+   * @param {number} zone - UTM zone, 1-60
+   * @param {boolean} north - Northern hemisphere
+   * @param {number} easting - Metres
+   * @param {number} northing - Metres
+   * @returns {{lat: number, lng: number}} Degrees
+   * @private
+   */
+  utmToLatLng: function(zone, north, easting, northing) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    
+    const x = easting - 500000;
+    const y = north ? northing : northing - 10000000;
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+      (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+      (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+    
+    const sin = Math.sin(phi1);
+    const cos = Math.cos(phi1);
+    const c1 = ep2 * cos * cos;
+    const t1 = Math.tan(phi1) * Math.tan(phi1);
+    const n1 = a / Math.sqrt(1 - e2 * sin * sin);
+    const r1 = a * (1 - e2) / Math.pow(1 - e2 * sin * sin, 1.5);
+    const d = x / (n1 * k0);
+    
+    const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+      d * d / 2 -
+      (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+      (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720);
+    const lng = (
+      d -
+      (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+      (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120) / cos;
+    
+    return {
+      lat: lat * 180 / Math.PI,
+      lng: (zone - 1) * 6 - 177 + lng * 180 / Math.PI
+    };
+  },
+  
+  /**
+   * Plus Code (Open Location Code): a full code such as "7J4VXHFV+XG", or a
+   * short one such as "XHFV+XG" (any locality after it is ignored; the code
+   * is resolved near the reference point)
+   * @param {string} text - Upper-cased search text
+   * @param {Array<number>} reference - [lat, lng] for short codes
+   * @returns {Object|null} Parsed coordinate
+   * @private
+   */
+  parsePlusCode: function(text, reference) {
+    const match = text.match(/^([23456789CFGHJMPQRVWX]{2,8}0*)\+([23456789CFGHJMPQRVWX]*)(?:[\s,].*)?$/);
+    if (!match) return null;
+    const [, prefix, suffix] = match;
+    if (prefix.length % 2 !== 0 || prefix.length > 8 || suffix.length === 1 || suffix.length > 7) return null;
+    
+    let code = prefix + '+' + suffix;
+    if (prefix.length < 8) {
+      // Short code: borrow the leading digits from the reference point
+      if (/0/.test(prefix)) return null;
+      code = this.recoverPlusCode(prefix + '+' + suffix, reference);
+    }
+    const area = this.decodePlusCode(code);
+    if (!area) return null;
+    return {
+      lat: area.lat,
+      lng: area.lng,
+      format: 'pluscode',
+      label: code,
+      swapped: false,
+      bounds: area.bounds
+    };
+  },
+  
+  /**
+   * Decode a full Plus Code to the centre of its area
+   * @param {string} code - Full code with "+" after eight characters
+   * @returns {Object|null} { lat, lng, bounds } or null if invalid
+   * @private
+   */
+  decodePlusCode: function(code) {
+    const digits = code.replace('+', '').replace(/0+$/, '');
+    let south = -90;
+    let west = -180;
+    let latSize = 0;
+    let lngSize = 0;
+    for (let i = 0; i < digits.length; i++) {
+      const value = this.OLC_ALPHABET.indexOf(digits[i]);
+      if (value === -1) return null;
+      if (i < 10) {
+        // Pairs: latitude digit then longitude digit
+        latSize = lngSize = this.OLC_PAIR_RESOLUTIONS[i >> 1];
+        if (i % 2 === 0) south += value * latSize; else west += value * lngSize;
+      } else {
+        // Grid refinement: 5 rows by 4 columns per character
+        latSize /= 5;
+        lngSize /= 4;
+        south += Math.floor(value / 4) * latSize;
+        west += (value % 4) * lngSize;
+      }
+    }
+    if (digits.length % 2 !== 0 && digits.length < 10) return null;
+    if (south >= 90 || west >= 180) return null;
+    const north = Math.min(south + latSize, 90);
+    const east = west + lngSize;
+    return { lat: (south + north) / 2, lng: (west + east) / 2, bounds: [[south, west], [north, east]] };
+  },
+  
+  /**
+   * Complete a short Plus Code with the digits of the nearest matching area
+   * to a reference point (the Open Location Code recoverNearest algorithm)
+   * @param {string} shortCode - Code with fewer than eight digits before "+"
+   * @param {Array<number>} reference - [lat, lng]
+   * @returns {string} Full code
+   * @private
+   */
+  recoverPlusCode: function(shortCode, reference) {
+    const paddingLength = 8 - shortCode.indexOf('+');
+    const resolution = Math.pow(20, 2 - paddingLength / 2);
+    const [refLat, refLng] = reference;
+    const prefix = this.encodePlusCodePairs(refLat, refLng, paddingLength);
+    
+    // The area nearest the reference may lie in the neighbouring cell
+    const area = this.decodePlusCode(prefix + shortCode);
+    let lat = area.lat;
+    let lng = area.lng;
+    if (refLat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+    else if (refLat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+    if (refLng + resolution / 2 < lng) lng -= resolution;
+    else if (refLng - resolution / 2 > lng) lng += resolution;
+    if (lat === area.lat && lng === area.lng) return prefix + shortCode;
+    return this.encodePlusCodePairs(lat, lng, paddingLength) + shortCode;
+  },
+  
+  /**
+   * Leading pair digits of the Plus Code for a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} length - Digits wanted (even, at most 8)
+   * @returns {string} Code digits
+   * @private
+   */
+  encodePlusCodePairs: function(lat, lng, length) {
+    let latRest = Math.min(lat + 90, 180 - 1e-10);
+    let lngRest = ((lng + 180) % 360 + 360) % 360;
+    let digits = '';
+    for (let i = 0; i < length / 2; i++) {
+      const size = this.OLC_PAIR_RESOLUTIONS[i];
+      const latDigit = Math.floor(latRest / size);
+      const lngDigit = Math.floor(lngRest / size);
+      latRest -= latDigit * size;
+      lngRest -= lngDigit * size;
+      digits += this.OLC_ALPHABET[latDigit] + this.OLC_ALPHABET[lngDigit];
+    }
+    return digits;
+  },
+  
+  /**
+   * Survey of India toposheet in the India and Adjacent Countries series:
+   * "57 H" (1:250,000, 1°), "57 H/9" (1:50,000, 15′) or "57 H/9/NE"
+   * (1:25,000, 7.5′). Degree sheets A-P and fifteen-minute sheets 1-16 are
+   * numbered down each column from the north-west corner.
+   * @param {string} text - Upper-cased search text
+   * @returns {Object|null} Centre of the sheet with its bounds
+   * @private
+   */
+  parseToposheet: function(text) {
+    const match = text.match(/^(?:(?:SOI|TOPO ?SHEET|SHEET)\s*(?:NO\.?)?\s*)?(\d{2})\s*([A-P])(?:\s*\/\s*(\d{1,2})(?:\s*\/\s*(NE|NW|SE|SW))?)?$/);
+    if (!match) return null;
+    const origin = CONSTANTS.COORDINATES.SOI_SHEETS[match[1]];
+    if (!origin) return null;
+    
+    const letter = match[2].charCodeAt(0) - 65;
+    let north = origin[0] + 4 - letter % 4;
+    let west = origin[1] + Math.floor(letter / 4);
+    let size = 1;
+    let scale = 250000;
+    let label = `${match[1]} ${match[2]}`;
+    if (match[3]) {
+      const number = parseInt(match[3], 10);
+      if (number < 1 || number > 16) return null;
+      size = 0.25;
+      scale = 50000;
+      north -= (number - 1) % 4 * size;
+      west += Math.floor((number - 1) / 4) * size;
+      label += `/${number}`;
+    }
+    if (match[4]) {
+      size = 0.125;
+      scale = 25000;
+      if (match[4][0] === 'S') north -= size;
+      if (match[4][1] === 'E') west += size;
+      label += `/${match[4]}`;
+    }
+    return {
+      lat: north - size / 2,
+      lng: west + size / 2,
+      format: 'toposheet',
+      label: `${label} (1:${scale.toLocaleString('en')})`,
+      swapped: false,
+      bounds: [[north - size, west], [north, west + size]]
+    };
+  }
+};
+
+// ============================================================================
+// GEOCODER
+// ============================================================================
+
+/**
+ * Place-name lookup across configurable providers
+ *
+ * Each entry of CONSTANTS.GEOCODER.PROVIDERS names a provider type below and
+ * its endpoint. Results from every provider are merged in configuration
+ * order, so the offline gazetteer answers first and still answers when the
+ * network does not. Network providers are throttled per endpoint and their
+ * answers cached for the session.
+ */
+const Geocoder = {
+  // Cache key -> { results, time }; Map order doubles as least-recently-used order
+  cache: new Map(),
+  // Endpoint URL -> promise of the time its last request started
+  queues: new Map(),
+  
+  /**
+   * Look up a place name with every configured provider
+   * @param {string} query - Place name
+   * @param {Object} [options] - { signal: AbortSignal } to drop a superseded
+   *   query before its throttled requests are sent
+   * @returns {Promise<Array<Object>>} Place results ({ type: 'place', name,
+   *   displayName, lat, lng, address, source }); never rejects except on abort
+   * @public
+   */
+  search: function(query, options = {}) {
+    const lookups = CONSTANTS.GEOCODER.PROVIDERS.map(config => {
+      const provider = this.providers[config.type];
+      if (!provider) {
+        console.warn('Unknown geocoder provider:', config.type);
+        return Promise.resolve([]);
+      }
+      return this.lookup(provider, config, query, options.signal).catch(error => {
+        if (error.name === 'AbortError') throw error;
+        console.warn(`Geocoder ${config.type} failed:`, error);
+        return [];
+      });
+    });
+    return Promise.all(lookups).then(lists => this.merge(lists));
+  },
+  
+  /**
+   * Query one provider, through the cache and throttle for network providers
+   * @param {Object} provider - Implementation from this.providers
+   * @param {Object} config - Provider configuration entry
+   * @param {string} query - Place name
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Array<Object>>} Place results
+   * @private
+   */
+  lookup: function(provider, config, query, signal) {
+    if (provider.local) return provider.search(query, config);
+    
+    const key = [config.type, config.url, I18n.lang, TextFolding.fold(query)].join('|');
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.time < CONSTANTS.GEOCODER.CACHE_TTL) {
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return Promise.resolve(cached.results);
+    }
+    
+    return this.throttle(config, signal)
+      .then(() => provider.search(query, config, signal))
+      .then(results => {
+        this.cache.delete(key);
+        this.cache.set(key, { results: results, time: Date.now() });
+        while (this.cache.size > CONSTANTS.GEOCODER.CACHE_SIZE) {
+          this.cache.delete(this.cache.keys().next().value);
+        }
+        return results;
+      });
+  },
+  
+  /**
+   * Wait for a turn at an endpoint, keeping requests minInterval apart
+   * @param {Object} config - Provider configuration entry
+   * @param {AbortSignal} [signal] - Abort signal, checked when the turn comes
+   * @returns {Promise<void>} Resolves when the request may be sent
+   * @private
+   */
+  throttle: function(config, signal) {
+    const previous = this.queues.get(config.url) || Promise.resolve(0);
+    const turn = previous.then(lastStart => new Promise(resolve => {
+      setTimeout(resolve, Math.max(0, lastStart + (config.minInterval || 0) - Date.now()));
+    })).then(() => {
+      if (signal && signal.aborted) throw new DOMException('Geocoding superseded', 'AbortError');
+      return Date.now();
+    });
+    // An aborted turn frees the slot at once for the next query
+    this.queues.set(config.url, turn.catch(() => 0));
+    return turn.then(() => undefined);
+  },
+  
+  /**
+   * Combine provider result lists, dropping repeats of the same place
+   * @param {Array<Array<Object>>} lists - Results per provider, in order
+   * @returns {Array<Object>} Merged results
+   * @private
+   */
+  merge: function(lists) {
+    const merged = [];
+    lists.forEach(results => results.forEach(result => {
+      const name = TextFolding.phonetic(TextFolding.fold(result.name));
+      const repeat = merged.some(existing =>
+        TextFolding.phonetic(TextFolding.fold(existing.name)) === name &&
+        L.latLng(existing.lat, existing.lng).distanceTo([result.lat, result.lng]) <= CONSTANTS.GEOCODER.DEDUPE_DISTANCE);
+      if (!repeat) merged.push(result);
+    }));
+    return merged;
+  },
+  
+  /**
+   * Nominatim-style viewbox around the Bengaluru region
+   * @returns {string} "west,south,east,north"
+   * @private
+   */
+  getViewbox: function() {
+    const [[south, west], [north, east]] = CONSTANTS.MAP.REGION_BOUNDS;
+    return [west, south, east, north].join(',');
+  },
+  
+  /**
+   * Fetch JSON, rejecting on HTTP errors
+   * @param {string} url - Request URL
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<*>} Parsed JSON
+   * @private
+   */
+  fetchJSON: function(url, signal) {
+    return fetch(url, { signal: signal }).then(response => {
+      if (!response.ok) throw new Error(`Geocoding API error: ${response.status}`);
+      return response.json();
+    });
+  },
+  
+  /**
+   * Provider implementations by type. Each has
+   * search(query, config, signal) -> Promise<Array<place result>>;
+   * `local: true` skips the cache and throttle.
+   */
+  providers: {
+    /**
+     * Offline gazetteer: hoblis and taluks from the static file plus every
+     * village named in the site sheets, placed at the mean of its sites
+     */
+    gazetteer: {
+      local: true,
+      places: null,
+      
+      /**
+       * @param {string} query - Place name
+       * @param {Object} config - Provider configuration entry
+       * @returns {Promise<Array<Object>>} Place results, taluks before hoblis before villages
+       */
+      search: function(query, config) {
+        return this.load(config).then(places => {
+          const siteVillages = SearchIndex.villages.map(village => ({
+            name: village.name,
+            terms: village.terms,
+            lat: village.lat,
+            lng: village.lng,
+            rank: 2,
+            address: `${I18n.t('place.village')} · ${I18n.siteCount(village.count)}`
+          }));
+          const queryTerms = SearchIndex.tokenize(query).map(word => word.term);
+          if (queryTerms.length === 0) return [];
+          
+          return [...places, ...siteVillages]
+            .map(place => {
+              // Every query word must start a word of the name; whole words score higher
+              let score = 0;
+              const matchesAll = queryTerms.every(queryTerm => {
+                const term = place.terms.find(candidate => candidate.startsWith(queryTerm));
+                if (term) score += term === queryTerm ? 2 : 1;
+                return !!term;
+              });
+              return matchesAll ? { place: place, score: score } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.place.rank - b.place.rank)
+            .slice(0, CONSTANTS.GEOCODER.LIMIT)
+            .map(({ place }) => ({
+              type: 'place',
+              name: place.name,
+              displayName: place.name,
+              lat: place.lat,
+              lng: place.lng,
+              address: place.address ||
+                [I18n.label(`place.${place.type}`, place.type), place.taluk, place.district].filter(Boolean).join(' · '),
+              source: 'gazetteer'
+            }));
+        });
+      },
+      
+      /**
+       * Load the static gazetteer once, indexing names, Kannada names and aliases
+       * @param {Object} config - Provider configuration entry
+       * @returns {Promise<Array<Object>>} Places
+       */
+      load: function(config) {
+        if (!this.places) {
+          this.places = Geocoder.fetchJSON(config.url)
+            .then(json => (json.places || []).map(place => ({
+              name: place.name,
+              terms: [place.name, place.kn, ...(place.aliases || [])]
+                .filter(Boolean)
+                .flatMap(text => SearchIndex.tokenize(text).map(word => word.term)),
+              lat: place.lat,
+              lng: place.lng,
+              rank: place.type === 'taluk' ? 0 : 1,
+              type: place.type,
+              taluk: place.taluk,
+              district: place.district
+            })))
+            .catch(error => {
+              console.warn('Gazetteer unavailable, using site villages only:', error);
+              this.places = null;
+              return [];
+            });
+        }
+        return this.places;
+      }
+    },
+    
+    /**
+     * Nominatim search API, biased to (not bounded by) the Bengaluru region
+     */
+    nominatim: {
+      /**
+       * @param {string} query - Place name
+       * @param {Object} config - Provider configuration entry
+       * @param {AbortSignal} [signal] - Abort signal
+       * @returns {Promise<Array<Object>>} Place results
+       */
+      search: function(query, config, signal) {
+        const params = new URLSearchParams({
+          q: query,
+          format: 'jsonv2',
+          limit: CONSTANTS.GEOCODER.LIMIT,
+          countrycodes: 'in',
+          viewbox: Geocoder.getViewbox(),
+          bounded: 0,
+          'accept-language': I18n.lang
+        });
+        if (config.email) params.set('email', config.email);
+        return Geocoder.fetchJSON(`${config.url}?${params}`, signal).then(results => {
+          if (!Array.isArray(results)) {
+            console.warn('Nominatim returned non-array results:', results);
+            return [];
+          }
+          return results.map(result => ({
+            type: 'place',
+            name: result.name || String(result.display_name || '').split(',')[0] || I18n.t('common.unknown'),
+            displayName: result.display_name || I18n.t('common.unknown'),
+            lat: parseFloat(result.lat),
+            lng: parseFloat(result.lon),
+            address: result.display_name || '',
+            source: 'nominatim'
+          })).filter(place => !isNaN(place.lat) && !isNaN(place.lng));
+        });
+      }
+    },
+    
+    /**
+     * Photon (komoot) API, biased towards the map's home centre
+     */
+    photon: {
+      /**
+       * @param {string} query - Place name
+       * @param {Object} config - Provider configuration entry
+       * @param {AbortSignal} [signal] - Abort signal
+       * @returns {Promise<Array<Object>>} Place results
+       */
+      search: function(query, config, signal) {
+        const params = new URLSearchParams({
+          q: query,
+          limit: CONSTANTS.GEOCODER.LIMIT,
+          lat: CONSTANTS.MAP.CENTER[0],
+          lon: CONSTANTS.MAP.CENTER[1]
+        });
+        // Photon has no Kannada; it falls back to local names
+        if (I18n.lang === 'en') params.set('lang', 'en');
+        return Geocoder.fetchJSON(`${config.url}?${params}`, signal).then(json =>
+          (json.features || []).map(feature => {
+            const props = feature.properties || {};
+            const address = [props.name, props.street, props.city || props.county, props.state].filter(Boolean).join(', ');
+            return {
+              type: 'place',
+              name: props.name || address || I18n.t('common.unknown'),
+              displayName: address || props.name || I18n.t('common.unknown'),
+              lat: feature.geometry.coordinates[1],
+              lng: feature.geometry.coordinates[0],
+              address: address,
+              source: 'photon'
+            };
+          }));
+      }
+    }
+  }
+};
+
+// ============================================================================
+// TRAILS
+// ============================================================================
+
+/**
+ * Stop ordering for heritage trails
+ *
+ * Stops are ordered as an open path that starts at the first stop: a
+ * nearest-neighbour tour improved with 2-opt segment reversals. Distances are
+ * straight lines, which rank nearby village sites much as road distances do
+ * and need no network.
+ */
+const TrailOptimizer = {
+  /**
+   * Order points to shorten the path through them
+   * @param {Array<{lat: number, lng: number}>} points - Stops; the first stays first
+   * @returns {Array<number>} Indices into points in visiting order
+   * @public
+   */
+  order: function(points) {
+    if (points.length < 3) return points.map((point, index) => index);
+    const matrix = this.getDistanceMatrix(points);
+    return this.twoOpt(this.nearestNeighbour(matrix), matrix);
+  },
+  
+  /**
+   * Straight-line distances between every pair of points
+   * @param {Array<{lat: number, lng: number}>} points - Stops
+   * @returns {Array<Float64Array>} Metres, matrix[i][j]
+   * @private
+   */
+  getDistanceMatrix: function(points) {
+    const matrix = points.map(() => new Float64Array(points.length));
+    points.forEach((a, i) => {
+      const origin = L.latLng(a.lat, a.lng);
+      for (let j = i + 1; j < points.length; j++) {
+        matrix[i][j] = matrix[j][i] = origin.distanceTo([points[j].lat, points[j].lng]);
+      }
+    });
+    return matrix;
+  },
+  
+  /**
+   * Greedy tour: always go to the closest unvisited stop
+   * @param {Array<Float64Array>} matrix - Distance matrix
+   * @returns {Array<number>} Visiting order starting at 0
+   * @private
+   */
+  nearestNeighbour: function(matrix) {
+    const visited = new Uint8Array(matrix.length);
+    const order = [0];
+    visited[0] = 1;
+    while (order.length < matrix.length) {
+      const from = order[order.length - 1];
+      let next = -1;
+      for (let j = 0; j < matrix.length; j++) {
+        if (!visited[j] && (next === -1 || matrix[from][j] < matrix[from][next])) next = j;
+      }
+      visited[next] = 1;
+      order.push(next);
+    }
+    return order;
+  },
+  
+  /**
+   * Reverse segments while that shortens the path (open path, fixed start)
+   * @param {Array<number>} order - Visiting order
+   * @param {Array<Float64Array>} matrix - Distance matrix
+   * @returns {Array<number>} Improved order
+   * @private
+   */
+  twoOpt: function(order, matrix) {
+    const route = order.slice();
+    const n = route.length;
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 1; i < n - 1; i++) {
+        for (let k = i + 1; k < n; k++) {
+          // Reversing route[i..k] swaps edges (i-1, i) and (k, k+1) for (i-1, k) and (i, k+1)
+          const a = route[i - 1];
+          const b = route[i];
+          const c = route[k];
+          const d = k + 1 < n ? route[k + 1] : -1;
+          const before = matrix[a][b] + (d === -1 ? 0 : matrix[c][d]);
+          const after = matrix[a][c] + (d === -1 ? 0 : matrix[b][d]);
+          if (after < before - 1e-6) {
+            for (let left = i, right = k; left < right; left++, right--) {
+              [route[left], route[right]] = [route[right], route[left]];
+            }
+            improved = true;
+          }
+        }
+      }
+    }
+    return route;
+  }
+};
+
+/**
+ * Routes between trail stops
+ *
+ * CONSTANTS.TRAIL.ROUTER names the backend. Every backend resolves to
+ * { distance, duration, legs: [{ distance, duration }], geometry: [[lat, lng]],
+ * estimate } with metres and seconds; `estimate` marks straight-line figures.
+ */
+const TrailRouter = {
+  /**
+   * Route through stops in order, falling back to straight lines if the
+   * configured backend fails
+   * @param {Array<{lat: number, lng: number}>} points - Ordered stops (2 or more)
+   * @param {string} mode - Travel mode key in CONSTANTS.TRAIL.MODES
+   * @returns {Promise<Object>} Route; `fallback` is set when the backend failed
+   * @public
+   */
+  route: function(points, mode) {
+    const config = CONSTANTS.TRAIL.ROUTER;
+    const backend = this.backends[config.type];
+    if (!backend) return Promise.reject(new Error(`Unknown router: ${config.type}`));
+    return backend.route(points, mode, config).catch(error => {
+      if (backend === this.backends.straight) throw error;
+      console.warn(`Router ${config.type} failed, using straight lines:`, error);
+      return this.backends.straight.route(points, mode, {})
+        .then(route => Object.assign(route, { fallback: true }));
+    });
+  },
+  
+  backends: {
+    /**
+     * Straight lines between stops, scaled by a detour factor, at the
+     * travel mode's average speed
+     */
+    straight: {
+      /**
+       * @param {Array<{lat: number, lng: number}>} points - Ordered stops
+       * @param {string} mode - Travel mode key
+       * @param {Object} config - Router configuration (unused)
+       * @returns {Promise<Object>} Route
+       */
+      route: function(points, mode, config) {
+        const speed = CONSTANTS.TRAIL.MODES[mode].speed / 3.6;
+        const legs = points.slice(1).map((point, index) => {
+          const distance = L.latLng(points[index].lat, points[index].lng).distanceTo([point.lat, point.lng]) * CONSTANTS.TRAIL.DETOUR_FACTOR;
+          return { distance: distance, duration: distance / speed };
+        });
+        return Promise.resolve({
+          distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+          duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+          legs: legs,
+          geometry: points.map(point => [point.lat, point.lng]),
+          estimate: true
+        });
+      }
+    },
+    
+    /**
+     * OSRM route service (osrm-backend or any server speaking its HTTP API)
+     */
+    osrm: {
+      /**
+       * @param {Array<{lat: number, lng: number}>} points - Ordered stops
+       * @param {string} mode - Travel mode key
+       * @param {Object} config - { url, profiles } where url may contain {profile}
+       * @returns {Promise<Object>} Route
+       */
+      route: function(points, mode, config) {
+        const profile = (config.profiles && config.profiles[mode]) || mode;
+        const coordinates = points.map(point => `${point.lng.toFixed(6)},${point.lat.toFixed(6)}`).join(';');
+        const base = config.url.replace('{profile}', profile);
+        const url = `${base}${config.url.includes('{profile}') ? '' : `/${profile}`}/${coordinates}?overview=full&geometries=geojson&steps=false`;
+        return fetch(url)
+          .then(response => {
+            if (!response.ok) throw new Error(`Routing API error: ${response.status}`);
+            return response.json();
+          })
+          .then(json => {
+            const route = json.routes && json.routes[0];
+            if (json.code !== 'Ok' || !route) throw new Error(`Routing failed: ${json.code}`);
+            return {
+              distance: route.distance,
+              duration: route.duration,
+              legs: route.legs.map(leg => ({ distance: leg.distance, duration: leg.duration })),
+              geometry: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+              estimate: false
+            };
+          });
+      }
+    }
+  }
+};
+
+// ============================================================================
+// STORY TOURS
+// ============================================================================
+
+/**
+ * Curated story-map tours read from CONSTANTS.TOURS.URL
+ *
+ * A tour is { id, title, description, layers, steps } and each step is
+ * { title, text, site, siteName, center, zoom, image, caption, credit, duration }.
+ * Text fields are a plain string or { en, kn }. A step needs a site ID or a
+ * centre to fly to; steps with neither are dropped with a warning. siteName
+ * finds the step's site by name near its centre, for sheets whose derived
+ * IDs are not known when the tour is written.
+ */
+const StoryTours = {
+  tours: [],
+  // Pending or settled load, shared by everyone waiting for the tours
+  loading: null,
+  
+  /**
+   * Load and check the tour definitions once
+   * @returns {Promise<Array<Object>>} Tours; empty if the file is missing or invalid
+   * @public
+   */
+  load: function() {
+    if (!this.loading) {
+      this.loading = fetch(CONSTANTS.TOURS.URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(json => {
+          this.tours = (Array.isArray(json.tours) ? json.tours : [])
+            .map(tour => this.normalize(tour))
+            .filter(Boolean);
+          return this.tours;
+        })
+        .catch(error => {
+          console.warn('Could not load story tours:', error);
+          return this.tours;
+        });
+    }
+    return this.loading;
+  },
+  
+  /**
+   * Check one tour definition and fill in step defaults
+   * @param {Object} tour - Tour as written in the JSON file
+   * @returns {Object|null} Tour, or null if it has no ID or usable steps
+   * @private
+   */
+  normalize: function(tour) {
+    if (!tour || !tour.id || !Array.isArray(tour.steps)) {
+      console.warn('Skipping tour without an id or steps:', tour);
+      return null;
+    }
+    const hasCenter = step => Array.isArray(step.center) && step.center.length === 2 && step.center.every(Number.isFinite);
+    const steps = tour.steps.filter((step, index) => {
+      if (step.site || hasCenter(step)) return true;
+      console.warn(`Tour ${tour.id}: step ${index + 1} has no site or center`);
+      return false;
+    }).map(step => ({
+      title: step.title || '',
+      text: step.text || '',
+      site: step.site || null,
+      siteName: step.siteName || null,
+      center: hasCenter(step) ? step.center : null,
+      zoom: Number.isFinite(step.zoom) ? step.zoom : null,
+      image: step.image ? SiteMedia.describe(step.image, 'image') : null,
+      caption: step.caption || '',
+      credit: step.credit || '',
+      duration: Number.isFinite(step.duration) ? step.duration * 1000 : CONSTANTS.TOURS.AUTOPLAY_INTERVAL
+    }));
+    if (steps.length === 0) return null;
+    return {
+      id: String(tour.id),
+      title: tour.title || tour.id,
+      description: tour.description || '',
+      layers: Array.isArray(tour.layers) ? tour.layers : [],
+      steps: steps
+    };
+  },
+  
+  /**
+   * Find a loaded tour
+   * @param {string} id - Tour ID
+   * @returns {Object|null} Tour
+   * @public
+   */
+  find: function(id) {
+    return this.tours.find(tour => tour.id === id) || null;
+  },
+  
+  /**
+   * Pick the current language's version of a tour text field
+   * @param {string|Object} value - Plain text or { en, kn }
+   * @returns {string} Text, falling back to English
+   * @public
+   */
+  text: function(value) {
+    if (!value || typeof value === 'string') return value || '';
+    return value[I18n.lang] || value.en || Object.values(value)[0] || '';
+  }
+};
+
+// ============================================================================
+// DENSITY
+// ============================================================================
+
+/**
+ * Kernel density surfaces, hexagonal bins and colour ramps for the density
+ * display mode. The surface is computed in screen pixels for the current
+ * view; hexagons are laid out in metres so they stay put while panning.
+ */
+const DensitySurface = {
+  /**
+   * Sum a Gaussian kernel around each point over a grid of cells
+   * @param {Array<{x: number, y: number}>} points - Points in container pixels
+   * @param {Object} options - { width, height, cell, sigma } in pixels
+   * @returns {Object} { grid: Float32Array, cols, rows, max } kernel sums per cell
+   * @public
+   */
+  kde: function(points, options) {
+    const { width, height, cell, sigma } = options;
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const grid = new Float32Array(cols * rows);
+    // The kernel is cut off at three standard deviations
+    const reach = Math.ceil(3 * sigma / cell);
+    const cutoff = 9 * sigma * sigma;
+    const twoSigmaSquared = 2 * sigma * sigma;
+    
+    points.forEach(({ x, y }) => {
+      const column = Math.floor(x / cell);
+      const row = Math.floor(y / cell);
+      for (let j = Math.max(0, row - reach); j <= Math.min(rows - 1, row + reach); j++) {
+        const dy = (j + 0.5) * cell - y;
+        for (let i = Math.max(0, column - reach); i <= Math.min(cols - 1, column + reach); i++) {
+          const dx = (i + 0.5) * cell - x;
+          const distanceSquared = dx * dx + dy * dy;
+          if (distanceSquared <= cutoff) grid[j * cols + i] += Math.exp(-distanceSquared / twoSigmaSquared);
+        }
+      }
+    });
+    
+    let max = 0;
+    for (let k = 0; k < grid.length; k++) {
+      if (grid[k] > max) max = grid[k];
+    }
+    return { grid: grid, cols: cols, rows: rows, max: max };
+  },
+  
+  /**
+   * Count sites per layer in pointy-top hexagons
+   * @param {Array<Object>} sites - Marker data entries
+   * @param {number} size - Hexagon centre-to-corner distance in metres
+   * @returns {Array<Object>} Bins { corners: [[lat, lng]], counts: { layerKey: n }, total }
+   * @public
+   */
+  hexbin: function(sites, size) {
+    // Web Mercator stretches distances by 1 / cos(latitude); scale the hexagons
+    // at the region's latitude so their size is close to true metres
+    const scale = size / Math.cos(CONSTANTS.MAP.CENTER[0] * Math.PI / 180);
+    const sqrt3 = Math.sqrt(3);
+    const bins = new Map();
+    
+    sites.forEach(site => {
+      const point = L.CRS.EPSG3857.project(L.latLng(site.lat, site.lng));
+      const [q, r] = this.roundHex((sqrt3 / 3 * point.x - point.y / 3) / scale, (2 / 3 * point.y) / scale);
+      const key = `${q},${r}`;
+      if (!bins.has(key)) bins.set(key, { q: q, r: r, counts: {}, total: 0 });
+      const bin = bins.get(key);
+      bin.counts[site.layerKey] = (bin.counts[site.layerKey] || 0) + 1;
+      bin.total++;
+    });
+    
+    return Array.from(bins.values()).map(bin => {
+      const x = scale * sqrt3 * (bin.q + bin.r / 2);
+      const y = scale * 1.5 * bin.r;
+      const corners = [];
+      for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 180 * (60 * i - 30);
+        const corner = L.CRS.EPSG3857.unproject(L.point(x + scale * Math.cos(angle), y + scale * Math.sin(angle)));
+        corners.push([corner.lat, corner.lng]);
+      }
+      return { corners: corners, counts: bin.counts, total: bin.total };
+    });
+  },
+  
+  /**
+   * Round fractional axial hexagon coordinates to the containing hexagon
+   * @param {number} q - Fractional column
+   * @param {number} r - Fractional row
+   * @returns {Array<number>} [q, r]
+   * @private
+   */
+  roundHex: function(q, r) {
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) rq = -rr - rs;
+    else if (dr > ds) rr = -rq - rs;
+    return [rq, rr];
+  },
+  
+  /**
+   * Expand a ramp's colour stops into a 256-entry lookup table
+   * @param {Array<string>} stops - Hex colours from low to high
+   * @returns {Array<Array<number>>} [r, g, b] for each level 0-255
+   * @public
+   */
+  rampTable: function(stops) {
+    const rgb = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const table = [];
+    for (let level = 0; level < 256; level++) {
+      const position = level / 255 * (rgb.length - 1);
+      const index = Math.min(Math.floor(position), rgb.length - 2);
+      const t = position - index;
+      table.push(rgb[index].map((channel, c) => Math.round(channel + (rgb[index + 1][c] - channel) * t)));
+    }
+    return table;
+  }
+};
+
+// ============================================================================
+// MAIN APPLICATION
+// ============================================================================
+
+/**
+ * Main Heritage Application
+ */
+const HeritageApp = {
+  // Configuration
+  config: {
+    map: {
+      center: CONSTANTS.MAP.CENTER,
+      zoom: CONSTANTS.MAP.DEFAULT_ZOOM,
+      zoomControl: false
+    }
+  },
+  
+  // Map elements
+  map: null,
+  // Catalogue tile layers by key (CONSTANTS.BASEMAPS)
+  baseLayers: {},
+  historicalLayers: {},
+  // Historical map entries added by the user, in CONSTANTS.BASEMAPS.CATALOGUE form
+  customHistoricalMaps: [],
+  // Historical map comparison: { container, active, key, mode, swipe, radius, pointer, divider }
+  historical: null,
+  // One overlay per LAYER_REGISTRY entry
+  overlays: Object.fromEntries(LAYER_REGISTRY.map(entry => [entry.key, L.layerGroup()])),
+  // Store markers by layer for clustering/unclustering
+  markersByLayer: Object.fromEntries(LAYER_REGISTRY.map(entry => [entry.key, []])),
+  // Store all markers with searchable data
+  allMarkersData: [],
+  // Named predicates that decide which sites are shown (facets, chronology, ...)
+  siteFilters: {},
+  // Selected facet values: { layerKey: { fieldKey: Set<string> } }
+  facetSelections: {},
+  // Track highlighted markers
+  highlightedMarkers: [],
+  // Store current search results for click handling
+  currentSearchResults: [],
+  // Results and query last rendered in the dropdown, redrawn on language change
+  lastSearch: null,
+  // Proximity search centre and options: { lat, lng, label, radius, sort } or null
+  proximity: null,
+  // Circle and centre drawn for the proximity search
+  proximityLayer: null,
+  proximityTimer: null,
+  // Heritage trail: stop site IDs in visiting order and travel mode (saved locally)
+  trail: { ids: [], mode: 'walk' },
+  // Route last computed for the trail, and the layer drawing it
+  trailRoute: null,
+  trailLayer: null,
+  // Incremented per routing request so a slow response cannot overwrite a newer one
+  trailRequest: 0,
+  // Story tour being played: { tour, index, autoplay, kiosk, timer, resumeTimer }
+  tour: null,
+  // Tour to start once the data has loaded, from ?tour=<id>[&kiosk]
+  pendingTour: null,
+  // Sites as 'cluster', 'scatter' (individual markers) or 'density'
+  displayMode: 'cluster',
+  // Density settings and layers: { container, style, layer, bandwidth, hexSize, ramp, timer, canvas, hexLayer }
+  density: null,
+  // Aborts the place lookup of the search in progress
+  geocodeController: null,
+  // Index words each result matched, for highlighting: Map<entry, Set<string>>
+  searchMatchTerms: new Map(),
+  // Suggestions shown while typing: [{ type: 'site'|'village'|'recent', ... }]
+  suggestions: [],
+  // Saved recent search queries, most recent first
+  recentSearches: [],
+  // Highlighted dropdown option for keyboard navigation (-1 for none)
+  activeOptionIndex: -1,
+  suggestTimer: null,
+  // Last refresh time and offline flag per layer: { layerKey: { updatedAt, offline } }
+  dataStatus: {},
+  // Layers imported from local files: [{ id, name, color, geojson, layer }]
+  importedLayers: [],
+  // Searchable entries for imported features (same shape as allMarkersData)
+  importedFeaturesData: [],
+  // Set when sites change so SearchIndex is rebuilt before the next search
+  searchIndexStale: true,
+  // Promise of the SearchIndex build in progress, if any
+  searchIndexBuild: null,
+  // Heritage sites by stable ID
+  sitesById: new Map(),
+  // ID of the site shown in the detail panel
+  detailSiteId: null,
+  // Open lightbox: { media, index, site } or null
+  lightbox: null,
+  // ID of the site shown in the 3D viewer
+  modelViewerSiteId: null,
+  // Incremented per viewer open so a slow load cannot update a newer one
+  modelViewerRequest: 0,
+  // Search shown in the permalink: { query } or { advanced: { field: value } }
+  activeSearch: null,
+  // ID of the site whose popup is open
+  selectedSiteId: null,
+  // Permalink state waiting for site data before it can be fully applied
+  pendingPermalink: null,
+  dataLoaded: false,
+  permalinkRestoring: false,
+  permalinkTimer: null,
+  permalinkRestoreTimer: null,
+  markerCluster: null,
+  layerControl: null,
+  
+  /**
+   * Initialize the application
+   * @public
+   */
+  init: function() {
+    try {
+      I18n.init();
+      this.initMap();
+      this.initUI();
+      I18n.translateDocument();
+      this.initOfflineUI();
+      this.initImportUI();
+      this.initSitePanel();
+      this.initProximity();
+      this.initTrail();
+      this.initTours();
+      this.initLightbox();
+      this.initModelViewer();
+      this.initLanguageSwitcher();
+      this.restoreImportedLayers();
+      this.registerServiceWorker();
+      this.initPermalink();
+      this.loadData();
+      console.log('Heritage WebGIS Application initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize application:', error);
+      this.showError(I18n.t('error.app'));
+    }
+  },
+  
+  /**
+   * Initialize the map and its components
+   * @public
+   */
+  initMap: function() {
+    try {
+      this.injectLayerStyles();
+      
+      // Create the map
+      this.map = L.map(CONSTANTS.DOM.MAP, { 
+        zoomControl: this.config.map.zoomControl 
+      }).setView(this.config.map.center, this.config.map.zoom);
+    
+    // Create base layers and historical map overlays from the catalogue
+    CONSTANTS.BASEMAPS.CATALOGUE.forEach(entry => {
+      const layer = this.createBasemapLayer(entry);
+      if (entry.type === 'historical') this.historicalLayers[entry.key] = layer;
+      else this.baseLayers[entry.key] = layer;
+    });
+    this.loadCustomHistoricalMaps();
+    
+    // Add the default basemap
+    (this.baseLayers[CONSTANTS.BASEMAPS.DEFAULT] || Object.values(this.baseLayers)[0]).addTo(this.map);
+    // Add scale control to bottom left
+    L.control.scale({ position: 'bottomleft' }).addTo(this.map);
+    // Hide default attribution control
+    this.map.attributionControl.setPrefix("");
+    this.map.attributionControl.setPosition('bottomright');
+    document.querySelector('.leaflet-control-attribution').style.display = 'none';
+    // Enable clustering and heritage layers by default with zoom-dependent radius
+    this.markerCluster = L.markerClusterGroup({
+      maxClusterRadius: function(zoom) {
+        // Hybrid approach: larger radius at lower zoom, smaller at higher zoom
+        // Zoom 1-8: Very zoomed out (country/region level) - large clusters
+        // Zoom 9-12: City level - medium clusters
+        // Zoom 13-15: Neighborhood level - smaller clusters
+        // Zoom 16+: Street level - very small clusters
+        if (zoom <= 8) return 120;      // Large clusters for overview
+        if (zoom <= 11) return 80;      // Medium clusters for city view
+        if (zoom <= 14) return 50;      // Smaller clusters for neighborhood
+        if (zoom <= 17) return 30;      // Small clusters for street level
+        return 20;                       // Very small clusters when zoomed in
+      },
+      spiderfyOnMaxZoom: true,          // Show spider layout at max zoom
+      showCoverageOnHover: false,       // Don't show cluster bounds on hover
+      zoomToBoundsOnClick: true,        // Zoom to show all markers on click
+      disableClusteringAtZoom: 19,      // Disable clustering at zoom 19+ (very close)
+      spiderLegPolylineOptions: {       // Style for spider legs
+        weight: 1.5,
+        color: '#72383D',
+        opacity: 0.6
+      },
+      iconCreateFunction: function(cluster) {
+        // Count markers by heritage type
+        const markers = cluster.getAllChildMarkers();
+        const counts = {};
+        LAYER_REGISTRY.forEach(entry => { counts[entry.key] = 0; });
+        
+        markers.forEach(marker => {
+          const layerKey = marker.options.layerKey;
+          if (layerKey && counts[layerKey] !== undefined) counts[layerKey]++;
+        });
+        
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        
+        // Create donut chart SVG
+        const size = 50;
+        const center = size / 2;
+        const radius = 18;
+        const innerRadius = 12;
+        
+        // Calculate percentages and create pie slices
+        let currentAngle = -90; // Start from top
+        
+        let paths = '';
+        Object.keys(counts).forEach(type => {
+          if (counts[type] > 0) {
+            const percentage = counts[type] / total;
+            const angle = percentage * 360;
+            const endAngle = currentAngle + angle;
+            
+            // Create donut segment path
+            const startRad = (currentAngle * Math.PI) / 180;
+            const endRad = (endAngle * Math.PI) / 180;
+            
+            const x1 = center + radius * Math.cos(startRad);
+            const y1 = center + radius * Math.sin(startRad);
+            const x2 = center + radius * Math.cos(endRad);
+            const y2 = center + radius * Math.sin(endRad);
+            const x3 = center + innerRadius * Math.cos(endRad);
+            const y3 = center + innerRadius * Math.sin(endRad);
+            const x4 = center + innerRadius * Math.cos(startRad);
+            const y4 = center + innerRadius * Math.sin(startRad);
+            
+            const largeArc = angle > 180 ? 1 : 0;
+            
+            paths += `<path d="M ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} L ${x3} ${y3} A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${x4} ${y4} Z" fill="${getLayerConfig(type).color}" stroke="#fff" stroke-width="1"/>`;
+            
+            currentAngle = endAngle;
+          }
+        });
+        
+        const svg = `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
+          ${paths}
+          <circle cx="${center}" cy="${center}" r="${innerRadius}" fill="white"/>
+          <text x="${center}" y="${center}" text-anchor="middle" dominant-baseline="central" font-size="14" font-weight="bold" fill="#333">${total}</text>
+        </svg>`;
+        
+        return L.divIcon({
+          html: svg,
+          className: 'marker-cluster-donut',
+          iconSize: L.point(size, size)
+        });
+      }
+    });
+    this.displayMode = 'cluster';
+    this.setupLayerControl();
+    // Add all overlays to map so checkboxes are checked by default
+    Object.values(this.overlays).forEach(layer => this.map.addLayer(layer));
+    // Note: markerCluster will be added after data loads (when we have markers)
+    
+    // Add custom toggle switch control below layer control
+    const self = this;
+    const ToggleControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-toggle');
+        container.innerHTML = `
+          <button id="icon-toggle-switch" class="icon-toggle-switch" aria-label="${I18n.t('control.cluster')}" data-i18n-aria-label="control.cluster">
+            <span class="material-symbols-outlined toggle-icon toggle-cluster">graph_6</span>
+          </button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelector('#icon-toggle-switch').addEventListener('click', function() {
+          self.toggleClusteringControl(container);
+        });
+        return container;
+      }
+    });
+    this.toggleControl = new ToggleControl();
+    this.map.addControl(this.toggleControl);
+    this.updateClusteringControlIcon();
+    
+    // Add GPS location control below clustering toggle
+    const LocationControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-location');
+        container.innerHTML = `
+          <button id="gps-locate-btn" class="gps-locate-btn" aria-label="${I18n.t('control.locate')}" data-i18n-aria-label="control.locate">
+            <i class="bi bi-crosshair"></i>
+          </button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelector('#gps-locate-btn').addEventListener('click', function() {
+          self.getCurrentLocation();
+        });
+        return container;
+      }
+    });
+    this.locationControl = new LocationControl();
+    this.map.addControl(this.locationControl);
+    
+    // Time slider: a toggle button below the GPS control and a panel above the scale
+    const TimeToggleControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-icon leaflet-control-time');
+        container.innerHTML = `
+          <button id="time-slider-btn" class="map-icon-btn" aria-label="${I18n.t('control.time')}" data-i18n-aria-label="control.time" aria-pressed="false">
+            <i class="bi bi-hourglass-split"></i>
+          </button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelector('#time-slider-btn').addEventListener('click', function() {
+          self.toggleTimeSlider();
+        });
+        return container;
+      }
+    });
+    this.map.addControl(new TimeToggleControl());
+    
+    const TimeSliderControl = L.Control.extend({
+      options: { position: 'bottomleft' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control time-slider-panel');
+        container.style.display = 'none';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        self.buildTimeSlider(container);
+        return container;
+      }
+    });
+    this.timeSliderControl = new TimeSliderControl();
+    this.map.addControl(this.timeSliderControl);
+    
+    // Density settings, shown while the display toggle is on the density mode
+    const DensityControl = L.Control.extend({
+      options: { position: 'bottomleft' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control density-panel');
+        container.style.display = 'none';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        self.buildDensityPanel(container);
+        return container;
+      }
+    });
+    this.map.addControl(new DensityControl());
+    
+    // Historical maps: a toggle button and a panel with opacity and comparison
+    const HistoricalToggleControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-icon leaflet-control-historical');
+        container.innerHTML = `
+          <button id="historical-btn" class="map-icon-btn" aria-label="${I18n.t('control.historical')}" data-i18n-aria-label="control.historical" aria-pressed="false">
+            <i class="bi bi-layers-half"></i>
+          </button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelector('#historical-btn').addEventListener('click', function() {
+          self.toggleHistoricalPanel();
+        });
+        return container;
+      }
+    });
+    this.map.addControl(new HistoricalToggleControl());
+    
+    const HistoricalControl = L.Control.extend({
+      options: { position: 'bottomleft' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control historical-panel');
+        container.style.display = 'none';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        self.buildHistoricalPanel(container);
+        return container;
+      }
+    });
+    this.map.addControl(new HistoricalControl());
+    
+    // Export visible or searched sites
+    const ExportControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-icon leaflet-control-export');
+        container.innerHTML = `
+          <button id="export-btn" class="map-icon-btn" aria-label="${I18n.t('control.export')}" data-i18n-aria-label="control.export" aria-haspopup="true" aria-expanded="false">
+            <i class="bi bi-box-arrow-down"></i>
+          </button>
+          <div class="map-control-menu export-menu" hidden></div>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        container.querySelector('#export-btn').addEventListener('click', function() {
+          self.toggleExportMenu(container);
+        });
+        // Close the menu when the map is clicked
+        map.on('click', function() {
+          if (!container.querySelector('.export-menu').hidden) self.toggleExportMenu(container);
+        });
+        return container;
+      }
+    });
+    this.map.addControl(new ExportControl());
+    
+    // Heritage trail planner, with the number of stops on the button
+    const TrailControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-icon leaflet-control-trail');
+        container.innerHTML = `
+          <button id="trail-btn" class="map-icon-btn" aria-label="${I18n.t('control.trail')}" data-i18n-aria-label="control.trail" aria-pressed="false">
+            <i class="bi bi-signpost-2"></i>
+            <span class="map-icon-badge" hidden></span>
+          </button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        container.querySelector('#trail-btn').addEventListener('click', function() {
+          self.toggleTrailPanel();
+        });
+        return container;
+      }
+    });
+    this.map.addControl(new TrailControl());
+    
+    // Story-map tours: a menu of tours and the player card for the one playing
+    const TourControl = L.Control.extend({
+      options: { position: 'topright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control leaflet-control-icon leaflet-control-tour');
+        container.innerHTML = `
+          <button id="tour-btn" class="map-icon-btn" aria-label="${I18n.t('control.tour')}" data-i18n-aria-label="control.tour" aria-haspopup="true" aria-expanded="false">
+            <i class="bi bi-book"></i>
+          </button>
+          <div class="map-control-menu tour-menu" hidden></div>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        container.querySelector('#tour-btn').addEventListener('click', function() {
+          self.toggleTourMenu(container);
+        });
+        container.querySelector('.tour-menu').addEventListener('click', function(e) {
+          const btn = e.target.closest('[data-tour-id]');
+          if (btn) self.startTour(btn.dataset.tourId, { kiosk: btn.dataset.kiosk === 'true' });
+        });
+        map.on('click', function() {
+          if (!container.querySelector('.tour-menu').hidden) self.toggleTourMenu(container);
+        });
+        return container;
+      }
+    });
+    this.tourControl = new TourControl();
+    this.map.addControl(this.tourControl);
+    
+    const TourPlayerControl = L.Control.extend({
+      options: { position: 'bottomright' },
+      onAdd: function(map) {
+        const container = L.DomUtil.create('div', 'leaflet-control tour-player');
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', I18n.t('tour.player'));
+        container.hidden = true;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        container.addEventListener('click', function(e) {
+          const btn = e.target.closest('[data-tour-action]');
+          if (!btn) return;
+          switch (btn.dataset.tourAction) {
+            case 'prev': self.showTourStep(self.tour.index - 1); break;
+            case 'next': self.showTourStep(self.tour.index + 1); break;
+            case 'play': self.setTourAutoplay(!self.tour.autoplay); break;
+            case 'kiosk': self.setTourKiosk(!self.tour.kiosk); break;
+            case 'exit': self.exitTour(); break;
+          }
+        });
+        return container;
+      }
+    });
+    this.tourPlayer = new TourPlayerControl();
+    this.map.addControl(this.tourPlayer);
+    
+    // Store current location marker
+    this.currentLocationMarker = null;
+    } catch (error) {
+      console.error('Failed to initialize map:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Show error message to user
+   * @param {string} message - Error message to display
+   * @private
+   */
+  showError: function(message) {
+    console.error(message);
+    alert(message);
+  },
+
+  /**
+   * Get current GPS location using browser's Geolocation API
+   * @public
+   */
+  getCurrentLocation: function() {
+    if (!navigator.geolocation) {
+      this.showError(I18n.t('geo.unsupported'));
+      return;
+    }
+    
+    // Show loading state
+    const btn = document.getElementById(CONSTANTS.DOM.GPS_LOCATE_BTN);
+    if (btn) {
+      btn.classList.add('loading');
+      btn.disabled = true;
+    }
+    
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        const accuracy = position.coords.accuracy;
+        
+        console.log('Current location:', lat, lng, 'Accuracy:', accuracy, 'm');
+        
+        // Remove loading state
+        if (btn) {
+          btn.classList.remove('loading');
+          btn.disabled = false;
+        }
+        
+        // Show location on map
+        this.showCurrentLocation(lat, lng, accuracy);
+      },
+      (error) => {
+        // Remove loading state
+        if (btn) {
+          btn.classList.remove('loading');
+          btn.disabled = false;
+        }
+        
+        let errorMsg = I18n.t('geo.failed');
+        switch(error.code) {
+          case error.PERMISSION_DENIED:
+            errorMsg = I18n.t('geo.denied');
+            break;
+          case error.POSITION_UNAVAILABLE:
+            errorMsg = I18n.t('geo.unavailable');
+            break;
+          case error.TIMEOUT:
+            errorMsg = I18n.t('geo.timeout');
+            break;
+        }
+        this.showError(errorMsg);
+        console.error('Geolocation error:', error);
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: CONSTANTS.UI.GEOLOCATION_TIMEOUT,
+        maximumAge: 0
+      }
+    );
+  },
+  
+  /**
+   * Show current location on map with pulsing marker
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} accuracy - Location accuracy in meters
+   * @public
+   */
+  showCurrentLocation: function(lat, lng, accuracy) {
+    // Remove previous location marker if exists
+    if (this.currentLocationMarker) {
+      this.map.removeLayer(this.currentLocationMarker);
+    }
+    
+    // Create location marker with pulsing blue dot
+    this.currentLocationMarker = L.marker([lat, lng], {
+      icon: L.divIcon({
+        html: '<div class="current-location-marker"><div class="pulse"></div><div class="dot"></div></div>',
+        iconSize: [20, 20],
+        iconAnchor: [10, 10],
+        popupAnchor: [0, -10],
+        className: 'current-location-icon'
+      }),
+      zIndexOffset: 2000
+    });
+    
+    // Add popup with location info
+    this.currentLocationMarker.bindPopup(`
+      <b>${I18n.t('geo.title')}</b><br>
+      ${I18n.t('geo.latitude')}: ${lat.toFixed(6)}<br>
+      ${I18n.t('geo.longitude')}: ${lng.toFixed(6)}<br>
+      <small>${I18n.t('geo.accuracy')}: ±${Math.round(accuracy)}m</small><br>
+      ${this.createNearbyButton(lat, lng, I18n.t('geo.title'))}
+    `);
+    
+    // Add to map
+    this.currentLocationMarker.addTo(this.map);
+    
+    // Zoom to location
+    this.map.setView([lat, lng], CONSTANTS.MAP.LOCATION_ZOOM, {
+      animate: true,
+      duration: 1
+    });
+    
+    // Open popup after zoom animation
+    setTimeout(() => {
+      this.currentLocationMarker.openPopup();
+    }, CONSTANTS.UI.POPUP_DELAY);
+  },
+
+  /**
+   * Show sites as clusters, as individual markers, or as a density surface
+   * @param {string} mode - 'cluster', 'scatter' or 'density'
+   * @public
+   */
+  setDisplayMode: function(mode) {
+    this.displayMode = mode;
+    // Move markers between markerCluster and the overlays, or off the map
+    this.syncAllLayerMarkers();
+    const clustered = mode === 'cluster';
+    if (clustered && !this.map.hasLayer(this.markerCluster)) {
+      this.map.addLayer(this.markerCluster);
+    } else if (!clustered && this.map.hasLayer(this.markerCluster)) {
+      this.map.removeLayer(this.markerCluster);
+    }
+    this.showDensity(mode === 'density');
+    this.updateClusteringControlIcon();
+    this.schedulePermalinkUpdate();
+  },
+  
+  /**
+   * Place a layer's markers in the cluster or overlay according to the
+   * clustering state, the overlay's visibility and the active site filters
+   * @param {string} layerKey - Layer key
+   * @private
+   */
+  syncLayerMarkers: function(layerKey) {
+    const overlay = this.overlays[layerKey];
+    if (!overlay) return;
+    const layerVisible = this.map.hasLayer(overlay);
+    const addToCluster = [];
+    const removeFromCluster = [];
+    
+    this.allMarkersData.forEach(data => {
+      if (data.layerKey !== layerKey) return;
+      const marker = data.marker;
+      const shown = this.passesSiteFilters(data);
+      const inCluster = this.markerCluster.hasLayer(marker);
+      
+      if (this.displayMode === 'cluster') {
+        if (overlay.hasLayer(marker)) overlay.removeLayer(marker);
+        if (shown && layerVisible && !inCluster) addToCluster.push(marker);
+        else if (!(shown && layerVisible) && inCluster) removeFromCluster.push(marker);
+      } else if (this.displayMode === 'scatter') {
+        if (inCluster) removeFromCluster.push(marker);
+        if (shown && !overlay.hasLayer(marker)) overlay.addLayer(marker);
+        else if (!shown && overlay.hasLayer(marker)) overlay.removeLayer(marker);
+      } else {
+        // The density surface stands in for the markers
+        if (inCluster) removeFromCluster.push(marker);
+        if (overlay.hasLayer(marker)) overlay.removeLayer(marker);
+      }
+    });
+    
+    // Batch updates so cluster donuts are recomputed once
+    if (removeFromCluster.length > 0) this.markerCluster.removeLayers(removeFromCluster);
+    if (addToCluster.length > 0) this.markerCluster.addLayers(addToCluster);
+    this.refreshProximity();
+    this.refreshDensity();
+  },
+  
+  /**
+   * Re-sync markers for every heritage layer
+   * @public
+   */
+  syncAllLayerMarkers: function() {
+    Object.keys(this.overlays).forEach(key => this.syncLayerMarkers(key));
+  },
+  
+  /**
+   * Register, replace or remove (with null) a named site filter predicate
+   * @param {string} name - Filter name
+   * @param {function(Object): boolean|null} predicate - Returns true for sites to keep
+   * @public
+   */
+  setSiteFilter: function(name, predicate) {
+    if (predicate) {
+      this.siteFilters[name] = predicate;
+    } else {
+      delete this.siteFilters[name];
+    }
+    this.syncAllLayerMarkers();
+    this.renderFacetFilters();
+    this.schedulePermalinkUpdate();
+  },
+  
+  /**
+   * Check a site against the active site filters
+   * @param {Object} data - Marker data from allMarkersData
+   * @param {string} [skipFilter] - Name of a filter to ignore
+   * @returns {boolean} True if the site should be shown
+   * @public
+   */
+  passesSiteFilters: function(data, skipFilter) {
+    return Object.keys(this.siteFilters).every(name =>
+      name === skipFilter || this.siteFilters[name](data));
+  },
+
+  /**
+   * Wire the density settings panel
+   * @param {HTMLElement} container - Panel container
+   * @private
+   */
+  buildDensityPanel: function(container) {
+    const { BANDWIDTH, HEX_SIZE, DEFAULT_RAMP } = CONSTANTS.DENSITY;
+    this.density = {
+      container: container,
+      style: 'kde',
+      layer: 'all',
+      bandwidth: BANDWIDTH.DEFAULT,
+      hexSize: HEX_SIZE.DEFAULT,
+      ramp: DEFAULT_RAMP,
+      timer: null,
+      canvas: null,
+      hexLayer: null
+    };
+    
+    container.addEventListener('input', (e) => {
+      const density = this.density;
+      if (e.target.name === 'density-style') density.style = e.target.value;
+      else if (e.target.classList.contains('density-layer')) density.layer = e.target.value;
+      else if (e.target.classList.contains('density-bandwidth')) density.bandwidth = parseInt(e.target.value, 10);
+      else if (e.target.classList.contains('density-hex-size')) density.hexSize = parseInt(e.target.value, 10);
+      else if (e.target.classList.contains('density-ramp')) density.ramp = e.target.value;
+      else return;
+      this.updateDensityPanelLabels();
+      this.refreshDensity();
+    });
+    this.renderDensityPanel();
+  },
+  
+  /**
+   * Fill the density panel in the current language
+   * @private
+   */
+  renderDensityPanel: function() {
+    const density = this.density;
+    if (!density) return;
+    const { BANDWIDTH, HEX_SIZE, RAMPS } = CONSTANTS.DENSITY;
+    const option = (value, label, selected) => `<option value="${value}"${selected ? ' selected' : ''}>${escapeHTML(label)}</option>`;
+    
+    density.container.innerHTML = `
+      <div class="density-styles" role="radiogroup" aria-label="${I18n.t('density.style')}">
+        <label><input type="radio" name="density-style" value="kde"${density.style === 'kde' ? ' checked' : ''}> ${I18n.t('density.kde')}</label>
+        <label><input type="radio" name="density-style" value="hexbin"${density.style === 'hexbin' ? ' checked' : ''}> ${I18n.t('density.hexbin')}</label>
+      </div>
+      <label class="density-field"><span>${I18n.t('density.layer')}</span>
+        <select class="density-layer">
+          ${option('all', I18n.t('density.allLayers'), density.layer === 'all')}
+          ${LAYER_REGISTRY.map(entry => option(entry.key, I18n.layerLabel(entry), density.layer === entry.key)).join('')}
+        </select>
+      </label>
+      <label class="density-field density-bandwidth-field"><span>${I18n.t('density.bandwidth')} <output></output></span>
+        <input type="range" class="density-bandwidth" min="${BANDWIDTH.MIN}" max="${BANDWIDTH.MAX}" step="${BANDWIDTH.STEP}" value="${density.bandwidth}">
+      </label>
+      <label class="density-field density-hex-field"><span>${I18n.t('density.hexSize')} <output></output></span>
+        <input type="range" class="density-hex-size" min="${HEX_SIZE.MIN}" max="${HEX_SIZE.MAX}" step="${HEX_SIZE.STEP}" value="${density.hexSize}">
+      </label>
+      <label class="density-field"><span>${I18n.t('density.ramp')}</span>
+        <select class="density-ramp">
+          ${Object.keys(RAMPS).map(key => option(key, I18n.t(`density.ramp.${key}`), density.ramp === key)).join('')}
+        </select>
+      </label>
+      <div class="density-legend">
+        <span class="density-legend-bar"></span>
+        <span class="density-legend-labels"><span class="density-legend-min"></span><span class="density-legend-max"></span></span>
+      </div>
+    `;
+    this.updateDensityPanelLabels();
+  },
+  
+  /**
+   * Show the slider values and the fields that apply to the chosen style
+   * @private
+   */
+  updateDensityPanelLabels: function() {
+    const { container, style, bandwidth, hexSize } = this.density;
+    container.querySelector('.density-bandwidth-field').hidden = style !== 'kde';
+    container.querySelector('.density-hex-field').hidden = style !== 'hexbin';
+    container.querySelector('.density-bandwidth-field output').textContent = this.formatDistance(bandwidth);
+    container.querySelector('.density-hex-field output').textContent = this.formatDistance(hexSize);
+    container.querySelector('.density-legend-bar').style.background =
+      `linear-gradient(to right, ${this.getDensityRamp().join(', ')})`;
+  },
+  
+  /**
+   * Show or hide the density surface and its settings
+   * @param {boolean} on - Density mode
+   * @private
+   */
+  showDensity: function(on) {
+    const density = this.density;
+    if (!density) return;
+    density.container.style.display = on ? 'block' : 'none';
+    if (on) {
+      this.drawDensity();
+      return;
+    }
+    clearTimeout(density.timer);
+    if (density.canvas && this.map.hasLayer(density.canvas)) this.map.removeLayer(density.canvas);
+    if (density.hexLayer) this.map.removeLayer(density.hexLayer);
+    density.hexLayer = null;
+  },
+  
+  /**
+   * Redraw the density surface once after a burst of layer, filter or
+   * setting changes
+   * @private
+   */
+  refreshDensity: function() {
+    if (!this.density || this.displayMode !== 'density') return;
+    clearTimeout(this.density.timer);
+    this.density.timer = setTimeout(() => this.drawDensity(), 0);
+  },
+  
+  /**
+   * Draw the chosen style: the canvas heatmap or the hexagon layer
+   * @private
+   */
+  drawDensity: function() {
+    const density = this.density;
+    if (!density.canvas) density.canvas = this.createDensityCanvas();
+    if (density.hexLayer) this.map.removeLayer(density.hexLayer);
+    density.hexLayer = null;
+    
+    if (density.style === 'kde') {
+      // Adding the layer draws it; one already on the map is redrawn
+      if (this.map.hasLayer(density.canvas)) density.canvas.redraw(); else this.map.addLayer(density.canvas);
+    } else {
+      if (this.map.hasLayer(density.canvas)) this.map.removeLayer(density.canvas);
+      this.drawHexbins();
+    }
+  },
+  
+  /**
+   * Sites that feed the density surface: visible, filtered and in the chosen layer
+   * @returns {Array<Object>} Marker data entries
+   * @private
+   */
+  getDensitySites: function() {
+    const layer = this.density.layer;
+    return this.getVisibleSites().filter(site => layer === 'all' || site.layerKey === layer);
+  },
+  
+  /**
+   * Colour stops of the chosen ramp
+   * @returns {Array<string>} Hex colours from low to high
+   * @private
+   */
+  getDensityRamp: function() {
+    const { ramp, layer } = this.density;
+    const stops = CONSTANTS.DENSITY.RAMPS[ramp];
+    if (stops) return stops;
+    const layerConfig = getLayerConfig(layer);
+    return ['#ffffff', layerConfig ? layerConfig.color : '#72383D'];
+  },
+  
+  /**
+   * Create the canvas layer that draws the heatmap for the current view
+   * @returns {L.Layer} Layer with a redraw() method
+   * @private
+   */
+  createDensityCanvas: function() {
+    const self = this;
+    const DensityCanvas = L.Layer.extend({
+      onAdd: function(map) {
+        // Hidden during zoom animations and redrawn at the new zoom on moveend
+        this.canvas = L.DomUtil.create('canvas', 'density-canvas leaflet-zoom-hide');
+        map.getPanes().overlayPane.appendChild(this.canvas);
+        map.on('moveend resize', this.redraw, this);
+        this.redraw();
+      },
+      onRemove: function(map) {
+        map.off('moveend resize', this.redraw, this);
+        L.DomUtil.remove(this.canvas);
+      },
+      redraw: function() {
+        const size = this._map.getSize();
+        this.canvas.width = size.x;
+        this.canvas.height = size.y;
+        L.DomUtil.setPosition(this.canvas, this._map.containerPointToLayerPoint([0, 0]));
+        self.drawDensityCanvas(this.canvas);
+      }
+    });
+    return new DensityCanvas();
+  },
+  
+  /**
+   * Paint the kernel density of the density sites onto the canvas, scaled
+   * to the densest spot in view
+   * @param {HTMLCanvasElement} canvas - Canvas covering the map
+   * @private
+   */
+  drawDensityCanvas: function(canvas) {
+    const { CELL_SIZE, MAX_KERNEL_CELLS, OPACITY } = CONSTANTS.DENSITY;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const bandwidth = this.density.bandwidth;
+    const center = this.map.getCenter();
+    const metresPerPixel = 40075016.686 * Math.cos(center.lat * Math.PI / 180) / Math.pow(2, this.map.getZoom() + 8);
+    // Below a pixel the kernel would fall between cell centres
+    const sigma = Math.max(bandwidth / metresPerPixel, 1);
+    const cell = Math.max(Math.min(CELL_SIZE, Math.floor(sigma)), Math.ceil(3 * sigma / MAX_KERNEL_CELLS));
+    const margin = 3 * sigma;
+    const points = this.getDensitySites()
+      .map(site => this.map.latLngToContainerPoint([site.lat, site.lng]))
+      .filter(point => point.x > -margin && point.y > -margin && point.x < canvas.width + margin && point.y < canvas.height + margin);
+    
+    const surface = DensitySurface.kde(points, { width: canvas.width, height: canvas.height, cell: cell, sigma: sigma });
+    // Kernel sums over 2πσ² (σ in km) give sites per square kilometre; σ is
+    // the one the surface was drawn with, which the clamp may have widened
+    const sigmaKm = sigma * metresPerPixel / 1000;
+    const peak = surface.max / (2 * Math.PI * sigmaKm * sigmaKm);
+    this.updateDensityLegend('0', surface.max > 0
+      ? I18n.t('density.perKm2', { value: peak < 10 ? peak.toFixed(1) : Math.round(peak).toLocaleString() })
+      : '');
+    if (surface.max === 0) return;
+    
+    const table = DensitySurface.rampTable(this.getDensityRamp());
+    const grid = document.createElement('canvas');
+    grid.width = surface.cols;
+    grid.height = surface.rows;
+    const gridContext = grid.getContext('2d');
+    const image = gridContext.createImageData(surface.cols, surface.rows);
+    for (let k = 0; k < surface.grid.length; k++) {
+      const t = surface.grid[k] / surface.max;
+      // Leave near-empty cells clear so the basemap shows through
+      if (t < 0.02) continue;
+      const [r, g, b] = table[Math.round(t * 255)];
+      image.data.set([r, g, b, Math.round(255 * OPACITY * Math.min(1, 0.2 + t))], k * 4);
+    }
+    gridContext.putImageData(image, 0, 0);
+    context.imageSmoothingEnabled = true;
+    context.drawImage(grid, 0, 0, surface.cols * cell, surface.rows * cell);
+  },
+  
+  /**
+   * Draw hexagons coloured by site count, with per-layer counts in tooltips
+   * @private
+   */
+  drawHexbins: function() {
+    const bins = DensitySurface.hexbin(this.getDensitySites(), this.density.hexSize);
+    const max = bins.reduce((most, bin) => Math.max(most, bin.total), 0);
+    const table = DensitySurface.rampTable(this.getDensityRamp());
+    this.updateDensityLegend(max ? '1' : '', max ? I18n.siteCount(max) : '');
+    
+    this.density.hexLayer = L.layerGroup(bins.map(bin => {
+      const [r, g, b] = table[Math.round(bin.total / max * 255)];
+      const rows = LAYER_REGISTRY.filter(entry => bin.counts[entry.key]).map(entry => `
+        <div class="density-tooltip-row">
+          <span class="layer-color-dot" style="background:${entry.color}"></span>
+          ${escapeHTML(I18n.layerLabel(entry))}: ${bin.counts[entry.key].toLocaleString()}
+        </div>
+      `).join('');
+      return L.polygon(bin.corners, {
+        color: '#fff',
+        weight: 1,
+        fillColor: `rgb(${r}, ${g}, ${b})`,
+        fillOpacity: CONSTANTS.DENSITY.OPACITY
+      }).bindTooltip(`<strong>${I18n.siteCount(bin.total)}</strong>${rows}`, { sticky: true, className: 'density-tooltip' });
+    })).addTo(this.map);
+  },
+  
+  /**
+   * Label the ends of the density legend
+   * @param {string} min - Low end
+   * @param {string} max - High end
+   * @private
+   */
+  updateDensityLegend: function(min, max) {
+    const container = this.density.container;
+    container.querySelector('.density-legend-min').textContent = min;
+    container.querySelector('.density-legend-max').textContent = max;
+  },
+  
+  /**
+   * Move to the next display mode: clusters, then markers, then density
+   * @param {HTMLElement} container - Control container element
+   * @public
+   */
+  toggleClusteringControl: function(container) {
+    const modes = ['cluster', 'scatter', 'density'];
+    this.setDisplayMode(modes[(modes.indexOf(this.displayMode) + 1) % modes.length]);
+  },
+
+  /**
+   * Update clustering control icon based on current state
+   * @private
+   */
+  updateClusteringControlIcon: function() {
+    const control = document.querySelector('.icon-toggle-switch .toggle-icon');
+    if (!control) return;
+    const icons = { cluster: 'graph_6', scatter: 'grain', density: 'blur_on' };
+    Object.keys(icons).forEach(mode => control.classList.toggle(`toggle-${mode}`, mode === this.displayMode));
+    control.textContent = icons[this.displayMode];
+    const button = control.closest('button');
+    button.title = I18n.t(`display.${this.displayMode}`);
+  },
+  
+  /**
+   * Setup the grouped layer control with heritage layers
+   * @private
+   */
+  setupLayerControl: function() {
+    this.buildLayerControl();
+    
+    // Listen to layer add/remove events to update clustering
+    this.map.on('overlayadd', (e) => {
+      // Find which layer was added and add its markers back to the cluster
+      const layerKey = this.getLayerKey(e.layer);
+      if (layerKey) this.syncLayerMarkers(layerKey);
+    });
+    
+    this.map.on('overlayremove', (e) => {
+      // Find which layer was removed and take its markers out of the cluster
+      const layerKey = this.getLayerKey(e.layer);
+      if (layerKey) this.syncLayerMarkers(layerKey);
+    });
+  },
+  
+  /**
+   * Create the grouped layer control with labels in the current language.
+   * Group and layer names are the control's keys, so a language change
+   * rebuilds the control in place rather than relabelling it.
+   * @private
+   */
+  buildLayerControl: function() {
+    const heritageGroup = I18n.t('layers.heritage');
+    const groupedOverlays = { [heritageGroup]: {} };
+    LAYER_REGISTRY.forEach(entry => {
+      groupedOverlays[heritageGroup][`<span class="layer-label-${entry.key}">${escapeHTML(I18n.layerLabel(entry))}</span>`] = this.overlays[entry.key];
+    });
+    
+    const baseLayers = {};
+    const historicalGroup = I18n.t('layers.historical');
+    this.getBasemapEntries().forEach(entry => {
+      const label = escapeHTML(this.getBasemapLabel(entry));
+      if (entry.type === 'historical') {
+        groupedOverlays[historicalGroup] = groupedOverlays[historicalGroup] || {};
+        groupedOverlays[historicalGroup][label] = this.historicalLayers[entry.key];
+      } else {
+        baseLayers[label] = this.baseLayers[entry.key];
+      }
+    });
+    
+    let position = null;
+    if (this.layerControl) {
+      const container = this.layerControl.getContainer();
+      position = { parent: container.parentNode, next: container.nextSibling };
+      this.layerControl.remove();
+    }
+    
+    this.layerControl = L.control.groupedLayers(baseLayers, groupedOverlays, {
+      groupCheckboxes: true,
+      collapsed: true
+    }).addTo(this.map);
+    
+    if (position) {
+      // Keep the control above the clustering/location buttons
+      position.parent.insertBefore(this.layerControl.getContainer(), position.next);
+      this.importedLayers.forEach(imported => this.addImportedOverlay(imported));
+      this.renderFacetFilters();
+    }
+  },
+  
+  /**
+   * Get the layer key for a given layer object
+   * @param {L.LayerGroup} layer - Leaflet layer group
+   * @returns {string|null} Layer key or null
+   * @private
+   */
+  getLayerKey: function(layer) {
+    const key = Object.keys(this.overlays).find(k => this.overlays[k] === layer);
+    return key || null;
+  },
+  
+  /**
+   * Translated label for a basemap catalogue entry
+   * @param {Object} entry - CONSTANTS.BASEMAPS.CATALOGUE or custom map entry
+   * @returns {string} Label
+   * @private
+   */
+  getBasemapLabel: function(entry) {
+    return I18n.label(`basemap.${entry.key}`, entry.label);
+  },
+  
+  /**
+   * Key of the base map on the map
+   * @returns {string|null} Catalogue key
+   * @public
+   */
+  getActiveBasemapKey: function() {
+    return Object.keys(this.baseLayers).find(key => this.map.hasLayer(this.baseLayers[key])) || null;
+  },
+  
+  /**
+   * Switch to another base map
+   * @param {string} key - Catalogue key; unknown keys are ignored
+   * @public
+   */
+  setBasemap: function(key) {
+    const layer = this.baseLayers[key];
+    if (!layer || this.map.hasLayer(layer)) return;
+    Object.values(this.baseLayers).forEach(other => {
+      if (this.map.hasLayer(other)) this.map.removeLayer(other);
+    });
+    this.map.addLayer(layer);
+  },
+  
+  /**
+   * List the credits for the data, each map being shown and the map library
+   * @private
+   */
+  renderAttributions: function() {
+    const sections = [
+      `<strong>${I18n.t('attribution.data')}</strong>: <a href="https://mythicsociety.org/" target="_blank">${I18n.t('app.title')}</a><br>${I18n.t('attribution.project')}`
+    ];
+    this.getBasemapEntries().forEach(entry => {
+      const layer = this.baseLayers[entry.key] || this.historicalLayers[entry.key];
+      if (!this.map.hasLayer(layer)) return;
+      // Attributions are HTML from the catalogue, as Leaflet's own control shows them
+      sections.push(`<strong>${escapeHTML(this.getBasemapLabel(entry))}</strong>: ${layer.getAttribution() || ''}`);
+    });
+    sections.push(`<strong>Leaflet</strong>: ${I18n.t('attribution.library')}: <a href="https://leafletjs.com/" target="_blank">Leaflet</a>`);
+    this.domCache.attributionContent.innerHTML = sections
+      .map(section => `<div style="margin-bottom:0.5em">${section}</div>`)
+      .join('');
+  },
+  
+  /**
+   * Every catalogue entry plus the historical maps added in this browser
+   * @returns {Array<Object>} Catalogue entries
+   * @private
+   */
+  getBasemapEntries: function() {
+    return CONSTANTS.BASEMAPS.CATALOGUE.concat(this.customHistoricalMaps);
+  },
+  
+  /**
+   * Create the Leaflet layer for a catalogue entry: an image overlay when it
+   * has an image and corner bounds, otherwise XYZ tiles
+   * @param {Object} entry - Catalogue entry
+   * @returns {L.Layer} Tile layer or image overlay
+   * @private
+   */
+  createBasemapLayer: function(entry) {
+    const options = Object.assign({}, entry.options);
+    if (entry.type === 'historical' && options.opacity === undefined) options.opacity = CONSTANTS.HISTORICAL.OPACITY;
+    return entry.image ? L.imageOverlay(entry.image, entry.bounds, options) : L.tileLayer(entry.url, options);
+  },
+  
+  /**
+   * Wire the historical map panel and track which historical map was
+   * switched on last
+   * @param {HTMLElement} container - Panel container
+   * @private
+   */
+  buildHistoricalPanel: function(container) {
+    this.historical = {
+      container: container,
+      active: false,
+      key: null,
+      mode: 'off',
+      swipe: 0.5,
+      radius: CONSTANTS.HISTORICAL.SPYGLASS_RADIUS.DEFAULT,
+      pointer: null,
+      divider: null
+    };
+    
+    container.addEventListener('input', (e) => this.onHistoricalInput(e.target));
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-historical-action]');
+      if (!btn) return;
+      if (btn.dataset.historicalAction === 'add') this.addCustomHistoricalMap();
+      else if (btn.dataset.historicalAction === 'remove') this.removeCustomHistoricalMap(this.historical.key);
+    });
+    
+    // Maps switched on in the layer control become the one compared
+    this.map.on('overlayadd', (e) => {
+      const key = Object.keys(this.historicalLayers).find(k => this.historicalLayers[k] === e.layer);
+      if (key) this.selectHistoricalMap(key, false);
+    });
+    this.map.on('overlayremove', (e) => {
+      if (e.layer !== this.getHistoricalLayer()) return;
+      this.renderHistoricalPanel();
+      this.updateHistoricalClip();
+    });
+    this.map.on('move zoomend resize', () => this.updateHistoricalClip());
+    
+    const mapContainer = this.map.getContainer();
+    mapContainer.addEventListener('pointermove', (e) => {
+      if (this.historical.mode !== 'spyglass') return;
+      this.historical.pointer = this.map.mouseEventToContainerPoint(e);
+      this.updateHistoricalClip();
+    });
+    mapContainer.addEventListener('pointerleave', () => {
+      if (this.historical.mode !== 'spyglass') return;
+      this.historical.pointer = null;
+      this.updateHistoricalClip();
+    });
+    
+    this.renderHistoricalPanel();
+  },
+  
+  /**
+   * Fill the historical map panel in the current language
+   * @private
+   */
+  renderHistoricalPanel: function() {
+    const state = this.historical;
+    if (!state) return;
+    const { SPYGLASS_RADIUS } = CONSTANTS.HISTORICAL;
+    const entries = this.getBasemapEntries().filter(entry => entry.type === 'historical');
+    const layer = this.getHistoricalLayer();
+    const opacity = Math.round((layer ? layer.options.opacity : CONSTANTS.HISTORICAL.OPACITY) * 100);
+    const custom = this.customHistoricalMaps.some(entry => entry.key === state.key);
+    const mode = (value, label) => `<label><input type="radio" name="historical-mode" value="${value}"${state.mode === value ? ' checked' : ''}> ${I18n.t(label)}</label>`;
+    
+    state.container.innerHTML = `
+      <div class="historical-header">${I18n.t('historical.title')}</div>
+      ${entries.length === 0 ? `<p class="historical-note">${I18n.t('historical.none')}</p>` : `
+        <label class="historical-field"><span>${I18n.t('historical.map')}</span>
+          <span class="historical-map-row">
+            <select class="historical-map">
+              <option value="">${I18n.t('historical.hidden')}</option>
+              ${entries.map(entry => `<option value="${escapeHTML(entry.key)}"${entry.key === state.key && layer && this.map.hasLayer(layer) ? ' selected' : ''}>${escapeHTML(this.getBasemapLabel(entry))}</option>`).join('')}
+            </select>
+            ${custom ? `<button type="button" class="historical-remove" data-historical-action="remove" aria-label="${I18n.t('historical.remove')}" title="${I18n.t('historical.remove')}"><i class="bi bi-trash"></i></button>` : ''}
+          </span>
+        </label>
+        <label class="historical-field"><span>${I18n.t('historical.opacity')} <output>${opacity}%</output></span>
+          <input type="range" class="historical-opacity" min="0" max="100" step="5" value="${opacity}">
+        </label>
+        <div class="historical-modes" role="radiogroup" aria-label="${I18n.t('historical.compare')}">
+          ${mode('off', 'historical.off')}
+          ${mode('swipe', 'historical.swipe')}
+          ${mode('spyglass', 'historical.spyglass')}
+        </div>
+        <label class="historical-field historical-radius-field"${state.mode === 'spyglass' ? '' : ' hidden'}><span>${I18n.t('historical.radius')}</span>
+          <input type="range" class="historical-radius" min="${SPYGLASS_RADIUS.MIN}" max="${SPYGLASS_RADIUS.MAX}" step="10" value="${state.radius}">
+        </label>
+      `}
+      <details class="historical-custom">
+        <summary>${I18n.t('historical.add')}</summary>
+        <label class="historical-field"><span>${I18n.t('historical.type')}</span>
+          <select class="historical-type">
+            <option value="tiles">${I18n.t('historical.tiles')}</option>
+            <option value="image">${I18n.t('historical.image')}</option>
+          </select>
+        </label>
+        <label class="historical-field"><span>${I18n.t('historical.name')}</span>
+          <input type="text" class="historical-name">
+        </label>
+        <label class="historical-field"><span>${I18n.t('historical.url')}</span>
+          <input type="url" class="historical-url" placeholder="https://…/{z}/{x}/{y}.png">
+        </label>
+        <div class="historical-corners" hidden>
+          <label class="historical-field"><span>${I18n.t('historical.southWest')}</span>
+            <input type="text" class="historical-sw" placeholder="12.90, 77.52">
+          </label>
+          <label class="historical-field"><span>${I18n.t('historical.northEast')}</span>
+            <input type="text" class="historical-ne" placeholder="13.03, 77.66">
+          </label>
+        </div>
+        <label class="historical-field"><span>${I18n.t('historical.attribution')}</span>
+          <input type="text" class="historical-attribution">
+        </label>
+        <button type="button" class="sidebar-btn" data-historical-action="add">${I18n.t('historical.addButton')}</button>
+      </details>
+    `;
+  },
+  
+  /**
+   * React to a change in the historical map panel
+   * @param {HTMLElement} target - Changed control
+   * @private
+   */
+  onHistoricalInput: function(target) {
+    const state = this.historical;
+    const layer = this.getHistoricalLayer();
+    if (target.classList.contains('historical-map')) {
+      this.selectHistoricalMap(target.value, true);
+    } else if (target.classList.contains('historical-opacity')) {
+      if (layer) layer.setOpacity(parseInt(target.value, 10) / 100);
+      target.previousElementSibling.querySelector('output').textContent = `${target.value}%`;
+    } else if (target.name === 'historical-mode') {
+      this.setHistoricalMode(target.value);
+    } else if (target.classList.contains('historical-radius')) {
+      state.radius = parseInt(target.value, 10);
+      this.updateHistoricalClip();
+    } else if (target.classList.contains('historical-type')) {
+      state.container.querySelector('.historical-corners').hidden = target.value !== 'image';
+      state.container.querySelector('.historical-url').placeholder = target.value === 'image'
+        ? 'https://…/sheet.jpg'
+        : 'https://…/{z}/{x}/{y}.png';
+    }
+  },
+  
+  /**
+   * Show one historical map (hiding the others) and make it the one compared
+   * @param {string} key - Historical layer key, or '' to hide them all
+   * @param {boolean} fit - Zoom to the map's extent when it has one
+   * @public
+   */
+  selectHistoricalMap: function(key, fit) {
+    const previous = this.getHistoricalLayer();
+    if (previous) this.clearHistoricalClip(previous);
+    this.historical.key = key || null;
+    Object.entries(this.historicalLayers).forEach(([other, layer]) => {
+      if (other !== key && this.map.hasLayer(layer)) this.map.removeLayer(layer);
+    });
+    
+    const layer = this.getHistoricalLayer();
+    if (layer && !this.map.hasLayer(layer)) this.map.addLayer(layer);
+    if (layer && fit) {
+      const bounds = layer instanceof L.ImageOverlay ? layer.getBounds() : layer.options.bounds;
+      if (bounds) this.map.fitBounds(bounds);
+    }
+    this.renderHistoricalPanel();
+    this.updateHistoricalClip();
+  },
+  
+  /**
+   * The historical map being compared
+   * @returns {L.Layer|null} Layer
+   * @private
+   */
+  getHistoricalLayer: function() {
+    return (this.historical && this.historical.key && this.historicalLayers[this.historical.key]) || null;
+  },
+  
+  /**
+   * Compare the historical map with the base map by swiping or through a lens
+   * @param {string} mode - 'off', 'swipe' or 'spyglass'
+   * @public
+   */
+  setHistoricalMode: function(mode) {
+    const state = this.historical;
+    state.mode = mode;
+    state.pointer = null;
+    const radiusField = state.container.querySelector('.historical-radius-field');
+    if (radiusField) radiusField.hidden = mode !== 'spyglass';
+    this.map.getContainer().classList.toggle('historical-spyglass', mode === 'spyglass');
+    
+    if (mode === 'swipe' && !state.divider) {
+      state.divider = this.createHistoricalDivider();
+    }
+    this.updateHistoricalClip();
+  },
+  
+  /**
+   * Create the draggable swipe divider over the map
+   * @returns {HTMLElement} Divider element
+   * @private
+   */
+  createHistoricalDivider: function() {
+    const divider = L.DomUtil.create('div', 'historical-divider', this.map.getContainer());
+    divider.innerHTML = `<div class="historical-divider-handle" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100"><i class="bi bi-arrow-left-right"></i></div>`;
+    const handle = divider.firstElementChild;
+    L.DomEvent.disableClickPropagation(divider);
+    
+    const moveTo = (clientX) => {
+      const rect = this.map.getContainer().getBoundingClientRect();
+      this.historical.swipe = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+      this.updateHistoricalClip();
+    };
+    handle.addEventListener('pointerdown', (e) => {
+      // Keep the map from panning while the divider is dragged
+      e.stopPropagation();
+      handle.setPointerCapture(e.pointerId);
+    });
+    handle.addEventListener('pointermove', (e) => {
+      if (handle.hasPointerCapture(e.pointerId)) moveTo(e.clientX);
+    });
+    handle.addEventListener('keydown', (e) => {
+      const step = e.key === 'ArrowLeft' ? -0.05 : e.key === 'ArrowRight' ? 0.05 : 0;
+      if (!step) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.historical.swipe = Math.min(1, Math.max(0, this.historical.swipe + step));
+      this.updateHistoricalClip();
+    });
+    return divider;
+  },
+  
+  /**
+   * Clip the historical map to the left of the divider or to the lens
+   * around the pointer, and place the divider
+   * @private
+   */
+  updateHistoricalClip: function() {
+    const state = this.historical;
+    if (!state) return;
+    const layer = this.getHistoricalLayer();
+    const shown = !!layer && this.map.hasLayer(layer);
+    if (state.divider) {
+      state.divider.hidden = !(shown && state.mode === 'swipe');
+    }
+    if (!shown) return;
+    const element = layer instanceof L.ImageOverlay ? layer.getElement() : layer.getContainer();
+    if (!element) return;
+    if (state.mode === 'off') {
+      this.clearHistoricalClip(layer);
+      return;
+    }
+    
+    // Clip paths are in the element's own pixels: tile containers start at
+    // the map pane origin, image overlays at their north-west corner
+    const origin = layer instanceof L.ImageOverlay
+      ? this.map.latLngToLayerPoint(layer.getBounds().getNorthWest())
+      : L.point(0, 0);
+    const toElement = point => this.map.containerPointToLayerPoint(point).subtract(origin);
+    const size = this.map.getSize();
+    
+    if (state.mode === 'swipe') {
+      const x = Math.round(size.x * state.swipe);
+      const topLeft = toElement([0, 0]);
+      const bottomRight = toElement([x, size.y]);
+      element.style.clipPath = `polygon(${topLeft.x}px ${topLeft.y}px, ${bottomRight.x}px ${topLeft.y}px, ${bottomRight.x}px ${bottomRight.y}px, ${topLeft.x}px ${bottomRight.y}px)`;
+      state.divider.style.left = `${x}px`;
+      const handle = state.divider.firstElementChild;
+      handle.setAttribute('aria-valuenow', String(Math.round(state.swipe * 100)));
+      handle.setAttribute('aria-label', I18n.t('historical.divider'));
+    } else {
+      const center = toElement(state.pointer || [-10000, -10000]);
+      element.style.clipPath = `circle(${state.radius}px at ${center.x}px ${center.y}px)`;
+    }
+  },
+  
+  /**
+   * Remove any comparison clipping from a historical layer
+   * @param {L.Layer} layer - Tile layer or image overlay
+   * @private
+   */
+  clearHistoricalClip: function(layer) {
+    const element = layer instanceof L.ImageOverlay ? layer.getElement() : layer.getContainer();
+    if (element) element.style.clipPath = '';
+  },
+  
+  /**
+   * Add a historical map from the panel's form: XYZ tiles, or an image with
+   * its south-west and north-east corners
+   * @public
+   */
+  addCustomHistoricalMap: function() {
+    const form = this.historical.container;
+    const type = form.querySelector('.historical-type').value;
+    const url = form.querySelector('.historical-url').value.trim();
+    const name = form.querySelector('.historical-name').value.trim();
+    if (!/^(https?:\/\/|\/|\.\/|[\w-]+\/)/i.test(url) || (type === 'tiles' && !/\{z\}.*\{x\}.*\{y\}|\{z\}.*\{y\}.*\{x\}/.test(url))) {
+      this.showError(I18n.t(type === 'tiles' ? 'historical.invalidTiles' : 'historical.invalidUrl'));
+      return;
+    }
+    
+    const entry = {
+      key: `custom-${Date.now().toString(36)}`,
+      label: name || url.split(/[?#]/)[0].split('/').filter(part => part && !part.includes('{')).pop() || url,
+      type: 'historical',
+      options: { attribution: escapeHTML(form.querySelector('.historical-attribution').value.trim()) }
+    };
+    if (type === 'image') {
+      const southWest = CoordinateParser.parse(form.querySelector('.historical-sw').value);
+      const northEast = CoordinateParser.parse(form.querySelector('.historical-ne').value);
+      if (!southWest || !northEast || southWest.lat >= northEast.lat || southWest.lng >= northEast.lng) {
+        this.showError(I18n.t('historical.invalidCorners'));
+        return;
+      }
+      entry.image = url;
+      entry.bounds = [[southWest.lat, southWest.lng], [northEast.lat, northEast.lng]];
+    } else {
+      entry.url = url;
+    }
+    
+    this.customHistoricalMaps.push(entry);
+    this.historicalLayers[entry.key] = this.createBasemapLayer(entry);
+    this.saveCustomHistoricalMaps();
+    this.buildLayerControl();
+    this.selectHistoricalMap(entry.key, true);
+  },
+  
+  /**
+   * Remove a historical map added in this browser
+   * @param {string} key - Custom map key
+   * @public
+   */
+  removeCustomHistoricalMap: function(key) {
+    const layer = this.historicalLayers[key];
+    if (!layer || !this.customHistoricalMaps.some(entry => entry.key === key)) return;
+    if (this.map.hasLayer(layer)) this.map.removeLayer(layer);
+    delete this.historicalLayers[key];
+    this.customHistoricalMaps = this.customHistoricalMaps.filter(entry => entry.key !== key);
+    this.saveCustomHistoricalMaps();
+    this.buildLayerControl();
+    this.selectHistoricalMap('', false);
+  },
+  
+  /**
+   * Restore the historical maps added in this browser
+   * @private
+   */
+  loadCustomHistoricalMaps: function() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSTANTS.HISTORICAL.STORAGE_KEY) || '[]');
+      saved.forEach(entry => {
+        this.customHistoricalMaps.push(entry);
+        this.historicalLayers[entry.key] = this.createBasemapLayer(entry);
+      });
+    } catch (error) {
+      console.warn('Could not read saved historical maps:', error);
+    }
+  },
+  
+  /**
+   * Save the historical maps added in this browser
+   * @private
+   */
+  saveCustomHistoricalMaps: function() {
+    try {
+      localStorage.setItem(CONSTANTS.HISTORICAL.STORAGE_KEY, JSON.stringify(this.customHistoricalMaps));
+    } catch (error) {
+      console.warn('Could not save historical maps:', error);
+    }
+  },
+  
+  /**
+   * Show or hide the historical map panel
+   * @public
+   */
+  toggleHistoricalPanel: function() {
+    const state = this.historical;
+    if (!state) return;
+    state.active = !state.active;
+    state.container.style.display = state.active ? 'block' : 'none';
+    const btn = document.getElementById('historical-btn');
+    if (btn) {
+      btn.classList.toggle('active', state.active);
+      btn.setAttribute('aria-pressed', String(state.active));
+    }
+  },
+  
+  /**
+   * Get the registry fields offered as facet filters for a layer
+   * @param {string} layerKey - Layer key
+   * @returns {Array<Object>} Facet field definitions
+   * @private
+   */
+  getFacetFields: function(layerKey) {
+    const layerConfig = getLayerConfig(layerKey);
+    return layerConfig ? layerConfig.fields.filter(field => field.facet) : [];
+  },
+  
+  /**
+   * Check a site against the selected facet values of its layer
+   * @param {Object} data - Marker data from allMarkersData
+   * @param {string} [skipField] - Field key whose selection is ignored (for counts)
+   * @returns {boolean} True if every selected facet matches
+   * @private
+   */
+  passesFacetSelections: function(data, skipField) {
+    const selections = this.facetSelections[data.layerKey];
+    if (!selections) return true;
+    return Object.keys(selections).every(fieldKey => {
+      const selected = selections[fieldKey];
+      if (fieldKey === skipField || selected.size === 0) return true;
+      const value = ((data.additionalData || {})[fieldKey] || '').trim();
+      return selected.has(value);
+    });
+  },
+  
+  /**
+   * Count sites per facet value, honouring every other active filter
+   * @param {string} layerKey - Layer key
+   * @param {string} fieldKey - Facet field key
+   * @returns {Map<string, number>} Value counts sorted by descending count
+   * @private
+   */
+  countFacetValues: function(layerKey, fieldKey) {
+    const counts = new Map();
+    this.allMarkersData.forEach(data => {
+      if (data.layerKey !== layerKey) return;
+      const value = ((data.additionalData || {})[fieldKey] || '').trim();
+      if (!value) return;
+      if (!counts.has(value)) counts.set(value, 0);
+      if (this.passesSiteFilters(data, 'facets') && this.passesFacetSelections(data, fieldKey)) {
+        counts.set(value, counts.get(value) + 1);
+      }
+    });
+    return new Map([...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+  },
+  
+  /**
+   * Build the facet filter section inside the layer control from loaded data
+   * @public
+   */
+  renderFacetFilters: function() {
+    if (!this.layerControl) return;
+    const form = this.layerControl.getContainer().querySelector('.leaflet-control-layers-list');
+    if (!form) return;
+    
+    let container = form.querySelector('.facet-filters');
+    const openLayers = container
+      ? Array.from(container.querySelectorAll('details[open]')).map(el => el.dataset.layer)
+      : [];
+    if (!container) {
+      form.appendChild(L.DomUtil.create('div', 'leaflet-control-layers-separator'));
+      container = L.DomUtil.create('div', 'facet-filters', form);
+      container.addEventListener('change', (e) => {
+        const input = e.target;
+        if (!input.classList.contains('facet-option-input')) return;
+        this.setFacetValue(input.dataset.layer, input.dataset.field, input.value, input.checked);
+      });
+    }
+    container.innerHTML = '';
+    
+    const header = L.DomUtil.create('div', 'facet-filters-header', container);
+    L.DomUtil.create('span', '', header).textContent = I18n.t('facets.title');
+    const clearBtn = L.DomUtil.create('button', 'facet-clear-btn', header);
+    clearBtn.type = 'button';
+    clearBtn.textContent = I18n.t('common.clear');
+    clearBtn.addEventListener('click', () => this.clearFacetFilters());
+    
+    LAYER_REGISTRY.forEach(entry => {
+      const fields = this.getFacetFields(entry.key);
+      if (fields.length === 0 || this.markersByLayer[entry.key].length === 0) return;
+      
+      const details = L.DomUtil.create('details', 'facet-layer', container);
+      details.dataset.layer = entry.key;
+      details.open = openLayers.includes(entry.key);
+      const summary = L.DomUtil.create('summary', '', details);
+      summary.innerHTML = `<span class="layer-label-${entry.key}">${escapeHTML(I18n.layerLabel(entry))}</span>`;
+      
+      fields.forEach(field => {
+        const counts = this.countFacetValues(entry.key, field.key);
+        if (counts.size === 0) return;
+        const selected = (this.facetSelections[entry.key] || {})[field.key] || new Set();
+        const group = L.DomUtil.create('div', 'facet-field', details);
+        L.DomUtil.create('div', 'facet-field-label', group).textContent = I18n.fieldLabel(field);
+        counts.forEach((count, value) => {
+          const label = L.DomUtil.create('label', 'facet-option', group);
+          const input = L.DomUtil.create('input', 'facet-option-input', label);
+          input.type = 'checkbox';
+          input.value = value;
+          input.dataset.layer = entry.key;
+          input.dataset.field = field.key;
+          input.checked = selected.has(value);
+          label.appendChild(document.createTextNode(` ${value} `));
+          const countEl = L.DomUtil.create('span', 'facet-count', label);
+          countEl.textContent = `(${count})`;
+          label.classList.toggle('facet-option-empty', count === 0 && !input.checked);
+        });
+      });
+    });
+  },
+  
+  /**
+   * Select or deselect a facet value and re-filter the map
+   * @param {string} layerKey - Layer key
+   * @param {string} fieldKey - Facet field key
+   * @param {string} value - Field value
+   * @param {boolean} selected - Whether the value is selected
+   * @public
+   */
+  setFacetValue: function(layerKey, fieldKey, value, selected) {
+    if (!this.facetSelections[layerKey]) this.facetSelections[layerKey] = {};
+    if (!this.facetSelections[layerKey][fieldKey]) this.facetSelections[layerKey][fieldKey] = new Set();
+    const values = this.facetSelections[layerKey][fieldKey];
+    if (selected) values.add(value); else values.delete(value);
+    this.applyFacetFilters();
+  },
+  
+  /**
+   * Clear every facet selection
+   * @public
+   */
+  clearFacetFilters: function() {
+    this.facetSelections = {};
+    this.applyFacetFilters();
+  },
+  
+  /**
+   * Register the facet predicate (or drop it when nothing is selected),
+   * then refresh the map and the live counts
+   * @private
+   */
+  applyFacetFilters: function() {
+    const active = Object.values(this.facetSelections)
+      .some(fields => Object.values(fields).some(values => values.size > 0));
+    this.setSiteFilter('facets', active ? data => this.passesFacetSelections(data) : null);
+  },
+  
+  /**
+   * Build the time slider panel contents
+   * @param {HTMLElement} container - Panel container
+   * @private
+   */
+  buildTimeSlider: function(container) {
+    const { MIN_YEAR, MAX_YEAR, STEP, DEFAULT_WINDOW } = CONSTANTS.CHRONOLOGY;
+    const from = 900;
+    this.timeSlider = {
+      active: false,
+      from: from,
+      to: from + DEFAULT_WINDOW,
+      includeUndated: false,
+      playTimer: null,
+      container: container
+    };
+    container.innerHTML = `
+      <div class="time-slider-header">
+        <span class="time-slider-range"></span>
+        <span class="time-slider-count"></span>
+      </div>
+      <label class="time-slider-label"><span data-i18n="time.from">${I18n.t('time.from')}</span>
+        <input type="range" class="time-slider-from" min="${MIN_YEAR}" max="${MAX_YEAR}" step="${STEP}" value="${this.timeSlider.from}">
+      </label>
+      <label class="time-slider-label"><span data-i18n="time.to">${I18n.t('time.to')}</span>
+        <input type="range" class="time-slider-to" min="${MIN_YEAR}" max="${MAX_YEAR}" step="${STEP}" value="${this.timeSlider.to}">
+      </label>
+      <div class="time-slider-actions">
+        <button type="button" class="time-slider-play" aria-label="${I18n.t('time.play')}"><i class="bi bi-play-fill"></i></button>
+        <label class="time-slider-undated"><input type="checkbox"> <span data-i18n="time.undated">${I18n.t('time.undated')}</span></label>
+      </div>
+    `;
+    const fromInput = container.querySelector('.time-slider-from');
+    const toInput = container.querySelector('.time-slider-to');
+    fromInput.addEventListener('input', () => {
+      this.stopTimeSliderPlayback();
+      this.setTimeWindow(parseInt(fromInput.value, 10), Math.max(this.timeSlider.to, parseInt(fromInput.value, 10)));
+    });
+    toInput.addEventListener('input', () => {
+      this.stopTimeSliderPlayback();
+      this.setTimeWindow(Math.min(this.timeSlider.from, parseInt(toInput.value, 10)), parseInt(toInput.value, 10));
+    });
+    container.querySelector('.time-slider-play').addEventListener('click', () => {
+      if (this.timeSlider.playTimer) {
+        this.stopTimeSliderPlayback();
+      } else {
+        this.startTimeSliderPlayback();
+      }
+    });
+    container.querySelector('.time-slider-undated input').addEventListener('change', (e) => {
+      this.timeSlider.includeUndated = e.target.checked;
+      this.applyTimeWindow();
+    });
+    this.updateTimeSliderLabels();
+  },
+  
+  /**
+   * Show or hide the time slider; the chronology filter only applies while shown
+   * @public
+   */
+  toggleTimeSlider: function() {
+    if (!this.timeSlider) return;
+    this.timeSlider.active = !this.timeSlider.active;
+    this.timeSlider.container.style.display = this.timeSlider.active ? 'block' : 'none';
+    const btn = document.getElementById('time-slider-btn');
+    if (btn) {
+      btn.classList.toggle('active', this.timeSlider.active);
+      btn.setAttribute('aria-pressed', String(this.timeSlider.active));
+    }
+    if (!this.timeSlider.active) this.stopTimeSliderPlayback();
+    this.applyTimeWindow();
+  },
+  
+  /**
+   * Set the time window and re-filter the map
+   * @param {number} from - Start year
+   * @param {number} to - End year
+   * @public
+   */
+  setTimeWindow: function(from, to) {
+    if (!this.timeSlider) return;
+    this.timeSlider.from = from;
+    this.timeSlider.to = to;
+    const container = this.timeSlider.container;
+    container.querySelector('.time-slider-from').value = from;
+    container.querySelector('.time-slider-to').value = to;
+    this.applyTimeWindow();
+  },
+  
+  /**
+   * Register the chronology site filter for the current window
+   * @private
+   */
+  applyTimeWindow: function() {
+    const slider = this.timeSlider;
+    if (!slider) return;
+    if (slider.active) {
+      this.setSiteFilter('chronology', data => data.chronology
+        ? Chronology.overlaps(data.chronology, slider.from, slider.to)
+        : slider.includeUndated);
+    } else {
+      this.setSiteFilter('chronology', null);
+    }
+    this.updateTimeSliderLabels();
+  },
+  
+  /**
+   * Update the window label and the count of matching sites
+   * @private
+   */
+  updateTimeSliderLabels: function() {
+    const slider = this.timeSlider;
+    if (!slider) return;
+    const rangeEl = slider.container.querySelector('.time-slider-range');
+    const countEl = slider.container.querySelector('.time-slider-count');
+    rangeEl.textContent = `${Chronology.formatYear(slider.from)} – ${Chronology.formatYear(slider.to)}`;
+    const count = this.allMarkersData.filter(data => this.passesSiteFilters(data)).length;
+    countEl.textContent = I18n.siteCount(count);
+  },
+  
+  /**
+   * Animate the window forward through time, restarting from the beginning
+   * if it is already at the end
+   * @public
+   */
+  startTimeSliderPlayback: function() {
+    const slider = this.timeSlider;
+    const { MIN_YEAR, MAX_YEAR, PLAY_STEP, PLAY_INTERVAL } = CONSTANTS.CHRONOLOGY;
+    const width = Math.max(slider.to - slider.from, CONSTANTS.CHRONOLOGY.STEP);
+    if (slider.to >= MAX_YEAR) this.setTimeWindow(MIN_YEAR, MIN_YEAR + width);
+    
+    const playBtn = slider.container.querySelector('.time-slider-play');
+    playBtn.innerHTML = '<i class="bi bi-pause-fill"></i>';
+    playBtn.setAttribute('aria-label', I18n.t('time.pause'));
+    
+    slider.playTimer = setInterval(() => {
+      if (slider.to + PLAY_STEP > MAX_YEAR) {
+        this.stopTimeSliderPlayback();
+        return;
+      }
+      this.setTimeWindow(slider.from + PLAY_STEP, slider.to + PLAY_STEP);
+    }, PLAY_INTERVAL);
+  },
+  
+  /**
+   * Stop time slider playback
+   * @public
+   */
+  stopTimeSliderPlayback: function() {
+    const slider = this.timeSlider;
+    if (!slider || !slider.playTimer) return;
+    clearInterval(slider.playTimer);
+    slider.playTimer = null;
+    const playBtn = slider.container.querySelector('.time-slider-play');
+    playBtn.innerHTML = '<i class="bi bi-play-fill"></i>';
+    playBtn.setAttribute('aria-label', I18n.t('time.play'));
+  },
+  
+  /**
+   * Inject marker and layer label colours for every registry entry
+   * @private
+   */
+  injectLayerStyles: function() {
+    const style = document.createElement('style');
+    style.id = 'layer-registry-styles';
+    style.textContent = LAYER_REGISTRY.map(entry => `
+      .marker-${entry.key} { background: ${entry.color}; }
+      .layer-label-${entry.key} { color: ${entry.color} !important; }
+      .layer-dot-${entry.key} { background: ${entry.color}; }
+    `).join('');
+    document.head.appendChild(style);
+  },
+  
+  /**
+   * Initialize UI event handlers and interactions
+   * @public
+   */
+  initUI: function() {
+    try {
+      // Cache DOM elements once for better performance
+      this.domCache = {
+        menuBtn: document.getElementById(CONSTANTS.DOM.MENU_BTN),
+        sidebar: document.getElementById(CONSTANTS.DOM.SIDEBAR),
+        sidebarOverlay: document.getElementById(CONSTANTS.DOM.SIDEBAR_OVERLAY),
+        closeSidebar: document.getElementById(CONSTANTS.DOM.CLOSE_SIDEBAR),
+        searchBtn: document.getElementById(CONSTANTS.DOM.SEARCH_BTN),
+        searchInput: document.getElementById(CONSTANTS.DOM.SEARCH_INPUT),
+        mobileSearchBar: document.getElementById(CONSTANTS.DOM.MOBILE_SEARCH_BAR),
+        infoBtn: document.getElementById(CONSTANTS.DOM.INFO_BTN),
+        attributionPopup: document.getElementById(CONSTANTS.DOM.ATTRIBUTION_POPUP),
+        attributionContent: document.getElementById(CONSTANTS.DOM.ATTRIBUTION_CONTENT),
+        closeAttribution: document.getElementById(CONSTANTS.DOM.CLOSE_ATTRIBUTION),
+        searchResultsDropdown: document.getElementById(CONSTANTS.DOM.SEARCH_RESULTS_DROPDOWN),
+        searchResultsContent: document.getElementById(CONSTANTS.DOM.SEARCH_RESULTS_CONTENT),
+        closeSearchResults: document.getElementById(CONSTANTS.DOM.CLOSE_SEARCH_RESULTS),
+        dataStatus: document.getElementById(CONSTANTS.DOM.DATA_STATUS)
+      };
+
+      // Sidebar toggle
+      const { menuBtn, sidebar, sidebarOverlay, closeSidebar } = this.domCache;
+      
+      // Get layer checkboxes (may not exist in some views)
+      const layerCheckboxes = {};
+      LAYER_REGISTRY.forEach(entry => {
+        layerCheckboxes[entry.key] = document.getElementById(`layer-${entry.key}`);
+      });
+      
+      const advSearchForm = document.getElementById('advanced-search-form');
+    
+    if (menuBtn && sidebar) {
+      menuBtn.addEventListener('click', () => {
+        sidebar.classList.toggle('open');
+        if (sidebarOverlay) {
+          sidebarOverlay.classList.toggle('active');
+        }
+      });
+    }
+    
+    if (closeSidebar && sidebar) {
+      closeSidebar.addEventListener('click', () => {
+        sidebar.classList.remove('open');
+        if (sidebarOverlay) {
+          sidebarOverlay.classList.remove('active');
+        }
+      });
+    }
+    
+    // Close sidebar when clicking overlay
+    if (sidebarOverlay && sidebar) {
+      sidebarOverlay.addEventListener('click', () => {
+        sidebar.classList.remove('open');
+        sidebarOverlay.classList.remove('active');
+      });
+    }
+    // Search box toggle
+    const { searchBtn, searchInput, mobileSearchBar } = this.domCache;
+    if (searchBtn && searchInput) {
+      searchBtn.addEventListener('click', () => {
+        const isMobile = window.innerWidth <= CONSTANTS.UI.MOBILE_BREAKPOINT;
+        if (isMobile) {
+          // Move search input to mobile-search-bar below navbar
+          if (mobileSearchBar) {
+            mobileSearchBar.innerHTML = '';
+            searchInput.style.display = 'inline-block';
+            searchInput.style.width = '95%';
+            mobileSearchBar.appendChild(searchInput);
+            mobileSearchBar.style.display = 'block';
+            searchInput.focus();
+            document.body.classList.add('mobile-search-open');
+          }
+        } else {
+          // Desktop: show/hide in navbar
+          if (searchInput.style.display === 'none') {
+            searchInput.style.display = 'inline-block';
+            searchInput.focus();
+          } else {
+            searchInput.style.display = 'none';
+          }
+        }
+      });
+      // Hide mobile search bar when input loses focus
+      searchInput.addEventListener('blur', () => {
+        const isMobile = window.innerWidth <= CONSTANTS.UI.MOBILE_BREAKPOINT;
+        if (isMobile && mobileSearchBar) {
+          // Delay to allow click events to fire
+          setTimeout(() => {
+            mobileSearchBar.style.display = 'none';
+            searchInput.style.display = 'none';
+            // Move back to navbar-search for next time
+            const navbarSearch = document.querySelector('.navbar-search');
+            if (navbarSearch) {
+              navbarSearch.appendChild(searchInput);
+            }
+            document.body.classList.remove('mobile-search-open');
+          }, CONSTANTS.UI.BLUR_DELAY);
+        }
+      });
+      
+      this.initSearchCombobox(searchInput);
+    }
+    // Advanced search form
+    if (advSearchForm) {
+      this.populateAdvancedSearchTypes();
+      advSearchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.performAdvancedSearch(new FormData(advSearchForm));
+      });
+      advSearchForm.addEventListener('reset', () => {
+        this.clearSearchHighlights();
+        this.hideSearchResults();
+        this.setActiveSearch(null);
+      });
+    }
+    // Basemaps are chosen in the grouped layer control
+    
+    // Layer selection checkboxes
+    Object.entries(layerCheckboxes).forEach(([key, checkbox]) => {
+      if (checkbox) {
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => {
+          // Add/remove overlays based on checkbox state
+          if (checkbox.checked) {
+            if (!this.map.hasLayer(this.overlays[key])) {
+              this.map.addLayer(this.overlays[key]);
+            }
+          } else if (this.map.hasLayer(this.overlays[key])) {
+            this.map.removeLayer(this.overlays[key]);
+          }
+          // Add or remove markers from the cluster to match
+          this.syncLayerMarkers(key);
+        });
+      }
+    });
+    // Attribution popup logic
+    const { infoBtn, attributionPopup, closeAttribution, attributionContent } = this.domCache;
+    if (infoBtn && attributionPopup && closeAttribution && attributionContent) {
+      infoBtn.addEventListener('click', () => {
+        this.renderAttributions();
+        attributionPopup.style.display = 'block';
+      });
+      // Keep the list in step with the maps being shown
+      this.map.on('baselayerchange overlayadd overlayremove', () => {
+        if (attributionPopup.style.display === 'block') this.renderAttributions();
+      });
+      closeAttribution.addEventListener('click', () => {
+        attributionPopup.style.display = 'none';
+      });
+      // Optional: close popup when clicking outside
+      document.addEventListener('mousedown', (e) => {
+        if (attributionPopup.style.display === 'block' && !attributionPopup.contains(e.target) && e.target !== infoBtn) {
+          attributionPopup.style.display = 'none';
+        }
+      });
+    }
+    
+    // Search results dropdown close button
+    const { closeSearchResults, searchResultsDropdown } = this.domCache;
+    if (closeSearchResults && searchResultsDropdown) {
+      closeSearchResults.addEventListener('click', () => {
+        this.hideSearchResults();
+      });
+      
+      // Close search results when clicking outside
+      document.addEventListener('mousedown', (e) => {
+        if (searchResultsDropdown.style.display === 'block' && 
+            !searchResultsDropdown.contains(e.target) && 
+            e.target !== this.domCache.searchInput) {
+          this.hideSearchResults();
+        }
+      });
+    }
+    } catch (error) {
+      console.error('Failed to initialize UI:', error);
+      this.showError(I18n.t('error.ui'));
+    }
+  },
+  
+  /**
+   * Load data for all heritage layers, rendering from the local cache first
+   * and refreshing from Google Sheets in the background. The data counts as
+   * ready once every layer has been drawn once, from either source, so a slow
+   * refresh does not hold back permalinks, the saved trail or tours.
+   * @public
+   */
+  loadData: function() {
+    try {
+      Promise.all(LAYER_REGISTRY.map(entry => this.loadLayerData(entry).catch(error => {
+        console.error(`Failed to load ${entry.key} layer:`, error);
+      }))).then(() => {
+        this.dataLoaded = true;
+        // Permalinks and tours may look sites up by name
+        return this.updateSearchIndex();
+      }).then(() => {
+        this.restorePendingPermalink();
+        this.updateTrail();
+        this.restorePendingTour();
+      });
+      // Keep the relative "last updated" time current
+      setInterval(() => this.updateDataStatus(), CONSTANTS.CACHE.STATUS_REFRESH_INTERVAL);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+      this.showError(I18n.t('error.data'));
+    }
+  },
+  
+  /**
+   * Stale-while-revalidate load of one layer
+   * @param {Object} entry - Layer registry entry
+   * @returns {Promise<void>} Resolves once the layer is first drawn: straight
+   *   away from the cache, otherwise when the network load settles
+   * @private
+   */
+  loadLayerData: function(entry) {
+    return DataCache.get(entry.key).then(cached => {
+      const usable = cached && cached.url === entry.dataUrl && Array.isArray(cached.rows);
+      if (usable) {
+        this.renderLayerData(entry.key, cached.rows);
+        this.dataStatus[entry.key] = { updatedAt: cached.updatedAt, offline: false };
+        this.updateDataStatus();
+      }
+      
+      const refresh = this.fetchCSV(entry.dataUrl)
+        .then(result => {
+          const version = result.etag || DataCache.hashRows(result.rows);
+          const updatedAt = Date.now();
+          if (!usable || cached.version !== version) {
+            this.renderLayerData(entry.key, result.rows);
+          }
+          this.dataStatus[entry.key] = { updatedAt: updatedAt, offline: false };
+          this.updateDataStatus();
+          // Best-effort: readiness does not wait for the cache write
+          DataCache.put({
+            key: entry.key,
+            url: entry.dataUrl,
+            rows: result.rows,
+            version: version,
+            updatedAt: updatedAt
+          });
+        })
+        .catch(error => {
+          console.error('Error fetching CSV from:', entry.dataUrl, error);
+          if (usable) {
+            // Keep showing cached data and flag it as possibly stale
+            this.dataStatus[entry.key] = { updatedAt: cached.updatedAt, offline: true };
+            this.updateDataStatus();
+          } else {
+            this.showError(I18n.t('error.layer', { layer: I18n.layerLabel(entry) }));
+          }
+        });
+      // The refresh carries on in the background and redraws the layer if it changed
+      return usable ? null : refresh;
+    });
+  },
+  
+  /**
+   * Replace a layer's markers with freshly parsed rows
+   * @param {string} layerKey - Layer key
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   * @private
+   */
+  renderLayerData: function(layerKey, rows) {
+    this.clearLayerMarkers(layerKey);
+    this.processCSVData(rows, this.overlays[layerKey]);
+    this.searchIndexStale = true;
+    // Background refreshes after the first load re-index straight away
+    if (this.dataLoaded) this.updateSearchIndex();
+    this.renderFacetFilters();
+    this.updateTimeSliderLabels();
+  },
+  
+  /**
+   * Remove every marker of a layer from the map and the search data
+   * @param {string} layerKey - Layer key
+   * @private
+   */
+  clearLayerMarkers: function(layerKey) {
+    const markers = this.markersByLayer[layerKey] || [];
+    if (markers.length === 0) return;
+    this.markerCluster.removeLayers(markers.filter(marker => this.markerCluster.hasLayer(marker)));
+    markers.forEach(marker => this.overlays[layerKey].removeLayer(marker));
+    this.markersByLayer[layerKey] = [];
+    this.allMarkersData = this.allMarkersData.filter(data => data.layerKey !== layerKey);
+    this.sitesById.forEach((data, id) => {
+      if (data.layerKey === layerKey) this.sitesById.delete(id);
+    });
+  },
+  
+  /**
+   * Show when the data was last refreshed, and whether it may be stale
+   * @private
+   */
+  updateDataStatus: function() {
+    const el = this.domCache && this.domCache.dataStatus;
+    if (!el) return;
+    const statuses = Object.values(this.dataStatus);
+    if (statuses.length === 0) return;
+    // Report the oldest layer so the indicator never overstates freshness
+    const oldest = Math.min(...statuses.map(status => status.updatedAt));
+    const offline = statuses.some(status => status.offline);
+    const updated = I18n.t('status.updated', { time: this.formatRelativeTime(oldest) });
+    el.textContent = offline ? `${I18n.t('status.offline')} · ${updated}` : updated;
+    el.title = I18n.t('status.lastUpdated', { date: new Date(oldest).toLocaleString(I18n.lang) });
+    el.classList.toggle('offline', offline);
+    el.style.display = 'block';
+  },
+  
+  /**
+   * Format a timestamp relative to now ("just now", "5 min ago", "2 days ago")
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string} Relative time
+   * @private
+   */
+  formatRelativeTime: function(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return I18n.t('time.justNow');
+    if (minutes < 60) return I18n.t('time.minutesAgo', { count: minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return I18n.t(hours === 1 ? 'time.hourAgo' : 'time.hoursAgo', { count: hours });
+    const days = Math.floor(hours / 24);
+    return I18n.t(days === 1 ? 'time.dayAgo' : 'time.daysAgo', { count: days });
+  },
+  
+  /**
+   * Fetch and parse CSV data from URL
+   * @param {string} url - CSV data URL
+   * @returns {Promise<{rows: Array<Array<string>>, etag: string|null}>} Parsed rows and ETag
+   * @private
+   */
+  fetchCSV: function(url) {
+    let etag = null;
+    // A hanging connection would otherwise leave the layer loading forever
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONSTANTS.CACHE.FETCH_TIMEOUT);
+    return fetch(url, { signal: controller.signal })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response error: ${response.status}`);
+        }
+        etag = response.headers.get('ETag');
+        return this.readCSVResponse(response);
+      })
+      .then(result => {
+        this.reportCSVErrors(url, result.errors);
+        return { rows: result.rows, etag: etag };
+      })
+      .finally(() => clearTimeout(timer));
+  },
+  
+  /**
+   * Parse a CSV response body, streaming it through the parser when supported
+   * @param {Response} response - Fetch response
+   * @returns {Promise<{rows: Array<Array<string>>, errors: Array<Object>}>} Parse result
+   * @private
+   */
+  readCSVResponse: function(response) {
+    if (!response.body || typeof response.body.getReader !== 'function' || typeof TextDecoder === 'undefined') {
+      return response.text().then(text => CSVParser.parse(text));
+    }
+    const parser = CSVParser.createParser();
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    const pump = () => reader.read().then(({ done, value }) => {
+      if (done) {
+        parser.push(decoder.decode());
+        return parser.end();
+      }
+      parser.push(decoder.decode(value, { stream: true }));
+      return pump();
+    });
+    return pump();
+  },
+  
+  /**
+   * Log malformed CSV rows reported by the parser
+   * @param {string} url - Source URL
+   * @param {Array<Object>} errors - Parser error reports
+   * @private
+   */
+  reportCSVErrors: function(url, errors) {
+    if (!errors || errors.length === 0) return;
+    const skipped = errors.filter(e => e.fatal).length;
+    console.warn(`CSV from ${url}: ${errors.length} problem(s), ${skipped} row(s) skipped`);
+    errors.forEach(e => {
+      console.warn(`  Row ${e.row} (line ${e.line}): ${e.message}${e.fatal ? ' - row skipped' : ''}`);
+    });
+  },
+  
+  /**
+   * Process CSV data and add markers to layer with validation
+   * @param {Array<Array<string>>} rows - CSV data rows
+   * @param {L.LayerGroup} layerGroup - Layer group to add markers to
+   * @private
+   */
+  processCSVData: function(rows, layerGroup) {
+    try {
+      if (!rows || rows.length < 2) {
+        console.warn('CSV data is empty or invalid');
+        return;
+      }
+    const layerConfig = getLayerConfig(this.getLayerKey(layerGroup));
+    if (!layerConfig) {
+      console.error('No layer registry entry for layer group');
+      return;
+    }
+    // Parse header row to find column indices
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    // Accept both 'lat'/'lng' and 'latitude'/'longitude' column names
+    const nameColumn = layerConfig.nameColumns
+      .map(column => header.indexOf(column))
+      .find(index => index !== -1);
+    const indices = {
+      lat: header.findIndex(h => h === 'lat' || h === 'latitude'),
+      lng: header.findIndex(h => h === 'lng' || h === 'longitude'),
+      name: nameColumn !== undefined ? nameColumn : -1,
+      desc: header.findIndex(h => h.includes('desc') && !I18n.isLocalizedHeader(h)),
+      id: header.findIndex(h => CONSTANTS.SITES.ID_COLUMNS.includes(h))
+    };
+    const mediaColumns = SiteMedia.findColumns(header);
+    const modelColumn = ModelViewer.findColumn(header);
+    // Layer-specific fields from the registry
+    const fieldIndices = layerConfig.fields.map(field => {
+      const index = header.findIndex(h => field.headerMatch(h) && !I18n.isLocalizedHeader(h));
+      return { key: field.key, index: index, knIndex: I18n.findLocalizedColumn(header, index) };
+    });
+    // Kannada copies of the name and description columns, if the sheet has them
+    const knIndices = {
+      name: indices.name !== -1
+        ? I18n.findLocalizedColumn(header, indices.name)
+        : -1,
+      desc: I18n.findLocalizedColumn(header, indices.desc)
+    };
+    if (knIndices.name === -1) {
+      knIndices.name = header.findIndex(h => ['kannada name', 'name in kannada', 'name (kannada)', 'ಹೆಸರು'].includes(h));
+    }
+    if (indices.lat === -1 || indices.lng === -1) {
+      console.error('CSV data missing required latitude/longitude columns');
+      return;
+    }
+    // Create markers for each data row
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (row.length <= 1) continue; // Skip empty rows
+      if (row[indices.lat] && row[indices.lng]) {
+        const lat = parseFloat(row[indices.lat]);
+        const lng = parseFloat(row[indices.lng]);
+        if (isNaN(lat) || isNaN(lng)) continue;
+        const name = indices.name !== -1 ? row[indices.name] : '';
+        const desc = indices.desc !== -1 ? row[indices.desc] : '';
+        
+        // Collect additional fields based on layer type
+        const additionalData = {};
+        fieldIndices.forEach(({ key, index }) => {
+          additionalData[key] = index !== -1 ? row[index] : '';
+        });
+        
+        const kn = {
+          name: knIndices.name !== -1 ? (row[knIndices.name] || '').trim() : '',
+          description: knIndices.desc !== -1 ? (row[knIndices.desc] || '').trim() : '',
+          fields: {}
+        };
+        fieldIndices.forEach(({ key, knIndex }) => {
+          if (knIndex !== -1 && row[knIndex]) kn.fields[key] = row[knIndex].trim();
+        });
+        
+        this.addMarker(lat, lng, name, desc, layerGroup, additionalData, {
+          sheetId: indices.id !== -1 ? row[indices.id] : '',
+          localized: kn.name || kn.description || Object.keys(kn.fields).length ? { kn: kn } : null,
+          media: SiteMedia.parseRow(row, mediaColumns),
+          model: modelColumn !== -1 ? ModelViewer.parseCell(row[modelColumn]) : null
+        });
+      }
+    }
+    } catch (error) {
+      console.error('Failed to process CSV data:', error);
+      this.showError(I18n.t('error.process'));
+    }
+  },
+  
+  /**
+   * Add a marker to the specified layer with appropriate styling
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} name - Marker name
+   * @param {string} description - Marker description
+   * @param {L.LayerGroup} layerGroup - Layer group to add marker to
+   * @param {Object} additionalData - Additional data for specific marker types
+   * @param {Object} [extra] - Optional sheetId (from an ID column), media items and 3D model
+   * @private
+   */
+  addMarker: function(lat, lng, name, description, layerGroup, additionalData = {}, extra = {}) {
+    const layerKey = this.getLayerKey(layerGroup);
+    
+    // Suffix repeated IDs (same sheet ID, or same name at the same spot)
+    const baseId = createSiteId(layerKey, lat, lng, name, extra.sheetId);
+    const media = extra.media || [];
+    let id = baseId;
+    for (let n = 2; this.sitesById.has(id); n++) id = `${baseId}-${n}`;
+
+    const colorClass = layerKey ? `custom-dot-marker marker-${layerKey}` : 'custom-dot-marker';
+    const marker = L.marker([lat, lng], {
+      icon: L.divIcon({
+        className: colorClass,
+        iconSize: [8, 8],
+        iconAnchor: [4, 4],
+        popupAnchor: [0, -4]
+      }),
+      // Read by the cluster iconCreateFunction to count markers per layer
+      layerKey: layerKey
+    });
+    
+    // Store marker data for searching
+    const markerData = {
+      id: id,
+      marker: marker,
+      name: name || '',
+      description: description || '',
+      lat: lat,
+      lng: lng,
+      layerKey: layerKey,
+      layerGroup: layerGroup,
+      additionalData: additionalData,
+      media: media,
+      model: extra.model || null,
+      localized: extra.localized || null
+    };
+    markerData.chronology = this.getSiteChronology(markerData);
+    
+    // Popup content is built on open so it follows the interface language
+    marker.bindPopup(() => this.createPopupContent(markerData));
+    this.allMarkersData.push(markerData);
+    this.sitesById.set(id, markerData);
+    this.trackSiteSelection(marker, markerData);
+    
+    // Store marker for later clustering/unclustering
+    if (layerKey) {
+      this.markersByLayer[layerKey].push(marker);
+    }
+    
+    // Add to cluster or overlay based on current clustering state
+    this.refreshDensity();
+    if (!this.passesSiteFilters(markerData)) return;
+    if (this.displayMode === 'cluster') {
+      if (this.map.hasLayer(layerGroup)) {
+        this.markerCluster.addLayer(marker);
+      }
+      // Ensure markerCluster is on map
+      if (!this.map.hasLayer(this.markerCluster)) {
+        this.map.addLayer(this.markerCluster);
+      }
+    } else if (this.displayMode === 'scatter') {
+      layerGroup.addLayer(marker);
+    }
+  },
+  
+  /**
+   * Derive a site's year range from its first parseable period field
+   * @param {Object} data - Marker data
+   * @returns {Object|null} Chronology range or null
+   * @private
+   */
+  getSiteChronology: function(data) {
+    for (const value of getFieldValuesByRole(data, 'period')) {
+      const range = Chronology.parse(value);
+      if (range) return range;
+    }
+    return null;
+  },
+  
+  /**
+   * Site name in the current language, falling back to the sheet's name column
+   * @param {Object} data - Marker data
+   * @returns {string} Name
+   * @public
+   */
+  getSiteName: function(data) {
+    const localized = data.localized && data.localized[I18n.lang];
+    return (localized && localized.name) || data.name || '';
+  },
+  
+  /**
+   * Site description in the current language
+   * @param {Object} data - Marker data
+   * @returns {string} Description
+   * @public
+   */
+  getSiteDescription: function(data) {
+    const localized = data.localized && data.localized[I18n.lang];
+    return (localized && localized.description) || data.description || '';
+  },
+  
+  /**
+   * Registry field value in the current language
+   * @param {Object} data - Marker data
+   * @param {string} fieldKey - Registry field key
+   * @returns {string} Value, or '' when the site has none
+   * @public
+   */
+  getSiteField: function(data, fieldKey) {
+    const localized = data.localized && data.localized[I18n.lang];
+    return (localized && localized.fields[fieldKey]) || (data.additionalData && data.additionalData[fieldKey]) || '';
+  },
+  
+  /**
+   * Create formatted popup content for a marker
+   * @param {Object} data - Marker data
+   * @returns {string} HTML popup content
+   * @private
+   */
+  createPopupContent: function(data) {
+    let content = `<b>${escapeHTML(this.getSiteName(data) || I18n.t('common.unknown'))}</b>`;
+    
+    // Add layer-specific fields
+    const layerConfig = getLayerConfig(data.layerKey);
+    if (layerConfig) {
+      layerConfig.fields
+        .filter(field => field.popup !== false)
+        .forEach(field => {
+          const value = this.getSiteField(data, field.key);
+          if (value) {
+            content += `<br><strong>${escapeHTML(I18n.fieldLabel(field))}:</strong> ${escapeHTML(value)}`;
+          }
+        });
+    }
+    
+    if (data.media.length > 0) {
+      content += this.createMediaStrip(data.media, data.id, CONSTANTS.MEDIA.POPUP_THUMBNAILS);
+    }
+    
+    if (data.model) {
+      content += `<br><button type="button" class="popup-model-btn" data-site-id="${escapeHTML(data.id)}"><i class="bi bi-badge-3d"></i> ${I18n.t('popup.model')}</button>`;
+    }
+    
+    content += `<br><button type="button" class="popup-details-btn" data-site-id="${escapeHTML(data.id)}">${I18n.t('popup.details')} <i class="bi bi-chevron-right"></i></button>`;
+    
+    return content;
+  },
+  
+  // Removed getDefaultIcon, not needed for dot markers
+  
+  /**
+   * Perform search and show results in dropdown list
+   * @param {string} query - Search query string
+   * @public
+   */
+  performSearch: function(query) {
+    if (!query || query.length < CONSTANTS.MAP.MIN_SEARCH_LENGTH) {
+      this.hideSearchResults();
+      this.clearSearchHighlights();
+      this.setActiveSearch(null);
+      return;
+    }
+    this.setActiveSearch({ query: query });
+    
+    // Drop place lookups still waiting for an earlier query
+    if (this.geocodeController) this.geocodeController.abort();
+    this.geocodeController = null;
+    
+    // Clear previous highlights
+    this.clearSearchHighlights();
+    
+    // Show loading state
+    this.showSearchResultsLoading();
+    
+    // Check if query is coordinates (decimal, DMS, UTM, Plus Code or toposheet)
+    const coordMatch = this.parseCoordinates(query);
+    if (coordMatch) {
+      console.log('Detected coordinates:', coordMatch);
+      // Show coordinate result in dropdown
+      this.currentSearchResults = [Object.assign({
+        type: 'coordinate',
+        name: I18n.t('search.coordinates'),
+        displayName: `${coordMatch.lat.toFixed(6)}, ${coordMatch.lng.toFixed(6)}`
+      }, coordMatch)];
+      this.showSearchResults(this.currentSearchResults, query);
+      return;
+    }
+    
+    // Search every field in any script or romanisation, best matches first
+    this.updateSearchIndex().then(() => {
+      // A newer search has replaced this one while the index was building
+      if (!this.activeSearch || this.activeSearch.query !== query) return;
+      const ranked = SearchIndex.search(query);
+      this.searchMatchTerms = new Map(ranked.map(result => [result.data, result.terms]));
+      const heritageMatches = ranked.map(result => result.data);
+      
+      // Also search for places with the configured geocoders
+      this.geocodeForResults(query, heritageMatches);
+    });
+  },
+  
+  /**
+   * Rebuild the search index if sites were added or removed since the last
+   * build. Searches made meanwhile still see the previous index.
+   * @returns {Promise<void>} Resolves once the index covers the current sites
+   * @private
+   */
+  updateSearchIndex: function() {
+    if (this.searchIndexStale) {
+      this.searchIndexStale = false;
+      const build = SearchIndex.build([...this.allMarkersData, ...this.importedFeaturesData]).then(() => {
+        if (this.searchIndexBuild === build) this.searchIndexBuild = null;
+      });
+      this.searchIndexBuild = build;
+    }
+    return this.searchIndexBuild || Promise.resolve();
+  },
+  
+  /**
+   * Show loading state in search results dropdown
+   * @private
+   */
+  showSearchResultsLoading: function() {
+    const { searchResultsDropdown, searchResultsContent } = this.domCache;
+    if (searchResultsContent) {
+      searchResultsContent.innerHTML = `
+        <div class="search-results-loading">
+          <i class="bi bi-arrow-clockwise"></i>
+          <span>${I18n.t('search.searching')}</span>
+        </div>
+      `;
+    }
+    if (searchResultsDropdown) {
+      searchResultsDropdown.style.display = 'block';
+    }
+    this.setSearchExpanded(true);
+  },
+  
+  /**
+   * Hide search results dropdown
+   * @public
+   */
+  hideSearchResults: function() {
+    const { searchResultsDropdown } = this.domCache;
+    if (searchResultsDropdown) {
+      searchResultsDropdown.style.display = 'none';
+    }
+    this.setSearchExpanded(false);
+  },
+  
+  /**
+   * Wire the navbar search box as an ARIA combobox: suggestions while typing,
+   * recent searches when it is empty, and arrow keys, Enter and Escape
+   * @param {HTMLInputElement} searchInput - Navbar search input
+   * @private
+   */
+  initSearchCombobox: function(searchInput) {
+    const { searchResultsContent } = this.domCache;
+    this.recentSearches = this.loadRecentSearches();
+    
+    searchInput.addEventListener('input', () => {
+      clearTimeout(this.suggestTimer);
+      this.suggestTimer = setTimeout(() => this.showSuggestions(searchInput.value.trim()), CONSTANTS.SEARCH.SUGGEST_DELAY);
+    });
+    searchInput.addEventListener('focus', () => {
+      if (!searchInput.value.trim()) this.showSuggestions('');
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      const open = this.isSearchDropdownOpen();
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (open) {
+          this.moveActiveOption(e.key === 'ArrowDown' ? 1 : -1);
+        } else {
+          this.showSuggestions(searchInput.value.trim());
+        }
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(this.suggestTimer);
+        const active = open && this.getSearchOptions()[this.activeOptionIndex];
+        if (active) {
+          active.click();
+        } else {
+          const query = searchInput.value.trim();
+          this.addRecentSearch(query);
+          this.performSearch(query);
+        }
+      } else if (e.key === 'Escape' && open) {
+        // Close only the dropdown, not the detail panel or viewers behind it
+        e.preventDefault();
+        e.stopPropagation();
+        clearTimeout(this.suggestTimer);
+        this.hideSearchResults();
+      }
+    });
+    
+    // Results and suggestions are both options of the dropdown listbox
+    if (searchResultsContent) {
+      searchResultsContent.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        // The trail button inside a result is handled by initTrail
+        if (!option || e.target.closest('.trail-add-btn')) return;
+        if (option.dataset.itemIndex !== undefined) {
+          this.handleResultClick(parseInt(option.dataset.itemIndex, 10));
+        } else if (option.dataset.suggestionIndex !== undefined) {
+          this.selectSuggestion(parseInt(option.dataset.suggestionIndex, 10));
+        }
+      });
+    }
+  },
+  
+  /**
+   * Check whether the results/suggestions dropdown is showing
+   * @returns {boolean} True if open
+   * @private
+   */
+  isSearchDropdownOpen: function() {
+    const { searchResultsDropdown } = this.domCache;
+    return !!searchResultsDropdown && searchResultsDropdown.style.display === 'block';
+  },
+  
+  /**
+   * Reflect the dropdown state on the combobox and reset the active option
+   * @param {boolean} expanded - Whether the dropdown is open
+   * @private
+   */
+  setSearchExpanded: function(expanded) {
+    const { searchInput } = this.domCache;
+    if (searchInput) searchInput.setAttribute('aria-expanded', String(expanded));
+    this.setActiveOption(-1);
+  },
+  
+  /**
+   * Get the options currently in the dropdown
+   * @returns {Array<HTMLElement>} Option elements in display order
+   * @private
+   */
+  getSearchOptions: function() {
+    const { searchResultsContent } = this.domCache;
+    return searchResultsContent ? Array.from(searchResultsContent.querySelectorAll('[role="option"]')) : [];
+  },
+  
+  /**
+   * Mark one dropdown option as active (or none with -1)
+   * @param {number} index - Option index
+   * @private
+   */
+  setActiveOption: function(index) {
+    const options = this.getSearchOptions();
+    this.activeOptionIndex = index;
+    options.forEach((option, i) => {
+      option.classList.toggle('active', i === index);
+      option.setAttribute('aria-selected', String(i === index));
+    });
+    const { searchInput } = this.domCache;
+    if (!searchInput) return;
+    if (options[index]) {
+      searchInput.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+  },
+  
+  /**
+   * Move the active option up or down, wrapping at either end
+   * @param {number} delta - 1 for down, -1 for up
+   * @private
+   */
+  moveActiveOption: function(delta) {
+    const count = this.getSearchOptions().length;
+    if (count === 0) return;
+    const start = this.activeOptionIndex === -1 ? (delta > 0 ? -1 : count) : this.activeOptionIndex;
+    this.setActiveOption((start + delta + count) % count);
+  },
+  
+  /**
+   * Show matching sites and villages for a partly typed query, or recent
+   * searches when the box is empty
+   * @param {string} query - Text typed so far
+   * @public
+   */
+  showSuggestions: function(query) {
+    const { searchResultsDropdown, searchResultsContent } = this.domCache;
+    if (!searchResultsContent) return;
+    
+    if (!query) {
+      this.suggestions = this.recentSearches.map(recent => ({ type: 'recent', query: recent }));
+    } else if (query.length >= CONSTANTS.MAP.MIN_SEARCH_LENGTH) {
+      // Suggest from the current index rather than wait for a rebuild
+      this.updateSearchIndex();
+      const sites = SearchIndex.search(query)
+        .slice(0, CONSTANTS.SEARCH.MAX_SITE_SUGGESTIONS)
+        .map(result => ({ type: 'site', data: result.data, terms: result.terms }));
+      const villages = SearchIndex.suggestVillages(query, CONSTANTS.SEARCH.MAX_VILLAGE_SUGGESTIONS)
+        .map(village => Object.assign({ type: 'village' }, village));
+      this.suggestions = [...sites, ...villages];
+    } else {
+      this.suggestions = [];
+    }
+    
+    if (this.suggestions.length === 0) {
+      this.hideSearchResults();
+      return;
+    }
+    
+    const groups = [
+      { type: 'site', title: I18n.t('search.sites'), icon: 'bi-bank' },
+      { type: 'village', title: I18n.t('search.villages'), icon: 'bi-house' },
+      { type: 'recent', title: I18n.t('search.recent'), icon: 'bi-clock-history' }
+    ];
+    let html = '';
+    groups.forEach(group => {
+      const items = this.suggestions
+        .map((suggestion, index) => ({ suggestion, index }))
+        .filter(({ suggestion }) => suggestion.type === group.type);
+      if (items.length === 0) return;
+      html += `
+        <div class="search-results-category" role="group" aria-label="${escapeHTML(group.title)}">
+          <div class="search-results-category-title" aria-hidden="true">
+            <i class="bi ${group.icon}"></i>
+            ${escapeHTML(group.title)}
+          </div>
+          ${items.map(({ suggestion, index }) => this.createSuggestionItem(suggestion, index)).join('')}
+        </div>
+      `;
+    });
+    
+    // Suggestions are not a search; keep the language switch from redrawing old results
+    this.lastSearch = null;
+    searchResultsContent.innerHTML = html;
+    searchResultsDropdown.style.display = 'block';
+    this.setSearchExpanded(true);
+  },
+  
+  /**
+   * Create HTML for one suggestion option
+   * @param {Object} suggestion - { type: 'site'|'village'|'recent', ... }
+   * @param {number} index - Index in this.suggestions
+   * @returns {string} HTML string
+   * @private
+   */
+  createSuggestionItem: function(suggestion, index) {
+    let title;
+    let detail = '';
+    if (suggestion.type === 'site') {
+      const data = suggestion.data;
+      const layerConfig = getLayerConfig(data.layerKey);
+      const imported = !layerConfig && this.importedLayers.find(item => item.id === data.importId);
+      title = SearchIndex.highlight((layerConfig ? this.getSiteName(data) : data.name) || I18n.t('common.unknown'), suggestion.terms);
+      const source = layerConfig ? I18n.layerLabel(layerConfig) : (imported ? imported.name : '');
+      const village = layerConfig ? getFieldValuesByRole(data, 'village').find(value => value !== data.name) : '';
+      detail = `<i class="bi ${layerConfig ? layerConfig.icon : 'bi-upload'}"></i> ${escapeHTML([source, village].filter(Boolean).join(' · '))}`;
+    } else if (suggestion.type === 'village') {
+      title = SearchIndex.highlight(suggestion.name, suggestion.terms);
+      detail = `<i class="bi bi-geo"></i> ${escapeHTML(I18n.siteCount(suggestion.count))}`;
+    } else {
+      title = escapeHTML(suggestion.query);
+    }
+    
+    return `
+      <div class="search-result-item search-suggestion" role="option" id="search-suggestion-${index}" aria-selected="false" data-suggestion-index="${index}">
+        <div class="search-result-item-title">${title}</div>
+        ${detail ? `<div class="search-result-item-details"><div class="search-result-item-detail">${detail}</div></div>` : ''}
+      </div>
+    `;
+  },
+  
+  /**
+   * Act on a chosen suggestion: go to a site, or search for a village or
+   * recent query
+   * @param {number} index - Index in this.suggestions
+   * @public
+   */
+  selectSuggestion: function(index) {
+    const suggestion = this.suggestions[index];
+    const { searchInput } = this.domCache;
+    if (!suggestion) return;
+    
+    if (suggestion.type === 'site') {
+      const data = suggestion.data;
+      const name = data.layerKey ? this.getSiteName(data) : data.name;
+      if (searchInput) searchInput.value = name;
+      this.addRecentSearch(name);
+      this.currentSearchResults = [data];
+      this.selectSearchResult(data);
+      return;
+    }
+    
+    const query = suggestion.type === 'village' ? suggestion.name : suggestion.query;
+    if (searchInput) searchInput.value = query;
+    this.addRecentSearch(query);
+    this.performSearch(query);
+  },
+  
+  /**
+   * Read saved recent searches
+   * @returns {Array<string>} Most recent first
+   * @private
+   */
+  loadRecentSearches: function() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSTANTS.SEARCH.RECENT_STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(item => typeof item === 'string') : [];
+    } catch (error) {
+      console.warn('Ignoring unreadable recent searches:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Remember a search, most recent first and without duplicates
+   * @param {string} query - Search text
+   * @private
+   */
+  addRecentSearch: function(query) {
+    if (!query || query.length < CONSTANTS.MAP.MIN_SEARCH_LENGTH) return;
+    const folded = TextFolding.fold(query);
+    this.recentSearches = [query, ...this.recentSearches.filter(item => TextFolding.fold(item) !== folded)]
+      .slice(0, CONSTANTS.SEARCH.MAX_RECENT);
+    try {
+      localStorage.setItem(CONSTANTS.SEARCH.RECENT_STORAGE_KEY, JSON.stringify(this.recentSearches));
+    } catch (error) {
+      console.warn('Could not save recent searches:', error);
+    }
+  },
+  
+  /**
+   * Show search results in categorized list
+   * @param {Array} results - Combined results from heritage sites and places
+   * @param {string} query - Original search query
+   * @private
+   */
+  showSearchResults: function(results, query) {
+    const { searchResultsDropdown, searchResultsContent } = this.domCache;
+    
+    if (!searchResultsContent) return;
+    this.lastSearch = { results: results, query: query };
+    
+    // Categorize results
+    const categories = {
+      heritage: results.filter(r => r.layerKey),
+      imported: results.filter(r => r.importId),
+      places: results.filter(r => r.type === 'place'),
+      coordinates: results.filter(r => r.type === 'coordinate')
+    };
+    
+    let html = '';
+    
+    // Heritage Sites, layers in order of their best-ranked result
+    const rankedLayers = Array.from(new Set(categories.heritage.map(r => r.layerKey)));
+    rankedLayers.forEach(layerKey => {
+      const entry = getLayerConfig(layerKey);
+      const items = categories.heritage.filter(r => r.layerKey === layerKey);
+      html += this.createSearchResultCategory(escapeHTML(I18n.layerLabel(entry)), items, entry.icon);
+    });
+    
+    // Features from imported files, grouped by file
+    this.importedLayers.forEach(imported => {
+      const items = categories.imported.filter(r => r.importId === imported.id);
+      if (items.length > 0) {
+        html += this.createSearchResultCategory(escapeHTML(imported.name), items, 'bi-upload');
+      }
+    });
+    
+    // Places from the geocoders
+    if (categories.places.length > 0) {
+      html += this.createSearchResultCategory(I18n.t('search.places'), categories.places, 'bi-geo-alt');
+    }
+    
+    // Coordinates
+    if (categories.coordinates.length > 0) {
+      html += this.createSearchResultCategory(I18n.t('search.coordinates'), categories.coordinates, 'bi-pin-map');
+    }
+    
+    if (html === '') {
+      html = `<div class="search-results-no-results">${escapeHTML(I18n.t('search.noResults', { query: query }))}</div>`;
+    }
+    
+    searchResultsContent.innerHTML = html;
+    searchResultsDropdown.style.display = 'block';
+    this.setSearchExpanded(true);
+  },
+  
+  /**
+   * Create HTML for a search result category
+   * @param {string} categoryName - Category display name
+   * @param {Array} items - Items in this category
+   * @param {string} icon - Bootstrap icon class
+   * @returns {string} HTML string
+   * @private
+   */
+  createSearchResultCategory: function(categoryName, items, icon) {
+    let html = `
+      <div class="search-results-category" role="group" aria-label="${categoryName}">
+        <div class="search-results-category-title" aria-hidden="true">
+          <i class="bi ${icon}"></i>
+          ${categoryName} (${items.length})
+        </div>
+    `;
+    
+    items.forEach((item) => {
+      // Find the global index of this item in currentSearchResults
+      const globalIndex = this.currentSearchResults.indexOf(item);
+      html += this.createSearchResultItem(item, globalIndex);
+    });
+    
+    html += '</div>';
+    return html;
+  },
+  
+  /**
+   * Create HTML for a single search result item
+   * @param {Object} item - Result item data
+   * @param {number} globalIndex - Global index in currentSearchResults array
+   * @returns {string} HTML string
+   * @private
+   */
+  createSearchResultItem: function(item, globalIndex) {
+    // Validate item exists
+    if (!item) {
+      console.warn('Invalid search result item at index:', globalIndex);
+      return '';
+    }
+    
+    const title = (item.layerKey ? this.getSiteName(item) : item.name) || item.displayName || I18n.t('common.unknown');
+    const terms = this.searchMatchTerms.get(item);
+    let details = '';
+    
+    if (item.layerKey) {
+      // Heritage site
+      details = `
+        <div class="search-result-item-details">
+          <div class="search-result-item-detail">
+            <i class="bi bi-geo"></i>
+            ${item.lat.toFixed(4)}, ${item.lng.toFixed(4)}
+          </div>
+      `;
+      
+      const layerConfig = getLayerConfig(item.layerKey);
+      if (layerConfig) {
+        layerConfig.fields
+          .filter(field => field.detailIcon && this.getSiteField(item, field.key))
+          .forEach(field => {
+            details += `<div class="search-result-item-detail"><i class="bi ${field.detailIcon}"></i> ${SearchIndex.highlight(this.getSiteField(item, field.key), terms)}</div>`;
+          });
+      }
+      
+      details += '</div>';
+    } else if (item.type === 'place') {
+      // Place from a geocoder
+      details = `
+        <div class="search-result-item-details">
+          <div class="search-result-item-detail">
+            <i class="bi bi-geo"></i>
+            ${item.lat.toFixed(4)}, ${item.lng.toFixed(4)}
+          </div>
+          ${item.address ? `<div class="search-result-item-detail"><i class="bi ${item.source === 'gazetteer' ? 'bi-journal-bookmark' : 'bi-signpost'}"></i> ${escapeHTML(item.address)}</div>` : ''}
+        </div>
+      `;
+    } else if (item.type === 'coordinate') {
+      // Coordinates, with the notation they were read as
+      details = `
+        <div class="search-result-item-details">
+          <div class="search-result-item-detail">
+            <i class="bi bi-geo"></i>
+            ${item.displayName}
+          </div>
+          <div class="search-result-item-detail">
+            <i class="bi bi-info-circle"></i>
+            ${escapeHTML(this.describeCoordinates(item))}
+          </div>
+          ${item.swapped ? `<div class="search-result-item-detail search-result-warning"><i class="bi bi-arrow-left-right"></i> ${escapeHTML(I18n.t('coords.swapped'))}</div>` : ''}
+        </div>
+      `;
+    }
+    
+    return `
+      <div class="search-result-item" role="option" id="search-option-${globalIndex}" aria-selected="false" data-item-index="${globalIndex}">
+        ${item.layerKey ? this.createTrailButton(item, true) : ''}
+        <div class="search-result-item-title">${SearchIndex.highlight(title, terms)}</div>
+        ${details}
+      </div>
+    `;
+  },
+  
+  /**
+   * Handle click on search result item
+   * @param {number} index - Index in currentSearchResults array
+   * @public
+   */
+  handleResultClick: function(index) {
+    try {
+      if (!this.currentSearchResults || !Array.isArray(this.currentSearchResults)) {
+        console.error('Search results not initialized');
+        return;
+      }
+      
+      if (index < 0 || index >= this.currentSearchResults.length) {
+        console.error('Invalid search result index:', index);
+        return;
+      }
+      
+      const result = this.currentSearchResults[index];
+      if (!result) {
+        console.error('Search result is null at index:', index);
+        return;
+      }
+      
+      this.selectSearchResult(result);
+    } catch (error) {
+      console.error('Error handling search result click:', error);
+    }
+  },
+  
+  /**
+   * Handle selection of a search result
+   * @param {Object} itemData - Result item data
+   * @public
+   */
+  selectSearchResult: function(itemData) {
+    try {
+      this.hideSearchResults();
+      
+      if (!itemData) {
+        console.warn('No item data provided to selectSearchResult');
+        return;
+      }
+      
+      this.highlightSingleResult(itemData);
+    } catch (error) {
+      console.error('Error selecting search result:', error);
+      this.showError(I18n.t('error.navigate'));
+    }
+  },
+  
+  /**
+   * Highlight and zoom to a single search result
+   * @param {Object} item - Result item to highlight
+   * @param {Object} [view] - { center, zoom, duration } to use instead of centring on the item
+   * @private
+   */
+  highlightSingleResult: function(item, view = {}) {
+    try {
+      this.clearSearchHighlights();
+      
+      if (!item || !item.lat || !item.lng) {
+        console.error('Invalid item data:', item);
+        return;
+      }
+      
+      if (item.marker) {
+        // Heritage site with marker
+        const layerGroup = item.layerGroup;
+        
+        if (!layerGroup) {
+          console.error('No layer group found for item:', item);
+          return;
+        }
+        
+        // Ensure the layer is visible
+        if (!this.map.hasLayer(layerGroup)) {
+          this.map.addLayer(layerGroup);
+        }
+        
+        // Create highlighted marker
+        const highlightMarker = L.marker([item.lat, item.lng], {
+          icon: L.divIcon({
+            html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
+            iconSize: [32, 32],
+            iconAnchor: [16, 32],
+            popupAnchor: [0, -32],
+            className: 'search-highlight-icon'
+          }),
+          zIndexOffset: 1000
+        });
+        
+        // Safely get popup content
+        const popupContent = item.marker.getPopup() ? item.marker.getPopup().getContent() : item.name;
+        highlightMarker.bindPopup(popupContent);
+        highlightMarker.addTo(this.map);
+        this.highlightedMarkers.push(highlightMarker);
+        if (item.layerKey) this.trackSiteSelection(highlightMarker, item);
+        
+        // Zoom and open popup
+        this.map.setView(view.center || [item.lat, item.lng], view.zoom || CONSTANTS.MAP.SEARCH_ZOOM, {
+          animate: true,
+          duration: view.duration || 1
+        });
+        
+        setTimeout(() => {
+          highlightMarker.openPopup();
+        }, CONSTANTS.UI.POPUP_DELAY);
+      } else {
+        // Place or coordinate; sheets and Plus Codes also outline their area
+        const label = item.type === 'coordinate' ? this.describeCoordinates(item) : item.displayName || item.name;
+        this.highlightCoordinates(item.lat, item.lng, label, item.bounds);
+      }
+    } catch (error) {
+      console.error('Error highlighting search result:', error);
+    }
+  },
+  
+  /**
+   * Look the query up with the configured geocoders and list the places
+   * after the heritage results; heritage results alone if every provider fails
+   * @param {string} query - Address or place name
+   * @param {Array} heritageMatches - Heritage site matches
+   * @private
+   */
+  geocodeForResults: function(query, heritageMatches) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    this.geocodeController = controller;
+    
+    Geocoder.search(query, { signal: controller ? controller.signal : undefined })
+      .then(placeResults => {
+        console.log(`Found ${heritageMatches.length} heritage site(s) and ${placeResults.length} place(s)`);
+        return placeResults;
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return null;
+        console.error('Geocoding error:', error);
+        return [];
+      })
+      .then(placeResults => {
+        // A newer search has taken over the dropdown
+        if (placeResults === null || this.geocodeController !== controller) return;
+        const allResults = [...heritageMatches, ...placeResults];
+        this.currentSearchResults = allResults;
+        this.showSearchResults(allResults, query);
+      });
+  },
+  
+  /**
+   * Parse coordinates from search query, resolving short Plus Codes near the
+   * current map centre
+   * @param {string} query - Search query
+   * @returns {Object|null} - { lat, lng, format, label, swapped, bounds? } or null
+   * @private
+   */
+  parseCoordinates: function(query) {
+    const centre = this.map ? this.map.getCenter() : null;
+    return CoordinateParser.parse(query, centre ? [centre.lat, centre.lng] : CONSTANTS.MAP.CENTER);
+  },
+  
+  /**
+   * Describe how a coordinate result was read, e.g. "UTM: 43N 777400 E 1434900 N"
+   * @param {Object} item - Coordinate search result
+   * @returns {string} Plain text
+   * @public
+   */
+  describeCoordinates: function(item) {
+    return `${I18n.t(`coords.${item.format}`)}: ${item.label}`;
+  },
+  
+  /**
+   * Highlight coordinates on map with a search marker
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} displayName - Optional display name for the location
+   * @param {Array<Array<number>>} [bounds] - Optional area to outline and fit
+   * @private
+   */
+  highlightCoordinates: function(lat, lng, displayName, bounds) {
+    // Create highlighted marker with Bootstrap icon
+    const highlightMarker = L.marker([lat, lng], {
+      icon: L.divIcon({
+        html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
+        iconSize: [32, 32],
+        iconAnchor: [16, 32],
+        popupAnchor: [0, -32],
+        className: 'search-highlight-icon'
+      }),
+      zIndexOffset: 1000
+    });
+    
+    // Add popup with location info
+    let popupContent = '';
+    if (displayName && displayName !== I18n.t('search.coordinates')) {
+      popupContent = `
+        <b>${I18n.t('search.found')}</b><br>
+        ${escapeHTML(displayName)}<br>
+        <small>${I18n.t('geo.latitude')}: ${lat.toFixed(6)}, ${I18n.t('geo.longitude')}: ${lng.toFixed(6)}</small><br>
+        ${this.createNearbyButton(lat, lng, displayName)}
+      `;
+    } else {
+      popupContent = `
+        <b>${I18n.t('search.searched')}</b><br>
+        ${I18n.t('geo.latitude')}: ${lat.toFixed(7)}<br>
+        ${I18n.t('geo.longitude')}: ${lng.toFixed(7)}<br>
+        ${this.createNearbyButton(lat, lng, `${lat.toFixed(5)}, ${lng.toFixed(5)}`)}
+      `;
+    }
+    highlightMarker.bindPopup(popupContent);
+    
+    // Add to map
+    highlightMarker.addTo(this.map);
+    this.highlightedMarkers.push(highlightMarker);
+    
+    // Zoom to coordinates, or to the whole area of a map sheet
+    if (bounds) {
+      const outline = L.rectangle(bounds, {
+        color: CONSTANTS.COLORS.HIGHLIGHT,
+        weight: 2,
+        fill: false,
+        dashArray: '6 4',
+        interactive: false
+      }).addTo(this.map);
+      this.highlightedMarkers.push(outline);
+      this.map.fitBounds(bounds, { maxZoom: CONSTANTS.MAP.SEARCH_ZOOM, animate: true });
+    } else {
+      this.map.setView([lat, lng], CONSTANTS.MAP.SEARCH_ZOOM, {
+        animate: true,
+        duration: 1
+      });
+    }
+    
+    // Open popup after zoom animation
+    setTimeout(() => {
+      highlightMarker.openPopup();
+    }, CONSTANTS.UI.POPUP_DELAY);
+  },
+  
+  /**
+   * Highlight matched markers and zoom to show all results
+   * @param {Array<Object>} matches - Array of matched marker data objects
+   * @private
+   */
+  highlightAndZoomToMatches: function(matches) {
+    const bounds = L.latLngBounds();
+    
+    matches.forEach(data => {
+      const marker = data.marker;
+      const layerGroup = data.layerGroup;
+      
+      // Ensure the layer is visible
+      if (!this.map.hasLayer(layerGroup)) {
+        this.map.addLayer(layerGroup);
+      }
+      
+      // Create highlighted marker with Bootstrap icon
+      const highlightMarker = L.marker([data.lat, data.lng], {
+        icon: L.divIcon({
+          html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
+          iconSize: [32, 32],
+          iconAnchor: [16, 32],
+          popupAnchor: [0, -32],
+          className: 'search-highlight-icon'
+        }),
+        zIndexOffset: 1000
+      });
+      
+      // Copy popup from original marker
+      highlightMarker.bindPopup(marker.getPopup().getContent());
+      
+      // Add highlight to map
+      highlightMarker.addTo(this.map);
+      this.highlightedMarkers.push(highlightMarker);
+      
+      // Add to bounds
+      bounds.extend([data.lat, data.lng]);
+    });
+    
+    // Zoom to show all matches
+    if (bounds.isValid()) {
+      this.map.fitBounds(bounds, {
+        padding: [50, 50],
+        maxZoom: CONSTANTS.MAP.MAX_BOUNDS_ZOOM
+      });
+    }
+    
+    // Open popup for first match if only one result
+    if (matches.length === 1) {
+      setTimeout(() => {
+        this.highlightedMarkers[0].openPopup();
+      }, CONSTANTS.UI.POPUP_DELAY);
+    }
+  },
+  
+  /**
+   * Clear all search highlight markers from the map
+   * @public
+   */
+  clearSearchHighlights: function() {
+    this.highlightedMarkers.forEach(marker => {
+      this.map.removeLayer(marker);
+    });
+    this.highlightedMarkers = [];
+  },
+  
+  /**
+   * Perform advanced search with multiple criteria
+   * @param {FormData} formData - Form data from advanced search form
+   * @public
+   */
+  performAdvancedSearch: function(formData) {
+    const get = name => (formData.get(name) || '').toString().trim();
+    const criteria = {
+      siteName: get('siteName'),
+      type: get('type'),
+      centuryFrom: parseInt(get('centuryFrom'), 10),
+      centuryTo: parseInt(get('centuryTo'), 10),
+      language: get('language'),
+      conservation: get('conservation'),
+      deity: get('deity'),
+      village: get('village'),
+      logic: get('logic') === 'OR' ? 'OR' : 'AND'
+    };
+    
+    // Match across scripts and romanisations, as the main search does
+    const contains = (value, term) => TextFolding.fold(value).includes(TextFolding.fold(term));
+    const roleContains = role => term => data => getFieldValuesByRole(data, role).some(v => contains(v, term));
+    
+    // Build one predicate per filled-in criterion
+    const tests = [];
+    if (criteria.siteName) tests.push(data => contains(data.name, criteria.siteName) || contains(this.getSiteName(data), criteria.siteName));
+    if (criteria.type) tests.push(data => data.layerKey === criteria.type);
+    if (!isNaN(criteria.centuryFrom) || !isNaN(criteria.centuryTo)) {
+      const from = isNaN(criteria.centuryFrom) ? -Infinity : criteria.centuryFrom;
+      const to = isNaN(criteria.centuryTo) ? Infinity : criteria.centuryTo;
+      // Compare centuries as year ranges so dynasty names match too
+      const fromYear = from === -Infinity ? -Infinity : (from - 1) * 100 + 1;
+      const toYear = to === Infinity ? Infinity : to * 100;
+      tests.push(data => Chronology.overlaps(data.chronology, fromYear, toYear));
+    }
+    if (criteria.language) tests.push(roleContains('language')(criteria.language));
+    if (criteria.conservation) tests.push(roleContains('conservation')(criteria.conservation));
+    if (criteria.deity) tests.push(roleContains('deity')(criteria.deity));
+    if (criteria.village) tests.push(roleContains('village')(criteria.village));
+    
+    this.clearSearchHighlights();
+    this.searchMatchTerms = new Map();
+    
+    const advanced = {};
+    for (const [key, value] of formData.entries()) {
+      if (value.toString().trim()) advanced[key] = value.toString().trim();
+    }
+    this.setActiveSearch(tests.length > 0 ? { advanced: advanced } : null);
+    
+    if (tests.length === 0) {
+      this.currentSearchResults = [];
+      this.showSearchResults([], I18n.t('search.emptyAdvanced'));
+      return;
+    }
+    
+    const matches = this.allMarkersData.filter(data => criteria.logic === 'OR'
+      ? tests.some(test => test(data))
+      : tests.every(test => test(data)));
+    
+    console.log(`Advanced search (${criteria.logic}, ${tests.length} criteria): ${matches.length} match(es)`);
+    
+    this.closeSidebar();
+    this.currentSearchResults = matches;
+    this.showSearchResults(matches, I18n.t('search.theseCriteria'));
+    if (matches.length > 0) {
+      this.highlightAndZoomToMatches(matches);
+    }
+  },
+  
+  /**
+   * Check whether a site is currently shown: its layer is switched on and it
+   * passes every active site filter
+   * @param {Object} data - Marker data from allMarkersData
+   * @returns {boolean} True if visible
+   * @public
+   */
+  isSiteVisible: function(data) {
+    const overlay = this.overlays[data.layerKey];
+    return !!overlay && this.map.hasLayer(overlay) && this.passesSiteFilters(data);
+  },
+  
+  /**
+   * Get every site currently shown on the map
+   * @returns {Array<Object>} Marker data entries
+   * @public
+   */
+  getVisibleSites: function() {
+    return this.allMarkersData.filter(data => this.isSiteVisible(data));
+  },
+  
+  /**
+   * Get heritage sites from the current search that are also visible
+   * @returns {Array<Object>} Marker data entries
+   * @public
+   */
+  getVisibleSearchResults: function() {
+    return (this.currentSearchResults || []).filter(result =>
+      result.layerKey && result.marker && this.isSiteVisible(result));
+  },
+  
+  /**
+   * Show or hide the export menu, refreshing its counts when opened
+   * @param {HTMLElement} container - Export control container
+   * @private
+   */
+  toggleExportMenu: function(container) {
+    const menu = container.querySelector('.export-menu');
+    const button = container.querySelector('#export-btn');
+    const opening = menu.hidden;
+    menu.hidden = !opening;
+    button.setAttribute('aria-expanded', String(opening));
+    button.classList.toggle('active', opening);
+    if (!opening) return;
+    
+    const visibleCount = this.getVisibleSites().length;
+    const searchCount = this.getVisibleSearchResults().length;
+    menu.innerHTML = `
+      <div class="map-control-menu-title">${I18n.t('export.title')}</div>
+      <label class="map-control-menu-option">
+        <input type="radio" name="export-scope" value="visible" checked> ${I18n.t('export.visible', { count: visibleCount })}
+      </label>
+      <label class="map-control-menu-option${searchCount ? '' : ' disabled'}">
+        <input type="radio" name="export-scope" value="search"${searchCount ? '' : ' disabled'}> ${I18n.t('export.search', { count: searchCount })}
+      </label>
+      <div class="export-formats">
+        ${Object.entries(SiteExporter.FORMATS).map(([key, format]) =>
+          `<button type="button" class="export-format-btn" data-format="${key}">${format.label}</button>`).join('')}
+      </div>
+    `;
+    menu.querySelectorAll('.export-format-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const scope = menu.querySelector('input[name="export-scope"]:checked').value;
+        this.exportSites(btn.dataset.format, scope);
+      });
+    });
+  },
+  
+  /**
+   * Export visible sites or search results as a file
+   * @param {string} format - geojson, kml, gpx or csv
+   * @param {string} [scope='visible'] - 'visible' or 'search'
+   * @public
+   */
+  exportSites: function(format, scope = 'visible') {
+    try {
+      const sites = scope === 'search' ? this.getVisibleSearchResults() : this.getVisibleSites();
+      if (sites.length === 0) {
+        this.showError(I18n.t('export.empty'));
+        return;
+      }
+      const formatInfo = SiteExporter.FORMATS[format];
+      const content = SiteExporter.serialize(format, sites);
+      const date = new Date().toISOString().slice(0, 10);
+      SiteExporter.download(content, `heritage-sites-${date}.${formatInfo.extension}`, formatInfo.mime);
+      console.log(`Exported ${sites.length} site(s) as ${formatInfo.label}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showError(I18n.t('error.export'));
+    }
+  },
+  
+  /**
+   * Wire up the file picker and drag-and-drop import onto the map
+   * @private
+   */
+  initImportUI: function() {
+    const fileInput = document.getElementById(CONSTANTS.DOM.IMPORT_FILE_INPUT);
+    const fileBtn = document.getElementById(CONSTANTS.DOM.IMPORT_FILE_BTN);
+    if (fileInput && fileBtn) {
+      fileInput.accept = CONSTANTS.IMPORT.ACCEPT.join(',');
+      fileBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        this.importFiles(fileInput.files);
+        fileInput.value = '';
+      });
+    }
+    
+    const mapEl = document.getElementById(CONSTANTS.DOM.MAP);
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    mapEl.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      mapEl.classList.add('drop-active');
+    });
+    mapEl.addEventListener('dragleave', (e) => {
+      if (e.target === mapEl) mapEl.classList.remove('drop-active');
+    });
+    mapEl.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      mapEl.classList.remove('drop-active');
+      this.importFiles(e.dataTransfer.files);
+    });
+    
+    this.renderImportList();
+  },
+  
+  /**
+   * Read and import a list of local files
+   * @param {FileList|Array<File>} files - Files to import
+   * @public
+   */
+  importFiles: function(files) {
+    Array.from(files || []).forEach(file => {
+      file.text()
+        .then(text => {
+          const geojson = FileImporter.parse(file.name, text);
+          const imported = this.addImportedLayer(file.name, geojson);
+          this.saveImportedLayers();
+          const bounds = imported.layer.getBounds();
+          if (bounds.isValid()) {
+            this.map.fitBounds(bounds, { padding: [50, 50], maxZoom: CONSTANTS.MAP.MAX_BOUNDS_ZOOM });
+          }
+          console.log(`Imported ${geojson.features.length} feature(s) from ${file.name}`);
+        })
+        .catch(error => {
+          console.error('Import failed:', file.name, error);
+          this.showError(I18n.t('import.failed', { file: file.name, error: error.message }));
+        });
+    });
+  },
+  
+  /**
+   * Add a FeatureCollection as an overlay in the "Imported Layers" group
+   * @param {string} name - Layer name (usually the file name)
+   * @param {Object} geojson - GeoJSON FeatureCollection
+   * @param {Object} [options] - Saved id and colour when restoring
+   * @returns {Object} Imported layer record
+   * @public
+   */
+  addImportedLayer: function(name, geojson, options = {}) {
+    const id = options.id || `import-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const palette = CONSTANTS.IMPORT.COLORS;
+    const color = options.color || palette[this.importedLayers.length % palette.length];
+    
+    // Features are added after construction: onEachFeature refers to the layer
+    const layer = L.geoJSON(null, {
+      style: { color: color, weight: 3, opacity: 0.85, fillOpacity: 0.15 },
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+        radius: 6,
+        color: CONSTANTS.COLORS.WHITE,
+        weight: 1.5,
+        fillColor: color,
+        fillOpacity: 0.9
+      }),
+      onEachFeature: (feature, featureLayer) => {
+        const properties = feature.properties || {};
+        featureLayer.bindPopup(() => this.createImportedPopupContent(properties, name));
+        
+        // Searchable entry, positioned at the point or the shape's centre
+        const latlng = featureLayer.getLatLng
+          ? featureLayer.getLatLng()
+          : featureLayer.getBounds().getCenter();
+        const extra = Object.assign({}, properties);
+        delete extra.name;
+        delete extra.description;
+        this.importedFeaturesData.push({
+          marker: featureLayer,
+          name: String(properties.name || ''),
+          description: String(properties.description || ''),
+          lat: latlng.lat,
+          lng: latlng.lng,
+          layerKey: null,
+          importId: id,
+          layerGroup: layer,
+          additionalData: extra
+        });
+      }
+    });
+    layer.addData(geojson);
+    
+    const imported = { id: id, name: name, color: color, geojson: geojson, layer: layer };
+    this.importedLayers.push(imported);
+    this.searchIndexStale = true;
+    layer.addTo(this.map);
+    this.addImportedOverlay(imported);
+    this.renderImportList();
+    return imported;
+  },
+  
+  /**
+   * List an imported layer in the layer control's "Imported Layers" group
+   * @param {Object} imported - Imported layer record
+   * @private
+   */
+  addImportedOverlay: function(imported) {
+    this.layerControl.addOverlay(imported.layer,
+      `<span class="layer-label-import" style="color:${imported.color}">${escapeHTML(imported.name)}</span>`,
+      I18n.t('import.group'));
+  },
+  
+  /**
+   * Build popup HTML for an imported feature, escaping file contents
+   * @param {Object} properties - Feature properties
+   * @param {string} sourceName - Imported file name
+   * @returns {string} HTML popup content
+   * @private
+   */
+  createImportedPopupContent: function(properties, sourceName) {
+    let content = `<b>${escapeHTML(properties.name || I18n.t('import.unnamed'))}</b>`;
+    if (properties.description) content += `<br>${escapeHTML(properties.description)}`;
+    Object.entries(properties).forEach(([key, value]) => {
+      if (key === 'name' || key === 'description' || value === '' || value === null || typeof value === 'object') return;
+      content += `<br><strong>${escapeHTML(key)}:</strong> ${escapeHTML(value)}`;
+    });
+    content += `<br><small>${escapeHTML(I18n.t('import.from', { file: sourceName }))}</small>`;
+    return content;
+  },
+  
+  /**
+   * Remove an imported layer from the map, the layer control and storage
+   * @param {string} id - Imported layer id
+   * @public
+   */
+  removeImportedLayer: function(id) {
+    const imported = this.importedLayers.find(item => item.id === id);
+    if (!imported) return;
+    this.map.removeLayer(imported.layer);
+    this.layerControl.removeLayer(imported.layer);
+    this.importedLayers = this.importedLayers.filter(item => item.id !== id);
+    this.importedFeaturesData = this.importedFeaturesData.filter(data => data.importId !== id);
+    this.searchIndexStale = true;
+    this.saveImportedLayers();
+    this.renderImportList();
+  },
+  
+  /**
+   * List imported layers in the sidebar with remove buttons
+   * @private
+   */
+  renderImportList: function() {
+    const list = document.getElementById(CONSTANTS.DOM.IMPORT_LIST);
+    if (!list) return;
+    list.innerHTML = '';
+    this.importedLayers.forEach(imported => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <span class="layer-color-dot" style="background:${imported.color}"></span>
+        <span class="import-list-name">${escapeHTML(imported.name)}</span>
+        <span class="import-list-count">${imported.geojson.features.length}</span>
+        <button type="button" class="import-remove-btn" aria-label="${escapeHTML(I18n.t('import.remove', { name: imported.name }))}">&times;</button>
+      `;
+      item.querySelector('.import-remove-btn').addEventListener('click', () => this.removeImportedLayer(imported.id));
+      list.appendChild(item);
+    });
+  },
+  
+  /**
+   * Persist imported layers to local storage so they survive reloads
+   * @private
+   */
+  saveImportedLayers: function() {
+    const records = this.importedLayers.map(({ id, name, color, geojson }) => ({ id, name, color, geojson }));
+    try {
+      localStorage.setItem(CONSTANTS.IMPORT.STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+      console.warn('Could not save imported layers:', error);
+      this.showError(I18n.t('import.tooLarge'));
+    }
+  },
+  
+  /**
+   * Re-create imported layers saved in local storage
+   * @private
+   */
+  restoreImportedLayers: function() {
+    let records = [];
+    try {
+      records = JSON.parse(localStorage.getItem(CONSTANTS.IMPORT.STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.warn('Ignoring unreadable saved imports:', error);
+    }
+    if (!Array.isArray(records)) return;
+    records.forEach(record => {
+      try {
+        this.addImportedLayer(record.name, record.geojson, { id: record.id, color: record.color });
+      } catch (error) {
+        console.warn('Could not restore imported layer:', record && record.name, error);
+      }
+    });
+  },
+  
+  /**
+   * Wire up the site detail panel and the "More details" buttons in popups
+   * @private
+   */
+  initSitePanel: function() {
+    const closeBtn = document.getElementById(CONSTANTS.DOM.CLOSE_SITE_PANEL);
+    if (closeBtn) closeBtn.addEventListener('click', () => this.closeSitePanel());
+    
+    // Popups are rebuilt from HTML strings, so delegate from the document
+    document.addEventListener('click', (e) => {
+      const detailsBtn = e.target.closest('.popup-details-btn');
+      if (detailsBtn) this.openSitePanel(detailsBtn.dataset.siteId);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.detailSiteId && !this.lightbox && !this.modelViewerSiteId) this.closeSitePanel();
+    });
+  },
+  
+  /**
+   * Show a site's full record in the detail panel
+   * @param {string} id - Site ID
+   * @public
+   */
+  openSitePanel: function(id) {
+    const data = this.findSiteById(id);
+    const panel = document.getElementById(CONSTANTS.DOM.SITE_PANEL);
+    const content = document.getElementById(CONSTANTS.DOM.SITE_PANEL_CONTENT);
+    if (!data || !panel || !content) {
+      console.warn('Cannot open detail panel for site:', id);
+      return;
+    }
+    
+    content.innerHTML = this.createSitePanelContent(data);
+    content.scrollTop = 0;
+    
+    content.querySelector('.site-panel-copy').addEventListener('click', (e) => {
+      this.copyToClipboard(`${data.lat.toFixed(6)}, ${data.lng.toFixed(6)}`, e.currentTarget);
+    });
+    content.querySelector('.site-panel-copy-link').addEventListener('click', (e) => {
+      const url = `${window.location.origin}${window.location.pathname}#${new URLSearchParams({
+        map: `${CONSTANTS.MAP.SEARCH_ZOOM}/${data.lat.toFixed(CONSTANTS.PERMALINK.PRECISION)}/${data.lng.toFixed(CONSTANTS.PERMALINK.PRECISION)}`,
+        site: data.id,
+        detail: data.id
+      }).toString()}`;
+      this.copyToClipboard(url, e.currentTarget);
+    });
+    content.querySelector('.site-panel-show').addEventListener('click', () => this.highlightSingleResult(data));
+    content.querySelectorAll('.site-panel-nearby-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const nearby = this.findSiteById(item.dataset.siteId);
+        if (!nearby) return;
+        this.highlightSingleResult(nearby);
+        this.openSitePanel(nearby.id);
+      });
+    });
+    
+    panel.classList.add('open');
+    panel.setAttribute('aria-hidden', 'false');
+    this.detailSiteId = id;
+    this.schedulePermalinkUpdate();
+  },
+  
+  /**
+   * Hide the detail panel
+   * @public
+   */
+  closeSitePanel: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.SITE_PANEL);
+    if (panel) {
+      panel.classList.remove('open');
+      panel.setAttribute('aria-hidden', 'true');
+    }
+    if (!this.detailSiteId) return;
+    this.detailSiteId = null;
+    this.schedulePermalinkUpdate();
+  },
+  
+  /**
+   * Build the detail panel HTML for a site
+   * @param {Object} data - Marker data
+   * @returns {string} HTML content
+   * @private
+   */
+  createSitePanelContent: function(data) {
+    const layerConfig = getLayerConfig(data.layerKey);
+    const description = this.getSiteDescription(data);
+    const lat = data.lat.toFixed(6);
+    const lng = data.lng.toFixed(6);
+    
+    // Sheet values that are web addresses become links
+    const formatValue = value => /^https?:\/\/\S+$/i.test(value)
+      ? `<a href="${escapeHTML(value)}" target="_blank" rel="noopener">${escapeHTML(value)}</a>`
+      : escapeHTML(value);
+    
+    const fieldRows = layerConfig.fields
+      .filter(field => this.getSiteField(data, field.key))
+      .map(field => `<dt>${escapeHTML(I18n.fieldLabel(field))}</dt><dd>${formatValue(this.getSiteField(data, field.key))}</dd>`)
+      .join('');
+    
+    const nearbyItems = this.getNearbySites(data).map(({ site, distance }) => `
+      <li>
+        <button type="button" class="site-panel-nearby-item" data-site-id="${escapeHTML(site.id)}">
+          <span class="layer-color-dot" style="background:${getLayerConfig(site.layerKey).color}"></span>
+          <span class="site-panel-nearby-name">${escapeHTML(this.getSiteName(site) || I18n.t('common.unknown'))}</span>
+          <span class="site-panel-nearby-distance">${this.formatDistance(distance)}</span>
+        </button>
+      </li>
+    `).join('');
+    
+    return `
+      <div class="site-panel-layer layer-label-${data.layerKey}">
+        <i class="bi ${layerConfig.icon}"></i> ${escapeHTML(I18n.layerLabel(layerConfig))}
+      </div>
+      <h3 id="site-panel-title">${escapeHTML(this.getSiteName(data) || I18n.t('common.unknown'))}</h3>
+      ${data.media && data.media.length ? this.createMediaStrip(data.media, data.id) : ''}
+      ${data.model ? `<button type="button" class="popup-model-btn" data-site-id="${escapeHTML(data.id)}"><i class="bi bi-badge-3d"></i> ${I18n.t('popup.model')}</button>` : ''}
+      ${description ? `<p class="site-panel-description">${escapeHTML(description)}</p>` : ''}
+      ${fieldRows ? `<dl class="site-panel-fields">${fieldRows}</dl>` : ''}
+      <div class="site-panel-section">
+        <h4>${I18n.t('panel.coordinates')}</h4>
+        <div class="site-panel-coords">
+          <code>${lat}, ${lng}</code>
+          <button type="button" class="site-panel-copy" aria-label="${I18n.t('panel.copyCoordinates')}"><i class="bi bi-clipboard"></i></button>
+        </div>
+      </div>
+      <div class="site-panel-section">
+        <h4>${I18n.t('panel.links')}</h4>
+        <ul class="site-panel-links">
+          <li><button type="button" class="site-panel-show"><i class="bi bi-geo-alt"></i> ${I18n.t('panel.show')}</button></li>
+          <li><button type="button" class="site-panel-copy-link"><i class="bi bi-link-45deg"></i> ${I18n.t('panel.copyLink')}</button></li>
+          <li>${this.createNearbyButton(data.lat, data.lng, this.getSiteName(data) || I18n.t('common.unknown'))}</li>
+          <li>${this.createTrailButton(data)}</li>
+          <li><a href="https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=18/${lat}/${lng}" target="_blank" rel="noopener"><i class="bi bi-map"></i> ${I18n.t('panel.osm')}</a></li>
+          <li><a href="https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}" target="_blank" rel="noopener"><i class="bi bi-signpost-split"></i> ${I18n.t('panel.directions')}</a></li>
+        </ul>
+      </div>
+      ${nearbyItems ? `
+      <div class="site-panel-section">
+        <h4>${I18n.t('panel.nearby')}</h4>
+        <ul class="site-panel-nearby">${nearbyItems}</ul>
+      </div>` : ''}
+      <p class="sidebar-note">${I18n.t('panel.siteId')}: <code>${escapeHTML(data.id)}</code></p>
+    `;
+  },
+  
+  /**
+   * Find the closest other heritage sites within the nearby radius
+   * @param {Object} data - Marker data
+   * @returns {Array<{site: Object, distance: number}>} Closest first, distance in metres
+   * @public
+   */
+  getNearbySites: function(data) {
+    const origin = L.latLng(data.lat, data.lng);
+    return this.allMarkersData
+      .filter(site => site !== data)
+      .map(site => ({ site: site, distance: origin.distanceTo([site.lat, site.lng]) }))
+      .filter(entry => entry.distance <= CONSTANTS.SITES.NEARBY_RADIUS)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, CONSTANTS.SITES.NEARBY_COUNT);
+  },
+  
+  /**
+   * Format a distance in metres for display
+   * @param {number} metres - Distance in metres
+   * @returns {string} e.g. "850 m" or "2.4 km"
+   * @public
+   */
+  formatDistance: function(metres) {
+    return metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(1)} km`;
+  },
+  
+  /**
+   * Initial compass bearing from one point to another
+   * @param {number} lat1 - Start latitude
+   * @param {number} lng1 - Start longitude
+   * @param {number} lat2 - End latitude
+   * @param {number} lng2 - End longitude
+   * @returns {number} Degrees clockwise from north, 0-360
+   * @public
+   */
+  getBearing: function(lat1, lng1, lat2, lng2) {
+    const toRad = Math.PI / 180;
+    const dLng = (lng2 - lng1) * toRad;
+    const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+    const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+      Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+  },
+  
+  /**
+   * Name the eight-point compass direction of a bearing
+   * @param {number} bearing - Degrees clockwise from north
+   * @returns {string} e.g. "NE" (translated)
+   * @public
+   */
+  formatBearing: function(bearing) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return I18n.t(`compass.${points[Math.round(bearing / 45) % 8]}`);
+  },
+  
+  /**
+   * Wire the nearby sites panel, the "Sites near here" buttons in popups and
+   * the map's context menu (right click or long press) for any point
+   * @private
+   */
+  initProximity: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.NEARBY_PANEL);
+    if (!panel) return;
+    this.populateProximityRadii();
     
-    if (menuBtn && sidebar) {
-      menuBtn.addEventListener('click', () => {
-        sidebar.classList.toggle('open');
-        if (sidebarOverlay) {
-          sidebarOverlay.classList.toggle('active');
-        }
-      });
+    document.getElementById(CONSTANTS.DOM.CLOSE_NEARBY_PANEL).addEventListener('click', () => this.closeProximity());
+    document.getElementById(CONSTANTS.DOM.NEARBY_RADIUS).addEventListener('change', (e) => {
+      if (!this.proximity) return;
+      this.proximity.radius = parseInt(e.target.value, 10);
+      this.drawProximity(true);
+      this.renderProximity();
+    });
+    document.getElementById(CONSTANTS.DOM.NEARBY_SORT).addEventListener('change', (e) => {
+      if (!this.proximity) return;
+      this.proximity.sort = e.target.value;
+      this.renderProximity();
+    });
+    document.getElementById(CONSTANTS.DOM.NEARBY_LIST).addEventListener('click', (e) => {
+      const item = e.target.closest('.site-panel-nearby-item');
+      const site = item && this.findSiteById(item.dataset.siteId);
+      if (!site) return;
+      this.highlightSingleResult(site);
+      this.openSitePanel(site.id);
+    });
+    
+    // Popups are rebuilt from HTML strings, so delegate from the document
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('.popup-nearby-btn');
+      if (!btn) return;
+      this.map.closePopup();
+      this.openProximity(parseFloat(btn.dataset.lat), parseFloat(btn.dataset.lng), btn.dataset.label);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.proximity && !this.detailSiteId && !this.lightbox && !this.modelViewerSiteId) this.closeProximity();
+    });
+    
+    this.map.on('contextmenu', (e) => {
+      const { lat, lng } = e.latlng;
+      const coords = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+      L.popup()
+        .setLatLng(e.latlng)
+        .setContent(`<b>${I18n.t('nearby.point')}</b><br><small>${coords}</small><br>${this.createNearbyButton(lat, lng, coords)}`)
+        .openOn(this.map);
+    });
+  },
+  
+  /**
+   * Fill the radius choices, keeping the current selection
+   * @private
+   */
+  populateProximityRadii: function() {
+    const select = document.getElementById(CONSTANTS.DOM.NEARBY_RADIUS);
+    if (!select) return;
+    const current = this.proximity ? this.proximity.radius : CONSTANTS.PROXIMITY.DEFAULT_RADIUS;
+    select.innerHTML = '';
+    CONSTANTS.PROXIMITY.RADII.forEach(radius => select.add(new Option(this.formatDistance(radius), radius)));
+    select.value = current;
+  },
+  
+  /**
+   * HTML for a button that lists the sites around a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} label - Name of the point for the panel heading
+   * @returns {string} HTML string
+   * @public
+   */
+  createNearbyButton: function(lat, lng, label) {
+    return `<button type="button" class="popup-nearby-btn" data-lat="${lat}" data-lng="${lng}" data-label="${escapeHTML(label)}"><i class="bi bi-bullseye"></i> ${I18n.t('nearby.here')}</button>`;
+  },
+  
+  /**
+   * List the visible heritage sites within the chosen radius of a point and
+   * draw the radius on the map
+   * @param {number} lat - Centre latitude
+   * @param {number} lng - Centre longitude
+   * @param {string} label - Name of the centre (a place, site or coordinates)
+   * @public
+   */
+  openProximity: function(lat, lng, label) {
+    const panel = document.getElementById(CONSTANTS.DOM.NEARBY_PANEL);
+    if (!panel || isNaN(lat) || isNaN(lng)) return;
+    const previous = this.proximity;
+    this.proximity = {
+      lat: lat,
+      lng: lng,
+      label: label || `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+      radius: previous ? previous.radius : CONSTANTS.PROXIMITY.DEFAULT_RADIUS,
+      sort: previous ? previous.sort : 'distance'
+    };
+    
+    // The site and trail panels cover this one; close them so the list is seen
+    this.closeSitePanel();
+    this.closeTrailPanel();
+    this.drawProximity(true);
+    this.renderProximity();
+    panel.classList.add('open');
+    panel.setAttribute('aria-hidden', 'false');
+  },
+  
+  /**
+   * Draw the search circle and its centre, optionally zooming to fit it
+   * @param {boolean} fit - Fit the map to the circle
+   * @private
+   */
+  drawProximity: function(fit) {
+    if (this.proximityLayer) this.map.removeLayer(this.proximityLayer);
+    const { lat, lng, radius } = this.proximity;
+    const circle = L.circle([lat, lng], {
+      radius: radius,
+      color: CONSTANTS.PROXIMITY.COLOR,
+      weight: 2,
+      fillOpacity: 0.06,
+      interactive: false
+    });
+    const centre = L.circleMarker([lat, lng], {
+      radius: 5,
+      color: CONSTANTS.COLORS.WHITE,
+      weight: 2,
+      fillColor: CONSTANTS.PROXIMITY.COLOR,
+      fillOpacity: 1,
+      interactive: false
+    });
+    this.proximityLayer = L.layerGroup([circle, centre]).addTo(this.map);
+    if (fit) this.map.fitBounds(circle.getBounds(), { animate: true });
+  },
+  
+  /**
+   * Visible heritage sites within the current radius, with distance and bearing
+   * @returns {Array<{site: Object, distance: number, bearing: number}>}
+   *   Sorted by distance, or clockwise from north then by distance
+   * @public
+   */
+  getProximitySites: function() {
+    const { lat, lng, radius, sort } = this.proximity;
+    const origin = L.latLng(lat, lng);
+    const sites = this.getVisibleSites()
+      .map(site => ({ site: site, distance: origin.distanceTo([site.lat, site.lng]) }))
+      .filter(entry => entry.distance <= radius)
+      .map(entry => Object.assign(entry, { bearing: this.getBearing(lat, lng, entry.site.lat, entry.site.lng) }));
+    return sort === 'bearing'
+      ? sites.sort((a, b) => Math.round(a.bearing / 45) % 8 - Math.round(b.bearing / 45) % 8 || a.distance - b.distance)
+      : sites.sort((a, b) => a.distance - b.distance);
+  },
+  
+  /**
+   * Render the nearby sites list and summary
+   * @private
+   */
+  renderProximity: function() {
+    const list = document.getElementById(CONSTANTS.DOM.NEARBY_LIST);
+    const summary = document.getElementById(CONSTANTS.DOM.NEARBY_SUMMARY);
+    if (!this.proximity || !list || !summary) return;
+    document.getElementById(CONSTANTS.DOM.NEARBY_RADIUS).value = this.proximity.radius;
+    document.getElementById(CONSTANTS.DOM.NEARBY_SORT).value = this.proximity.sort;
+    
+    const sites = this.getProximitySites();
+    const shown = sites.slice(0, CONSTANTS.PROXIMITY.MAX_RESULTS);
+    const radius = this.formatDistance(this.proximity.radius);
+    summary.textContent = sites.length === 0
+      ? I18n.t('nearby.none', { radius: radius })
+      : [
+        I18n.t('nearby.summary', { sites: I18n.siteCount(sites.length), radius: radius, origin: this.proximity.label }),
+        shown.length < sites.length ? I18n.t('nearby.more', { count: shown.length }) : ''
+      ].filter(Boolean).join(' · ');
+    
+    list.innerHTML = shown.map(({ site, distance, bearing }) => `
+      <li>
+        <button type="button" class="site-panel-nearby-item" data-site-id="${escapeHTML(site.id)}">
+          <span class="layer-color-dot" style="background:${getLayerConfig(site.layerKey).color}"></span>
+          <span class="site-panel-nearby-name">${escapeHTML(this.getSiteName(site) || I18n.t('common.unknown'))}</span>
+          <span class="nearby-bearing" title="${Math.round(bearing)}°">
+            <i class="bi bi-arrow-up" style="transform: rotate(${Math.round(bearing)}deg)"></i> ${this.formatBearing(bearing)}
+          </span>
+          <span class="site-panel-nearby-distance">${this.formatDistance(distance)}</span>
+        </button>
+      </li>
+    `).join('');
+  },
+  
+  /**
+   * Re-render the nearby list once after a burst of layer or filter changes
+   * @private
+   */
+  refreshProximity: function() {
+    if (!this.proximity) return;
+    clearTimeout(this.proximityTimer);
+    this.proximityTimer = setTimeout(() => this.renderProximity(), 0);
+  },
+  
+  /**
+   * Hide the nearby sites panel and remove its circle
+   * @public
+   */
+  closeProximity: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.NEARBY_PANEL);
+    if (panel) {
+      panel.classList.remove('open');
+      panel.setAttribute('aria-hidden', 'true');
     }
+    if (this.proximityLayer) this.map.removeLayer(this.proximityLayer);
+    this.proximityLayer = null;
+    this.proximity = null;
+  },
+  
+  /**
+   * Wire the trail panel and the "Add to trail" buttons in the site panel and
+   * search results, and restore the saved trail
+   * @private
+   */
+  initTrail: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.TRAIL_PANEL);
+    if (!panel) return;
+    this.loadTrail();
     
-    if (closeSidebar && sidebar) {
-      closeSidebar.addEventListener('click', () => {
-        sidebar.classList.remove('open');
-        if (sidebarOverlay) {
-          sidebarOverlay.classList.remove('active');
+    document.getElementById(CONSTANTS.DOM.CLOSE_TRAIL_PANEL).addEventListener('click', () => this.closeTrailPanel());
+    const modeSelect = document.getElementById(CONSTANTS.DOM.TRAIL_MODE);
+    modeSelect.value = this.trail.mode;
+    modeSelect.addEventListener('change', (e) => {
+      this.trail.mode = e.target.value;
+      this.updateTrail();
+    });
+    
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-trail-action]');
+      if (!action) return;
+      const index = parseInt(action.dataset.index, 10);
+      switch (action.dataset.trailAction) {
+        case 'show': {
+          const site = this.findSiteById(this.trail.ids[index]);
+          if (site) this.highlightSingleResult(site);
+          break;
         }
-      });
-    }
+        case 'up': this.moveTrailStop(index, -1); break;
+        case 'down': this.moveTrailStop(index, 1); break;
+        case 'remove': this.toggleTrailSite(this.trail.ids[index]); break;
+        case 'optimise': this.optimiseTrail(); break;
+        case 'export': this.exportTrail(); break;
+        case 'clear': this.clearTrail(); break;
+      }
+    });
     
-    // Close sidebar when clicking overlay
-    if (sidebarOverlay && sidebar) {
-      sidebarOverlay.addEventListener('click', () => {
-        sidebar.classList.remove('open');
-        sidebarOverlay.classList.remove('active');
-      });
+    // Site panel and search result buttons are rebuilt often, so delegate
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('.trail-add-btn');
+      if (btn) this.toggleTrailSite(btn.dataset.siteId);
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && panel.classList.contains('open') && !this.detailSiteId && !this.lightbox && !this.modelViewerSiteId) this.closeTrailPanel();
+    });
+  },
+  
+  /**
+   * Read the saved trail
+   * @private
+   */
+  loadTrail: function() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSTANTS.TRAIL.STORAGE_KEY) || 'null');
+      if (saved && Array.isArray(saved.ids)) {
+        this.trail.ids = saved.ids.filter(id => typeof id === 'string').slice(0, CONSTANTS.TRAIL.MAX_STOPS);
+      }
+      if (saved && CONSTANTS.TRAIL.MODES[saved.mode]) this.trail.mode = saved.mode;
+    } catch (error) {
+      console.warn('Could not read saved trail:', error);
     }
-    // Search box toggle
-    const { searchBtn, searchInput, mobileSearchBar } = this.domCache;
-    if (searchBtn && searchInput) {
-      searchBtn.addEventListener('click', () => {
-        const isMobile = window.innerWidth <= CONSTANTS.UI.MOBILE_BREAKPOINT;
-        if (isMobile) {
-          // Move search input to mobile-search-bar below navbar
-          if (mobileSearchBar) {
-            mobileSearchBar.innerHTML = '';
-            searchInput.style.display = 'inline-block';
-            searchInput.style.width = '95%';
-            mobileSearchBar.appendChild(searchInput);
-            mobileSearchBar.style.display = 'block';
-            searchInput.focus();
-            document.body.classList.add('mobile-search-open');
-          }
-        } else {
-          // Desktop: show/hide in navbar
-          if (searchInput.style.display === 'none') {
-            searchInput.style.display = 'inline-block';
-            searchInput.focus();
-          } else {
-            searchInput.style.display = 'none';
-          }
-        }
-      });
-      // Hide mobile search bar when input loses focus
-      searchInput.addEventListener('blur', () => {
-        const isMobile = window.innerWidth <= CONSTANTS.UI.MOBILE_BREAKPOINT;
-        if (isMobile && mobileSearchBar) {
-          // Delay to allow click events to fire
-          setTimeout(() => {
-            mobileSearchBar.style.display = 'none';
-            searchInput.style.display = 'none';
-            // Move back to navbar-search for next time
-            const navbarSearch = document.querySelector('.navbar-search');
-            if (navbarSearch) {
-              navbarSearch.appendChild(searchInput);
-            }
-            document.body.classList.remove('mobile-search-open');
-          }, CONSTANTS.UI.BLUR_DELAY);
-        }
-      });
-      
-      // Handle search input (Enter key only)
-      searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          this.performSearch(searchInput.value.trim());
-        }
-      });
+  },
+  
+  /**
+   * Save the trail's stops and travel mode
+   * @private
+   */
+  saveTrail: function() {
+    try {
+      localStorage.setItem(CONSTANTS.TRAIL.STORAGE_KEY, JSON.stringify(this.trail));
+    } catch (error) {
+      console.warn('Could not save trail:', error);
     }
-    // Advanced search form
-    if (advSearchForm) {
-      advSearchForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        this.performAdvancedSearch(new FormData(advSearchForm));
-      });
+  },
+  
+  /**
+   * Trail stops that are loaded, in visiting order
+   * @returns {Array<Object>} Marker data entries
+   * @public
+   */
+  getTrailSites: function() {
+    return this.trail.ids.map(id => this.findSiteById(id)).filter(Boolean);
+  },
+  
+  /**
+   * HTML for a button that adds a site to the trail or removes it
+   * @param {Object} data - Marker data
+   * @param {boolean} [iconOnly=false] - Compact form for search results
+   * @returns {string} HTML string
+   * @public
+   */
+  createTrailButton: function(data, iconOnly = false) {
+    const added = this.trail.ids.includes(data.id);
+    const label = I18n.t(added ? 'trail.remove' : 'trail.add');
+    return `<button type="button" class="trail-add-btn${iconOnly ? ' search-result-trail-btn' : ''}${added ? ' added' : ''}" data-site-id="${escapeHTML(data.id)}" aria-pressed="${added}"${iconOnly ? ` tabindex="-1" aria-label="${label}" title="${label}"` : ''}>
+      <i class="bi bi-signpost-2"></i>${iconOnly ? '' : ` <span class="trail-add-label">${label}</span>`}
+    </button>`;
+  },
+  
+  /**
+   * Add a site to the end of the trail, or take it out if already there
+   * @param {string} id - Site ID
+   * @public
+   */
+  toggleTrailSite: function(id) {
+    if (!id) return;
+    if (this.trail.ids.includes(id)) {
+      this.trail.ids = this.trail.ids.filter(stop => stop !== id);
+    } else if (this.trail.ids.length >= CONSTANTS.TRAIL.MAX_STOPS) {
+      this.showError(I18n.t('trail.full', { count: CONSTANTS.TRAIL.MAX_STOPS }));
+      return;
+    } else {
+      this.trail.ids.push(id);
+    }
+    this.updateTrail();
+  },
+  
+  /**
+   * Move a stop earlier or later in the trail
+   * @param {number} index - Stop index
+   * @param {number} delta - -1 for earlier, 1 for later
+   * @private
+   */
+  moveTrailStop: function(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= this.trail.ids.length) return;
+    [this.trail.ids[index], this.trail.ids[target]] = [this.trail.ids[target], this.trail.ids[index]];
+    this.updateTrail();
+  },
+  
+  /**
+   * Reorder the stops after the first to shorten the trail
+   * @public
+   */
+  optimiseTrail: function() {
+    const sites = this.getTrailSites();
+    const missing = this.trail.ids.filter(id => !this.findSiteById(id));
+    this.trail.ids = [...TrailOptimizer.order(sites).map(index => sites[index].id), ...missing];
+    this.updateTrail();
+  },
+  
+  /**
+   * Remove every stop
+   * @public
+   */
+  clearTrail: function() {
+    this.trail.ids = [];
+    this.updateTrail();
+  },
+  
+  /**
+   * Save the trail, then route it, draw it and refresh the panel and buttons
+   * @public
+   */
+  updateTrail: function() {
+    this.saveTrail();
+    this.updateTrailButtons();
+    const sites = this.getTrailSites();
+    const request = ++this.trailRequest;
+    this.trailRoute = null;
+    if (sites.length < 2) {
+      this.drawTrail(sites);
+      this.renderTrailPanel(false);
+      return;
     }
-    // Basemap toggle - removed (OSM is the only default basemap)
     
-    // Layer selection checkboxes
-    Object.entries(layerCheckboxes).forEach(([key, checkbox]) => {
-      if (checkbox) {
-        checkbox.checked = true;
-        checkbox.addEventListener('change', () => {
-          const markers = this.markersByLayer[key];
-          
-          // Add/remove overlays based on checkbox state
-          if (checkbox.checked) {
-            if (!this.map.hasLayer(this.overlays[key])) {
-              this.map.addLayer(this.overlays[key]);
-            }
-            // If clustering is enabled, add markers back to cluster
-            if (this.clusteringEnabled) {
-              markers.forEach(marker => {
-                if (!this.markerCluster.hasLayer(marker)) {
-                  this.markerCluster.addLayer(marker);
-                }
-              });
-            }
-          } else {
-            if (this.map.hasLayer(this.overlays[key])) {
-              this.map.removeLayer(this.overlays[key]);
-            }
-            // If clustering is enabled, remove markers from cluster
-            if (this.clusteringEnabled) {
-              markers.forEach(marker => {
-                if (this.markerCluster.hasLayer(marker)) {
-                  this.markerCluster.removeLayer(marker);
-                }
-              });
-            }
-          }
-        });
-      }
-    });
-    // Attribution popup logic
-    const { infoBtn, attributionPopup, closeAttribution, attributionContent } = this.domCache;
-    if (infoBtn && attributionPopup && closeAttribution && attributionContent) {
-      infoBtn.addEventListener('click', () => {
-        // Always show all three attributions: OSM, Carto, Leaflet
-  let html = '';
-  // Data attribution
-  html += `<div style=\"margin-bottom:0.5em\"><strong>Data</strong>: <a href=\"https://mythicsociety.org/\" target=\"_blank\">The Mythic Society</a><br>Bengaluru Inscriptions 3D Digital Conservation Project.</div>`;
-  // OSM
-  let tempDiv = document.createElement('div');
-  tempDiv.className = 'leaflet-control-attribution leaflet-control';
-  tempDiv.innerHTML = HeritageApp.baseLayers["OSM"].getAttribution();
-  html += `<div style=\"margin-bottom:0.5em\"><strong>OSM</strong>: ${tempDiv.innerHTML}</div>`;
-  // Leaflet
-  tempDiv.innerHTML = 'Map library: <a href=\"https://leafletjs.com/\" target=\"_blank\">Leaflet</a>';
-  html += `<div style=\"margin-bottom:0.5em\"><strong>Leaflet</strong>: ${tempDiv.innerHTML}</div>`;
-  attributionContent.innerHTML = html;
-  attributionPopup.style.display = 'block';
-      });
-      closeAttribution.addEventListener('click', () => {
-        attributionPopup.style.display = 'none';
+    this.renderTrailPanel(true);
+    TrailRouter.route(sites, this.trail.mode)
+      .then(route => {
+        if (request === this.trailRequest) this.trailRoute = route;
+      })
+      .catch(error => console.error('Routing failed:', error))
+      .then(() => {
+        // A newer change has already been routed
+        if (request !== this.trailRequest) return;
+        this.drawTrail(sites);
+        this.renderTrailPanel(false);
       });
-      // Optional: close popup when clicking outside
-      document.addEventListener('mousedown', (e) => {
-        if (attributionPopup.style.display === 'block' && !attributionPopup.contains(e.target) && e.target !== infoBtn) {
-          attributionPopup.style.display = 'none';
-        }
+  },
+  
+  /**
+   * Draw the route line and numbered stops
+   * @param {Array<Object>} sites - Trail stops in order
+   * @private
+   */
+  drawTrail: function(sites) {
+    if (this.trailLayer) this.map.removeLayer(this.trailLayer);
+    this.trailLayer = null;
+    if (sites.length === 0) return;
+    
+    const layers = [];
+    const geometry = this.trailRoute ? this.trailRoute.geometry : sites.map(site => [site.lat, site.lng]);
+    if (geometry.length > 1) {
+      layers.push(L.polyline(geometry, {
+        color: CONSTANTS.TRAIL.COLOR,
+        weight: 4,
+        opacity: 0.8,
+        // Dashed while the line only joins the stops
+        dashArray: this.trailRoute && !this.trailRoute.estimate ? null : '8 6',
+        interactive: false
+      }));
+    }
+    sites.forEach((site, index) => {
+      const marker = L.marker([site.lat, site.lng], {
+        icon: L.divIcon({
+          html: `<span>${index + 1}</span>`,
+          iconSize: [24, 24],
+          iconAnchor: [12, 12],
+          className: 'trail-stop-icon'
+        }),
+        title: this.getSiteName(site) || '',
+        zIndexOffset: 900
       });
+      marker.on('click', () => this.openSitePanel(site.id));
+      layers.push(marker);
+    });
+    this.trailLayer = L.layerGroup(layers).addTo(this.map);
+  },
+  
+  /**
+   * Render the trail's stops, legs, totals and actions
+   * @param {boolean} routing - A route is being calculated
+   * @private
+   */
+  renderTrailPanel: function(routing) {
+    const content = document.getElementById(CONSTANTS.DOM.TRAIL_CONTENT);
+    if (!content) return;
+    const sites = this.getTrailSites();
+    const route = this.trailRoute;
+    
+    if (sites.length === 0) {
+      content.innerHTML = `<p class="sidebar-note">${I18n.t('trail.empty')}</p>`;
+      return;
     }
     
-    // Search results dropdown close button
-    const { closeSearchResults, searchResultsDropdown } = this.domCache;
-    if (closeSearchResults && searchResultsDropdown) {
-      closeSearchResults.addEventListener('click', () => {
-        this.hideSearchResults();
-      });
-      
-      // Close search results when clicking outside
-      document.addEventListener('mousedown', (e) => {
-        if (searchResultsDropdown.style.display === 'block' && 
-            !searchResultsDropdown.contains(e.target) && 
-            e.target !== this.domCache.searchInput) {
-          this.hideSearchResults();
-        }
+    let summary = I18n.siteCount(sites.length);
+    if (routing) {
+      summary += ` · ${I18n.t('trail.routing')}`;
+    } else if (route) {
+      summary = I18n.t('trail.summary', {
+        stops: summary,
+        distance: this.formatDistance(route.distance),
+        duration: this.formatDuration(route.duration)
       });
     }
-    } catch (error) {
-      console.error('Failed to initialize UI:', error);
-      this.showError('Failed to initialize user interface.');
+    const notes = [];
+    if (route && route.fallback) notes.push(I18n.t('trail.routeFailed'));
+    if (route && route.estimate) notes.push(I18n.t('trail.estimate'));
+    
+    const stops = sites.map((site, index) => {
+      const leg = route && index > 0 ? route.legs[index - 1] : null;
+      const layerConfig = getLayerConfig(site.layerKey);
+      return `
+        <li class="trail-stop">
+          <span class="trail-stop-number">${index + 1}</span>
+          <button type="button" class="trail-stop-name" data-trail-action="show" data-index="${index}">
+            <span class="layer-color-dot" style="background:${layerConfig.color}"></span>
+            ${escapeHTML(this.getSiteName(site) || I18n.t('common.unknown'))}
+          </button>
+          ${leg ? `<span class="trail-stop-leg">+${this.formatDistance(leg.distance)} · ${this.formatDuration(leg.duration)}</span>` : ''}
+          <span class="trail-stop-actions">
+            <button type="button" data-trail-action="up" data-index="${index}" aria-label="${I18n.t('trail.moveUp')}"${index === 0 ? ' disabled' : ''}><i class="bi bi-arrow-up"></i></button>
+            <button type="button" data-trail-action="down" data-index="${index}" aria-label="${I18n.t('trail.moveDown')}"${index === sites.length - 1 ? ' disabled' : ''}><i class="bi bi-arrow-down"></i></button>
+            <button type="button" data-trail-action="remove" data-index="${index}" aria-label="${I18n.t('trail.remove')}"><i class="bi bi-x-lg"></i></button>
+          </span>
+        </li>
+      `;
+    }).join('');
+    
+    content.innerHTML = `
+      <p class="sidebar-note" aria-live="polite">${escapeHTML(summary)}</p>
+      ${notes.map(note => `<p class="sidebar-note">${escapeHTML(note)}</p>`).join('')}
+      <ol class="trail-stops">${stops}</ol>
+      <div class="form-actions">
+        <button type="button" class="sidebar-btn" data-trail-action="optimise"${sites.length < 3 ? ' disabled' : ''}><i class="bi bi-shuffle"></i> ${I18n.t('trail.optimise')}</button>
+        <button type="button" class="sidebar-btn" data-trail-action="export"><i class="bi bi-box-arrow-down"></i> ${I18n.t('trail.export')}</button>
+        <button type="button" class="form-reset-btn" data-trail-action="clear">${I18n.t('common.clear')}</button>
+      </div>
+    `;
+  },
+  
+  /**
+   * Reflect trail membership on every add button and the control's count
+   * @private
+   */
+  updateTrailButtons: function() {
+    const badge = document.querySelector(`#${CONSTANTS.DOM.TRAIL_BTN} .map-icon-badge`);
+    if (badge) {
+      badge.textContent = this.trail.ids.length;
+      badge.hidden = this.trail.ids.length === 0;
     }
+    document.querySelectorAll('.trail-add-btn').forEach(btn => {
+      const added = this.trail.ids.includes(btn.dataset.siteId);
+      const label = I18n.t(added ? 'trail.remove' : 'trail.add');
+      btn.classList.toggle('added', added);
+      btn.setAttribute('aria-pressed', String(added));
+      const text = btn.querySelector('.trail-add-label');
+      if (text) {
+        text.textContent = label;
+      } else {
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+      }
+    });
   },
   
   /**
-   * Load data for all heritage layers from Google Sheets
+   * Download the trail as GPX, along the routed path when there is one
    * @public
    */
-  loadData: function() {
+  exportTrail: function() {
+    const sites = this.getTrailSites();
+    if (sites.length === 0) {
+      this.showError(I18n.t('export.empty'));
+      return;
+    }
     try {
-      // Use CONSTANTS.DATA_URLS directly instead of config.urls
-      this.fetchCSV(CONSTANTS.DATA_URLS.INSCRIPTIONS, data => 
-        this.processCSVData(data, this.overlays.inscriptions));
-      this.fetchCSV(CONSTANTS.DATA_URLS.HEROSTONES, data => 
-        this.processCSVData(data, this.overlays.herostones));
-      this.fetchCSV(CONSTANTS.DATA_URLS.TEMPLES, data => 
-        this.processCSVData(data, this.overlays.temples));
+      const geometry = this.trailRoute ? this.trailRoute.geometry : sites.map(site => [site.lat, site.lng]);
+      const content = SiteExporter.toTrailGPX(sites, geometry, I18n.t('trail.name'));
+      const date = new Date().toISOString().slice(0, 10);
+      SiteExporter.download(content, `heritage-trail-${date}.gpx`, SiteExporter.FORMATS.gpx.mime);
     } catch (error) {
-      console.error('Failed to load data:', error);
-      this.showError('Failed to load heritage site data.');
+      console.error('Trail export failed:', error);
+      this.showError(I18n.t('error.export'));
     }
   },
   
   /**
-   * Fetch CSV data from URL with error handling
-   * @param {string} url - CSV data URL
-   * @param {function} callback - Function to call with parsed data
-   * @private
+   * Show or hide the trail panel
+   * @public
    */
-  fetchCSV: function(url, callback) {
-    fetch(url)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`Network response error: ${response.status}`);
-        }
-        return response.text();
-      })
-      .then(text => {
-        // Efficient CSV parsing: split only once, trim, skip empty lines
-        const rows = text.split('\n')
-          .map(row => row.trim())
-          .filter(row => row.length > 0)
-          .map(row => row.split(','));
-        callback(rows);
-      })
-      .catch(error => {
-        console.error('Error fetching CSV from:', url, error);
-        this.showError(`Failed to load data from: ${url}`);
-      });
+  toggleTrailPanel: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.TRAIL_PANEL);
+    if (panel && panel.classList.contains('open')) this.closeTrailPanel(); else this.openTrailPanel();
   },
   
   /**
-   * Process CSV data and add markers to layer with validation
-   * @param {Array<Array<string>>} rows - CSV data rows
-   * @param {L.LayerGroup} layerGroup - Layer group to add markers to
+   * Show the trail panel
+   * @public
+   */
+  openTrailPanel: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.TRAIL_PANEL);
+    if (!panel) return;
+    // Only one of the slide-out panels is shown at a time
+    this.closeSitePanel();
+    if (this.proximity) this.closeProximity();
+    this.renderTrailPanel(false);
+    panel.classList.add('open');
+    panel.setAttribute('aria-hidden', 'false');
+    const btn = document.getElementById(CONSTANTS.DOM.TRAIL_BTN);
+    if (btn) {
+      btn.classList.add('active');
+      btn.setAttribute('aria-pressed', 'true');
+    }
+  },
+  
+  /**
+   * Hide the trail panel; the route stays on the map
+   * @public
+   */
+  closeTrailPanel: function() {
+    const panel = document.getElementById(CONSTANTS.DOM.TRAIL_PANEL);
+    if (panel) {
+      panel.classList.remove('open');
+      panel.setAttribute('aria-hidden', 'true');
+    }
+    const btn = document.getElementById(CONSTANTS.DOM.TRAIL_BTN);
+    if (btn) {
+      btn.classList.remove('active');
+      btn.setAttribute('aria-pressed', 'false');
+    }
+  },
+  
+  /**
+   * Format a duration for display
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} e.g. "25 min" or "1 h 05 min"
+   * @public
+   */
+  formatDuration: function(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    if (minutes < 60) return I18n.t('trail.minutes', { m: minutes });
+    return I18n.t('trail.hours', { h: Math.floor(minutes / 60), m: String(minutes % 60).padStart(2, '0') });
+  },
+  
+  /**
+   * Wire keyboard control of the tour player and the kiosk idle timer, and
+   * note a tour requested in the page URL (?tour=<id>, plus &kiosk)
    * @private
    */
-  processCSVData: function(rows, layerGroup) {
-    try {
-      if (!rows || rows.length < 2) {
-        console.warn('CSV data is empty or invalid');
-        return;
+  initTours: function() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('tour')) this.pendingTour = { id: params.get('tour'), kiosk: params.has('kiosk') };
+    
+    // Any touch or key pauses a kiosk until it is left alone again
+    ['pointerdown', 'keydown'].forEach(type => {
+      document.addEventListener(type, () => this.pauseTourKiosk(), true);
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (!this.tour || this.detailSiteId || this.lightbox || this.modelViewerSiteId) return;
+      // Arrow keys pan the map while it has focus, and edit text in fields
+      if (e.target === this.map.getContainer() || (e.target.closest && e.target.closest('input, textarea, select'))) return;
+      if (e.key === 'ArrowRight') {
+        this.nextTourStep();
+      } else if (e.key === 'ArrowLeft') {
+        this.showTourStep(this.tour.index - 1);
+      } else if (e.key === 'Escape') {
+        if (this.tour.kiosk) this.setTourKiosk(false); else this.exitTour();
       }
-    // Parse header row to find column indices
-    const header = rows[0].map(h => h.trim().toLowerCase());
-    // Accept both 'lat'/'lng' and 'latitude'/'longitude' column names
-    const indices = {
-      lat: header.findIndex(h => h === 'lat' || h === 'latitude'),
-      lng: header.findIndex(h => h === 'lng' || h === 'longitude'),
-      name: header.findIndex(h => h === 'village' || h === 'temple'),
-      desc: header.findIndex(h => h.includes('desc')),
-      // Herostone-specific fields
-      heroName: header.findIndex(h => h.includes('name of the hero')),
-      typeOfHerostone: header.findIndex(h => h.includes('type of herostone')),
-      period: header.findIndex(h => h === 'period'),
-      script: header.findIndex(h => h.includes('script')),
-      conservationStatus: header.findIndex(h => h.includes('conservation status')),
-      withInscription: header.findIndex(h => h.includes('with inscription')),
-      // Temple-specific fields
-      temple: header.findIndex(h => h === 'temple'),
-      village: header.findIndex(h => h === 'village'),
-      century: header.findIndex(h => h === 'century'),
-      mainDeity: header.findIndex(h => h.includes('main deity')),
-      architecturalStyle: header.findIndex(h => h.includes('temple architectural style')),
-      templeStatus: header.findIndex(h => h.includes('temple current status')),
-      // Inscription-specific fields
-      currentStatus: header.findIndex(h => h.includes('current status')),
-      inscriptionLanguage: header.findIndex(h => h.includes('inscription language')),
-      fromPeriod: header.findIndex(h => h.includes('from period') && h.includes('century'))
-    };
-    if (indices.lat === -1 || indices.lng === -1) {
-      console.error('CSV data missing required latitude/longitude columns');
+    });
+  },
+  
+  /**
+   * Start the tour named in the page URL, once sites have loaded
+   * @private
+   */
+  restorePendingTour: function() {
+    const pending = this.pendingTour;
+    if (!pending) return;
+    this.pendingTour = null;
+    StoryTours.load().then(() => this.startTour(pending.id, { kiosk: pending.kiosk }));
+  },
+  
+  /**
+   * Open or close the list of tours
+   * @param {HTMLElement} container - Tour control container
+   * @public
+   */
+  toggleTourMenu: function(container) {
+    const menu = container.querySelector('.tour-menu');
+    const button = container.querySelector('#tour-btn');
+    const opening = menu.hidden;
+    menu.hidden = !opening;
+    button.setAttribute('aria-expanded', String(opening));
+    button.classList.toggle('active', opening);
+    if (!opening) return;
+    
+    const title = `<div class="map-control-menu-title">${I18n.t('tour.title')}</div>`;
+    menu.innerHTML = `${title}<p class="tour-menu-note">${I18n.t('tour.loading')}</p>`;
+    StoryTours.load().then(tours => {
+      if (menu.hidden) return;
+      menu.innerHTML = title + (tours.length === 0
+        ? `<p class="tour-menu-note">${I18n.t('tour.none')}</p>`
+        : tours.map(tour => {
+          const name = escapeHTML(StoryTours.text(tour.title));
+          return `
+            <div class="tour-menu-item">
+              <button type="button" class="tour-menu-start" data-tour-id="${escapeHTML(tour.id)}">
+                <span class="tour-menu-name">${name}</span>
+                <span class="tour-menu-description">${escapeHTML(StoryTours.text(tour.description))}</span>
+                <span class="tour-menu-steps">${I18n.t('tour.steps', { count: tour.steps.length })}</span>
+              </button>
+              <button type="button" class="tour-menu-kiosk" data-tour-id="${escapeHTML(tour.id)}" data-kiosk="true" aria-label="${I18n.t('tour.startKiosk', { title: name })}" title="${I18n.t('tour.kiosk')}">
+                <i class="bi bi-display"></i>
+              </button>
+            </div>
+          `;
+        }).join(''));
+    });
+  },
+  
+  /**
+   * Start a tour from its first step
+   * @param {string} id - Tour ID
+   * @param {Object} [options] - { kiosk: true } to autoplay in a loop for exhibitions
+   * @public
+   */
+  startTour: function(id, options = {}) {
+    const tour = StoryTours.find(id);
+    if (!tour) {
+      console.warn('Tour not found:', id);
+      this.showError(I18n.t('tour.notFound'));
       return;
     }
-    // Create markers for each data row
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (row.length <= 1) continue; // Skip empty rows
-      if (row[indices.lat] && row[indices.lng]) {
-        const lat = parseFloat(row[indices.lat]);
-        const lng = parseFloat(row[indices.lng]);
-        if (isNaN(lat) || isNaN(lng)) continue;
-        let name = indices.name !== -1 ? row[indices.name] : '';
-        const desc = indices.desc !== -1 ? row[indices.desc] : '';
-        
-        // Collect additional fields based on layer type
-        const additionalData = {};
-        
-        if (layerGroup === this.overlays.inscriptions) {
-          additionalData.currentStatus = indices.currentStatus !== -1 ? row[indices.currentStatus] : '';
-          additionalData.inscriptionLanguage = indices.inscriptionLanguage !== -1 ? row[indices.inscriptionLanguage] : '';
-          additionalData.fromPeriod = indices.fromPeriod !== -1 ? row[indices.fromPeriod] : '';
-        } else if (layerGroup === this.overlays.herostones) {
-          additionalData.heroName = indices.heroName !== -1 ? row[indices.heroName] : '';
-          additionalData.typeOfHerostone = indices.typeOfHerostone !== -1 ? row[indices.typeOfHerostone] : '';
-          additionalData.period = indices.period !== -1 ? row[indices.period] : '';
-          additionalData.script = indices.script !== -1 ? row[indices.script] : '';
-          additionalData.conservationStatus = indices.conservationStatus !== -1 ? row[indices.conservationStatus] : '';
-          additionalData.withInscription = indices.withInscription !== -1 ? row[indices.withInscription] : '';
-        } else if (layerGroup === this.overlays.temples) {
-          // For temples, use 'Temple' column as name
-          name = indices.temple !== -1 ? row[indices.temple] : name;
-          additionalData.village = indices.village !== -1 ? row[indices.village] : '';
-          additionalData.century = indices.century !== -1 ? row[indices.century] : '';
-          additionalData.mainDeity = indices.mainDeity !== -1 ? row[indices.mainDeity] : '';
-          additionalData.architecturalStyle = indices.architecturalStyle !== -1 ? row[indices.architecturalStyle] : '';
-          additionalData.templeStatus = indices.templeStatus !== -1 ? row[indices.templeStatus] : '';
-        }
-        
-        this.addMarker(lat, lng, name, desc, layerGroup, additionalData);
-      }
+    if (this.tour) this.exitTour();
+    const menuContainer = this.tourControl.getContainer();
+    if (!menuContainer.querySelector('.tour-menu').hidden) this.toggleTourMenu(menuContainer);
+    this.closeSitePanel();
+    
+    tour.layers.forEach(key => {
+      const overlay = this.overlays[key];
+      if (overlay && !this.map.hasLayer(overlay)) this.map.addLayer(overlay);
+    });
+    this.tour = { tour: tour, index: 0, autoplay: false, kiosk: false, timer: null, resumeTimer: null };
+    document.body.classList.add('tour-active');
+    if (options.kiosk) this.setTourKiosk(true);
+    this.showTourStep(0);
+  },
+  
+  /**
+   * Fly to a tour step, open its site's popup and show its story
+   * @param {number} index - Step index; out-of-range values are ignored
+   * @public
+   */
+  showTourStep: function(index) {
+    if (!this.tour || index < 0 || index >= this.tour.tour.steps.length) return;
+    this.tour.index = index;
+    const step = this.tour.tour.steps[index];
+    const site = this.findTourSite(step);
+    
+    const duration = CONSTANTS.TOURS.FLY_DURATION;
+    if (site) {
+      this.highlightSingleResult(site, { center: step.center, zoom: step.zoom, duration: duration });
+    } else if (step.center) {
+      this.clearSearchHighlights();
+      this.map.closePopup();
+      this.map.setView(step.center, step.zoom || this.map.getZoom(), { animate: true, duration: duration });
     }
-    } catch (error) {
-      console.error('Failed to process CSV data:', error);
-      this.showError('Failed to process heritage site data.');
+    this.renderTourPlayer();
+    this.scheduleTourStep();
+  },
+  
+  /**
+   * Find the site a tour step is about: by its ID, else the site matching its
+   * siteName closest to its centre
+   * @param {Object} step - Normalised tour step
+   * @returns {Object|null} Marker data
+   * @private
+   */
+  findTourSite: function(step) {
+    if (step.site) {
+      const site = this.findSiteById(step.site);
+      if (site) return site;
+      console.warn('Tour site not found:', step.site);
     }
+    if (!step.siteName) return null;
+    
+    // Pending tours wait for the first build in loadData; later rebuilds
+    // only add imported features, so the current index will do
+    this.updateSearchIndex();
+    const center = step.center && L.latLng(step.center);
+    const candidates = SearchIndex.search(step.siteName)
+      .map(result => result.data)
+      .filter(data => this.sitesById.get(data.id) === data)
+      .map(data => ({ data: data, distance: center ? center.distanceTo([data.lat, data.lng]) : 0 }))
+      .filter(candidate => candidate.distance <= CONSTANTS.TOURS.SITE_RADIUS)
+      .sort((a, b) => a.distance - b.distance);
+    if (candidates.length === 0) console.warn('Tour site not found:', step.siteName);
+    return candidates.length > 0 ? candidates[0].data : null;
   },
   
   /**
-   * Add a marker to the specified layer with appropriate styling
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @param {string} name - Marker name
-   * @param {string} description - Marker description
-   * @param {L.LayerGroup} layerGroup - Layer group to add marker to
-   * @param {Object} additionalData - Additional data for specific marker types
+   * Go to the next step; at the end a kiosk starts over and autoplay stops
+   * @public
+   */
+  nextTourStep: function() {
+    const { tour, index, kiosk } = this.tour;
+    if (index + 1 < tour.steps.length) {
+      this.showTourStep(index + 1);
+    } else if (kiosk) {
+      this.showTourStep(0);
+    } else {
+      this.setTourAutoplay(false);
+    }
+  },
+  
+  /**
+   * Time the move to the next step while autoplaying
    * @private
    */
-  addMarker: function(lat, lng, name, description, layerGroup, additionalData = {}) {
-    // Refactored: use mapping for color class
-    const layerColorClassMap = {
-      inscriptions: 'custom-dot-marker marker-inscriptions',
-      herostones: 'custom-dot-marker marker-herostones',
-      temples: 'custom-dot-marker marker-temples'
-    };
-    let colorClass = 'custom-dot-marker';
-    let layerKey = null;
-    if (layerGroup === HeritageApp.overlays.inscriptions) {
-      colorClass = layerColorClassMap.inscriptions;
-      layerKey = 'inscriptions';
-    } else if (layerGroup === HeritageApp.overlays.herostones) {
-      colorClass = layerColorClassMap.herostones;
-      layerKey = 'herostones';
-    } else if (layerGroup === HeritageApp.overlays.temples) {
-      colorClass = layerColorClassMap.temples;
-      layerKey = 'temples';
+  scheduleTourStep: function() {
+    const tour = this.tour;
+    clearTimeout(tour.timer);
+    tour.timer = null;
+    // A kiosk visitor is exploring; the idle timer resumes playback
+    if (!tour.autoplay || tour.resumeTimer) return;
+    tour.timer = setTimeout(() => this.nextTourStep(), tour.tour.steps[tour.index].duration);
+  },
+  
+  /**
+   * Start or stop moving through the steps on a timer
+   * @param {boolean} on - Autoplay
+   * @public
+   */
+  setTourAutoplay: function(on) {
+    if (!this.tour) return;
+    this.tour.autoplay = on;
+    clearTimeout(this.tour.resumeTimer);
+    this.tour.resumeTimer = null;
+    this.scheduleTourStep();
+    this.renderTourPlayer();
+  },
+  
+  /**
+   * Enter or leave kiosk mode: full screen, looping autoplay and no search
+   * or map controls, for unattended exhibition screens
+   * @param {boolean} on - Kiosk mode
+   * @public
+   */
+  setTourKiosk: function(on) {
+    if (!this.tour) return;
+    this.tour.kiosk = on;
+    if (!on) {
+      // A pause left pending would otherwise restart autoplay outside the kiosk
+      clearTimeout(this.tour.resumeTimer);
+      this.tour.resumeTimer = null;
+    }
+    document.body.classList.toggle('tour-kiosk', on);
+    const root = document.documentElement;
+    if (on && root.requestFullscreen && !document.fullscreenElement) {
+      // Browsers refuse without a click, e.g. when started from the URL
+      root.requestFullscreen().catch(error => console.warn('Full screen not available:', error.message));
+    } else if (!on && document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+    if (on) this.setTourAutoplay(true); else this.renderTourPlayer();
+  },
+  
+  /**
+   * Hold a kiosk's autoplay while someone is using the map, resuming once
+   * it has been left alone for CONSTANTS.TOURS.KIOSK_IDLE
+   * @private
+   */
+  pauseTourKiosk: function() {
+    const tour = this.tour;
+    if (!tour || !tour.kiosk) return;
+    clearTimeout(tour.timer);
+    clearTimeout(tour.resumeTimer);
+    tour.resumeTimer = setTimeout(() => {
+      tour.resumeTimer = null;
+      if (this.tour === tour && tour.kiosk) this.setTourAutoplay(true);
+    }, CONSTANTS.TOURS.KIOSK_IDLE);
+  },
+  
+  /**
+   * Stop the tour and hide the player
+   * @public
+   */
+  exitTour: function() {
+    if (!this.tour) return;
+    if (this.tour.kiosk) this.setTourKiosk(false);
+    clearTimeout(this.tour.timer);
+    clearTimeout(this.tour.resumeTimer);
+    this.tour = null;
+    document.body.classList.remove('tour-active');
+    this.clearSearchHighlights();
+    this.map.closePopup();
+    this.renderTourPlayer();
+  },
+  
+  /**
+   * Render the player card for the current step
+   * @private
+   */
+  renderTourPlayer: function() {
+    if (!this.tourPlayer) return;
+    const container = this.tourPlayer.getContainer();
+    container.setAttribute('aria-label', I18n.t('tour.player'));
+    if (!this.tour) {
+      container.hidden = true;
+      container.innerHTML = '';
+      return;
     }
-    const marker = L.marker([lat, lng], {
-      icon: L.divIcon({
-        className: colorClass,
-        iconSize: [8, 8],
-        iconAnchor: [4, 4],
-        popupAnchor: [0, -4]
-      })
-    });
     
-    // Create popup content based on layer type
-    const popupContent = this.createPopupContent(name, description, layerKey, additionalData);
-    marker.bindPopup(popupContent);
+    const { tour, index, autoplay, kiosk } = this.tour;
+    const step = tour.steps[index];
+    const title = StoryTours.text(step.title);
+    const caption = [
+      StoryTours.text(step.caption),
+      step.credit ? I18n.t('lightbox.credit', { credit: step.credit }) : ''
+    ].filter(Boolean).join(' · ');
+    const paragraphs = StoryTours.text(step.text).split(/\n\s*\n/)
+      .filter(paragraph => paragraph.trim())
+      .map(paragraph => `<p>${escapeHTML(paragraph.trim())}</p>`)
+      .join('');
+    const last = index === tour.steps.length - 1;
     
-    // Store marker data for searching
-    const markerData = {
-      marker: marker,
-      name: name || '',
-      description: description || '',
-      lat: lat,
-      lng: lng,
-      layerKey: layerKey,
-      layerGroup: layerGroup,
-      additionalData: additionalData
-    };
-    this.allMarkersData.push(markerData);
+    container.innerHTML = `
+      <div class="tour-player-header">
+        <span class="tour-player-title">${escapeHTML(StoryTours.text(tour.title))}</span>
+        <span class="tour-player-count">${I18n.t('tour.step', { n: index + 1, total: tour.steps.length })}</span>
+      </div>
+      <div class="tour-player-body" aria-live="polite">
+        ${step.image ? `
+          <figure class="tour-player-figure">
+            <img src="${escapeHTML(step.image.thumb || step.image.url)}" alt="${escapeHTML(StoryTours.text(step.caption) || title)}">
+            ${caption ? `<figcaption>${escapeHTML(caption)}</figcaption>` : ''}
+          </figure>
+        ` : ''}
+        ${title ? `<h4 class="tour-player-step-title">${escapeHTML(title)}</h4>` : ''}
+        <div class="tour-player-text">${paragraphs}</div>
+      </div>
+      <div class="tour-player-progress" aria-hidden="true">
+        ${tour.steps.map((s, i) => `<span${i === index ? ' class="active"' : ''}></span>`).join('')}
+      </div>
+      <div class="tour-player-controls">
+        <button type="button" data-tour-action="prev" aria-label="${I18n.t('tour.previous')}"${index === 0 ? ' disabled' : ''}><i class="bi bi-chevron-left"></i></button>
+        <button type="button" data-tour-action="play" aria-label="${I18n.t(autoplay ? 'tour.pause' : 'tour.play')}" aria-pressed="${autoplay}"><i class="bi bi-${autoplay ? 'pause-fill' : 'play-fill'}"></i></button>
+        <button type="button" data-tour-action="next" aria-label="${I18n.t('tour.next')}"${last && !kiosk ? ' disabled' : ''}><i class="bi bi-chevron-right"></i></button>
+        <button type="button" data-tour-action="kiosk" aria-label="${I18n.t('tour.kiosk')}" aria-pressed="${kiosk}" title="${I18n.t('tour.kiosk')}"><i class="bi bi-display"></i></button>
+        <button type="button" data-tour-action="exit" aria-label="${I18n.t('tour.exit')}" title="${I18n.t('tour.exit')}"><i class="bi bi-x-lg"></i></button>
+      </div>
+    `;
+    container.hidden = false;
+  },
+  
+  /**
+   * Copy text to the clipboard and briefly mark the button as done
+   * @param {string} text - Text to copy
+   * @param {HTMLElement} button - Button to show feedback on
+   * @private
+   */
+  copyToClipboard: function(text, button) {
+    const copy = navigator.clipboard && window.isSecureContext
+      ? navigator.clipboard.writeText(text)
+      : new Promise((resolve, reject) => {
+        // Fallback for plain-http pages without the async clipboard API
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        if (copied) resolve(); else reject(new Error('Copy command was rejected'));
+      });
     
-    // Store marker for later clustering/unclustering
-    if (layerKey) {
-      this.markersByLayer[layerKey].push(marker);
-    }
+    copy.then(() => {
+      const icon = button.querySelector('i');
+      const iconClass = icon ? icon.className : '';
+      if (icon) icon.className = 'bi bi-check-lg';
+      button.classList.add('copied');
+      setTimeout(() => {
+        if (icon) icon.className = iconClass;
+        button.classList.remove('copied');
+      }, CONSTANTS.SITES.COPY_FEEDBACK);
+    }).catch(error => {
+      console.error('Copy failed:', error);
+      this.showError(I18n.t('error.copy'));
+    });
+  },
+  
+  /**
+   * Build a row of lazily loaded thumbnails that open the lightbox
+   * @param {Array<Object>} media - Media items
+   * @param {string} siteId - Site ID
+   * @param {number} [limit] - Maximum thumbnails; the rest are counted on the last one
+   * @returns {string} HTML content
+   * @private
+   */
+  createMediaStrip: function(media, siteId, limit = media.length) {
+    const typeIcons = { image: 'bi-image', video: 'bi-play-circle', document: 'bi-file-earmark-text' };
+    const thumbs = media.slice(0, limit).map((item, index) => {
+      const label = item.caption || `${item.type} ${index + 1}`;
+      const more = index === limit - 1 && media.length > limit
+        ? `<span class="media-thumb-more">+${media.length - limit}</span>`
+        : '';
+      const preview = item.thumb
+        ? `<img src="${escapeHTML(item.thumb)}" alt="${escapeHTML(label)}" loading="lazy" decoding="async">`
+        : '';
+      return `
+        <button type="button" class="media-thumb media-thumb-${item.type}" data-site-id="${escapeHTML(siteId)}" data-index="${index}" title="${escapeHTML(label)}">
+          <i class="bi ${typeIcons[item.type]}"></i>${preview}${more}
+        </button>`;
+    }).join('');
+    return `<div class="media-strip">${thumbs}</div>`;
+  },
+  
+  /**
+   * Wire up the lightbox: thumbnail clicks, missing images and keyboard
+   * @private
+   */
+  initLightbox: function() {
+    const lightbox = document.getElementById(CONSTANTS.DOM.LIGHTBOX);
+    if (!lightbox) return;
     
-    // Add to cluster or overlay based on current clustering state
-    if (this.clusteringEnabled) {
-      this.markerCluster.addLayer(marker);
-      // Ensure markerCluster is on map
-      if (!this.map.hasLayer(this.markerCluster)) {
-        this.map.addLayer(this.markerCluster);
+    document.addEventListener('click', (e) => {
+      const thumb = e.target.closest('.media-thumb');
+      if (thumb) this.openLightbox(thumb.dataset.siteId, parseInt(thumb.dataset.index, 10));
+    });
+    // Image errors do not bubble, so listen in the capture phase
+    document.addEventListener('error', (e) => {
+      const img = e.target;
+      if (!img || img.tagName !== 'IMG') return;
+      if (img.closest('.media-thumb')) {
+        img.closest('.media-thumb').classList.add('media-missing');
+        img.remove();
+      } else if (img.closest('.lightbox-media')) {
+        img.closest('.lightbox-media').innerHTML = `<div class="lightbox-missing"><i class="bi bi-image"></i><span>${I18n.t('lightbox.missing')}</span></div>`;
       }
+    }, true);
+    
+    lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.closeLightbox());
+    lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.stepLightbox(-1));
+    lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.stepLightbox(1));
+    lightbox.addEventListener('click', (e) => {
+      if (e.target === lightbox) this.closeLightbox();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (!this.lightbox) return;
+      if (e.key === 'Escape') this.closeLightbox();
+      else if (e.key === 'ArrowLeft') this.stepLightbox(-1);
+      else if (e.key === 'ArrowRight') this.stepLightbox(1);
+    });
+  },
+  
+  /**
+   * Open the lightbox on one of a site's media items
+   * @param {string} siteId - Site ID
+   * @param {number} index - Media item index
+   * @public
+   */
+  openLightbox: function(siteId, index) {
+    const site = this.findSiteById(siteId);
+    if (!site || !site.media || !site.media[index]) return;
+    this.lightbox = { media: site.media, index: index, site: site };
+    const lightbox = document.getElementById(CONSTANTS.DOM.LIGHTBOX);
+    lightbox.classList.add('open');
+    lightbox.setAttribute('aria-hidden', 'false');
+    this.renderLightbox();
+    lightbox.querySelector('.lightbox-close').focus();
+  },
+  
+  /**
+   * Close the lightbox and stop any playing video
+   * @public
+   */
+  closeLightbox: function() {
+    const lightbox = document.getElementById(CONSTANTS.DOM.LIGHTBOX);
+    if (!lightbox || !this.lightbox) return;
+    lightbox.classList.remove('open');
+    lightbox.setAttribute('aria-hidden', 'true');
+    lightbox.querySelector('.lightbox-media').innerHTML = '';
+    this.lightbox = null;
+  },
+  
+  /**
+   * Move to the previous or next item, wrapping around
+   * @param {number} delta - -1 or 1
+   * @private
+   */
+  stepLightbox: function(delta) {
+    if (!this.lightbox) return;
+    const count = this.lightbox.media.length;
+    this.lightbox.index = (this.lightbox.index + delta + count) % count;
+    this.renderLightbox();
+  },
+  
+  /**
+   * Show the current lightbox item with its caption and credit
+   * @private
+   */
+  renderLightbox: function() {
+    const lightbox = document.getElementById(CONSTANTS.DOM.LIGHTBOX);
+    const { media, index, site } = this.lightbox;
+    const item = media[index];
+    const caption = item.caption || this.getSiteName(site);
+    let html;
+    if (item.type === 'image') {
+      html = `<img src="${escapeHTML(item.embed)}" alt="${escapeHTML(caption)}">`;
+    } else if (item.type === 'video' && /youtube/.test(item.embed)) {
+      html = `<iframe src="${escapeHTML(item.embed)}" title="${escapeHTML(caption)}" allow="encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+    } else if (item.type === 'video' && item.embed) {
+      html = `<video src="${escapeHTML(item.embed)}" controls preload="metadata"></video>`;
     } else {
-      layerGroup.addLayer(marker);
+      const icon = item.type === 'video' ? 'bi-play-circle' : 'bi-file-earmark-text';
+      html = `<div class="lightbox-missing"><i class="bi ${icon}"></i><span>${I18n.t(item.type === 'video' ? 'lightbox.videoExternal' : 'lightbox.documentExternal')}</span></div>`;
     }
+    lightbox.querySelector('.lightbox-media').innerHTML = html;
+    lightbox.querySelector('.lightbox-caption').textContent = caption;
+    lightbox.querySelector('.lightbox-credit').textContent = item.credit ? I18n.t('lightbox.credit', { credit: item.credit }) : '';
+    lightbox.querySelector('.lightbox-counter').textContent = `${index + 1} / ${media.length}`;
+    const openLink = lightbox.querySelector('.lightbox-open');
+    openLink.href = item.url;
+    lightbox.querySelectorAll('.lightbox-prev, .lightbox-next').forEach(btn => {
+      btn.hidden = media.length < 2;
+    });
   },
   
   /**
-   * Create formatted popup content for a marker
-   * @param {string} name - Marker name
-   * @param {string} description - Marker description  
-   * @param {string} layerKey - Layer key (inscriptions, herostones, temples)
-   * @param {Object} additionalData - Additional data fields
-   * @returns {string} HTML popup content
+   * Wire up the 3D viewer toolbar and the "View 3D model" buttons
    * @private
    */
-  createPopupContent: function(name, description, layerKey, additionalData = {}) {
-    let content = `<b>${name || 'Unknown'}</b>`;
+  initModelViewer: function() {
+    const viewer = document.getElementById(CONSTANTS.DOM.MODEL_VIEWER);
+    if (!viewer) return;
     
-    // Add layer-specific fields
-    if (layerKey === 'inscriptions' && additionalData) {
-      const fields = [
-        { key: 'currentStatus', label: 'Current Status' },
-        { key: 'inscriptionLanguage', label: 'Inscription Language' },
-        { key: 'fromPeriod', label: 'Period' }
-      ];
-      
-      fields.forEach(field => {
-        if (additionalData[field.key]) {
-          content += `<br><strong>${field.label}:</strong> ${additionalData[field.key]}`;
-        }
-      });
-    } else if (layerKey === 'herostones' && additionalData) {
-      const fields = [
-        { key: 'typeOfHerostone', label: 'Type' },
-        { key: 'period', label: 'Period' },
-        { key: 'script', label: 'Script' },
-        { key: 'conservationStatus', label: 'Conservation Status' },
-        { key: 'withInscription', label: 'With Inscription' }
-      ];
-      
-      fields.forEach(field => {
-        if (additionalData[field.key]) {
-          content += `<br><strong>${field.label}:</strong> ${additionalData[field.key]}`;
-        }
-      });
-    } else if (layerKey === 'temples' && additionalData) {
-      const fields = [
-        { key: 'village', label: 'Village' },
-        { key: 'century', label: 'Century' },
-        { key: 'mainDeity', label: 'Main Deity' },
-        { key: 'architecturalStyle', label: 'Style' },
-        { key: 'templeStatus', label: 'Temple Current Status' }
-      ];
-      
-      fields.forEach(field => {
-        if (additionalData[field.key]) {
-          content += `<br><strong>${field.label}:</strong> ${additionalData[field.key]}`;
-        }
+    document.addEventListener('click', (e) => {
+      const modelBtn = e.target.closest('.popup-model-btn');
+      if (modelBtn) this.openModelViewer(modelBtn.dataset.siteId);
+    });
+    
+    const lightingSelect = viewer.querySelector('.model-viewer-lighting');
+    this.populateLightingOptions();
+    lightingSelect.addEventListener('change', () => ModelViewer.setLighting(lightingSelect.value));
+    
+    const rakingToggle = viewer.querySelector('.model-viewer-raking');
+    const rakingAngle = viewer.querySelector('.model-viewer-raking-angle');
+    const updateRaking = () => {
+      rakingAngle.disabled = !rakingToggle.checked;
+      lightingSelect.disabled = rakingToggle.checked;
+      ModelViewer.setRaking(rakingToggle.checked, parseInt(rakingAngle.value, 10));
+    };
+    rakingToggle.addEventListener('change', updateRaking);
+    rakingAngle.addEventListener('input', updateRaking);
+    
+    const measureToggle = viewer.querySelector('.model-viewer-measure');
+    const measureReadout = viewer.querySelector('.model-viewer-distance');
+    measureToggle.addEventListener('click', () => {
+      const enabled = !measureToggle.classList.contains('active');
+      measureToggle.classList.toggle('active', enabled);
+      measureToggle.setAttribute('aria-pressed', String(enabled));
+      measureReadout.textContent = enabled ? I18n.t('model.tapTwo') : '';
+      ModelViewer.setMeasuring(enabled, distance => {
+        measureReadout.textContent = distance === null
+          ? I18n.t('model.tapSecond')
+          : this.formatModelDistance(distance);
       });
-    }
+    });
     
-    return content;
+    viewer.querySelector('.model-viewer-reset').addEventListener('click', () => ModelViewer.resetView());
+    viewer.querySelector('.model-viewer-close').addEventListener('click', () => this.closeModelViewer());
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modelViewerSiteId) this.closeModelViewer();
+    });
   },
   
-  // Removed getDefaultIcon, not needed for dot markers
+  /**
+   * Fill the lighting preset menu in the current language
+   * @private
+   */
+  populateLightingOptions: function() {
+    const lightingSelect = document.querySelector(`#${CONSTANTS.DOM.MODEL_VIEWER} .model-viewer-lighting`);
+    if (!lightingSelect) return;
+    const selected = lightingSelect.value;
+    lightingSelect.innerHTML = '';
+    Object.entries(CONSTANTS.MODEL.LIGHTING).forEach(([key, preset]) => {
+      lightingSelect.add(new Option(I18n.label(`model.preset.${key}`, preset.label), key));
+    });
+    if (selected) lightingSelect.value = selected;
+  },
   
   /**
-   * Perform search and show results in dropdown list
-   * @param {string} query - Search query string
+   * Open the 3D viewer for a site's model
+   * @param {string} siteId - Site ID
    * @public
    */
-  performSearch: function(query) {
-    if (!query || query.length < CONSTANTS.MAP.MIN_SEARCH_LENGTH) {
-      this.hideSearchResults();
-      this.clearSearchHighlights();
-      return;
-    }
-    
-    // Clear previous highlights
-    this.clearSearchHighlights();
+  openModelViewer: function(siteId) {
+    const site = this.findSiteById(siteId);
+    const viewer = document.getElementById(CONSTANTS.DOM.MODEL_VIEWER);
+    if (!site || !site.model || !viewer) return;
     
-    // Show loading state
-    this.showSearchResultsLoading();
+    const stage = viewer.querySelector('.model-viewer-stage');
+    const status = viewer.querySelector('.model-viewer-status');
+    viewer.querySelector('.model-viewer-title').textContent = this.getSiteName(site) || I18n.t('common.unknown');
+    viewer.querySelector('.model-viewer-download').href = site.model.url;
+    // Every model starts from the default lighting with no tools active
+    viewer.querySelector('.model-viewer-lighting').value = 'studio';
+    viewer.querySelector('.model-viewer-lighting').disabled = false;
+    viewer.querySelector('.model-viewer-raking').checked = false;
+    viewer.querySelector('.model-viewer-raking-angle').disabled = true;
+    viewer.querySelector('.model-viewer-measure').classList.remove('active');
+    viewer.querySelector('.model-viewer-distance').textContent = '';
+    status.textContent = I18n.t('model.loading');
+    status.hidden = false;
     
-    // Check if query is coordinates (lat, lng or lat lng)
-    const coordMatch = this.parseCoordinates(query);
-    if (coordMatch) {
-      console.log('Detected coordinates:', coordMatch);
-      // Show coordinate result in dropdown
-      this.showSearchResults([{
-        type: 'coordinate',
-        name: 'Coordinates',
-        lat: coordMatch.lat,
-        lng: coordMatch.lng,
-        displayName: `${coordMatch.lat.toFixed(6)}, ${coordMatch.lng.toFixed(6)}`
-      }], query);
-      return;
-    }
+    viewer.classList.add('open');
+    viewer.setAttribute('aria-hidden', 'false');
+    this.modelViewerSiteId = siteId;
+    const request = ++this.modelViewerRequest;
     
-    // Search through all markers (case-insensitive)
-    const queryLower = query.toLowerCase();
-    const heritageMatches = this.allMarkersData.filter(data => {
-      return data.name.toLowerCase().includes(queryLower) ||
-             data.description.toLowerCase().includes(queryLower);
+    ModelViewer.open(stage, site.model, fraction => {
+      if (request !== this.modelViewerRequest) return;
+      status.textContent = I18n.t('model.loadingProgress', { percent: Math.round(fraction * 100) });
+    }).then(() => {
+      if (request === this.modelViewerRequest) status.hidden = true;
+    }).catch(error => {
+      console.error('3D viewer failed:', site.model.url, error);
+      if (request !== this.modelViewerRequest) return;
+      ModelViewer.close();
+      status.textContent = I18n.t('model.failed', { error: error.message });
     });
-    
-    // Also search for places using OSM Nominatim
-    this.geocodeWithNominatimForResults(query, heritageMatches);
   },
   
   /**
-   * Show loading state in search results dropdown
-   * @private
+   * Close the 3D viewer and release its WebGL resources
+   * @public
    */
-  showSearchResultsLoading: function() {
-    const { searchResultsDropdown, searchResultsContent } = this.domCache;
-    if (searchResultsContent) {
-      searchResultsContent.innerHTML = `
-        <div class="search-results-loading">
-          <i class="bi bi-arrow-clockwise"></i>
-          <span>Searching...</span>
-        </div>
-      `;
-    }
-    if (searchResultsDropdown) {
-      searchResultsDropdown.style.display = 'block';
+  closeModelViewer: function() {
+    const viewer = document.getElementById(CONSTANTS.DOM.MODEL_VIEWER);
+    ModelViewer.close();
+    this.modelViewerSiteId = null;
+    this.modelViewerRequest++;
+    if (viewer) {
+      viewer.classList.remove('open');
+      viewer.setAttribute('aria-hidden', 'true');
     }
   },
   
   /**
-   * Hide search results dropdown
-   * @public
+   * Format a model-space distance (glTF units are metres)
+   * @param {number} distance - Distance in model units
+   * @returns {string} e.g. "42.5 cm"
+   * @private
    */
-  hideSearchResults: function() {
-    const { searchResultsDropdown } = this.domCache;
-    if (searchResultsDropdown) {
-      searchResultsDropdown.style.display = 'none';
-    }
+  formatModelDistance: function(distance) {
+    if (distance < 0.01) return `${(distance * 1000).toFixed(1)} mm`;
+    if (distance < 1) return `${(distance * 100).toFixed(1)} cm`;
+    return `${distance.toFixed(2)} m`;
   },
   
   /**
-   * Show search results in categorized list
-   * @param {Array} results - Combined results from heritage sites and places
-   * @param {string} query - Original search query
+   * Restore state from the URL hash and keep the hash in step with the map
    * @private
    */
-  showSearchResults: function(results, query) {
-    const { searchResultsDropdown, searchResultsContent } = this.domCache;
-    
-    if (!searchResultsContent) return;
-    
-    // Categorize results
-    const categories = {
-      heritage: results.filter(r => r.layerKey),
-      places: results.filter(r => r.type === 'place'),
-      coordinates: results.filter(r => r.type === 'coordinate')
-    };
-    
-    let html = '';
+  initPermalink: function() {
+    const state = this.parsePermalink(window.location.hash);
+    if (state) this.applyPermalink(state);
     
-    // Heritage Sites
-    if (categories.heritage.length > 0) {
-      const byType = {
-        inscriptions: categories.heritage.filter(r => r.layerKey === 'inscriptions'),
-        herostones: categories.heritage.filter(r => r.layerKey === 'herostones'),
-        temples: categories.heritage.filter(r => r.layerKey === 'temples')
-      };
-      
-      if (byType.inscriptions.length > 0) {
-        html += this.createSearchResultCategory('Inscriptions', byType.inscriptions, 'bi-file-text');
-      }
-      if (byType.herostones.length > 0) {
-        html += this.createSearchResultCategory('Herostones', byType.herostones, 'bi-award');
-      }
-      if (byType.temples.length > 0) {
-        html += this.createSearchResultCategory('Ancient Temples', byType.temples, 'bi-building');
-      }
-    }
+    this.map.on('moveend overlayadd overlayremove baselayerchange', () => this.schedulePermalinkUpdate());
+    // Back/forward (and hand-edited hashes) step between saved views
+    window.addEventListener('popstate', () => {
+      const popped = this.parsePermalink(window.location.hash);
+      if (popped) this.applyPermalink(popped);
+    });
+  },
+  
+  /**
+   * Find a heritage site by its stable ID
+   * @param {string} id - Site ID
+   * @returns {Object|null} Marker data or null
+   * @public
+   */
+  findSiteById: function(id) {
+    return this.sitesById.get(id) || null;
+  },
+  
+  /**
+   * Record the site as selected while the layer's popup is open
+   * @param {L.Layer} layer - Marker (or highlight marker) with a popup
+   * @param {Object} data - Marker data
+   * @private
+   */
+  trackSiteSelection: function(layer, data) {
+    layer.on('popupopen', () => {
+      this.selectedSiteId = data.id;
+      this.schedulePermalinkUpdate();
+    });
+    layer.on('popupclose', () => {
+      if (this.selectedSiteId !== data.id) return;
+      this.selectedSiteId = null;
+      this.schedulePermalinkUpdate();
+    });
+  },
+  
+  /**
+   * Remember the search to include in the permalink
+   * @param {Object|null} search - { query } or { advanced } or null
+   * @private
+   */
+  setActiveSearch: function(search) {
+    this.activeSearch = search;
+    this.schedulePermalinkUpdate();
+  },
+  
+  /**
+   * Encode the current view, layers, filters, search and selection as a hash
+   * @returns {string} Hash including the leading '#'
+   * @public
+   */
+  buildPermalink: function() {
+    const params = new URLSearchParams();
+    const center = this.map.getCenter();
+    const precision = CONSTANTS.PERMALINK.PRECISION;
+    params.set('map', `${this.map.getZoom()}/${center.lat.toFixed(precision)}/${center.lng.toFixed(precision)}`);
+    params.set('layers', Object.keys(this.overlays).filter(key => this.map.hasLayer(this.overlays[key])).join(','));
+    params.set('display', this.displayMode);
+    params.set('base', this.getActiveBasemapKey() || '');
     
-    // Places from Nominatim
-    if (categories.places.length > 0) {
-      html += this.createSearchResultCategory('Places', categories.places, 'bi-geo-alt');
-    }
+    Object.entries(this.facetSelections).forEach(([layerKey, fields]) => {
+      Object.entries(fields).forEach(([fieldKey, values]) => {
+        values.forEach(value => params.append('facet', `${layerKey}.${fieldKey}:${value}`));
+      });
+    });
     
-    // Coordinates
-    if (categories.coordinates.length > 0) {
-      html += this.createSearchResultCategory('Coordinates', categories.coordinates, 'bi-pin-map');
+    const slider = this.timeSlider;
+    if (slider && slider.active) {
+      params.set('time', `${slider.from}..${slider.to}`);
+      if (slider.includeUndated) params.set('undated', '1');
     }
     
-    if (html === '') {
-      html = '<div class="search-results-no-results">No results found for "' + query + '"</div>';
+    if (this.activeSearch && this.activeSearch.query) {
+      params.set('q', this.activeSearch.query);
+    } else if (this.activeSearch && this.activeSearch.advanced) {
+      Object.entries(this.activeSearch.advanced).forEach(([key, value]) => params.set(`adv.${key}`, value));
     }
     
-    searchResultsContent.innerHTML = html;
-    searchResultsDropdown.style.display = 'block';
+    if (this.selectedSiteId) params.set('site', this.selectedSiteId);
+    if (this.detailSiteId) params.set('detail', this.detailSiteId);
+    return `#${params.toString()}`;
   },
   
   /**
-   * Create HTML for a search result category
-   * @param {string} categoryName - Category display name
-   * @param {Array} items - Items in this category
-   * @param {string} icon - Bootstrap icon class
-   * @returns {string} HTML string
-   * @private
+   * Decode a permalink hash
+   * @param {string} hash - location.hash
+   * @returns {Object|null} Permalink state or null if the hash has no map view
+   * @public
    */
-  createSearchResultCategory: function(categoryName, items, icon) {
-    let html = `
-      <div class="search-results-category">
-        <div class="search-results-category-title">
-          <i class="bi ${icon}"></i>
-          ${categoryName} (${items.length})
-        </div>
-    `;
+  parsePermalink: function(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const view = (params.get('map') || '').split('/').map(parseFloat);
+    if (view.length !== 3 || view.some(isNaN)) return null;
     
-    items.forEach((item) => {
-      // Find the global index of this item in currentSearchResults
-      const globalIndex = this.currentSearchResults.indexOf(item);
-      html += this.createSearchResultItem(item, globalIndex);
+    const state = {
+      zoom: view[0],
+      center: [view[1], view[2]],
+      layers: params.has('layers') ? params.get('layers').split(',').filter(Boolean) : null,
+      // Links from before the density mode have cluster=1 or cluster=0
+      display: ['cluster', 'scatter', 'density'].includes(params.get('display')) ? params.get('display')
+        : params.has('cluster') ? (params.get('cluster') !== '0' ? 'cluster' : 'scatter') : null,
+      facets: {},
+      time: null,
+      search: null,
+      base: params.get('base'),
+      site: params.get('site'),
+      detail: params.get('detail')
+    };
+    
+    params.getAll('facet').forEach(entry => {
+      const match = entry.match(/^([^.]+)\.([^:]+):(.*)$/);
+      if (!match) return;
+      const [, layerKey, fieldKey, value] = match;
+      if (!state.facets[layerKey]) state.facets[layerKey] = {};
+      if (!state.facets[layerKey][fieldKey]) state.facets[layerKey][fieldKey] = new Set();
+      state.facets[layerKey][fieldKey].add(value);
     });
     
-    html += '</div>';
-    return html;
+    const time = (params.get('time') || '').match(/^(-?\d+)\.\.(-?\d+)$/);
+    if (time) {
+      state.time = { from: parseInt(time[1], 10), to: parseInt(time[2], 10), includeUndated: params.get('undated') === '1' };
+    }
+    
+    const advanced = {};
+    params.forEach((value, key) => {
+      if (key.startsWith('adv.')) advanced[key.slice(4)] = value;
+    });
+    if (params.get('q')) {
+      state.search = { query: params.get('q') };
+    } else if (Object.keys(advanced).length > 0) {
+      state.search = { advanced: advanced };
+    }
+    return state;
   },
   
   /**
-   * Create HTML for a single search result item
-   * @param {Object} item - Result item data
-   * @param {number} globalIndex - Global index in currentSearchResults array
-   * @returns {string} HTML string
-   * @private
+   * Apply a permalink state; the search and selected site wait for the data
+   * @param {Object} state - State from parsePermalink
+   * @public
    */
-  createSearchResultItem: function(item, globalIndex) {
-    // Validate item exists
-    if (!item) {
-      console.warn('Invalid search result item at index:', globalIndex);
-      return '';
+  applyPermalink: function(state) {
+    this.permalinkRestoring = true;
+    clearTimeout(this.permalinkTimer);
+    
+    this.map.setView(state.center, state.zoom, { animate: false });
+    
+    if (state.layers) {
+      Object.keys(this.overlays).forEach(key => {
+        const overlay = this.overlays[key];
+        const wanted = state.layers.includes(key);
+        if (wanted && !this.map.hasLayer(overlay)) this.map.addLayer(overlay);
+        else if (!wanted && this.map.hasLayer(overlay)) this.map.removeLayer(overlay);
+      });
+    }
+    if (state.base) this.setBasemap(state.base);
+    if (state.display !== null && state.display !== this.displayMode) {
+      this.setDisplayMode(state.display);
     }
     
-    const title = item.name || item.displayName || 'Unknown';
-    let details = '';
+    this.facetSelections = state.facets;
+    this.applyFacetFilters();
     
-    if (item.layerKey) {
-      // Heritage site
-      details = `
-        <div class="search-result-item-details">
-          <div class="search-result-item-detail">
-            <i class="bi bi-geo"></i>
-            ${item.lat.toFixed(4)}, ${item.lng.toFixed(4)}
-          </div>
-      `;
-      
-      if (item.additionalData) {
-        const data = item.additionalData;
-        if (data.village) details += `<div class="search-result-item-detail"><i class="bi bi-house"></i> ${data.village}</div>`;
-        if (data.period) details += `<div class="search-result-item-detail"><i class="bi bi-clock-history"></i> ${data.period}</div>`;
-        if (data.century) details += `<div class="search-result-item-detail"><i class="bi bi-calendar"></i> ${data.century}</div>`;
+    const slider = this.timeSlider;
+    if (slider) {
+      if (state.time) {
+        slider.includeUndated = state.time.includeUndated;
+        slider.container.querySelector('.time-slider-undated input').checked = state.time.includeUndated;
+        this.setTimeWindow(state.time.from, state.time.to);
       }
-      
-      details += '</div>';
-    } else if (item.type === 'place') {
-      // Place from Nominatim
-      details = `
-        <div class="search-result-item-details">
-          <div class="search-result-item-detail">
-            <i class="bi bi-geo"></i>
-            ${item.lat.toFixed(4)}, ${item.lng.toFixed(4)}
-          </div>
-          ${item.address ? `<div class="search-result-item-detail"><i class="bi bi-signpost"></i> ${item.address}</div>` : ''}
-        </div>
-      `;
-    } else if (item.type === 'coordinate') {
-      // Coordinates
-      details = `
-        <div class="search-result-item-details">
-          <div class="search-result-item-detail">
-            <i class="bi bi-geo"></i>
-            ${item.displayName}
-          </div>
-        </div>
-      `;
+      if (!!state.time !== slider.active) this.toggleTimeSlider();
     }
     
-    return `
-      <div class="search-result-item" data-item-index="${globalIndex}" onclick="HeritageApp.handleResultClick(${globalIndex})">
-        <div class="search-result-item-title">${title}</div>
-        ${details}
-      </div>
-    `;
+    this.pendingPermalink = state;
+    if (this.dataLoaded) this.restorePendingPermalink();
+    else this.finishPermalinkRestore();
   },
   
   /**
-   * Handle click on search result item
-   * @param {number} index - Index in currentSearchResults array
-   * @public
+   * Re-run the saved search and reopen the selected site once data is loaded
+   * @private
    */
-  handleResultClick: function(index) {
-    try {
-      if (!this.currentSearchResults || !Array.isArray(this.currentSearchResults)) {
-        console.error('Search results not initialized');
-        return;
-      }
-      
-      if (index < 0 || index >= this.currentSearchResults.length) {
-        console.error('Invalid search result index:', index);
-        return;
-      }
-      
-      const result = this.currentSearchResults[index];
-      if (!result) {
-        console.error('Search result is null at index:', index);
-        return;
-      }
-      
-      this.selectSearchResult(result);
-    } catch (error) {
-      console.error('Error handling search result click:', error);
+  restorePendingPermalink: function() {
+    const state = this.pendingPermalink;
+    if (!state) return;
+    this.pendingPermalink = null;
+    this.permalinkRestoring = true;
+    
+    const searchInput = this.domCache && this.domCache.searchInput;
+    const advSearchForm = document.getElementById('advanced-search-form');
+    if (state.search && state.search.query) {
+      if (searchInput) searchInput.value = state.search.query;
+      this.performSearch(state.search.query);
+    } else if (state.search && state.search.advanced && advSearchForm) {
+      advSearchForm.reset();
+      Object.entries(state.search.advanced).forEach(([key, value]) => {
+        if (advSearchForm.elements[key]) advSearchForm.elements[key].value = value;
+      });
+      this.performAdvancedSearch(new FormData(advSearchForm));
+      // Keep the shared view rather than the search's fit-to-matches
+      this.map.setView(state.center, state.zoom, { animate: false });
+    } else {
+      this.clearSearchHighlights();
+      this.hideSearchResults();
+      this.activeSearch = null;
+    }
+    
+    const site = state.site ? this.findSiteById(state.site) : null;
+    if (site) {
+      this.highlightSingleResult(site);
+    } else {
+      if (state.site) console.warn('Permalink site not found:', state.site);
+      this.selectedSiteId = null;
+      this.map.closePopup();
+    }
+    
+    if (state.detail && this.findSiteById(state.detail)) {
+      this.openSitePanel(state.detail);
+    } else {
+      this.closeSitePanel();
     }
+    this.finishPermalinkRestore();
+  },
+  
+  /**
+   * Stop suppressing hash updates once the restored view has settled, then
+   * rewrite the current history entry with the normalised state
+   * @private
+   */
+  finishPermalinkRestore: function() {
+    clearTimeout(this.permalinkRestoreTimer);
+    this.permalinkRestoreTimer = setTimeout(() => {
+      this.permalinkRestoring = false;
+      this.writePermalink(true);
+    }, CONSTANTS.PERMALINK.RESTORE_SETTLE);
   },
   
   /**
-   * Handle selection of a search result
-   * @param {Object} itemData - Result item data
-   * @public
+   * Write the permalink after the map settles
+   * @private
    */
-  selectSearchResult: function(itemData) {
-    try {
-      this.hideSearchResults();
-      
-      if (!itemData) {
-        console.warn('No item data provided to selectSearchResult');
-        return;
-      }
-      
-      this.highlightSingleResult(itemData);
-    } catch (error) {
-      console.error('Error selecting search result:', error);
-      this.showError('Failed to navigate to selected location');
-    }
+  schedulePermalinkUpdate: function() {
+    if (!this.map || this.permalinkRestoring) return;
+    clearTimeout(this.permalinkTimer);
+    this.permalinkTimer = setTimeout(() => this.writePermalink(false), CONSTANTS.PERMALINK.UPDATE_DELAY);
   },
   
   /**
-   * Highlight and zoom to a single search result
-   * @param {Object} item - Result item to highlight
+   * Store the current state in the URL hash as a new history entry
+   * @param {boolean} replace - Replace the current entry instead of pushing
    * @private
    */
-  highlightSingleResult: function(item) {
-    try {
-      this.clearSearchHighlights();
-      
-      if (!item || !item.lat || !item.lng) {
-        console.error('Invalid item data:', item);
-        return;
-      }
-      
-      if (item.marker) {
-        // Heritage site with marker
-        const layerGroup = item.layerGroup;
-        
-        if (!layerGroup) {
-          console.error('No layer group found for item:', item);
-          return;
-        }
-        
-        // Ensure the layer is visible
-        if (!this.map.hasLayer(layerGroup)) {
-          this.map.addLayer(layerGroup);
-        }
-        
-        // Create highlighted marker
-        const highlightMarker = L.marker([item.lat, item.lng], {
-          icon: L.divIcon({
-            html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
-            iconSize: [32, 32],
-            iconAnchor: [16, 32],
-            popupAnchor: [0, -32],
-            className: 'search-highlight-icon'
-          }),
-          zIndexOffset: 1000
-        });
-        
-        // Safely get popup content
-        const popupContent = item.marker.getPopup() ? item.marker.getPopup().getContent() : item.name;
-        highlightMarker.bindPopup(popupContent);
-        highlightMarker.addTo(this.map);
-        this.highlightedMarkers.push(highlightMarker);
-        
-        // Zoom and open popup
-        this.map.setView([item.lat, item.lng], CONSTANTS.MAP.SEARCH_ZOOM, {
-          animate: true,
-          duration: 1
-        });
-        
-        setTimeout(() => {
-          highlightMarker.openPopup();
-        }, CONSTANTS.UI.POPUP_DELAY);
-      } else {
-        // Place or coordinate
-        this.highlightCoordinates(item.lat, item.lng, item.displayName || item.name);
-      }
-    } catch (error) {
-      console.error('Error highlighting search result:', error);
+  writePermalink: function(replace) {
+    if (this.permalinkRestoring) return;
+    const hash = this.buildPermalink();
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
     }
   },
   
   /**
-   * Geocode address/place using OSM Nominatim API and combine with heritage results
-   * @param {string} query - Address or place name
-   * @param {Array} heritageMatches - Heritage site matches
+   * Register the service worker that caches the app shell and map tiles
    * @private
    */
-  geocodeWithNominatimForResults: function(query, heritageMatches) {
-    try {
-      // OSM Nominatim API endpoint
-      const url = `${CONSTANTS.API.NOMINATIM_URL}?format=json&q=${encodeURIComponent(query)}&limit=${CONSTANTS.API.GEOCODE_LIMIT}`;
-      
-      fetch(url, {
-        headers: {
-          'User-Agent': CONSTANTS.API.USER_AGENT
-        }
-      })
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`Geocoding API error: ${response.status}`);
-        }
-        return response.json();
-      })
-      .then(results => {
-        // Validate results
-        if (!Array.isArray(results)) {
-          console.warn('Nominatim returned non-array results:', results);
-          results = [];
-        }
-        
-        console.log(`Found ${heritageMatches.length} heritage site(s) and ${results.length} place(s)`);
-        
-        // Convert Nominatim results to our format with validation
-        const placeResults = results.map(result => {
-          try {
-            return {
-              type: 'place',
-              name: result.name || result.display_name.split(',')[0] || 'Unknown Place',
-              displayName: result.display_name || 'Unknown',
-              lat: parseFloat(result.lat),
-              lng: parseFloat(result.lon),
-              address: result.display_name || ''
-            };
-          } catch (e) {
-            console.warn('Error converting Nominatim result:', result, e);
-            return null;
-          }
-        }).filter(p => p !== null); // Filter out failed conversions
-        
-        // Combine all results
-        const allResults = [...heritageMatches, ...placeResults];
-        
-        // Store for selection
-        this.currentSearchResults = allResults;
-        
-        // Show results
-        this.showSearchResults(allResults, query);
-      })
-      .catch(error => {
-        console.error('Geocoding error:', error);
-        // Show only heritage results if geocoding fails
-        this.currentSearchResults = heritageMatches;
-        this.showSearchResults(heritageMatches, query);
-      });
-    } catch (error) {
-      console.error('Error in geocodeWithNominatimForResults:', error);
-      // Fallback: show heritage results only
-      this.currentSearchResults = heritageMatches;
-      this.showSearchResults(heritageMatches, query);
-    }
+  registerServiceWorker: function() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(CONSTANTS.OFFLINE.SERVICE_WORKER)
+      .then(registration => console.log('Service worker registered:', registration.scope))
+      .catch(error => console.warn('Service worker registration failed:', error));
   },
   
   /**
-   * Parse coordinates from search query (supports multiple formats)
-   * @param {string} query - Search query
-   * @returns {Object|null} - {lat, lng} or null if invalid
+   * Wire up the install button and the "download this area" panel
    * @private
    */
-  parseCoordinates: function(query) {
-    // Try different coordinate formats:
-    // 12.9155882, 77.7659345
-    // 12.9155882 77.7659345
-    // 12.9155882,77.7659345
+  initOfflineUI: function() {
+    const get = id => document.getElementById(id);
+    const installBtn = get(CONSTANTS.DOM.INSTALL_APP_BTN);
+    const minZoomSelect = get(CONSTANTS.DOM.OFFLINE_MIN_ZOOM);
+    const maxZoomSelect = get(CONSTANTS.DOM.OFFLINE_MAX_ZOOM);
+    const downloadBtn = get(CONSTANTS.DOM.OFFLINE_DOWNLOAD_BTN);
+    const clearBtn = get(CONSTANTS.DOM.OFFLINE_CLEAR_BTN);
     
-    // Remove extra spaces and normalize
-    const normalized = query.trim().replace(/\s+/g, ' ');
+    // Offer installation once the browser says the app is installable
+    if (installBtn) {
+      window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        this.installPrompt = e;
+        installBtn.style.display = 'block';
+      });
+      installBtn.addEventListener('click', () => {
+        if (!this.installPrompt) return;
+        this.installPrompt.prompt();
+        this.installPrompt.userChoice.finally(() => {
+          this.installPrompt = null;
+          installBtn.style.display = 'none';
+        });
+      });
+    }
     
-    // Try comma-separated or space-separated
-    const parts = normalized.split(/[,\s]+/);
+    if (!minZoomSelect || !maxZoomSelect || !downloadBtn) return;
     
-    if (parts.length === 2) {
-      const lat = parseFloat(parts[0]);
-      const lng = parseFloat(parts[1]);
-      
-      // Validate lat/lng ranges
-      if (!isNaN(lat) && !isNaN(lng) && 
-          lat >= -90 && lat <= 90 && 
-          lng >= -180 && lng <= 180) {
-        return { lat: lat, lng: lng };
+    const { MIN_ZOOM, MAX_ZOOM, DEFAULT_ZOOM_SPAN } = CONSTANTS.OFFLINE;
+    for (let z = MIN_ZOOM; z <= MAX_ZOOM; z++) {
+      minZoomSelect.add(new Option(String(z), String(z)));
+      maxZoomSelect.add(new Option(String(z), String(z)));
+    }
+    const startZoom = Math.min(Math.max(Math.round(this.map.getZoom()), MIN_ZOOM), MAX_ZOOM);
+    minZoomSelect.value = String(startZoom);
+    maxZoomSelect.value = String(Math.min(startZoom + DEFAULT_ZOOM_SPAN, MAX_ZOOM));
+    
+    [minZoomSelect, maxZoomSelect].forEach(select =>
+      select.addEventListener('change', () => this.updateOfflineEstimate()));
+    this.map.on('moveend', () => this.updateOfflineEstimate());
+    
+    downloadBtn.addEventListener('click', () => {
+      if (this.tileDownload) {
+        this.tileDownload.cancelled = true;
+      } else {
+        this.downloadCurrentArea();
       }
+    });
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        OfflineTiles.clear().then(() => this.updateStorageEstimate());
+      });
     }
     
-    return null;
+    this.updateOfflineEstimate();
+    this.updateStorageEstimate();
   },
   
   /**
-   * Highlight coordinates on map with a search marker
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @param {string} displayName - Optional display name for the location
+   * Get the selected offline zoom range, in ascending order
+   * @returns {{minZoom: number, maxZoom: number}} Zoom range
    * @private
    */
-  highlightCoordinates: function(lat, lng, displayName) {
-    // Create highlighted marker with Bootstrap icon
-    const highlightMarker = L.marker([lat, lng], {
-      icon: L.divIcon({
-        html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
-        iconSize: [32, 32],
-        iconAnchor: [16, 32],
-        popupAnchor: [0, -32],
-        className: 'search-highlight-icon'
-      }),
-      zIndexOffset: 1000
-    });
-    
-    // Add popup with location info
-    let popupContent = '';
-    if (displayName && displayName !== 'Coordinates') {
-      popupContent = `
-        <b>Found Location</b><br>
-        ${displayName}<br>
-        <small>Lat: ${lat.toFixed(6)}, Lng: ${lng.toFixed(6)}</small>
-      `;
+  getOfflineZoomRange: function() {
+    const a = parseInt(document.getElementById(CONSTANTS.DOM.OFFLINE_MIN_ZOOM).value, 10);
+    const b = parseInt(document.getElementById(CONSTANTS.DOM.OFFLINE_MAX_ZOOM).value, 10);
+    return { minZoom: Math.min(a, b), maxZoom: Math.max(a, b) };
+  },
+  
+  /**
+   * Show how many tiles the current view and zoom range would download
+   * @private
+   */
+  updateOfflineEstimate: function() {
+    const estimateEl = document.getElementById(CONSTANTS.DOM.OFFLINE_ESTIMATE);
+    const downloadBtn = document.getElementById(CONSTANTS.DOM.OFFLINE_DOWNLOAD_BTN);
+    if (!estimateEl || !downloadBtn || this.tileDownload) return;
+    const { minZoom, maxZoom } = this.getOfflineZoomRange();
+    const { count, highZoomCount, tooMany } = this.checkOfflineDownload(minZoom, maxZoom);
+    const { MAX_TILES, HIGH_ZOOM, MAX_HIGH_ZOOM_TILES } = CONSTANTS.OFFLINE;
+    if (tooMany === 'highZoom') {
+      estimateEl.textContent = I18n.t('offline.tooManyHighZoom', {
+        count: highZoomCount.toLocaleString(),
+        zoom: HIGH_ZOOM,
+        limit: MAX_HIGH_ZOOM_TILES.toLocaleString()
+      });
+    } else if (tooMany) {
+      estimateEl.textContent = I18n.t('offline.tooMany', { count: count.toLocaleString(), limit: MAX_TILES.toLocaleString() });
     } else {
-      popupContent = `
-        <b>Searched Location</b><br>
-        Latitude: ${lat.toFixed(7)}<br>
-        Longitude: ${lng.toFixed(7)}
-      `;
+      estimateEl.textContent = I18n.t('offline.estimate', { count: count.toLocaleString() });
     }
-    highlightMarker.bindPopup(popupContent);
-    
-    // Add to map
-    highlightMarker.addTo(this.map);
-    this.highlightedMarkers.push(highlightMarker);
+    estimateEl.classList.toggle('sidebar-note-warning', !!tooMany);
+    downloadBtn.disabled = !!tooMany;
+  },
+  
+  /**
+   * Count the tiles a download of the current view would fetch and check
+   * them against the overall and high-zoom limits
+   * @param {number} minZoom - Lowest zoom level
+   * @param {number} maxZoom - Highest zoom level
+   * @returns {{count: number, highZoomCount: number, tooMany: string|null}}
+   *   Counts, and 'highZoom' or 'total' when a limit is exceeded
+   * @private
+   */
+  checkOfflineDownload: function(minZoom, maxZoom) {
+    const { MAX_TILES, HIGH_ZOOM, MAX_HIGH_ZOOM_TILES } = CONSTANTS.OFFLINE;
+    const bounds = this.map.getBounds();
+    const count = OfflineTiles.countTiles(bounds, minZoom, maxZoom);
+    const highZoomCount = maxZoom >= HIGH_ZOOM
+      ? OfflineTiles.countTiles(bounds, Math.max(minZoom, HIGH_ZOOM), maxZoom)
+      : 0;
+    let tooMany = null;
+    if (highZoomCount > MAX_HIGH_ZOOM_TILES) tooMany = 'highZoom';
+    else if (count > MAX_TILES) tooMany = 'total';
+    return { count: count, highZoomCount: highZoomCount, tooMany: tooMany };
+  },
+  
+  /**
+   * Download tiles for the current map view into the offline cache
+   * @public
+   */
+  downloadCurrentArea: function() {
+    const downloadBtn = document.getElementById(CONSTANTS.DOM.OFFLINE_DOWNLOAD_BTN);
+    const progress = document.getElementById(CONSTANTS.DOM.OFFLINE_PROGRESS);
+    const estimateEl = document.getElementById(CONSTANTS.DOM.OFFLINE_ESTIMATE);
+    const { minZoom, maxZoom } = this.getOfflineZoomRange();
+    if (this.checkOfflineDownload(minZoom, maxZoom).tooMany) return;
+    const urls = OfflineTiles.listTiles(this.map.getBounds(), minZoom, maxZoom);
     
-    // Zoom to coordinates
-    this.map.setView([lat, lng], CONSTANTS.MAP.SEARCH_ZOOM, {
-      animate: true,
-      duration: 1
-    });
+    this.tileDownload = { cancelled: false };
+    downloadBtn.innerHTML = `<i class="bi bi-x-circle"></i> <span data-i18n="offline.cancel">${I18n.t('offline.cancel')}</span>`;
+    progress.hidden = false;
+    progress.value = 0;
     
-    // Open popup after zoom animation
-    setTimeout(() => {
-      highlightMarker.openPopup();
-    }, CONSTANTS.UI.POPUP_DELAY);
+    OfflineTiles.download(urls, (done, total) => {
+      progress.value = Math.round(done / total * 100);
+      estimateEl.textContent = I18n.t('offline.progress', { done: done, total: total });
+    }, this.tileDownload)
+      .then(result => {
+        const cancelled = this.tileDownload.cancelled;
+        this.tileDownload = null;
+        this.updateOfflineEstimate();
+        const summary = I18n.t(result.failed ? 'offline.savedFailed' : 'offline.saved', result);
+        estimateEl.textContent = cancelled ? `${I18n.t('offline.cancelled')} ${summary}` : summary;
+      })
+      .catch(error => {
+        console.error('Tile download failed:', error);
+        this.tileDownload = null;
+        this.showError(I18n.t('offline.failed', { error: error.message }));
+      })
+      .finally(() => {
+        downloadBtn.innerHTML = `<i class="bi bi-cloud-download"></i> <span data-i18n="offline.download">${I18n.t('offline.download')}</span>`;
+        progress.hidden = true;
+        this.updateStorageEstimate();
+      });
   },
   
   /**
-   * Highlight matched markers and zoom to show all results
-   * @param {Array<Object>} matches - Array of matched marker data objects
+   * Show storage used and the browser quota for this site
    * @private
    */
-  highlightAndZoomToMatches: function(matches) {
-    const bounds = L.latLngBounds();
-    
-    matches.forEach(data => {
-      const marker = data.marker;
-      const layerGroup = data.layerGroup;
-      
-      // Ensure the layer is visible
-      if (!this.map.hasLayer(layerGroup)) {
-        this.map.addLayer(layerGroup);
+  updateStorageEstimate: function() {
+    const storageEl = document.getElementById(CONSTANTS.DOM.OFFLINE_STORAGE);
+    if (!storageEl) return;
+    OfflineTiles.estimateStorage().then(estimate => {
+      if (!estimate || !estimate.quota) {
+        storageEl.textContent = '';
+        return;
       }
-      
-      // Create highlighted marker with Bootstrap icon
-      const highlightMarker = L.marker([data.lat, data.lng], {
-        icon: L.divIcon({
-          html: `<i class="bi bi-geo-alt-fill" style="font-size: 2em; color: ${CONSTANTS.COLORS.HIGHLIGHT};"></i>`,
-          iconSize: [32, 32],
-          iconAnchor: [16, 32],
-          popupAnchor: [0, -32],
-          className: 'search-highlight-icon'
-        }),
-        zIndexOffset: 1000
-      });
-      
-      // Copy popup from original marker
-      highlightMarker.bindPopup(marker.getPopup().getContent());
-      
-      // Add highlight to map
-      highlightMarker.addTo(this.map);
-      this.highlightedMarkers.push(highlightMarker);
-      
-      // Add to bounds
-      bounds.extend([data.lat, data.lng]);
+      const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+      const percent = Math.round(estimate.usage / estimate.quota * 100);
+      storageEl.textContent = I18n.t('offline.storage', { used: mb(estimate.usage), quota: mb(estimate.quota), percent: percent });
     });
-    
-    // Zoom to show all matches
-    if (bounds.isValid()) {
-      this.map.fitBounds(bounds, {
-        padding: [50, 50],
-        maxZoom: CONSTANTS.MAP.MAX_BOUNDS_ZOOM
-      });
-    }
-    
-    // Open popup for first match if only one result
-    if (matches.length === 1) {
-      setTimeout(() => {
-        this.highlightedMarkers[0].openPopup();
-      }, CONSTANTS.UI.POPUP_DELAY);
-    }
   },
   
   /**
-   * Clear all search highlight markers from the map
-   * @public
+   * Populate the advanced search layer selector from the layer registry
+   * @private
    */
-  clearSearchHighlights: function() {
-    this.highlightedMarkers.forEach(marker => {
-      this.map.removeLayer(marker);
+  populateAdvancedSearchTypes: function() {
+    const select = document.getElementById('adv-type');
+    if (!select) return;
+    // Keep the static "All layers" option; layer options are rebuilt per language
+    select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+    LAYER_REGISTRY.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.key;
+      option.textContent = I18n.layerLabel(entry);
+      select.appendChild(option);
     });
-    this.highlightedMarkers = [];
   },
   
   /**
-   * Perform advanced search with multiple criteria
-   * @param {FormData} formData - Form data from advanced search form
+   * Wire up the sidebar language buttons
+   * @private
+   */
+  initLanguageSwitcher: function() {
+    document.querySelectorAll('.language-option').forEach(button => {
+      button.addEventListener('click', () => this.setLanguage(button.dataset.lang));
+    });
+    this.updateLanguageSwitcher();
+  },
+  
+  /**
+   * Mark the active language button
+   * @private
+   */
+  updateLanguageSwitcher: function() {
+    document.querySelectorAll('.language-option').forEach(button => {
+      const active = button.dataset.lang === I18n.lang;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+  },
+  
+  /**
+   * Switch the interface language and refresh everything already on screen
+   * @param {string} lang - Language code (en or kn)
    * @public
-   * @todo Implement advanced search logic
    */
-  performAdvancedSearch: function(formData) {
-    // TODO: Implement advanced search functionality
-    const searchParams = {
-      siteName: formData.get('siteName'),
-      type: formData.get('type'),
-      year: formData.get('year'),
-      location: formData.get('location'),
-      logic: formData.get('logic') || 'AND'
-    };
+  setLanguage: function(lang) {
+    if (!I18n.setLanguage(lang)) return;
+    this.updateLanguageSwitcher();
+    
+    // Layer names are the layer control's keys, so it is rebuilt
+    this.buildLayerControl();
+    this.populateAdvancedSearchTypes();
+    this.populateLightingOptions();
+    this.renderImportList();
+    this.updateTimeSliderLabels();
+    if (this.timeSlider) {
+      this.timeSlider.container.querySelector('.time-slider-play')
+        .setAttribute('aria-label', I18n.t(this.timeSlider.playTimer ? 'time.pause' : 'time.play'));
+    }
+    this.updateDataStatus();
+    this.updateOfflineEstimate();
+    this.updateStorageEstimate();
     
-    console.log('Advanced search with params:', searchParams);
-    alert('Advanced search submitted (logic not implemented yet)');
+    // Popups are built on open; refresh the one already showing
+    const selected = this.selectedSiteId && this.findSiteById(this.selectedSiteId);
+    if (selected && selected.marker.isPopupOpen()) selected.marker.getPopup().update();
+    if (this.detailSiteId) this.openSitePanel(this.detailSiteId);
+    this.renderProximity();
+    this.renderTrailPanel(false);
+    this.renderTourPlayer();
+    this.renderDensityPanel();
+    this.renderHistoricalPanel();
+    this.updateHistoricalClip();
+    this.updateClusteringControlIcon();
+    const { attributionPopup } = this.domCache;
+    if (attributionPopup && attributionPopup.style.display === 'block') this.renderAttributions();
+    this.refreshDensity();
+    if (this.lightbox) this.renderLightbox();
+    if (this.isSearchDropdownOpen()) {
+      if (this.lastSearch) {
+        this.showSearchResults(this.lastSearch.results, this.lastSearch.query);
+      } else {
+        this.showSuggestions(this.domCache.searchInput.value.trim());
+      }
+    }
+  },
+  
+  /**
+   * Close the sidebar and its backdrop
+   * @public
+   */
+  closeSidebar: function() {
+    const { sidebar, sidebarOverlay } = this.domCache;
+    if (sidebar) sidebar.classList.remove('open');
+    if (sidebarOverlay) sidebarOverlay.classList.remove('active');
   }
 };
 
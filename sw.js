@@ -0,0 +1,174 @@
+/**
+ * Heritage WebGIS Service Worker
+ * Precaches the app shell and pinned library versions, and serves map tiles
+ * cache-first so the map keeps working without a connection
+ *
+ * @fileoverview Bengaluru Inscriptions 3D Digital Conservation Project
+ * @author The Mythic Society
+ * @version 1.0.0
+ *
+ * CACHES:
+ * - Shell: index.html, main.js, style.css, logo, gazetteer, tours and pinned CDN libraries
+ *   (stale-while-revalidate, replaced when SHELL_VERSION changes)
+ * - Runtime: fonts and other CDN assets fetched on demand
+ * - Tiles: OSM tiles seen while browsing, trimmed to MAX_RUNTIME_TILES
+ * - Offline tiles: areas saved with "Download this area" (written by main.js,
+ *   never trimmed here). The name must match CONSTANTS.OFFLINE.TILE_CACHE.
+ *   Those downloads use cache: 'no-store' and are not intercepted, so their
+ *   tiles are not stored a second time in the runtime tile cache.
+ *
+ * Google Sheets data is not handled here; main.js caches it in IndexedDB.
+ */
+
+const SHELL_VERSION = 'v3';
+const SHELL_CACHE = `heritage-shell-${SHELL_VERSION}`;
+const RUNTIME_CACHE = 'heritage-runtime-v1';
+const TILE_CACHE = 'heritage-tiles-v1';
+const OFFLINE_TILE_CACHE = 'heritage-tiles-offline-v1';
+const MAX_RUNTIME_TILES = 1500;
+
+const SHELL_ASSETS = [
+  './',
+  'index.html',
+  'main.js',
+  'style.css',
+  'manifest.webmanifest',
+  'assets/Mythic%20Society%20Logo.jpg',
+  'data/gazetteer.json',
+  'data/tours.json',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+  'https://unpkg.com/leaflet-groupedlayercontrol@0.6.1/dist/leaflet.groupedlayercontrol.min.css',
+  'https://unpkg.com/leaflet-groupedlayercontrol@0.6.1/dist/leaflet.groupedlayercontrol.min.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/font/bootstrap-icons.css'
+];
+
+// Hosts whose assets are cached at runtime (fonts, icon font files)
+const RUNTIME_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// a.tile / b.tile / c.tile and tile.openstreetmap.org all share one cache key
+const OSM_TILE_PATTERN = /^https:\/\/(?:[abc]\.)?tile\.openstreetmap\.org\/(\d+\/\d+\/\d+\.png)$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, TILE_CACHE, OFFLINE_TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('heritage-') && !keep.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Offline area downloads write their own cache; let them through untouched
+  if (request.cache === 'no-store') return;
+
+  const tileMatch = request.url.match(OSM_TILE_PATTERN);
+  if (tileMatch) {
+    event.respondWith(serveTile(`https://tile.openstreetmap.org/${tileMatch[1]}`));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    return;
+  }
+
+  if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+  }
+});
+
+/**
+ * Serve a cached response immediately and refresh it in the background
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Response
+ */
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then(cache =>
+    cache.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(error => {
+          if (cached) return cached;
+          // Only pages fall back to the app shell; data and models fail as
+          // network errors rather than as unparseable HTML
+          if (request.mode === 'navigate') return caches.match('index.html');
+          throw error;
+        });
+      return cached || network;
+    })
+  );
+}
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Response
+ */
+function cacheFirst(request, cacheName) {
+  return caches.match(request).then(cached => {
+    if (cached) return cached;
+    return fetch(request).then(response => {
+      if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(cacheName).then(cache => cache.put(request, copy));
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Serve an OSM tile from the offline or runtime tile cache, else fetch it
+ * with CORS (so the cached copy is not an opaque, quota-padded response)
+ * @param {string} tileUrl - Normalised tile URL
+ * @returns {Promise<Response>} Tile response
+ */
+function serveTile(tileUrl) {
+  return caches.match(tileUrl).then(cached => {
+    if (cached) return cached;
+    return fetch(tileUrl, { mode: 'cors' }).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(TILE_CACHE)
+          .then(cache => cache.put(tileUrl, copy).then(() => trimCache(cache, MAX_RUNTIME_TILES)));
+      }
+      return response;
+    }).catch(() => new Response('', { status: 504, statusText: 'Tile unavailable offline' }));
+  });
+}
+
+/**
+ * Delete the oldest entries of a cache beyond a maximum size
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Maximum number of entries to keep
+ * @returns {Promise<void>}
+ */
+function trimCache(cache, maxEntries) {
+  return cache.keys().then(keys => {
+    if (keys.length <= maxEntries) return;
+    return Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  });
+}